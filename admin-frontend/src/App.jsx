@@ -1,10 +1,18 @@
 import { Routes, Route, Navigate } from "react-router-dom";
 import { useAuth } from "./hooks/useAuth.jsx";
+import { ProcessingEventsProvider } from "./hooks/useProcessingEvents.jsx";
 import Login from "./pages/Login";
+import AcceptInvite from "./pages/AcceptInvite";
 import Dashboard from "./pages/Dashboard";
 import UploadFAQ from "./pages/UploadFAQ";
 import Settings from "./pages/Settings";
 import Integrations from "./pages/Integrations";
+import Conversations from "./pages/Conversations";
+import KnowledgeGaps from "./pages/KnowledgeGaps";
+import QaPairs from "./pages/QaPairs";
+import OverrideRules from "./pages/OverrideRules";
+import AgentConsole from "./pages/AgentConsole";
+import Team from "./pages/Team";
 import Layout from "./components/Layout";
 import LoadingSpinner from "./components/LoadingSpinner";
 
@@ -23,22 +31,31 @@ function App() {
     return (
       <Routes>
         <Route path="/login" element={<Login />} />
+        <Route path="/accept-invite" element={<AcceptInvite />} />
         <Route path="*" element={<Navigate to="/login" replace />} />
       </Routes>
     );
   }
 
   return (
-    <Layout>
-      <Routes>
-        <Route path="/" element={<Navigate to="/dashboard" replace />} />
-        <Route path="/dashboard" element={<Dashboard />} />
-        <Route path="/upload" element={<UploadFAQ />} />
-        <Route path="/integrations" element={<Integrations />} />
-        <Route path="/settings" element={<Settings />} />
-        <Route path="*" element={<Navigate to="/dashboard" replace />} />
-      </Routes>
-    </Layout>
+    <ProcessingEventsProvider>
+      <Layout>
+        <Routes>
+          <Route path="/" element={<Navigate to="/dashboard" replace />} />
+          <Route path="/dashboard" element={<Dashboard />} />
+          <Route path="/upload" element={<UploadFAQ />} />
+          <Route path="/conversations" element={<Conversations />} />
+          <Route path="/qa" element={<QaPairs />} />
+          <Route path="/overrides" element={<OverrideRules />} />
+          <Route path="/knowledge-gaps" element={<KnowledgeGaps />} />
+          <Route path="/live-chat" element={<AgentConsole />} />
+          <Route path="/integrations" element={<Integrations />} />
+          <Route path="/team" element={<Team />} />
+          <Route path="/settings" element={<Settings />} />
+          <Route path="*" element={<Navigate to="/dashboard" replace />} />
+        </Routes>
+      </Layout>
+    </ProcessingEventsProvider>
   );
 }
 
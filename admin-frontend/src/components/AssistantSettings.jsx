@@ -0,0 +1,429 @@
+import { useEffect, useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import {
+  Save,
+  ChevronDown,
+  ChevronRight,
+  ArrowUp,
+  ArrowDown,
+  X,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { adminAPI } from "../services/api";
+import { useAuth } from "../hooks/useAuth.jsx";
+import LoadingSpinner from "./LoadingSpinner";
+
+const TONE_LABELS = {
+  professional: "Professional",
+  friendly: "Friendly",
+  casual: "Casual",
+  formal: "Formal",
+};
+
+const LENGTH_LABELS = {
+  short: "Short (1-2 sentences)",
+  medium: "Medium (a short paragraph)",
+  detailed: "Detailed (complete, with steps)",
+};
+
+const CIRCUIT_BADGES = {
+  closed: { className: "badge-success", label: "Healthy" },
+  "half-open": { className: "badge-warning", label: "Retrying" },
+  open: { className: "badge-danger", label: "Paused" },
+};
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// Ordered providers tried when the main one fails
+const FallbackList = ({
+  fallbacks,
+  providers,
+  maxFallbacks,
+  canEdit,
+  onChange,
+}) => {
+  const providerById = Object.fromEntries(providers.map((p) => [p.id, p]));
+  const configured = providers.filter((p) => p.configured);
+
+  const move = (index, offset) => {
+    const next = [...fallbacks];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const update = (index, fallback) =>
+    onChange(fallbacks.map((item, i) => (i === index ? fallback : item)));
+
+  const add = (providerId) =>
+    onChange([
+      ...fallbacks,
+      { provider: providerId, model: providerById[providerId].models[0] },
+    ]);
+
+  return (
+    <div className="space-y-2">
+      {fallbacks.map((fallback, index) => (
+        <div
+          key={`${fallback.provider}-${index}`}
+          className="flex items-center gap-2"
+        >
+          <span className="w-5 text-sm text-gray-500">{index + 1}.</span>
+          <span className="w-40 text-sm text-gray-900">
+            {providerById[fallback.provider]?.label || fallback.provider}
+          </span>
+          <select
+            value={fallback.model}
+            onChange={(e) =>
+              update(index, { ...fallback, model: e.target.value })
+            }
+            disabled={!canEdit}
+            className="input flex-1"
+          >
+            {(providerById[fallback.provider]?.models || [fallback.model]).map(
+              (model) => (
+                <option key={model} value={model}>
+                  {model}
+                </option>
+              )
+            )}
+          </select>
+          {canEdit && (
+            <div className="flex items-center text-gray-400">
+              <button
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                className="p-1 hover:text-gray-600 disabled:opacity-30"
+                title="Move up"
+              >
+                <ArrowUp className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => move(index, 1)}
+                disabled={index === fallbacks.length - 1}
+                className="p-1 hover:text-gray-600 disabled:opacity-30"
+                title="Move down"
+              >
+                <ArrowDown className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => onChange(fallbacks.filter((_, i) => i !== index))}
+                className="p-1 hover:text-red-600"
+                title="Remove"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+      {canEdit && fallbacks.length < maxFallbacks && configured.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && add(e.target.value)}
+          className="input w-60"
+        >
+          <option value="">Add a fallback provider...</option>
+          {configured.map((provider) => (
+            <option key={provider.id} value={provider.id}>
+              {provider.label}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+// Settings > Assistant: how the AI writes answers on every channel
+const AssistantSettings = () => {
+  const queryClient = useQueryClient();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("owner", "editor");
+
+  const [form, setForm] = useState(null);
+  const [showPrompt, setShowPrompt] = useState(false);
+
+  const { data, isLoading } = useQuery("assistantSettings", () =>
+    adminAPI.getAssistantSettings().then((r) => r.data)
+  );
+
+  useEffect(() => {
+    if (data?.assistant) setForm(data.assistant);
+  }, [data]);
+
+  const saveMutation = useMutation(
+    () => adminAPI.updateAssistantSettings(form),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries("assistantSettings");
+      },
+    }
+  );
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  // Switching provider starts from that provider's default model
+  const updateProvider = (providerId) => {
+    const provider = data.options.providers.find((p) => p.id === providerId);
+    setForm((prev) => ({
+      ...prev,
+      provider: providerId,
+      model: provider.models[0],
+    }));
+  };
+
+  if (isLoading || !form) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const { options } = data;
+  const providerId = form.provider || options.defaultProvider;
+  const provider = options.providers.find((p) => p.id === providerId);
+  const models = provider?.models || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Assistant</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            How the AI writes answers in the widget, live chat, WhatsApp and
+            Instagram. When no AI provider is available, answers are quoted
+            from your documents and only the answer length applies.
+          </p>
+        </div>
+        <div className="card-body space-y-6">
+          <div>
+            <label className="label">Custom Instructions</label>
+            <textarea
+              value={form.instructions}
+              onChange={(e) => updateField("instructions", e.target.value)}
+              rows={5}
+              maxLength={4000}
+              disabled={!canEdit}
+              className="input"
+              placeholder="e.g. Always suggest the self-service portal for billing questions. Refer to customers as members."
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Added to the built-in rules, which keep answers grounded in
+              your documents
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+            <div>
+              <label className="label">Provider</label>
+              <select
+                value={providerId}
+                onChange={(e) => updateProvider(e.target.value)}
+                disabled={!canEdit}
+                className="input"
+              >
+                {options.providers.map((option) => (
+                  <option
+                    key={option.id}
+                    value={option.id}
+                    disabled={!option.configured && option.id !== providerId}
+                  >
+                    {option.label}
+                    {!option.configured && " (not configured)"}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Model</label>
+              <select
+                value={models.includes(form.model) ? form.model : models[0]}
+                onChange={(e) => updateField("model", e.target.value)}
+                disabled={!canEdit}
+                className="input"
+              >
+                {models.map((model) => (
+                  <option key={model} value={model}>
+                    {model}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Fallback Providers</label>
+            <FallbackList
+              fallbacks={form.fallbacks || []}
+              providers={options.providers}
+              maxFallbacks={options.maxFallbacks}
+              canEdit={canEdit}
+              onChange={(fallbacks) => updateField("fallbacks", fallbacks)}
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Tried in order when the provider above fails or is paused. Leave
+              empty to use the server's default fallbacks.
+            </p>
+          </div>
+
+          {data.providerChain.length > 0 && (
+            <div>
+              <label className="label">Saved Provider Chain</label>
+              <ul className="space-y-1">
+                {data.providerChain.map((link, index) => {
+                  const circuit = options.providers.find(
+                    (p) => p.id === link.provider
+                  )?.circuits?.[link.model];
+                  const badge = CIRCUIT_BADGES[circuit?.status];
+                  return (
+                    <li
+                      key={`${link.provider}-${link.model}`}
+                      className="flex items-center gap-2 text-sm text-gray-700"
+                    >
+                      <span>
+                        {index + 1}. {link.provider} / {link.model}
+                      </span>
+                      {badge && (
+                        <span
+                          className={badge.className}
+                          title={circuit.lastError || undefined}
+                        >
+                          {badge.label}
+                          {circuit.status === "open" &&
+                            ` until ${formatTime(circuit.retryAt)}`}
+                        </span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+              <p className="mt-1 text-sm text-gray-500">
+                A model that fails repeatedly is paused for a while and
+                skipped
+              </p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+            <div>
+              <label className="label">Tone</label>
+              <select
+                value={form.tone}
+                onChange={(e) => updateField("tone", e.target.value)}
+                disabled={!canEdit}
+                className="input"
+              >
+                {options.tones.map((tone) => (
+                  <option key={tone} value={tone}>
+                    {TONE_LABELS[tone] || tone}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Answer Length</label>
+              <select
+                value={form.answerLength}
+                onChange={(e) => updateField("answerLength", e.target.value)}
+                disabled={!canEdit}
+                className="input"
+              >
+                {options.answerLengths.map((length) => (
+                  <option key={length} value={length}>
+                    {LENGTH_LABELS[length] || length}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="label">
+              Temperature ({Number(form.temperature).toFixed(2)})
+            </label>
+            <input
+              type="range"
+              value={form.temperature}
+              onChange={(e) =>
+                updateField("temperature", parseFloat(e.target.value))
+              }
+              disabled={!canEdit}
+              className="w-full"
+              min="0"
+              max="1"
+              step="0.05"
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Low keeps answers consistent; higher varies the wording
+            </p>
+          </div>
+
+          <div>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={form.allowGeneralKnowledge}
+                onChange={(e) =>
+                  updateField("allowGeneralKnowledge", e.target.checked)
+                }
+                disabled={!canEdit}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="ml-2 text-sm text-gray-700">
+                Answer from general knowledge when the documents have nothing
+              </span>
+            </label>
+            <p className="mt-1 text-sm text-gray-500">
+              The bot says when an answer is not from your documentation and
+              never makes up prices, policies or contact details
+            </p>
+          </div>
+
+          <div>
+            <button
+              onClick={() => setShowPrompt((show) => !show)}
+              className="flex items-center text-sm font-medium text-primary-600 hover:text-primary-700"
+            >
+              {showPrompt ? (
+                <ChevronDown className="mr-1 h-4 w-4" />
+              ) : (
+                <ChevronRight className="mr-1 h-4 w-4" />
+              )}
+              Saved system prompt
+            </button>
+            {showPrompt && (
+              <pre className="mt-2 max-h-80 overflow-auto whitespace-pre-wrap rounded-lg bg-gray-50 p-3 text-xs text-gray-700">
+                {data.systemPrompt}
+              </pre>
+            )}
+          </div>
+        </div>
+        {canEdit && (
+          <div className="card-footer">
+            <button
+              onClick={() => saveMutation.mutate()}
+              disabled={saveMutation.isLoading}
+              className="btn-primary"
+            >
+              {saveMutation.isLoading ? (
+                <LoadingSpinner size="sm" className="mr-2" />
+              ) : (
+                <Save className="h-4 w-4 mr-2" />
+              )}
+              Save Assistant Settings
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssistantSettings;
@@ -0,0 +1,355 @@
+import { useState } from "react";
+import { useQuery } from "react-query";
+import {
+  MessageCircle,
+  AlertTriangle,
+  HelpCircle,
+  Target,
+} from "lucide-react";
+import { clsx } from "clsx";
+import { adminAPI } from "../services/api";
+import LoadingSpinner from "./LoadingSpinner";
+
+const RANGES = [
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+];
+
+const CHANNELS = [
+  { id: "widget", label: "Widget", color: "bg-primary-500" },
+  { id: "socket", label: "Live chat", color: "bg-violet-400" },
+  { id: "whatsapp", label: "WhatsApp", color: "bg-green-500" },
+  { id: "instagram", label: "Instagram", color: "bg-pink-500" },
+];
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// YYYY-MM-DD in the browser's timezone
+const toDateInput = (date) => date.toLocaleDateString("en-CA");
+
+const formatPercent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+const formatHour = (hour) =>
+  new Date(2000, 0, 1, hour).toLocaleTimeString("en-US", { hour: "numeric" });
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+// Vertical bars stacked by channel
+const ChannelBars = ({ buckets, labelKey, formatLabel, labelEvery = 1 }) => {
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.total));
+
+  return (
+    <div>
+      <div className="flex h-40 items-end gap-px">
+        {buckets.map((bucket) => (
+          <div
+            key={bucket[labelKey]}
+            className="group relative flex h-full flex-1 flex-col-reverse"
+            title={`${formatLabel(bucket[labelKey])}: ${bucket.total} questions`}
+          >
+            {CHANNELS.map((channel) =>
+              bucket.byChannel[channel.id] > 0 ? (
+                <div
+                  key={channel.id}
+                  className={clsx(channel.color, "w-full")}
+                  style={{
+                    height: `${(bucket.byChannel[channel.id] / max) * 100}%`,
+                  }}
+                />
+              ) : null
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="mt-1 flex gap-px text-[10px] text-gray-400">
+        {buckets.map((bucket, index) => (
+          <div key={bucket[labelKey]} className="flex-1 truncate text-center">
+            {index % labelEvery === 0 ? formatLabel(bucket[labelKey]) : ""}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Weekday x hour grid shaded by question count
+const BusiestTimes = ({ cells }) => {
+  const counts = new Map(
+    cells.map((cell) => [`${cell.day}:${cell.hour}`, cell.count])
+  );
+  const max = Math.max(1, ...cells.map((cell) => cell.count));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-[10px] text-gray-400">
+        <tbody>
+          {WEEKDAYS.map((label, index) => (
+            <tr key={label}>
+              <td className="pr-2">{label}</td>
+              {Array.from({ length: 24 }, (_, hour) => {
+                const count = counts.get(`${index + 1}:${hour}`) || 0;
+                return (
+                  <td key={hour} className="p-px">
+                    <div
+                      className="h-4 w-4 rounded-sm bg-primary-600"
+                      style={{ opacity: count ? 0.15 + (count / max) * 0.85 : 0.05 }}
+                      title={`${label} ${formatHour(hour)}: ${count} questions`}
+                    />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          <tr>
+            <td />
+            {Array.from({ length: 24 }, (_, hour) => (
+              <td key={hour} className="text-center">
+                {hour % 6 === 0 ? hour : ""}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const StatCard = ({ icon: Icon, iconClass, label, value, detail }) => (
+  <div className="rounded-lg border border-gray-200 p-4">
+    <div className="flex items-center gap-2 text-sm text-gray-500">
+      <Icon className={clsx("h-4 w-4", iconClass)} />
+      {label}
+    </div>
+    <div className="mt-1 text-2xl font-semibold text-gray-900">{value}</div>
+    {detail && <div className="text-xs text-gray-500">{detail}</div>}
+  </div>
+);
+
+const ConversationAnalytics = () => {
+  const [range, setRange] = useState(() => {
+    const to = new Date();
+    const from = new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+    return { from: toDateInput(from), to: toDateInput(to) };
+  });
+
+  const { data, isLoading } = useQuery(
+    ["conversationAnalytics", range.from, range.to],
+    () =>
+      adminAPI
+        .getConversationAnalytics({ ...range, timezone })
+        .then((r) => r.data.analytics),
+    { keepPreviousData: true, staleTime: 60000 }
+  );
+
+  const selectPreset = (days) => {
+    const to = new Date();
+    const from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    setRange({ from: toDateInput(from), to: toDateInput(to) });
+  };
+
+  const totals = data?.totals;
+
+  return (
+    <div className="card">
+      <div className="card-header flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-lg font-medium text-gray-900">
+          Conversation Analytics
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          {RANGES.map(({ days, label }) => (
+            <button
+              key={days}
+              onClick={() => selectPreset(days)}
+              className="btn-secondary px-2 py-1 text-xs"
+            >
+              {label}
+            </button>
+          ))}
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) =>
+              e.target.value && setRange({ ...range, from: e.target.value })
+            }
+            className="input w-auto py-1 text-xs"
+          />
+          <span className="text-xs text-gray-500">to</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) =>
+              e.target.value && setRange({ ...range, to: e.target.value })
+            }
+            className="input w-auto py-1 text-xs"
+          />
+        </div>
+      </div>
+
+      <div className="card-body space-y-6">
+        {isLoading || !data ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+              <StatCard
+                icon={MessageCircle}
+                iconClass="text-primary-600"
+                label="Questions"
+                value={totals.questions}
+                detail={`${totals.perDay} per day • ${totals.conversations} conversations`}
+              />
+              <StatCard
+                icon={HelpCircle}
+                iconClass="text-red-500"
+                label="Not answered"
+                value={formatPercent(totals.fallbackRate)}
+                detail={`${totals.fallback} of ${totals.answers} answers fell back`}
+              />
+              <StatCard
+                icon={AlertTriangle}
+                iconClass="text-yellow-500"
+                label="Low confidence"
+                value={formatPercent(totals.lowConfidenceRate)}
+                detail={`${totals.lowConfidence} answers • ${totals.handedOff} handed to agents`}
+              />
+              <StatCard
+                icon={Target}
+                iconClass="text-green-600"
+                label="Avg. retrieval similarity"
+                value={
+                  totals.avgSimilarity === null
+                    ? "—"
+                    : totals.avgSimilarity.toFixed(2)
+                }
+                detail="Best matching chunk per answer"
+              />
+            </div>
+
+            <div>
+              <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+                <h4 className="text-sm font-medium text-gray-900">
+                  Questions per day
+                </h4>
+                <div className="flex flex-wrap gap-3 text-xs text-gray-500">
+                  {CHANNELS.map((channel) => (
+                    <span key={channel.id} className="flex items-center gap-1">
+                      <span className={clsx("h-2 w-2 rounded-sm", channel.color)} />
+                      {channel.label}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <ChannelBars
+                buckets={data.daily}
+                labelKey="date"
+                formatLabel={formatDay}
+                labelEvery={Math.ceil(data.daily.length / 10)}
+              />
+            </div>
+
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+              <div>
+                <h4 className="mb-2 text-sm font-medium text-gray-900">
+                  Questions by hour
+                  {data.busiestHour && (
+                    <span className="ml-2 font-normal text-gray-500">
+                      busiest at {formatHour(data.busiestHour.hour)}
+                    </span>
+                  )}
+                </h4>
+                <ChannelBars
+                  buckets={data.hourly}
+                  labelKey="hour"
+                  formatLabel={formatHour}
+                  labelEvery={6}
+                />
+              </div>
+              <div>
+                <h4 className="mb-2 text-sm font-medium text-gray-900">
+                  Busiest times
+                  {data.busiestDay && (
+                    <span className="ml-2 font-normal text-gray-500">
+                      busiest day {formatDay(data.busiestDay.date)}
+                    </span>
+                  )}
+                </h4>
+                <BusiestTimes cells={data.weekdayHours} />
+              </div>
+            </div>
+
+            <div>
+              <h4 className="mb-2 text-sm font-medium text-gray-900">
+                Top questions
+              </h4>
+              {data.topQuestions.length > 0 ? (
+                <ul className="divide-y divide-gray-100">
+                  {data.topQuestions.map((group) => (
+                    <li
+                      key={group.question}
+                      className="flex items-start justify-between gap-4 py-2"
+                    >
+                      <div className="min-w-0">
+                        <p className="text-sm text-gray-900">{group.question}</p>
+                        {group.examples.length > 1 && (
+                          <p className="truncate text-xs text-gray-500">
+                            Also asked as: {group.examples.slice(1, 4).join(" • ")}
+                          </p>
+                        )}
+                      </div>
+                      <span className="badge-info shrink-0">{group.count}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  No questions in this period.
+                </p>
+              )}
+            </div>
+
+            {data.overrides.length > 0 && (
+              <div>
+                <h4 className="mb-2 text-sm font-medium text-gray-900">
+                  Pinned answers
+                  <span className="ml-2 font-normal text-gray-500">
+                    {totals.overrides} answered by override rules
+                  </span>
+                </h4>
+                <ul className="divide-y divide-gray-100">
+                  {data.overrides.map((rule) => (
+                    <li
+                      key={rule.ruleId}
+                      className="flex items-center justify-between gap-4 py-2"
+                    >
+                      <p className="text-sm text-gray-900">
+                        {rule.name || (
+                          <span className="italic text-gray-500">
+                            Deleted rule
+                          </span>
+                        )}
+                      </p>
+                      <span className="badge-info shrink-0">{rule.count}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConversationAnalytics;
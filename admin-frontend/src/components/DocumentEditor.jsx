@@ -0,0 +1,438 @@
+import { useState, useEffect } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import { X, Save, Upload, History, RotateCcw, GitCompare } from "lucide-react";
+import { clsx } from "clsx";
+import PropTypes from "prop-types";
+import toast from "react-hot-toast";
+import { adminAPI } from "../services/api";
+import LoadingSpinner from "./LoadingSpinner";
+
+const TABS = [
+  { id: "edit", label: "Edit text", icon: Save },
+  { id: "replace", label: "Replace file", icon: Upload },
+  { id: "history", label: "History", icon: History },
+];
+
+const VERSION_BADGES = {
+  live: "badge-success",
+  pending: "badge-warning",
+  archived: "badge-info",
+  discarded: "badge-danger",
+};
+
+// Unchanged runs longer than this are collapsed in the diff
+const DIFF_CONTEXT_LINES = 3;
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Split diff parts into lines, collapsing long unchanged stretches
+const toDiffLines = (changes) => {
+  const lines = [];
+
+  for (const change of changes) {
+    const text = change.value.replace(/\n$/, "").split("\n");
+
+    if (
+      change.type === "unchanged" &&
+      text.length > DIFF_CONTEXT_LINES * 2 + 1
+    ) {
+      text
+        .slice(0, DIFF_CONTEXT_LINES)
+        .forEach((line) => lines.push({ type: "unchanged", line }));
+      lines.push({
+        type: "skipped",
+        line: `… ${text.length - DIFF_CONTEXT_LINES * 2} unchanged lines …`,
+      });
+      text
+        .slice(-DIFF_CONTEXT_LINES)
+        .forEach((line) => lines.push({ type: "unchanged", line }));
+    } else {
+      text.forEach((line) => lines.push({ type: change.type, line }));
+    }
+  }
+
+  return lines;
+};
+
+const VersionDiff = ({ documentId, version, against }) => {
+  const { data, isLoading } = useQuery(
+    ["documentDiff", documentId, version, against],
+    () =>
+      adminAPI
+        .diffDocumentVersions(documentId, version, against)
+        .then((r) => r.data)
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  return (
+    <div className="rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between border-b border-gray-200 bg-gray-50 px-3 py-2 text-xs text-gray-600">
+        <span>
+          Version {data.from} → version {data.to}
+        </span>
+        <span>
+          <span className="text-green-700">+{data.stats.added}</span>{" "}
+          <span className="text-red-700">−{data.stats.removed}</span>
+        </span>
+      </div>
+      <pre className="max-h-80 overflow-auto text-xs leading-5">
+        {toDiffLines(data.changes).map((line, index) => (
+          <div
+            key={index}
+            className={clsx(
+              "whitespace-pre-wrap px-3",
+              line.type === "added" && "bg-green-50 text-green-800",
+              line.type === "removed" && "bg-red-50 text-red-800",
+              line.type === "skipped" && "bg-gray-50 text-center text-gray-400"
+            )}
+          >
+            {line.type === "added" ? "+ " : line.type === "removed" ? "- " : ""}
+            {line.line || " "}
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+};
+
+VersionDiff.propTypes = {
+  documentId: PropTypes.string.isRequired,
+  version: PropTypes.number.isRequired,
+  against: PropTypes.number.isRequired,
+};
+
+const DocumentEditor = ({ documentId, acceptedFileTypes, onClose }) => {
+  const queryClient = useQueryClient();
+  const [tab, setTab] = useState("edit");
+  const [content, setContent] = useState("");
+  const [note, setNote] = useState("");
+  const [file, setFile] = useState(null);
+  const [diffVersion, setDiffVersion] = useState(null);
+
+  const { data: documentData, isLoading } = useQuery(
+    ["document", documentId],
+    () => adminAPI.getDocument(documentId).then((r) => r.data)
+  );
+
+  const { data: history } = useQuery(
+    ["documentVersions", documentId],
+    () => adminAPI.getDocumentVersions(documentId).then((r) => r.data),
+    { enabled: tab === "history" }
+  );
+
+  const document = documentData?.document;
+  const currentText =
+    documentData?.pendingVersion?.content ?? document?.content ?? "";
+
+  useEffect(() => {
+    setContent(currentText);
+  }, [currentText]);
+
+  const onSaved = (response) => {
+    queryClient.invalidateQueries("documents");
+    queryClient.invalidateQueries(["document", documentId]);
+    queryClient.invalidateQueries(["documentVersions", documentId]);
+    setNote("");
+    setFile(null);
+    toast.success(response.data.message);
+    setTab("history");
+  };
+
+  const editMutation = useMutation(
+    () => adminAPI.updateDocumentContent(documentId, { content, note }),
+    { onSuccess: onSaved }
+  );
+
+  const replaceMutation = useMutation(
+    () => {
+      const formData = new FormData();
+      formData.append("document", file);
+      if (note) formData.append("note", note);
+      return adminAPI.replaceDocument(documentId, formData);
+    },
+    { onSuccess: onSaved }
+  );
+
+  const rollbackMutation = useMutation(
+    (version) => adminAPI.rollbackDocument(documentId, version),
+    { onSuccess: onSaved }
+  );
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+
+    const extension = selected.name.split(".").pop().toLowerCase();
+    if (!acceptedFileTypes.includes(extension)) {
+      toast.error(`Invalid file type: ${selected.name}`);
+      return;
+    }
+    if (selected.size > 10 * 1024 * 1024) {
+      toast.error(`File too large: ${selected.name}. Maximum size is 10MB.`);
+      return;
+    }
+    setFile(selected);
+  };
+
+  const handleRollback = (version) => {
+    if (
+      window.confirm(
+        `Restore version ${version}? It is saved as a new version and goes live once re-indexed.`
+      )
+    ) {
+      rollbackMutation.mutate(version);
+    }
+  };
+
+  // The live version is compared with the one before it, others with live
+  const getDiffBase = (version) => {
+    if (version !== history.liveVersion) return history.liveVersion;
+    const older = history.versions.find((v) => v.version < version);
+    return older?.version;
+  };
+
+  const isPending =
+    document?.pendingVersion && document.pendingVersion !== document.version;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/60 p-4">
+      <div className="flex max-h-full w-full max-w-3xl flex-col rounded-lg bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-200 px-6 py-4">
+          <div className="min-w-0">
+            <h3 className="truncate text-lg font-medium text-gray-900">
+              {document?.originalName || "Document"}
+            </h3>
+            {document && (
+              <p className="text-xs text-gray-500">
+                Version {document.version} is live
+                {isPending &&
+                  ` • version ${document.pendingVersion} is ${document.processingStatus}`}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex gap-1 border-b border-gray-200 px-6">
+          {TABS.map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={clsx(
+                "flex items-center gap-2 border-b-2 px-3 py-2 text-sm font-medium",
+                tab === id
+                  ? "border-primary-600 text-primary-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              )}
+            >
+              <Icon className="h-4 w-4" />
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : tab === "edit" ? (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-500">
+                Correct the text extracted from this document. The current
+                version keeps answering until the edit is re-indexed.
+                {document?.sourceId &&
+                  " Edits to a website page are kept until the page itself changes."}
+              </p>
+              <textarea
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                rows={16}
+                className="input font-mono text-xs"
+              />
+              <div>
+                <label className="label">Change note (optional)</label>
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="input"
+                  placeholder="Fixed refund window"
+                />
+              </div>
+            </div>
+          ) : tab === "replace" ? (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-500">
+                Upload a new file for this document. Its text becomes a new
+                version; the history keeps the old one.
+              </p>
+              <input
+                type="file"
+                accept={acceptedFileTypes.map((ext) => `.${ext}`).join(",")}
+                onChange={handleFileChange}
+                className="block w-full text-sm text-gray-600"
+              />
+              {file && (
+                <p className="text-sm text-gray-700">Selected: {file.name}</p>
+              )}
+              <div>
+                <label className="label">Change note (optional)</label>
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="input"
+                  placeholder="2024 pricing update"
+                />
+              </div>
+            </div>
+          ) : !history ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {history.versions.map((version) => {
+                const base = getDiffBase(version.version);
+                return (
+                  <div
+                    key={version.version}
+                    className="rounded-lg border border-gray-200 p-3"
+                  >
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm font-medium text-gray-900">
+                            Version {version.version}
+                          </span>
+                          <span className={VERSION_BADGES[version.status]}>
+                            {version.status}
+                          </span>
+                          <span className="text-xs text-gray-500">
+                            {version.changeType}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {formatDate(version.createdAt)}
+                          {version.createdBy && ` • ${version.createdBy}`}
+                          {version.note && ` • ${version.note}`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        {base && (
+                          <button
+                            onClick={() =>
+                              setDiffVersion(
+                                diffVersion === version.version
+                                  ? null
+                                  : version.version
+                              )
+                            }
+                            className="btn-secondary text-xs"
+                          >
+                            <GitCompare className="h-4 w-4 mr-1" />
+                            Diff
+                          </button>
+                        )}
+                        {version.status !== "live" &&
+                          version.status !== "pending" && (
+                            <button
+                              onClick={() => handleRollback(version.version)}
+                              disabled={rollbackMutation.isLoading}
+                              className="btn-secondary text-xs"
+                            >
+                              <RotateCcw className="h-4 w-4 mr-1" />
+                              Roll back
+                            </button>
+                          )}
+                      </div>
+                    </div>
+                    {diffVersion === version.version && base && (
+                      <div className="mt-3">
+                        <VersionDiff
+                          documentId={documentId}
+                          version={version.version}
+                          against={base}
+                        />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {(tab === "edit" || tab === "replace") && (
+          <div className="flex justify-end gap-3 border-t border-gray-200 px-6 py-4">
+            <button onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            {tab === "edit" ? (
+              <button
+                onClick={() => editMutation.mutate()}
+                disabled={
+                  editMutation.isLoading ||
+                  !content.trim() ||
+                  content === currentText
+                }
+                className="btn-primary"
+              >
+                {editMutation.isLoading ? (
+                  <LoadingSpinner size="sm" className="mr-2" />
+                ) : (
+                  <Save className="h-4 w-4 mr-2" />
+                )}
+                Save and re-index
+              </button>
+            ) : (
+              <button
+                onClick={() => replaceMutation.mutate()}
+                disabled={replaceMutation.isLoading || !file}
+                className="btn-primary"
+              >
+                {replaceMutation.isLoading ? (
+                  <LoadingSpinner size="sm" className="mr-2" />
+                ) : (
+                  <Upload className="h-4 w-4 mr-2" />
+                )}
+                Replace and re-index
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+DocumentEditor.propTypes = {
+  documentId: PropTypes.string.isRequired,
+  acceptedFileTypes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default DocumentEditor;
@@ -0,0 +1,267 @@
+import { useState } from "react";
+import { useQuery } from "react-query";
+import { ThumbsUp, ThumbsDown, Smile, MessageSquare } from "lucide-react";
+import { clsx } from "clsx";
+import { adminAPI } from "../services/api";
+import LoadingSpinner from "./LoadingSpinner";
+
+const RANGES = [
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+];
+
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// YYYY-MM-DD in the browser's timezone
+const toDateInput = (date) => date.toLocaleDateString("en-CA");
+
+const formatPercent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+const StatCard = ({ icon: Icon, iconClass, label, value, detail }) => (
+  <div className="rounded-lg border border-gray-200 p-4">
+    <div className="flex items-center gap-2 text-sm text-gray-500">
+      <Icon className={clsx("h-4 w-4", iconClass)} />
+      {label}
+    </div>
+    <div className="mt-1 text-2xl font-semibold text-gray-900">{value}</div>
+    {detail && <div className="text-xs text-gray-500">{detail}</div>}
+  </div>
+);
+
+const RatingCounts = ({ up, down }) => (
+  <span className="flex shrink-0 items-center gap-2 text-xs">
+    <span className="flex items-center gap-1 text-red-600">
+      <ThumbsDown className="h-3 w-3" /> {down}
+    </span>
+    <span className="flex items-center gap-1 text-green-600">
+      <ThumbsUp className="h-3 w-3" /> {up}
+    </span>
+  </span>
+);
+
+// Thumbs up and down per day, stacked
+const DailyRatings = ({ days }) => {
+  const max = Math.max(1, ...days.map((day) => day.up + day.down));
+  const labelEvery = Math.ceil(days.length / 10);
+
+  return (
+    <div>
+      <div className="flex h-32 items-end gap-px">
+        {days.map((day) => (
+          <div
+            key={day.date}
+            className="flex h-full flex-1 flex-col-reverse"
+            title={`${formatDay(day.date)}: ${day.up} up, ${day.down} down`}
+          >
+            <div
+              className="w-full bg-green-500"
+              style={{ height: `${(day.up / max) * 100}%` }}
+            />
+            <div
+              className="w-full bg-red-400"
+              style={{ height: `${(day.down / max) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="mt-1 flex gap-px text-[10px] text-gray-400">
+        {days.map((day, index) => (
+          <div key={day.date} className="flex-1 truncate text-center">
+            {index % labelEvery === 0 ? formatDay(day.date) : ""}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const FeedbackAnalytics = () => {
+  const [days, setDays] = useState(30);
+
+  const { data, isLoading } = useQuery(
+    ["feedbackAnalytics", days],
+    () => {
+      const to = new Date();
+      const from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+      return adminAPI
+        .getFeedbackAnalytics({
+          from: toDateInput(from),
+          to: toDateInput(to),
+          timezone,
+        })
+        .then((r) => r.data.analytics);
+    },
+    { keepPreviousData: true, staleTime: 60000 }
+  );
+
+  const totals = data?.totals;
+
+  return (
+    <div className="card">
+      <div className="card-header flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-lg font-medium text-gray-900">Answer Feedback</h3>
+        <div className="flex items-center gap-2">
+          {RANGES.map((range) => (
+            <button
+              key={range.days}
+              onClick={() => setDays(range.days)}
+              className={clsx(
+                "px-2 py-1 text-xs",
+                days === range.days ? "btn-primary" : "btn-secondary"
+              )}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="card-body space-y-6">
+        {isLoading || !data ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : totals.rated === 0 ? (
+          <p className="py-4 text-center text-sm text-gray-500">
+            No answers were rated in this period.
+          </p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+              <StatCard
+                icon={Smile}
+                iconClass="text-primary-600"
+                label="Satisfaction"
+                value={formatPercent(totals.satisfaction)}
+                detail={`${totals.rated} rated answers`}
+              />
+              <StatCard
+                icon={ThumbsUp}
+                iconClass="text-green-600"
+                label="Helpful"
+                value={totals.up}
+              />
+              <StatCard
+                icon={ThumbsDown}
+                iconClass="text-red-500"
+                label="Not helpful"
+                value={totals.down}
+              />
+              <StatCard
+                icon={MessageSquare}
+                iconClass="text-gray-500"
+                label="Comments"
+                value={totals.comments}
+              />
+            </div>
+
+            <div>
+              <h4 className="mb-2 text-sm font-medium text-gray-900">
+                Ratings per day
+              </h4>
+              <DailyRatings days={data.daily} />
+            </div>
+
+            <div>
+              <h4 className="mb-2 text-sm font-medium text-gray-900">
+                Worst-rated answers
+              </h4>
+              {data.worstAnswers.length > 0 ? (
+                <ul className="divide-y divide-gray-100">
+                  {data.worstAnswers.map((group) => (
+                    <li key={group.question} className="space-y-1 py-3">
+                      <div className="flex items-start justify-between gap-4">
+                        <p className="text-sm font-medium text-gray-900">
+                          {group.question}
+                        </p>
+                        <RatingCounts up={group.up} down={group.down} />
+                      </div>
+                      {group.answer && (
+                        <p className="line-clamp-2 text-xs text-gray-500">
+                          Answered: {group.answer}
+                        </p>
+                      )}
+                      {group.comments.map((comment) => (
+                        <p
+                          key={comment.createdAt}
+                          className="text-xs italic text-gray-600"
+                        >
+                          “{comment.comment}”
+                        </p>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  No answers were rated down in this period.
+                </p>
+              )}
+            </div>
+
+            {data.documents.length > 0 && (
+              <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+                <div>
+                  <h4 className="mb-2 text-sm font-medium text-gray-900">
+                    Documents behind bad answers
+                  </h4>
+                  <ul className="divide-y divide-gray-100">
+                    {data.documents.map((document) => (
+                      <li
+                        key={document.documentId}
+                        className="flex items-center justify-between gap-4 py-2"
+                      >
+                        <div className="min-w-0">
+                          <p className="truncate text-sm text-gray-900">
+                            {document.name || "Deleted document"}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {formatPercent(document.downRate)} rated down
+                          </p>
+                        </div>
+                        <RatingCounts up={document.up} down={document.down} />
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <div>
+                  <h4 className="mb-2 text-sm font-medium text-gray-900">
+                    Chunks behind bad answers
+                  </h4>
+                  <ul className="divide-y divide-gray-100">
+                    {data.chunks.map((chunk) => (
+                      <li
+                        key={`${chunk.documentId}:${chunk.chunkIndex}`}
+                        className="space-y-1 py-2"
+                      >
+                        <div className="flex items-center justify-between gap-4">
+                          <p className="truncate text-sm text-gray-900">
+                            {chunk.name || "Deleted document"} • chunk{" "}
+                            {chunk.chunkIndex}
+                          </p>
+                          <RatingCounts up={chunk.up} down={chunk.down} />
+                        </div>
+                        <p className="line-clamp-2 text-xs text-gray-500">
+                          {chunk.text}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FeedbackAnalytics;
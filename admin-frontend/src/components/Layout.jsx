@@ -4,12 +4,18 @@ import { useAuth } from "../hooks/useAuth.jsx";
 import {
   LayoutDashboard,
   Upload,
+  FileQuestion,
+  Pin,
+  MessagesSquare,
+  Lightbulb,
+  Headphones,
   Settings,
   LogOut,
   Menu,
   X,
   Bot,
   Share2,
+  Users,
   ChevronLeft,
   ChevronRight,
   ChevronRight as ChevronRightSmall,
@@ -23,7 +29,13 @@ const SIDEBAR_STORAGE_KEY = "admin-sidebar-collapsed";
 const routeTitles = {
   "/dashboard": "Dashboard",
   "/upload": "Upload FAQ",
+  "/qa": "Q&A Pairs",
+  "/overrides": "Pinned Answers",
+  "/conversations": "Conversations",
+  "/knowledge-gaps": "Knowledge Gaps",
+  "/live-chat": "Live Chat",
   "/integrations": "Integrations",
+  "/team": "Team",
   "/settings": "Settings",
 };
 
@@ -60,19 +72,46 @@ const Layout = ({ children }) => {
       return false;
     }
   });
-  const { user, logout } = useAuth();
+  const { user, logout, hasRole } = useAuth();
   const location = useLocation();
 
   useEffect(() => {
     localStorage.setItem(SIDEBAR_STORAGE_KEY, JSON.stringify(sidebarCollapsed));
   }, [sidebarCollapsed]);
 
+  // Items with roles are hidden from users the API would refuse anyway
   const navigation = [
     { name: "Dashboard", href: "/dashboard", icon: LayoutDashboard },
-    { name: "Upload FAQ", href: "/upload", icon: Upload },
-    { name: "Integrations", href: "/integrations", icon: Share2 },
-    { name: "Settings", href: "/settings", icon: Settings },
-  ];
+    {
+      name: "Upload FAQ",
+      href: "/upload",
+      icon: Upload,
+      roles: ["owner", "editor"],
+    },
+    { name: "Q&A Pairs", href: "/qa", icon: FileQuestion },
+    { name: "Pinned Answers", href: "/overrides", icon: Pin },
+    { name: "Conversations", href: "/conversations", icon: MessagesSquare },
+    { name: "Knowledge Gaps", href: "/knowledge-gaps", icon: Lightbulb },
+    {
+      name: "Live Chat",
+      href: "/live-chat",
+      icon: Headphones,
+      roles: ["owner", "editor", "agent"],
+    },
+    {
+      name: "Integrations",
+      href: "/integrations",
+      icon: Share2,
+      roles: ["owner", "editor"],
+    },
+    { name: "Team", href: "/team", icon: Users },
+    {
+      name: "Settings",
+      href: "/settings",
+      icon: Settings,
+      roles: ["owner", "editor"],
+    },
+  ].filter((item) => !item.roles || hasRole(...item.roles));
 
   const isActive = (path) => location.pathname === path;
   const currentPageTitle =
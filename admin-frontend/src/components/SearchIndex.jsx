@@ -0,0 +1,187 @@
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import { Database, RefreshCw, X } from "lucide-react";
+import toast from "react-hot-toast";
+import { adminAPI } from "../services/api";
+import LoadingSpinner from "./LoadingSpinner";
+
+const STATUS_BADGES = {
+  queued: "badge-warning",
+  running: "badge-warning",
+  completed: "badge-success",
+  failed: "badge-danger",
+  cancelled: "badge-danger",
+};
+
+const PHASE_LABELS = {
+  fitting: "Fitting the new model",
+  embedding: "Re-embedding content",
+  switching: "Switching search over",
+  cleanup: "Removing old vectors",
+};
+
+const ACTIVE_STATUSES = ["queued", "running"];
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const SearchIndex = () => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery(
+    "embeddingIndex",
+    () => adminAPI.getEmbeddingIndex().then((r) => r.data),
+    {
+      // Poll while a re-embedding is running so progress moves
+      refetchInterval: (data) =>
+        ACTIVE_STATUSES.includes(data?.migration?.status) ? 3000 : false,
+    }
+  );
+
+  const reembedMutation = useMutation(
+    (refit) => adminAPI.reembedContent({ refit }),
+    {
+      onSuccess: (response) => {
+        queryClient.setQueryData("embeddingIndex", response.data);
+        toast.success(response.data.message);
+      },
+    }
+  );
+
+  const cancelMutation = useMutation(() => adminAPI.cancelReembedding(), {
+    onSuccess: (response) => {
+      queryClient.setQueryData("embeddingIndex", response.data);
+      toast.success(response.data.message);
+    },
+  });
+
+  if (isLoading || !data) {
+    return (
+      <div className="card">
+        <div className="card-body flex items-center justify-center py-6">
+          <LoadingSpinner size="md" />
+        </div>
+      </div>
+    );
+  }
+
+  const { live, configured, upToDate, chunks, migration } = data;
+  const active = ACTIVE_STATUSES.includes(migration?.status);
+  // Past the switch the new index is live and can no longer be cancelled
+  const cancellable =
+    active && !["switching", "cleanup"].includes(migration.phase);
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Search Index</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Content is re-embedded in the background when the embedding model
+          changes. Answers keep using the current index until the new one is
+          complete.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="flex items-start gap-3">
+          <Database className="mt-0.5 h-5 w-5 shrink-0 text-gray-400" />
+          <div className="min-w-0 text-sm">
+            <p className="text-gray-900">
+              Live model: <span className="font-mono">{live.key}</span>
+              <span className="text-gray-500"> • {chunks} chunk(s)</span>
+            </p>
+            {!upToDate && (
+              <p className="mt-1 text-yellow-700">
+                Configured model:{" "}
+                <span className="font-mono">{configured.key}</span>
+                {!active && " • re-embed to switch to it"}
+              </p>
+            )}
+          </div>
+        </div>
+
+        {migration && (
+          <div className="rounded-lg border border-gray-200 p-4">
+            <div className="flex items-center gap-2 text-sm">
+              <span className="font-medium text-gray-900">
+                {migration.from} → {migration.to}
+              </span>
+              <span className={STATUS_BADGES[migration.status]}>
+                {migration.status}
+              </span>
+            </div>
+
+            {active ? (
+              <div className="mt-2">
+                <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                  <span>
+                    {PHASE_LABELS[migration.phase] || "Waiting to start"}
+                  </span>
+                  <span>{migration.progress}%</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-500 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${migration.progress}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {Math.min(migration.processed, migration.total)} /{" "}
+                  {migration.total} chunks re-embedded
+                </p>
+              </div>
+            ) : (
+              migration.completedAt && (
+                <p className="mt-1 text-xs text-gray-500">
+                  {migration.status} {formatDateTime(migration.completedAt)}
+                </p>
+              )
+            )}
+
+            {migration.error && (
+              <p className="mt-1 text-xs text-red-600">{migration.error}</p>
+            )}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => reembedMutation.mutate(false)}
+            disabled={active || reembedMutation.isLoading}
+            className="btn-secondary text-xs"
+          >
+            <RefreshCw
+              className={`h-4 w-4 mr-1 ${active ? "animate-spin" : ""}`}
+            />
+            {active ? "Re-embedding" : "Re-embed now"}
+          </button>
+          {live.provider === "local" && configured.provider === "local" && (
+            <button
+              onClick={() => reembedMutation.mutate(true)}
+              disabled={active || reembedMutation.isLoading}
+              className="btn-secondary text-xs"
+              title="Fit a new local model on your current content, then re-embed with it"
+            >
+              Refit model
+            </button>
+          )}
+          {cancellable && (
+            <button
+              onClick={() => cancelMutation.mutate()}
+              disabled={cancelMutation.isLoading}
+              className="btn-secondary text-xs"
+            >
+              <X className="h-4 w-4 mr-1" />
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchIndex;
@@ -2,6 +2,7 @@ import { useEffect, useState } from "react";
 import { CheckCircle, XCircle, Clock, Loader, AlertCircle } from "lucide-react";
 import { adminAPI } from "../services/api";
 import PropTypes from "prop-types";
+import { useProcessingEvents } from "../hooks/useProcessingEvents.jsx";
 
 const UploadProgress = ({ uploadId, filename, onComplete, onError }) => {
   const [status, setStatus] = useState({
@@ -10,44 +11,52 @@ const UploadProgress = ({ uploadId, filename, onComplete, onError }) => {
     message: "Initializing...",
     error: null,
   });
+  const { live, subscribe } = useProcessingEvents();
 
   useEffect(() => {
     if (!uploadId) return;
 
     let pollInterval;
     let isMounted = true;
+    let isFinished = false;
+
+    const applyStatus = (data) => {
+      setStatus((prev) => ({
+        status: data.status,
+        progress: data.progress,
+        message: data.message,
+        error: data.error,
+        chunkCount: data.chunkCount,
+        embeddingCount: data.embeddingCount,
+        job: data.job ?? prev.job,
+      }));
+
+      // Stop polling if completed or failed
+      if (data.status === "completed") {
+        console.log(`[UploadProgress] ${filename} COMPLETED`);
+        isFinished = true;
+        clearInterval(pollInterval);
+        if (onComplete) {
+          onComplete(uploadId, data);
+        }
+      } else if (data.status === "failed" || data.status === "cancelled") {
+        console.log(`[UploadProgress] ${filename} FAILED`);
+        isFinished = true;
+        clearInterval(pollInterval);
+        if (onError) {
+          onError(uploadId, data.error || data.message);
+        }
+      }
+    };
 
     const pollStatus = async () => {
       try {
         const response = await adminAPI.getUploadStatus(uploadId);
 
-        if (!isMounted) return;
+        if (!isMounted || isFinished) return;
 
         console.log(`[UploadProgress] ${filename} status:`, response.data);
-
-        setStatus({
-          status: response.data.status,
-          progress: response.data.progress,
-          message: response.data.message,
-          error: response.data.error,
-          chunkCount: response.data.chunkCount,
-          embeddingCount: response.data.embeddingCount,
-        });
-
-        // Stop polling if completed or failed
-        if (response.data.status === "completed") {
-          console.log(`[UploadProgress] ${filename} COMPLETED`);
-          clearInterval(pollInterval);
-          if (onComplete) {
-            onComplete(uploadId, response.data);
-          }
-        } else if (response.data.status === "failed") {
-          console.log(`[UploadProgress] ${filename} FAILED`);
-          clearInterval(pollInterval);
-          if (onError) {
-            onError(uploadId, response.data.error);
-          }
-        }
+        applyStatus(response.data);
       } catch (error) {
         console.error("Error polling upload status:", error);
         if (!isMounted) return;
@@ -60,17 +69,31 @@ const UploadProgress = ({ uploadId, filename, onComplete, onError }) => {
       }
     };
 
+    const unsubscribe = subscribe((type, event) => {
+      if (event.documentId !== uploadId || !isMounted || isFinished) return;
+
+      // A failure being retried carries no schedule; fetch it
+      if (type === "failed" && event.retrying) {
+        pollStatus();
+      } else {
+        applyStatus(event);
+      }
+    });
+
     // Initial poll
     pollStatus();
 
-    // Poll every 2 seconds
-    pollInterval = setInterval(pollStatus, 2000);
+    // Poll every 2 seconds unless progress is pushed over the socket
+    if (!live) {
+      pollInterval = setInterval(pollStatus, 2000);
+    }
 
     return () => {
       isMounted = false;
       clearInterval(pollInterval);
+      unsubscribe();
     };
-  }, [uploadId, onComplete, onError]);
+  }, [uploadId, onComplete, onError, live, subscribe]);
 
   const getStatusIcon = () => {
     switch (status.status) {
@@ -134,6 +157,16 @@ const UploadProgress = ({ uploadId, filename, onComplete, onError }) => {
             </div>
           )}
 
+          {status.status === "pending" &&
+            status.job?.attempts > 0 &&
+            status.job?.nextAttemptAt && (
+              <p className="text-xs text-yellow-700 mt-1">
+                Attempt {status.job.attempts} of {status.job.maxAttempts}{" "}
+                failed, retrying at{" "}
+                {new Date(status.job.nextAttemptAt).toLocaleTimeString()}
+              </p>
+            )}
+
           {status.status === "completed" && (
             <p className="text-xs text-green-600 mt-1">
               ✓ Indexed {status.chunkCount} chunks with {status.embeddingCount}{" "}
@@ -0,0 +1,312 @@
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import { Globe, Plus, RefreshCw, Trash2, ExternalLink } from "lucide-react";
+import toast from "react-hot-toast";
+import { adminAPI } from "../services/api";
+import LoadingSpinner from "./LoadingSpinner";
+
+const EMPTY_FORM = {
+  url: "",
+  maxDepth: 2,
+  maxPages: 100,
+  includePatterns: "",
+  excludePatterns: "",
+  recrawlIntervalHours: 24,
+};
+
+const RECRAWL_OPTIONS = [
+  { value: 0, label: "Manual only" },
+  { value: 6, label: "Every 6 hours" },
+  { value: 24, label: "Daily" },
+  { value: 168, label: "Weekly" },
+];
+
+const STATUS_BADGES = {
+  idle: "badge-success",
+  crawling: "badge-warning",
+  failed: "badge-danger",
+};
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return "never";
+  return new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+const WebsiteSources = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const { data, isLoading } = useQuery(
+    "sources",
+    () => adminAPI.getSources().then((r) => r.data),
+    {
+      // Poll while a crawl is running so stats and pages show up
+      refetchInterval: (data) =>
+        data?.sources?.some((source) => source.status === "crawling")
+          ? 5000
+          : false,
+    }
+  );
+
+  const refreshSources = () => {
+    queryClient.invalidateQueries("sources");
+    queryClient.invalidateQueries("documents");
+  };
+
+  const createMutation = useMutation((data) => adminAPI.createSource(data), {
+    onSuccess: (response) => {
+      setForm(EMPTY_FORM);
+      refreshSources();
+      toast.success(response.data.message);
+    },
+  });
+
+  const crawlMutation = useMutation(
+    (sourceId) => adminAPI.crawlSource(sourceId),
+    {
+      onSuccess: () => {
+        refreshSources();
+        toast.success("Crawl started");
+      },
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (sourceId) => adminAPI.deleteSource(sourceId),
+    {
+      onSuccess: () => {
+        refreshSources();
+        toast.success("Source deleted");
+      },
+    }
+  );
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.url.trim()) return;
+
+    createMutation.mutate({
+      url: form.url.trim(),
+      crawlSettings: {
+        maxDepth: Number(form.maxDepth),
+        maxPages: Number(form.maxPages),
+        includePatterns: form.includePatterns,
+        excludePatterns: form.excludePatterns,
+        recrawlIntervalHours: Number(form.recrawlIntervalHours),
+      },
+    });
+  };
+
+  const handleDelete = (source) => {
+    if (
+      window.confirm(
+        `Delete ${source.name} and the ${source.pageCount} page(s) it added?`
+      )
+    ) {
+      deleteMutation.mutate(source.id);
+    }
+  };
+
+  const sources = data?.sources || [];
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Website Sources</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Crawl a help center or docs site. Enter a start page, or a
+          sitemap.xml to index exactly the pages it lists.
+        </p>
+      </div>
+      <div className="card-body space-y-6">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
+            <div className="sm:col-span-4">
+              <label className="label">Website or sitemap URL</label>
+              <input
+                name="url"
+                type="url"
+                value={form.url}
+                onChange={handleChange}
+                className="input"
+                placeholder="https://help.example.com/ or https://example.com/sitemap.xml"
+              />
+            </div>
+            <div>
+              <label className="label">Link depth</label>
+              <input
+                name="maxDepth"
+                type="number"
+                min="0"
+                max="10"
+                value={form.maxDepth}
+                onChange={handleChange}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Max pages</label>
+              <input
+                name="maxPages"
+                type="number"
+                min="1"
+                max="1000"
+                value={form.maxPages}
+                onChange={handleChange}
+                className="input"
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <label className="label">Re-crawl</label>
+              <select
+                name="recrawlIntervalHours"
+                value={form.recrawlIntervalHours}
+                onChange={handleChange}
+                className="input"
+              >
+                {RECRAWL_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="sm:col-span-2">
+              <label className="label">Only paths matching</label>
+              <textarea
+                name="includePatterns"
+                rows={2}
+                value={form.includePatterns}
+                onChange={handleChange}
+                className="input font-mono text-xs"
+                placeholder={"/help/*\n/docs/*"}
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <label className="label">Skip paths matching</label>
+              <textarea
+                name="excludePatterns"
+                rows={2}
+                value={form.excludePatterns}
+                onChange={handleChange}
+                className="input font-mono text-xs"
+                placeholder={"/blog/*\n*?page=*"}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            One pattern per line, matched against the page path. Use * as a
+            wildcard. robots.txt is always respected.
+          </p>
+          <button
+            type="submit"
+            disabled={createMutation.isLoading || !form.url.trim()}
+            className="btn-primary"
+          >
+            {createMutation.isLoading ? (
+              <LoadingSpinner size="sm" className="mr-2" />
+            ) : (
+              <Plus className="h-4 w-4 mr-2" />
+            )}
+            Add website
+          </button>
+        </form>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-4">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : (
+          sources.length > 0 && (
+            <div className="space-y-3">
+              {sources.map((source) => (
+                <div
+                  key={source.id}
+                  className="flex flex-col gap-3 rounded-lg border border-gray-200 p-4 sm:flex-row sm:items-center sm:justify-between"
+                >
+                  <div className="flex min-w-0 flex-1 items-start gap-3">
+                    <Globe className="mt-0.5 h-5 w-5 shrink-0 text-gray-400" />
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <h4 className="truncate text-sm font-medium text-gray-900">
+                          {source.name}
+                        </h4>
+                        <span className={STATUS_BADGES[source.status]}>
+                          {source.status}
+                        </span>
+                      </div>
+                      <a
+                        href={source.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex max-w-full items-center gap-1 truncate text-xs text-primary-600 hover:text-primary-500"
+                      >
+                        <span className="truncate">{source.url}</span>
+                        <ExternalLink className="h-3 w-3 shrink-0" />
+                      </a>
+                      <p className="mt-1 text-xs text-gray-500">
+                        {source.pageCount} page(s) indexed • last crawled{" "}
+                        {formatDateTime(source.lastCrawledAt)}
+                        {source.lastCrawledAt &&
+                          ` (${source.lastStats.added} added, ${source.lastStats.updated} updated, ${source.lastStats.removed} removed)`}
+                        {source.nextCrawlAt &&
+                          ` • next ${formatDateTime(source.nextCrawlAt)}`}
+                      </p>
+                      {source.lastStats?.skipped > 0 && (
+                        <p className="mt-1 text-xs text-yellow-700">
+                          {source.lastStats.skipped} new page(s) skipped: your
+                          plan's document limit was reached.
+                        </p>
+                      )}
+                      {source.status === "failed" && source.lastError && (
+                        <p className="mt-1 text-xs text-red-600">
+                          {source.lastError}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex shrink-0 items-center gap-2">
+                    <button
+                      onClick={() => crawlMutation.mutate(source.id)}
+                      disabled={
+                        source.status === "crawling" || crawlMutation.isLoading
+                      }
+                      className="btn-secondary text-xs"
+                    >
+                      <RefreshCw
+                        className={`h-4 w-4 mr-1 ${
+                          source.status === "crawling" ? "animate-spin" : ""
+                        }`}
+                      />
+                      {source.status === "crawling" ? "Crawling" : "Crawl now"}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(source)}
+                      disabled={deleteMutation.isLoading}
+                      className="text-red-600 hover:text-red-800 transition-colors p-1"
+                      aria-label="Delete source"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WebsiteSources;
@@ -19,6 +19,13 @@ export const ENV = {
   MODE: import.meta.env.MODE,
 };
 
+// Socket.io lives on the API server, outside /api (same origin in dev via the proxy)
+ENV.SOCKET_URL =
+  import.meta.env.VITE_SOCKET_URL ||
+  (ENV.API_URL.startsWith("http")
+    ? ENV.API_URL.replace(/\/api\/?$/, "")
+    : window.location.origin);
+
 export default {
   API_CONFIG,
   ENV,
@@ -83,6 +83,30 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const acceptInvitation = async (data) => {
+    try {
+      const response = await authAPI.acceptInvitation(data);
+      const { token, user, tenant } = response.data;
+
+      localStorage.setItem("token", token);
+      localStorage.setItem("user", JSON.stringify(user));
+      localStorage.setItem("tenant", JSON.stringify(tenant));
+
+      setUser(user);
+      toast.success(`Welcome to ${tenant.name}!`);
+      return { success: true };
+    } catch (error) {
+      console.error("Accept invitation error:", error);
+      return {
+        success: false,
+        error: error.response?.data?.error || "Could not accept invitation",
+      };
+    }
+  };
+
+  // Whether the signed-in user has one of the given tenant roles
+  const hasRole = (...roles) => !!user && roles.includes(user.role);
+
   const logout = () => {
     localStorage.removeItem("token");
     localStorage.removeItem("user");
@@ -128,6 +152,8 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     register,
+    acceptInvitation,
+    hasRole,
     logout,
     updateProfile,
     changePassword,
@@ -0,0 +1,112 @@
+import {
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+  createContext,
+  useContext,
+} from "react";
+import { io } from "socket.io-client";
+import { useQueryClient } from "react-query";
+import { ENV } from "../config";
+
+const DOCUMENT_EVENTS = ["parsing", "embedding", "completed", "failed"];
+
+const ProcessingEventsContext = createContext();
+
+export const useProcessingEvents = () => {
+  const context = useContext(ProcessingEventsContext);
+  if (!context) {
+    throw new Error(
+      "useProcessingEvents must be used within a ProcessingEventsProvider"
+    );
+  }
+  return context;
+};
+
+// Copy an event's progress onto a document in a cached documents list
+const applyEvent = (data, event) => ({
+  ...data,
+  documents: data.documents.map((doc) =>
+    doc._id === event.documentId
+      ? {
+          ...doc,
+          processingStatus: event.status,
+          chunkCount: event.chunkCount,
+          embeddingCount: event.embeddingCount,
+          processingError: event.error,
+          version: event.version,
+          pendingVersion: event.pendingVersion,
+        }
+      : doc
+  ),
+});
+
+/**
+ * Keeps one /ws/admin socket open for the signed-in user and applies
+ * document processing events to the react-query cache. `live` is false
+ * while disconnected or when the server embeds in a separate worker, and
+ * views fall back to polling.
+ */
+export const ProcessingEventsProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+  const [isConnected, setIsConnected] = useState(false);
+  const [liveProgress, setLiveProgress] = useState(false);
+  const listenersRef = useRef(new Set());
+
+  useEffect(() => {
+    const socket = io(`${ENV.SOCKET_URL}/ws/admin`, {
+      auth: { token: localStorage.getItem("token") },
+      transports: ["websocket", "polling"],
+    });
+
+    socket.on("connect", () => setIsConnected(true));
+
+    socket.on("disconnect", () => setIsConnected(false));
+
+    socket.on("connect_error", (error) => {
+      console.error("Processing events connection error:", error.message);
+      setIsConnected(false);
+    });
+
+    socket.on("processing:config", (config) => {
+      setLiveProgress(!!config?.liveProgress);
+    });
+
+    DOCUMENT_EVENTS.forEach((type) => {
+      socket.on(`document:${type}`, (event) => {
+        queryClient
+          .getQueriesData("documents")
+          .filter(([, data]) => data?.documents)
+          .forEach(([queryKey, data]) =>
+            queryClient.setQueryData(queryKey, applyEvent(data, event))
+          );
+
+        if (type === "completed" || type === "failed") {
+          queryClient.invalidateQueries("documents");
+          queryClient.invalidateQueries("analytics");
+        }
+
+        listenersRef.current.forEach((listener) => listener(type, event));
+      });
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, [queryClient]);
+
+  // Register a listener for every document event; returns an unsubscribe function
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  return (
+    <ProcessingEventsContext.Provider
+      value={{ live: isConnected && liveProgress, subscribe }}
+    >
+      {children}
+    </ProcessingEventsContext.Provider>
+  );
+};
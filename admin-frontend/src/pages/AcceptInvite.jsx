@@ -0,0 +1,180 @@
+import { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Bot, User, Lock, ArrowRight } from "lucide-react";
+import { useAuth } from "../hooks/useAuth.jsx";
+import { authAPI } from "../services/api";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { acceptInvitation } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({ name: "", password: "" });
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (!token) {
+      setLoadError("This invite link is missing its token.");
+      return;
+    }
+
+    authAPI
+      .getInvitation(token)
+      .then((response) => setInvitation(response.data))
+      .catch((error) =>
+        setLoadError(
+          error.response?.data?.error ||
+            "This invitation is invalid or has expired"
+        )
+      );
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!formData.name) newErrors.name = "Name is required";
+    if (formData.password.length < 6) {
+      newErrors.password = "Must be at least 6 characters";
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setLoading(true);
+    const result = await acceptInvitation({ token, ...formData });
+    if (!result.success) {
+      setErrors({ submit: result.error });
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4 py-12">
+      <div className="w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          <div className="flex items-center gap-2">
+            <Bot className="h-10 w-10 text-primary-600" />
+            <span className="text-xl font-bold text-gray-900">
+              Support Widget
+            </span>
+          </div>
+        </div>
+
+        {loadError ? (
+          <div className="text-center">
+            <div className="rounded-lg bg-red-50 border border-red-200 p-4">
+              <p className="text-sm text-red-700">{loadError}</p>
+            </div>
+            <Link
+              to="/login"
+              className="mt-6 inline-block text-sm font-semibold text-primary-600 hover:text-primary-500"
+            >
+              Go to sign in
+            </Link>
+          </div>
+        ) : !invitation ? (
+          <div className="flex justify-center">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <>
+            <div className="text-center mb-8">
+              <h2 className="text-2xl font-bold text-gray-900">
+                Join {invitation.tenant.name}
+              </h2>
+              <p className="mt-2 text-sm text-gray-500">
+                You've been invited as <strong>{invitation.role}</strong> with{" "}
+                {invitation.email}
+              </p>
+            </div>
+
+            <form className="space-y-5" onSubmit={handleSubmit}>
+              <div>
+                <label htmlFor="name" className="label">
+                  Full Name
+                </label>
+                <div className="relative">
+                  <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                    <User className="h-4 w-4 text-gray-400" />
+                  </div>
+                  <input
+                    id="name"
+                    name="name"
+                    type="text"
+                    value={formData.name}
+                    onChange={handleChange}
+                    className="input pl-10"
+                    placeholder="John Doe"
+                  />
+                </div>
+                {errors.name && (
+                  <p className="mt-1 text-sm text-red-600">{errors.name}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="password" className="label">
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                    <Lock className="h-4 w-4 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="input pl-10"
+                    placeholder="Create a strong password"
+                  />
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password}</p>
+                )}
+              </div>
+
+              {errors.submit && (
+                <div className="rounded-lg bg-red-50 border border-red-200 p-4">
+                  <p className="text-sm text-red-700">{errors.submit}</p>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn-primary w-full py-2.5 text-base"
+              >
+                {loading ? (
+                  <span className="flex items-center justify-center gap-2">
+                    <LoadingSpinner size="sm" />
+                    Joining...
+                  </span>
+                ) : (
+                  <span className="flex items-center justify-center gap-2">
+                    Accept invitation
+                    <ArrowRight className="h-4 w-4" />
+                  </span>
+                )}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
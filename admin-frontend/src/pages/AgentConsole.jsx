@@ -0,0 +1,375 @@
+import { useState, useEffect, useRef } from "react";
+import { io } from "socket.io-client";
+import {
+  Headphones,
+  User,
+  Bot,
+  Send,
+  UserCheck,
+  LogOut,
+  AlertTriangle,
+  Clock,
+} from "lucide-react";
+import { clsx } from "clsx";
+import toast from "react-hot-toast";
+import { ENV } from "../config";
+import { useAuth } from "../hooks/useAuth.jsx";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const formatDate = (dateString) => {
+  if (!dateString) return "";
+  return new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+const REASON_LABELS = {
+  requested: "Asked for a human",
+  lowConfidence: "Low confidence",
+};
+
+const AgentConsole = () => {
+  const { user } = useAuth();
+  const [isConnected, setIsConnected] = useState(false);
+  const [queue, setQueue] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [conversation, setConversation] = useState(null);
+  const [loadingConversation, setLoadingConversation] = useState(false);
+  const [reply, setReply] = useState("");
+  const socketRef = useRef(null);
+  const selectedIdRef = useRef(null);
+  const messagesEndRef = useRef(null);
+
+  // Emit an event and resolve with the ack's data, rejecting on { error }
+  const request = (event, payload) =>
+    new Promise((resolve, reject) => {
+      if (!socketRef.current?.connected) {
+        reject(new Error("Not connected to live chat"));
+        return;
+      }
+      socketRef.current.emit(event, payload, (response) => {
+        if (response?.error) reject(new Error(response.error));
+        else resolve(response?.data);
+      });
+    });
+
+  useEffect(() => {
+    const socket = io(`${ENV.SOCKET_URL}/ws/agent`, {
+      auth: { token: localStorage.getItem("token") },
+      transports: ["websocket", "polling"],
+    });
+    socketRef.current = socket;
+
+    socket.on("connect", () => {
+      setIsConnected(true);
+      socket.emit("queue:list", {}, (response) => {
+        if (response?.data) setQueue(response.data);
+      });
+    });
+
+    socket.on("disconnect", () => {
+      setIsConnected(false);
+    });
+
+    socket.on("connect_error", (error) => {
+      console.error("Live chat connection error:", error.message);
+      setIsConnected(false);
+    });
+
+    // A conversation joined, changed hands or left the queue
+    socket.on("queue:updated", (item) => {
+      setQueue((prev) => {
+        const rest = prev.filter((entry) => entry.id !== item.id);
+        return item.status === "none" ? rest : [...rest, item];
+      });
+
+      if (item.id === selectedIdRef.current) {
+        setConversation((prev) => (prev ? { ...prev, ...item } : prev));
+      }
+    });
+
+    socket.on("conversation:message", ({ conversationId, message }) => {
+      if (conversationId !== selectedIdRef.current) return;
+      setConversation((prev) =>
+        prev && !prev.messages.some((m) => m.id === message.id)
+          ? { ...prev, messages: [...prev.messages, message] }
+          : prev
+      );
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, []);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [conversation?.messages?.length]);
+
+  const openConversation = async (conversationId) => {
+    setSelectedId(conversationId);
+    selectedIdRef.current = conversationId;
+    setLoadingConversation(true);
+
+    try {
+      setConversation(await request("conversation:open", { conversationId }));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoadingConversation(false);
+    }
+  };
+
+  const claim = async () => {
+    try {
+      await request("conversation:claim", { conversationId: selectedId });
+      toast.success("You're now chatting with the visitor");
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const release = async () => {
+    try {
+      await request("conversation:release", { conversationId: selectedId });
+      toast.success("Conversation handed back to the bot");
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    const message = reply.trim();
+    if (!message) return;
+
+    try {
+      await request("agent:message", { conversationId: selectedId, message });
+      setReply("");
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const sortedQueue = [...queue].sort(
+    (a, b) => new Date(a.requestedAt) - new Date(b.requestedAt)
+  );
+  const isMine =
+    conversation?.status === "claimed" &&
+    String(conversation.agentId) === String(user?._id || user?.id);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Live Chat</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Take over conversations that need a human
+          </p>
+        </div>
+        <span className={isConnected ? "badge-success" : "badge-warning"}>
+          {isConnected ? "Online" : "Connecting..."}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-5">
+        {/* Queue */}
+        <div className="card lg:col-span-2">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Queue</h3>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {sortedQueue.length > 0 ? (
+              sortedQueue.map((item) => (
+                <button
+                  key={item.id}
+                  onClick={() => openConversation(item.id)}
+                  className={clsx(
+                    "w-full px-6 py-4 text-left transition-colors hover:bg-gray-50",
+                    selectedId === item.id && "bg-primary-50"
+                  )}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="truncate text-sm font-medium text-gray-900">
+                      {item.lastMessage || "(no messages yet)"}
+                    </p>
+                    <span className="shrink-0 text-xs text-gray-500">
+                      {formatDate(item.requestedAt)}
+                    </span>
+                  </div>
+                  <div className="mt-2 flex flex-wrap items-center gap-2">
+                    {item.status === "queued" ? (
+                      <span className="badge-warning">Waiting</span>
+                    ) : (
+                      <span className="badge-success">
+                        {item.agentName || "Claimed"}
+                      </span>
+                    )}
+                    {item.reason && (
+                      <span className="text-xs text-gray-500">
+                        {REASON_LABELS[item.reason]}
+                      </span>
+                    )}
+                  </div>
+                </button>
+              ))
+            ) : (
+              <div className="py-8 text-center">
+                <Headphones className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-sm font-medium text-gray-900">
+                  Nobody is waiting
+                </h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  Visitors who ask for a human, or get a low-confidence answer
+                  while you're online, show up here.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Conversation */}
+        <div className="card lg:col-span-3">
+          <div className="card-header flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">
+                Conversation
+              </h3>
+              {conversation && (
+                <p className="mt-1 text-xs text-gray-500">
+                  {conversation.sessionId}
+                  {conversation.status === "claimed" &&
+                    ` • handled by ${conversation.agentName}`}
+                </p>
+              )}
+            </div>
+            {conversation?.status === "queued" && (
+              <button onClick={claim} className="btn-primary">
+                <UserCheck className="h-4 w-4 mr-2" />
+                Claim
+              </button>
+            )}
+            {isMine && (
+              <button onClick={release} className="btn-secondary">
+                <LogOut className="h-4 w-4 mr-2" />
+                Hand back to bot
+              </button>
+            )}
+          </div>
+          <div className="card-body">
+            {!selectedId ? (
+              <p className="py-8 text-center text-sm text-gray-500">
+                Select a conversation from the queue.
+              </p>
+            ) : loadingConversation ? (
+              <div className="flex items-center justify-center py-8">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : (
+              <div className="max-h-[32rem] space-y-4 overflow-y-auto">
+                {conversation?.messages.map((message) => (
+                  <div
+                    key={message.id}
+                    className={clsx(
+                      "flex gap-3",
+                      message.role !== "user" && "flex-row-reverse"
+                    )}
+                  >
+                    <div
+                      className={clsx(
+                        "flex h-8 w-8 shrink-0 items-center justify-center rounded-full",
+                        message.role === "agent"
+                          ? "bg-primary-100 text-primary-600"
+                          : "bg-gray-100 text-gray-600"
+                      )}
+                    >
+                      {message.role === "user" ? (
+                        <User className="h-4 w-4" />
+                      ) : message.role === "agent" ? (
+                        <Headphones className="h-4 w-4" />
+                      ) : (
+                        <Bot className="h-4 w-4" />
+                      )}
+                    </div>
+                    <div
+                      className={clsx(
+                        "max-w-[80%] rounded-lg px-4 py-2",
+                        message.role === "agent"
+                          ? "bg-primary-600 text-white"
+                          : "bg-gray-100 text-gray-900"
+                      )}
+                    >
+                      <p className="whitespace-pre-wrap text-sm">
+                        {message.content}
+                      </p>
+                      <div
+                        className={clsx(
+                          "mt-1 flex flex-wrap items-center gap-2 text-xs",
+                          message.role === "agent"
+                            ? "text-primary-100"
+                            : "text-gray-500"
+                        )}
+                      >
+                        <span>{formatDate(message.timestamp)}</span>
+                        {message.agentName && <span>{message.agentName}</span>}
+                        {message.role === "bot" &&
+                          typeof message.confidence === "number" && (
+                            <span>
+                              {Math.round(message.confidence * 100)}% confidence
+                            </span>
+                          )}
+                        {message.isFallback && (
+                          <span className="inline-flex items-center gap-1 font-medium text-red-600">
+                            <AlertTriangle className="h-3 w-3" /> Fallback
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+                <div ref={messagesEndRef} />
+              </div>
+            )}
+          </div>
+          {selectedId && !loadingConversation && (
+            <div className="card-footer">
+              {isMine ? (
+                <form onSubmit={sendReply} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={reply}
+                    onChange={(e) => setReply(e.target.value)}
+                    placeholder="Reply to the visitor..."
+                    className="input flex-1"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!reply.trim()}
+                    className="btn-primary"
+                  >
+                    <Send className="h-4 w-4" />
+                  </button>
+                </form>
+              ) : (
+                <p className="flex items-center gap-2 text-sm text-gray-500">
+                  <Clock className="h-4 w-4" />
+                  {conversation?.status === "queued"
+                    ? "Claim this conversation to reply."
+                    : conversation?.status === "claimed"
+                    ? `${conversation.agentName} is handling this conversation.`
+                    : "The bot is handling this conversation."}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgentConsole;
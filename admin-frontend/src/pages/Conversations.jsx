@@ -0,0 +1,432 @@
+import { useState } from "react";
+import { useQuery } from "react-query";
+import {
+  MessagesSquare,
+  Search,
+  MessageCircle,
+  Instagram,
+  Globe,
+  Zap,
+  AlertTriangle,
+  User,
+  Bot,
+  ChevronLeft,
+  ChevronRight,
+  ThumbsUp,
+  ThumbsDown,
+  Pin,
+} from "lucide-react";
+import { clsx } from "clsx";
+import { adminAPI } from "../services/api";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const CHANNEL_OPTIONS = [
+  { value: "", label: "All channels" },
+  { value: "widget", label: "Widget (REST)" },
+  { value: "socket", label: "Widget (live)" },
+  { value: "whatsapp", label: "WhatsApp" },
+  { value: "instagram", label: "Instagram" },
+];
+
+const CHANNEL_ICONS = {
+  widget: Globe,
+  socket: Zap,
+  whatsapp: MessageCircle,
+  instagram: Instagram,
+};
+
+const initialFilters = {
+  search: "",
+  channel: "",
+  from: "",
+  to: "",
+  fallback: false,
+  lowConfidence: false,
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return "";
+  return new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+const Conversations = () => {
+  const [filters, setFilters] = useState(initialFilters);
+  const [searchInput, setSearchInput] = useState("");
+  const [page, setPage] = useState(1);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const params = {
+    page,
+    limit: 20,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.channel && { channel: filters.channel }),
+    ...(filters.from && { from: filters.from }),
+    ...(filters.to && { to: filters.to }),
+    ...(filters.fallback && { fallback: "true" }),
+    ...(filters.lowConfidence && { lowConfidence: "true" }),
+  };
+
+  const { data, isLoading, isFetching } = useQuery(
+    ["conversations", params],
+    () => adminAPI.getConversations(params).then((r) => r.data),
+    { keepPreviousData: true, refetchInterval: 30000 }
+  );
+
+  const { data: transcript, isLoading: transcriptLoading } = useQuery(
+    ["conversation", selectedId],
+    () => adminAPI.getConversation(selectedId).then((r) => r.data),
+    { enabled: !!selectedId }
+  );
+
+  const updateFilter = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter("search", searchInput.trim());
+  };
+
+  const resetFilters = () => {
+    setFilters(initialFilters);
+    setSearchInput("");
+    setPage(1);
+  };
+
+  const conversations = data?.conversations || [];
+  const pagination = data?.pagination;
+  const threshold = transcript?.lowConfidenceThreshold ?? 0.6;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Conversations</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Review what customers asked and how the bot answered
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="card-body space-y-4">
+          <form onSubmit={handleSearch} className="flex items-center gap-2">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search transcripts..."
+                className="input pl-9"
+              />
+            </div>
+            <button type="submit" className="btn-primary">
+              Search
+            </button>
+          </form>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <div>
+              <label className="label">Channel</label>
+              <select
+                value={filters.channel}
+                onChange={(e) => updateFilter("channel", e.target.value)}
+                className="input"
+              >
+                {CHANNEL_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">From</label>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter("from", e.target.value)}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">To</label>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter("to", e.target.value)}
+                className="input"
+              />
+            </div>
+            <div className="flex flex-col justify-end space-y-2">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={filters.fallback}
+                  onChange={(e) => updateFilter("fallback", e.target.checked)}
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  Fallback answers only
+                </span>
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={filters.lowConfidence}
+                  onChange={(e) =>
+                    updateFilter("lowConfidence", e.target.checked)
+                  }
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  Low confidence only
+                </span>
+              </label>
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between text-sm text-gray-500">
+            <span>
+              {pagination ? `${pagination.total} conversation(s)` : ""}
+              {isFetching && !isLoading && " • Refreshing..."}
+            </span>
+            <button onClick={resetFilters} className="btn-secondary text-xs">
+              Reset filters
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-5">
+        {/* Conversation List */}
+        <div className="card lg:col-span-2">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Inbox</h3>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {isLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : conversations.length > 0 ? (
+              conversations.map((conversation) => {
+                const ChannelIcon =
+                  CHANNEL_ICONS[conversation.channel] || Globe;
+                return (
+                  <button
+                    key={conversation._id}
+                    onClick={() => setSelectedId(conversation._id)}
+                    className={clsx(
+                      "w-full px-6 py-4 text-left transition-colors hover:bg-gray-50",
+                      selectedId === conversation._id && "bg-primary-50"
+                    )}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex min-w-0 items-center gap-2">
+                        <ChannelIcon className="h-4 w-4 shrink-0 text-gray-400" />
+                        <p className="truncate text-sm font-medium text-gray-900">
+                          {conversation.firstMessage || "(empty)"}
+                        </p>
+                      </div>
+                      <span className="shrink-0 text-xs text-gray-500">
+                        {formatDate(conversation.lastMessageAt)}
+                      </span>
+                    </div>
+                    <p className="mt-1 truncate text-xs text-gray-500">
+                      {conversation.lastMessage}
+                    </p>
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <span className="text-xs text-gray-500">
+                        {conversation.messageCount} messages
+                      </span>
+                      {conversation.fallbackCount > 0 && (
+                        <span className="badge-danger">
+                          {conversation.fallbackCount} fallback
+                        </span>
+                      )}
+                      {conversation.lowConfidenceCount > 0 && (
+                        <span className="badge-warning">
+                          {conversation.lowConfidenceCount} low confidence
+                        </span>
+                      )}
+                    </div>
+                  </button>
+                );
+              })
+            ) : (
+              <div className="py-8 text-center">
+                <MessagesSquare className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-sm font-medium text-gray-900">
+                  No conversations found
+                </h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  Conversations appear here once visitors start chatting.
+                </p>
+              </div>
+            )}
+          </div>
+          {pagination && pagination.pages > 1 && (
+            <div className="card-footer flex items-center justify-between">
+              <button
+                onClick={() => setPage((p) => Math.max(p - 1, 1))}
+                disabled={page <= 1}
+                className="btn-secondary text-xs"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <span className="text-xs text-gray-500">
+                Page {pagination.page} of {pagination.pages}
+              </span>
+              <button
+                onClick={() => setPage((p) => p + 1)}
+                disabled={page >= pagination.pages}
+                className="btn-secondary text-xs"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Transcript */}
+        <div className="card lg:col-span-3">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Transcript</h3>
+            {transcript?.conversation && (
+              <p className="mt-1 text-xs text-gray-500">
+                {transcript.conversation.channel} •{" "}
+                {transcript.conversation.externalUserId ||
+                  transcript.conversation.sessionId}{" "}
+                • started {formatDate(transcript.conversation.createdAt)}
+              </p>
+            )}
+          </div>
+          <div className="card-body">
+            {!selectedId ? (
+              <p className="py-8 text-center text-sm text-gray-500">
+                Select a conversation to view its transcript.
+              </p>
+            ) : transcriptLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : (
+              <div className="max-h-[36rem] space-y-4 overflow-y-auto">
+                {transcript?.conversation?.messages.map((message) => (
+                  <div
+                    key={message.id}
+                    className={clsx(
+                      "flex gap-3",
+                      message.role === "user" && "flex-row-reverse"
+                    )}
+                  >
+                    <div
+                      className={clsx(
+                        "flex h-8 w-8 shrink-0 items-center justify-center rounded-full",
+                        message.role === "user"
+                          ? "bg-primary-100 text-primary-600"
+                          : "bg-gray-100 text-gray-600"
+                      )}
+                    >
+                      {message.role === "user" ? (
+                        <User className="h-4 w-4" />
+                      ) : (
+                        <Bot className="h-4 w-4" />
+                      )}
+                    </div>
+                    <div
+                      className={clsx(
+                        "max-w-[80%] rounded-lg px-4 py-2",
+                        message.role === "user"
+                          ? "bg-primary-600 text-white"
+                          : "bg-gray-100 text-gray-900"
+                      )}
+                    >
+                      <p className="whitespace-pre-wrap text-sm">
+                        {message.content}
+                      </p>
+                      <div
+                        className={clsx(
+                          "mt-1 flex flex-wrap items-center gap-2 text-xs",
+                          message.role === "user"
+                            ? "text-primary-100"
+                            : "text-gray-500"
+                        )}
+                      >
+                        <span>{formatDate(message.timestamp)}</span>
+                        {message.role === "bot" &&
+                          typeof message.confidence === "number" && (
+                            <span
+                              className={clsx(
+                                message.confidence < threshold &&
+                                  "font-medium text-amber-600"
+                              )}
+                            >
+                              {Math.round(message.confidence * 100)}% confidence
+                            </span>
+                          )}
+                        {(message.isFallback ||
+                          message.messageType === "notFound") && (
+                          <span className="inline-flex items-center gap-1 font-medium text-red-600">
+                            <AlertTriangle className="h-3 w-3" /> Fallback
+                          </span>
+                        )}
+                        {message.overrideRuleId && (
+                          <span className="inline-flex items-center gap-1 font-medium text-primary-600">
+                            <Pin className="h-3 w-3" /> Pinned answer
+                            {message.overrideRuleId.name &&
+                              `: ${message.overrideRuleId.name}`}
+                          </span>
+                        )}
+                        {message.feedback?.rating === "up" && (
+                          <span className="inline-flex items-center gap-1 font-medium text-green-600">
+                            <ThumbsUp className="h-3 w-3" /> Helpful
+                          </span>
+                        )}
+                        {message.feedback?.rating === "down" && (
+                          <span className="inline-flex items-center gap-1 font-medium text-red-600">
+                            <ThumbsDown className="h-3 w-3" /> Not helpful
+                          </span>
+                        )}
+                      </div>
+                      {message.feedback?.comment && (
+                        <p className="mt-1 text-xs italic text-gray-600">
+                          Visitor feedback: “{message.feedback.comment}”
+                        </p>
+                      )}
+                      {message.sources?.length > 0 && (
+                        <div className="mt-2 space-y-1 border-t border-gray-200 pt-2">
+                          {message.sources.map((source, idx) => (
+                            <p key={idx} className="text-xs text-gray-500">
+                              {source.qaPairId
+                                ? "Q&A pair"
+                                : source.documentId?.originalName ||
+                                  "Document"}{" "}
+                              ({source.page && `page ${source.page}, `}chunk{" "}
+                              {source.chunkIndex}, similarity{" "}
+                              {source.similarity})
+                            </p>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Conversations;
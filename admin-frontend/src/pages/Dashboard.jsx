@@ -14,16 +14,20 @@ import {
 import { adminAPI, chatAPI } from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
 import ChatTest from "../components/ChatTest";
+import ConversationAnalytics from "../components/ConversationAnalytics";
+import FeedbackAnalytics from "../components/FeedbackAnalytics";
+import { useProcessingEvents } from "../hooks/useProcessingEvents.jsx";
 
 const Dashboard = () => {
   const [testMessage, setTestMessage] = useState("");
   const [testResponse, setTestResponse] = useState(null);
   const [testing, setTesting] = useState(false);
+  const { live } = useProcessingEvents();
 
   // Fetch analytics data
   const { data: analytics, isLoading: analyticsLoading } = useQuery(
     "analytics",
-    adminAPI.getAnalytics,
+    () => adminAPI.getAnalytics().then((r) => r.data),
     {
       refetchInterval: 30000, // Refetch every 30 seconds
     }
@@ -31,10 +35,10 @@ const Dashboard = () => {
 
   // Fetch documents
   const { data: documents, isLoading: documentsLoading } = useQuery(
-    "documents",
-    () => adminAPI.getDocuments({ limit: 5 }),
+    ["documents", "recent"],
+    () => adminAPI.getDocuments({ limit: 5 }).then((r) => r.data),
     {
-      refetchInterval: 30000,
+      refetchInterval: live ? false : 30000,
     }
   );
 
@@ -182,6 +186,10 @@ const Dashboard = () => {
         </div>
       </div>
 
+      <ConversationAnalytics />
+
+      <FeedbackAnalytics />
+
       <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
         {/* Recent Documents */}
         <div className="card">
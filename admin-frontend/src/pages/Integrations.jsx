@@ -12,6 +12,8 @@ import {
   EyeOff,
   Info,
   Loader2,
+  Send,
+  RefreshCw,
 } from "lucide-react";
 import { adminAPI } from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
@@ -85,6 +87,7 @@ const Integrations = () => {
     enabled: waSettings.enabled || false,
     phoneNumberId: waSettings.phoneNumberId || "",
     accessToken: "",
+    appSecret: "",
     businessAccountId: waSettings.businessAccountId || "",
   };
 
@@ -95,9 +98,14 @@ const Integrations = () => {
     enabled: igSettings.enabled || false,
     pageId: igSettings.pageId || "",
     accessToken: "",
+    appSecret: "",
     igUserId: igSettings.igUserId || "",
   };
 
+  // Test message recipients
+  const [waTestPhone, setWaTestPhone] = useState("");
+  const [igTestUserId, setIgTestUserId] = useState("");
+
   // Mutations
   const waMutation = useMutation(
     (data) => adminAPI.updateWhatsApp(data),
@@ -123,6 +131,44 @@ const Integrations = () => {
     }
   );
 
+  const waTestMutation = useMutation(
+    (testPhone) => adminAPI.testWhatsApp(testPhone),
+    {
+      onSuccess: () => toast.success("Test message sent! Check your WhatsApp."),
+      onError: (err) => toast.error(err.response?.data?.error || "Test failed"),
+    }
+  );
+
+  const igTestMutation = useMutation(
+    (testUserId) => adminAPI.testInstagram(testUserId),
+    {
+      onSuccess: () => toast.success("Test message sent! Check your Instagram."),
+      onError: (err) => toast.error(err.response?.data?.error || "Test failed"),
+    }
+  );
+
+  const verifyTokenMutation = useMutation(
+    (platform) => adminAPI.regenerateVerifyToken(platform),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries("socialSettings");
+        toast.success("Verify token regenerated. Update it in Meta.");
+      },
+      onError: (err) =>
+        toast.error(err.response?.data?.error || "Failed to regenerate token"),
+    }
+  );
+
+  const handleRegenerateToken = (platform) => {
+    if (
+      window.confirm(
+        "Regenerate the verify token? Meta will reject verification until you update it there too."
+      )
+    ) {
+      verifyTokenMutation.mutate(platform);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center py-20">
@@ -131,7 +177,7 @@ const Integrations = () => {
     );
   }
 
-  const webhookBase = socialData?.webhookBaseUrl || "https://your-domain.com/api/webhook";
+  const webhookBase = socialData?.webhookBaseUrl || "https://your-domain.com/api/webhooks";
 
   const tabs = [
     { id: "whatsapp", name: "WhatsApp", icon: MessageCircle, color: "text-green-600" },
@@ -211,7 +257,7 @@ const Integrations = () => {
                     </a>
                   </li>
                   <li>Create a Meta App → Add WhatsApp product</li>
-                  <li>Get your Phone Number ID and Access Token from the WhatsApp settings</li>
+                  <li>Get your Phone Number ID and Access Token from the WhatsApp settings, and the App Secret from App Settings → Basic</li>
                   <li>Set the webhook URL below in Meta's webhook configuration</li>
                   <li>Subscribe to <code className="bg-blue-100 px-1 rounded">messages</code> webhook field</li>
                 </ol>
@@ -242,6 +288,14 @@ const Integrations = () => {
                   className="input bg-gray-50 font-mono text-sm flex-1"
                 />
                 <CopyButton text={waSettings.verifyToken || ""} label="Verify Token" />
+                <button
+                  onClick={() => handleRegenerateToken("whatsapp")}
+                  disabled={verifyTokenMutation.isLoading}
+                  className="btn-secondary text-xs py-1 px-2"
+                  title="Regenerate verify token"
+                >
+                  <RefreshCw className="h-3.5 w-3.5" />
+                </button>
               </div>
             </div>
           </div>
@@ -297,6 +351,25 @@ const Integrations = () => {
                 />
               </div>
 
+              <div>
+                <label className="label">
+                  App Secret
+                  {waSettings.hasAppSecret && (
+                    <span className="ml-2 text-xs text-green-600 font-normal">(saved)</span>
+                  )}
+                </label>
+                <TokenInput
+                  value={waFormState.appSecret}
+                  onChange={(e) =>
+                    setWaForm({ ...waFormState, appSecret: e.target.value })
+                  }
+                  placeholder={waSettings.hasAppSecret ? "••••••••  (leave blank to keep current)" : "Paste your Meta app secret"}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Found in App Settings → Basic. Used to verify that webhook calls really come from Meta.
+                </p>
+              </div>
+
               <div className="flex items-center gap-3 pt-2">
                 <label className="relative inline-flex items-center cursor-pointer">
                   <input
@@ -330,6 +403,42 @@ const Integrations = () => {
             </div>
           </div>
 
+          {/* Test Message */}
+          {waSettings.hasAccessToken && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Send Test Message</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  Check your saved credentials by messaging a WhatsApp number
+                </p>
+              </div>
+              <div className="card-body">
+                <label className="label">Recipient Phone Number</label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="tel"
+                    value={waTestPhone}
+                    onChange={(e) => setWaTestPhone(e.target.value)}
+                    className="input font-mono text-sm flex-1"
+                    placeholder="e.g. 15551234567 (with country code)"
+                  />
+                  <button
+                    onClick={() => waTestMutation.mutate(waTestPhone)}
+                    disabled={!waTestPhone.trim() || waTestMutation.isLoading}
+                    className="btn-secondary"
+                  >
+                    {waTestMutation.isLoading ? (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    ) : (
+                      <Send className="h-4 w-4 mr-2" />
+                    )}
+                    Send Test
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Connection Status */}
           {waSettings.connectedAt && (
             <div className="text-xs text-gray-500">
@@ -380,7 +489,7 @@ const Integrations = () => {
                   </li>
                   <li>Create/use a Meta App → Add Instagram product</li>
                   <li>Connect your Instagram Business/Creator account</li>
-                  <li>Get your Page ID and Access Token</li>
+                  <li>Get your Page ID, Access Token and App Secret</li>
                   <li>Set the webhook URL below and subscribe to <code className="bg-purple-100 px-1 rounded">messages</code></li>
                 </ol>
               </div>
@@ -410,6 +519,14 @@ const Integrations = () => {
                   className="input bg-gray-50 font-mono text-sm flex-1"
                 />
                 <CopyButton text={igSettings.verifyToken || ""} label="Verify Token" />
+                <button
+                  onClick={() => handleRegenerateToken("instagram")}
+                  disabled={verifyTokenMutation.isLoading}
+                  className="btn-secondary text-xs py-1 px-2"
+                  title="Regenerate verify token"
+                >
+                  <RefreshCw className="h-3.5 w-3.5" />
+                </button>
               </div>
             </div>
           </div>
@@ -465,6 +582,25 @@ const Integrations = () => {
                 />
               </div>
 
+              <div>
+                <label className="label">
+                  App Secret
+                  {igSettings.hasAppSecret && (
+                    <span className="ml-2 text-xs text-green-600 font-normal">(saved)</span>
+                  )}
+                </label>
+                <TokenInput
+                  value={igFormState.appSecret}
+                  onChange={(e) =>
+                    setIgForm({ ...igFormState, appSecret: e.target.value })
+                  }
+                  placeholder={igSettings.hasAppSecret ? "••••••••  (leave blank to keep current)" : "Paste your Meta app secret"}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Found in App Settings → Basic. Used to verify that webhook calls really come from Meta.
+                </p>
+              </div>
+
               <div className="flex items-center gap-3 pt-2">
                 <label className="relative inline-flex items-center cursor-pointer">
                   <input
@@ -498,6 +634,42 @@ const Integrations = () => {
             </div>
           </div>
 
+          {/* Test Message */}
+          {igSettings.hasAccessToken && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Send Test Message</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  The recipient must have messaged your account within the last 24 hours
+                </p>
+              </div>
+              <div className="card-body">
+                <label className="label">Recipient Instagram-Scoped User ID</label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={igTestUserId}
+                    onChange={(e) => setIgTestUserId(e.target.value)}
+                    className="input font-mono text-sm flex-1"
+                    placeholder="e.g. 1234567890123456"
+                  />
+                  <button
+                    onClick={() => igTestMutation.mutate(igTestUserId)}
+                    disabled={!igTestUserId.trim() || igTestMutation.isLoading}
+                    className="btn-secondary"
+                  >
+                    {igTestMutation.isLoading ? (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    ) : (
+                      <Send className="h-4 w-4 mr-2" />
+                    )}
+                    Send Test
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
           {igSettings.connectedAt && (
             <div className="text-xs text-gray-500">
               Connected since: {new Date(igSettings.connectedAt).toLocaleDateString()}
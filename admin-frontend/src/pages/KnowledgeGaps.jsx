@@ -0,0 +1,278 @@
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import { Lightbulb, HelpCircle, AlertTriangle, PenLine, X } from "lucide-react";
+import toast from "react-hot-toast";
+import { adminAPI } from "../services/api";
+import { useAuth } from "../hooks/useAuth.jsx";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const RANGES = [
+  { days: 7, label: "Last 7 days" },
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+];
+
+const CHANNEL_LABELS = {
+  widget: "Widget",
+  socket: "Live chat",
+  whatsapp: "WhatsApp",
+  instagram: "Instagram",
+};
+
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// YYYY-MM-DD in the browser's timezone
+const toDateInput = (date) => date.toLocaleDateString("en-CA");
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// Inline form that turns a group of questions into a Q&A pair
+const AnswerForm = ({ group, onCancel, onSaved }) => {
+  const [question, setQuestion] = useState(group.question);
+  const [answer, setAnswer] = useState("");
+
+  const answerMutation = useMutation(
+    () =>
+      adminAPI.answerKnowledgeGap({
+        question,
+        answer,
+        questionIds: group.questionIds,
+      }),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        onSaved();
+      },
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    answerMutation.mutate();
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-4 space-y-3 rounded-lg bg-gray-50 p-4"
+    >
+      <div>
+        <label className="label">Question</label>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          maxLength={500}
+          className="input"
+          required
+        />
+      </div>
+      <div>
+        <label className="label">Answer</label>
+        <textarea
+          value={answer}
+          onChange={(e) => setAnswer(e.target.value)}
+          rows={5}
+          className="input"
+          placeholder="Write the answer the bot should give..."
+          required
+        />
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={
+            answerMutation.isLoading || !question.trim() || !answer.trim()
+          }
+          className="btn-primary"
+        >
+          {answerMutation.isLoading ? "Saving..." : "Add Q&A pair"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const KnowledgeGaps = () => {
+  const queryClient = useQueryClient();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("owner", "editor");
+
+  const [days, setDays] = useState(30);
+  const [answeringIndex, setAnsweringIndex] = useState(null);
+
+  const to = new Date();
+  const from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+
+  const { data, isLoading, isFetching } = useQuery(
+    ["knowledgeGaps", days],
+    () =>
+      adminAPI
+        .getKnowledgeGaps({
+          from: toDateInput(from),
+          to: toDateInput(to),
+          timezone,
+        })
+        .then((r) => r.data),
+    { keepPreviousData: true }
+  );
+
+  const dismissMutation = useMutation(
+    (questionIds) => adminAPI.dismissKnowledgeGap(questionIds),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries("knowledgeGaps");
+      },
+    }
+  );
+
+  const handleSaved = () => {
+    setAnsweringIndex(null);
+    queryClient.invalidateQueries("knowledgeGaps");
+    queryClient.invalidateQueries("qaPairs");
+  };
+
+  const groups = data?.groups || [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Knowledge Gaps</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Questions the bot could not answer well, grouped and ranked by how
+            often they are asked
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => {
+            setDays(Number(e.target.value));
+            setAnsweringIndex(null);
+          }}
+          className="input w-auto"
+        >
+          {RANGES.map((range) => (
+            <option key={range.days} value={range.days}>
+              {range.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="card">
+          <div className="card-body py-12 text-center">
+            <Lightbulb className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">
+              No knowledge gaps
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Every question in this period got a confident answer.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-500">
+            {data.totalQuestions} unanswered question(s) in {groups.length}{" "}
+            group(s)
+            {isFetching && " • Refreshing..."}
+          </p>
+
+          {groups.map((group, index) => (
+            <div key={group.questionIds[0]} className="card">
+              <div className="card-body">
+                <div className="flex flex-wrap items-start justify-between gap-4">
+                  <div className="min-w-0 flex-1">
+                    <p className="font-medium text-gray-900">{group.question}</p>
+                    <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                      <span className="badge-info">
+                        Asked {group.count} time{group.count === 1 ? "" : "s"}
+                      </span>
+                      {group.reasons.notFound > 0 && (
+                        <span className="badge-danger flex items-center gap-1">
+                          <HelpCircle className="h-3 w-3" />
+                          {group.reasons.notFound} not found
+                        </span>
+                      )}
+                      {group.reasons.lowConfidence > 0 && (
+                        <span className="badge-warning flex items-center gap-1">
+                          <AlertTriangle className="h-3 w-3" />
+                          {group.reasons.lowConfidence} low confidence
+                        </span>
+                      )}
+                      {Object.entries(group.channels).map(([channel, count]) => (
+                        <span key={channel} className="text-gray-500">
+                          {CHANNEL_LABELS[channel] || channel}: {count}
+                        </span>
+                      ))}
+                      <span className="text-gray-400">
+                        Last asked {formatDate(group.lastAskedAt)}
+                      </span>
+                    </div>
+                    {group.examples.length > 1 && (
+                      <ul className="mt-3 space-y-1 text-sm text-gray-600">
+                        {group.examples.slice(1, 6).map((example) => (
+                          <li key={example} className="truncate">
+                            “{example}”
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  {canEdit && answeringIndex !== index && (
+                    <div className="flex shrink-0 gap-2">
+                      <button
+                        onClick={() => setAnsweringIndex(index)}
+                        className="btn-primary flex items-center text-sm"
+                      >
+                        <PenLine className="mr-1 h-4 w-4" />
+                        Write answer
+                      </button>
+                      <button
+                        onClick={() => dismissMutation.mutate(group.questionIds)}
+                        disabled={dismissMutation.isLoading}
+                        className="btn-secondary flex items-center text-sm"
+                        title="Remove from the report without answering"
+                      >
+                        <X className="mr-1 h-4 w-4" />
+                        Dismiss
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {answeringIndex === index && (
+                  <AnswerForm
+                    group={group}
+                    onCancel={() => setAnsweringIndex(null)}
+                    onSaved={handleSaved}
+                  />
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KnowledgeGaps;
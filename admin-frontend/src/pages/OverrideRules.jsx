@@ -0,0 +1,448 @@
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import { Pin, Plus, Pencil, Trash2, FlaskConical } from "lucide-react";
+import { clsx } from "clsx";
+import toast from "react-hot-toast";
+import { adminAPI } from "../services/api";
+import { useAuth } from "../hooks/useAuth.jsx";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const emptyForm = {
+  name: "",
+  response: "",
+  phrases: "",
+  patterns: "",
+  examples: "",
+  similarityThreshold: 0.85,
+  priority: 0,
+  isActive: true,
+};
+
+const TRIGGER_LABELS = {
+  phrase: "phrase",
+  pattern: "pattern",
+  example: "example question",
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// Textareas hold one trigger per line
+const toLines = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+const RuleForm = ({ initial, onCancel, onSaved }) => {
+  const [form, setForm] = useState(() =>
+    initial
+      ? {
+          name: initial.name,
+          response: initial.response,
+          phrases: initial.phrases.join("\n"),
+          patterns: initial.patterns.join("\n"),
+          examples: initial.examples.map((example) => example.text).join("\n"),
+          similarityThreshold: initial.similarityThreshold,
+          priority: initial.priority,
+          isActive: initial.isActive,
+        }
+      : emptyForm
+  );
+
+  const saveMutation = useMutation(
+    () => {
+      const data = {
+        ...form,
+        phrases: toLines(form.phrases),
+        patterns: toLines(form.patterns),
+        examples: toLines(form.examples),
+      };
+      return initial
+        ? adminAPI.updateOverrideRule(initial._id, data)
+        : adminAPI.createOverrideRule(data);
+    },
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        onSaved();
+      },
+    }
+  );
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">
+          {initial ? "Edit rule" : "New rule"}
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
+          <div className="sm:col-span-3">
+            <label className="label">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => updateField("name", e.target.value)}
+              maxLength={100}
+              placeholder="Refund policy"
+              className="input"
+              required
+            />
+          </div>
+          <div>
+            <label className="label">Priority</label>
+            <input
+              type="number"
+              step={1}
+              value={form.priority}
+              onChange={(e) => updateField("priority", e.target.value)}
+              className="input"
+              title="Lower numbers are checked first"
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
+          <div>
+            <label className="label">Trigger phrases</label>
+            <textarea
+              value={form.phrases}
+              onChange={(e) => updateField("phrases", e.target.value)}
+              rows={4}
+              className="input"
+              placeholder={"refund\nmoney back"}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              One per line; matched as whole words, ignoring case
+            </p>
+          </div>
+          <div>
+            <label className="label">Patterns</label>
+            <textarea
+              value={form.patterns}
+              onChange={(e) => updateField("patterns", e.target.value)}
+              rows={4}
+              className="input font-mono text-xs"
+              placeholder={"cancel(l?ed|ling)? .*order"}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              One regular expression per line, ignoring case. Lookarounds
+              and back-references are not supported.
+            </p>
+          </div>
+          <div>
+            <label className="label">Example questions</label>
+            <textarea
+              value={form.examples}
+              onChange={(e) => updateField("examples", e.target.value)}
+              rows={4}
+              className="input"
+              placeholder="Can I get my money back?"
+            />
+            <div className="mt-1 flex items-center gap-2 text-xs text-gray-500">
+              <span>Match at similarity</span>
+              <input
+                type="number"
+                min={0.5}
+                max={1}
+                step={0.01}
+                value={form.similarityThreshold}
+                onChange={(e) =>
+                  updateField("similarityThreshold", e.target.value)
+                }
+                className="input w-20 py-0.5 text-xs"
+              />
+            </div>
+          </div>
+        </div>
+        <div>
+          <label className="label">Pinned response</label>
+          <textarea
+            value={form.response}
+            onChange={(e) => updateField("response", e.target.value)}
+            rows={5}
+            maxLength={5000}
+            className="input"
+            placeholder="Sent exactly as written whenever this rule matches"
+            required
+          />
+        </div>
+        <div className="flex items-center justify-between">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateField("isActive", e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span className="ml-2 text-sm text-gray-700">Rule is active</span>
+          </label>
+          <div className="flex gap-2">
+            <button type="button" onClick={onCancel} className="btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saveMutation.isLoading}
+              className="btn-primary"
+            >
+              {saveMutation.isLoading ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+// Try a message against the saved rules without answering it
+const RuleTester = () => {
+  const [message, setMessage] = useState("");
+
+  const testMutation = useMutation(() =>
+    adminAPI.testOverrideRules(message).then((r) => r.data)
+  );
+  const result = testMutation.data;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (message.trim()) testMutation.mutate();
+  };
+
+  return (
+    <div className="card">
+      <div className="card-body space-y-3">
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <input
+            type="text"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Type a visitor message to see which rule answers it"
+            className="input flex-1"
+          />
+          <button
+            type="submit"
+            disabled={testMutation.isLoading || !message.trim()}
+            className="btn-secondary flex items-center"
+          >
+            <FlaskConical className="mr-2 h-4 w-4" />
+            Test
+          </button>
+        </form>
+        {result &&
+          (result.matched ? (
+            <div className="rounded-lg bg-primary-50 p-3 text-sm">
+              <p className="font-medium text-primary-800">
+                "{result.rule.name}" matches on{" "}
+                {TRIGGER_LABELS[result.trigger.type]} “{result.trigger.value}”
+                {result.trigger.similarity !== undefined &&
+                  ` (similarity ${result.trigger.similarity})`}
+              </p>
+              <p className="mt-1 whitespace-pre-wrap text-gray-700">
+                {result.response}
+              </p>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              No rule matches; the knowledge base would answer this message.
+            </p>
+          ))}
+      </div>
+    </div>
+  );
+};
+
+const OverrideRules = () => {
+  const queryClient = useQueryClient();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("owner", "editor");
+
+  // null: no form, "new", or the rule being edited
+  const [editing, setEditing] = useState(null);
+
+  const { data, isLoading } = useQuery("overrideRules", () =>
+    adminAPI.getOverrideRules().then((r) => r.data)
+  );
+  const rules = data?.rules || [];
+
+  const refresh = () => queryClient.invalidateQueries("overrideRules");
+
+  const deleteMutation = useMutation(
+    (ruleId) => adminAPI.deleteOverrideRule(ruleId),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        refresh();
+      },
+    }
+  );
+
+  const toggleMutation = useMutation(
+    (rule) => adminAPI.updateOverrideRule(rule._id, { isActive: !rule.isActive }),
+    { onSuccess: refresh }
+  );
+
+  const handleDelete = (rule) => {
+    if (window.confirm(`Delete the rule "${rule.name}"?`)) {
+      deleteMutation.mutate(rule._id);
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    refresh();
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Pinned Answers</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Override rules answer matching messages with approved wording,
+            before the knowledge base or AI is consulted
+          </p>
+        </div>
+        {canEdit && (
+          <button
+            onClick={() => setEditing("new")}
+            className="btn-primary flex items-center"
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            Add rule
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <RuleForm
+          key={editing === "new" ? "new" : editing._id}
+          initial={editing === "new" ? null : editing}
+          onCancel={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {rules.length > 0 && <RuleTester />}
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : rules.length === 0 ? (
+        <div className="card">
+          <div className="card-body py-12 text-center">
+            <Pin className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">
+              No override rules yet
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Pin an exact answer for questions like refunds or legal terms.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <ul className="divide-y divide-gray-100">
+            {rules.map((rule) => (
+              <li
+                key={rule._id}
+                className={clsx(
+                  "flex items-start gap-4 px-6 py-4",
+                  !rule.isActive && "opacity-60"
+                )}
+              >
+                <div className="min-w-0 flex-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <p className="font-medium text-gray-900">{rule.name}</p>
+                    <span className="text-xs text-gray-400">
+                      priority {rule.priority}
+                    </span>
+                    {!rule.isActive && (
+                      <span className="badge bg-gray-100 text-gray-600">
+                        Disabled
+                      </span>
+                    )}
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-1 text-xs">
+                    {rule.phrases.map((phrase) => (
+                      <span key={`p-${phrase}`} className="badge-info">
+                        {phrase}
+                      </span>
+                    ))}
+                    {rule.patterns.map((pattern) => (
+                      <span
+                        key={`r-${pattern}`}
+                        className="badge bg-gray-100 font-mono text-gray-700"
+                      >
+                        /{pattern}/
+                      </span>
+                    ))}
+                    {rule.examples.map((example) => (
+                      <span
+                        key={`e-${example.text}`}
+                        className="badge bg-violet-100 text-violet-800"
+                        title={`Similarity ≥ ${rule.similarityThreshold}`}
+                      >
+                        ≈ {example.text}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="mt-2 line-clamp-2 whitespace-pre-wrap text-sm text-gray-600">
+                    {rule.response}
+                  </p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Used {rule.hitCount} time(s)
+                    {rule.lastTriggeredAt &&
+                      ` • last ${formatDate(rule.lastTriggeredAt)}`}
+                  </p>
+                </div>
+                {canEdit && (
+                  <div className="flex shrink-0 items-center gap-1 text-gray-400">
+                    <button
+                      onClick={() => toggleMutation.mutate(rule)}
+                      className="px-1 text-xs font-medium text-primary-600 hover:text-primary-700"
+                    >
+                      {rule.isActive ? "Disable" : "Enable"}
+                    </button>
+                    <button
+                      onClick={() => setEditing(rule)}
+                      className="p-1 hover:text-gray-600"
+                      title="Edit"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rule)}
+                      className="p-1 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OverrideRules;
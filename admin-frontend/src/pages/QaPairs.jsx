@@ -0,0 +1,543 @@
+import { useRef, useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import {
+  FileQuestion,
+  Plus,
+  Upload,
+  Pencil,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Search,
+  Check,
+  X,
+} from "lucide-react";
+import { clsx } from "clsx";
+import toast from "react-hot-toast";
+import { adminAPI } from "../services/api";
+import { useAuth } from "../hooks/useAuth.jsx";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const emptyForm = {
+  category: "",
+  question: "",
+  alternateQuestions: "",
+  answer: "",
+  isActive: true,
+};
+
+const STATUS_BADGES = {
+  pending: { className: "badge-warning", label: "Indexing" },
+  failed: { className: "badge-danger", label: "Not indexed" },
+};
+
+// Group pairs by category, keeping categories in the order their first pair appears
+const groupByCategory = (pairs) => {
+  const groups = new Map();
+  for (const pair of pairs) {
+    if (!groups.has(pair.category)) groups.set(pair.category, []);
+    groups.get(pair.category).push(pair);
+  }
+  return [...groups.entries()].map(([category, items]) => ({
+    category,
+    pairs: items,
+  }));
+};
+
+const matchesSearch = (pair, search) => {
+  if (!search) return true;
+  const needle = search.toLowerCase();
+  return [pair.question, pair.answer, ...pair.alternateQuestions].some((text) =>
+    text.toLowerCase().includes(needle)
+  );
+};
+
+const QaPairForm = ({ initial, categories, onCancel, onSaved }) => {
+  const [form, setForm] = useState(() =>
+    initial
+      ? {
+          category: initial.category,
+          question: initial.question,
+          alternateQuestions: initial.alternateQuestions.join("\n"),
+          answer: initial.answer,
+          isActive: initial.isActive,
+        }
+      : emptyForm
+  );
+
+  const saveMutation = useMutation(
+    () => {
+      const data = {
+        ...form,
+        alternateQuestions: form.alternateQuestions.split("\n"),
+      };
+      return initial
+        ? adminAPI.updateQaPair(initial._id, data)
+        : adminAPI.createQaPair(data);
+    },
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        onSaved();
+      },
+    }
+  );
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">
+          {initial ? "Edit Q&A pair" : "New Q&A pair"}
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+          <div className="sm:col-span-2">
+            <label className="label">Question</label>
+            <input
+              type="text"
+              value={form.question}
+              onChange={(e) => updateField("question", e.target.value)}
+              maxLength={500}
+              className="input"
+              required
+            />
+          </div>
+          <div>
+            <label className="label">Category</label>
+            <input
+              type="text"
+              value={form.category}
+              onChange={(e) => updateField("category", e.target.value)}
+              list="qa-categories"
+              maxLength={100}
+              placeholder="General"
+              className="input"
+            />
+            <datalist id="qa-categories">
+              {categories.map((category) => (
+                <option key={category} value={category} />
+              ))}
+            </datalist>
+          </div>
+        </div>
+        <div>
+          <label className="label">Alternate questions</label>
+          <textarea
+            value={form.alternateQuestions}
+            onChange={(e) => updateField("alternateQuestions", e.target.value)}
+            rows={3}
+            className="input"
+            placeholder="Other ways visitors ask this, one per line"
+          />
+        </div>
+        <div>
+          <label className="label">Answer</label>
+          <textarea
+            value={form.answer}
+            onChange={(e) => updateField("answer", e.target.value)}
+            rows={5}
+            maxLength={5000}
+            className="input"
+            placeholder="Returned word for word when this question matches"
+            required
+          />
+        </div>
+        <div className="flex items-center justify-between">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateField("isActive", e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span className="ml-2 text-sm text-gray-700">
+              Use this answer in chats
+            </span>
+          </label>
+          <div className="flex gap-2">
+            <button type="button" onClick={onCancel} className="btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saveMutation.isLoading}
+              className="btn-primary"
+            >
+              {saveMutation.isLoading ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+// Category heading that can be renamed in place
+const CategoryHeader = ({ category, count, canEdit, onRename }) => {
+  const [name, setName] = useState(null);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (name.trim() && name.trim() !== category) onRename(name.trim());
+    setName(null);
+  };
+
+  if (name !== null) {
+    return (
+      <form onSubmit={submit} className="flex items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+          className="input py-1"
+          autoFocus
+        />
+        <button type="submit" className="text-green-600" title="Rename">
+          <Check className="h-4 w-4" />
+        </button>
+        <button
+          type="button"
+          onClick={() => setName(null)}
+          className="text-gray-400"
+          title="Cancel"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <h3 className="text-lg font-medium text-gray-900">{category}</h3>
+      <span className="text-sm text-gray-500">{count}</span>
+      {canEdit && (
+        <button
+          onClick={() => setName(category)}
+          className="text-gray-400 hover:text-gray-600"
+          title="Rename category"
+        >
+          <Pencil className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+const QaPairs = () => {
+  const queryClient = useQueryClient();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("owner", "editor");
+  const fileInputRef = useRef(null);
+
+  // null: no form, "new", or the pair being edited
+  const [editing, setEditing] = useState(null);
+  const [search, setSearch] = useState("");
+  const [importErrors, setImportErrors] = useState([]);
+
+  const { data, isLoading } = useQuery("qaPairs", () =>
+    adminAPI.getQaPairs().then((r) => r.data)
+  );
+
+  const pairs = data?.pairs || [];
+  const categories = data?.categories || [];
+  const groups = groupByCategory(
+    pairs.filter((pair) => matchesSearch(pair, search))
+  );
+
+  const refresh = () => queryClient.invalidateQueries("qaPairs");
+
+  const deleteMutation = useMutation((pairId) => adminAPI.deleteQaPair(pairId), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      refresh();
+    },
+  });
+
+  const toggleMutation = useMutation(
+    (pair) => adminAPI.updateQaPair(pair._id, { isActive: !pair.isActive }),
+    { onSuccess: refresh }
+  );
+
+  const reorderMutation = useMutation(
+    (pairIds) => adminAPI.reorderQaPairs(pairIds),
+    { onSettled: refresh }
+  );
+
+  const renameMutation = useMutation(
+    ({ from, to }) => adminAPI.renameQaCategory(from, to),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        refresh();
+      },
+    }
+  );
+
+  const importMutation = useMutation(
+    (file) => {
+      const formData = new FormData();
+      formData.append("file", file);
+      return adminAPI.importQaPairs(formData);
+    },
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        setImportErrors(response.data.errors || []);
+        refresh();
+      },
+      onError: (error) => {
+        setImportErrors(error.response?.data?.errors || []);
+      },
+    }
+  );
+
+  // Swap a pair with its neighbour in the same category
+  const movePair = (pair, direction) => {
+    const ordered = groupByCategory(pairs).flatMap((group) => group.pairs);
+    const index = ordered.findIndex((item) => item._id === pair._id);
+    const target = ordered[index + direction];
+    if (!target || target.category !== pair.category) return;
+
+    ordered[index] = target;
+    ordered[index + direction] = pair;
+
+    queryClient.setQueryData("qaPairs", { ...data, pairs: ordered });
+    reorderMutation.mutate(ordered.map((item) => item._id));
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) importMutation.mutate(file);
+  };
+
+  const handleDelete = (pair) => {
+    if (window.confirm(`Delete "${pair.question}"?`)) {
+      deleteMutation.mutate(pair._id);
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    refresh();
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Q&A Pairs</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Answers the bot gives word for word when a visitor asks one of
+            these questions
+          </p>
+        </div>
+        {canEdit && (
+          <div className="flex gap-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.json"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importMutation.isLoading}
+              className="btn-secondary flex items-center"
+              title="CSV with question, answer, category and alternates columns, or a JSON array"
+            >
+              <Upload className="mr-2 h-4 w-4" />
+              {importMutation.isLoading ? "Importing..." : "Import"}
+            </button>
+            <button
+              onClick={() => setEditing("new")}
+              className="btn-primary flex items-center"
+            >
+              <Plus className="mr-2 h-4 w-4" />
+              Add Q&A
+            </button>
+          </div>
+        )}
+      </div>
+
+      {importErrors.length > 0 && (
+        <div className="rounded-lg border border-yellow-200 bg-yellow-50 p-4 text-sm text-yellow-800">
+          <div className="flex items-start justify-between">
+            <p className="font-medium">
+              {importErrors.length} row(s) were skipped:
+            </p>
+            <button onClick={() => setImportErrors([])}>
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <ul className="mt-2 list-inside list-disc">
+            {importErrors.slice(0, 10).map((error) => (
+              <li key={error.row}>
+                Row {error.row}: {error.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {editing && (
+        <QaPairForm
+          key={editing === "new" ? "new" : editing._id}
+          initial={editing === "new" ? null : editing}
+          categories={categories}
+          onCancel={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {pairs.length > 0 && (
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search questions and answers..."
+            className="input pl-9"
+          />
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : pairs.length === 0 ? (
+        <div className="card">
+          <div className="card-body py-12 text-center">
+            <FileQuestion className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">
+              No Q&A pairs yet
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Add a question with its answer, or import them from a CSV or
+              JSON file.
+            </p>
+          </div>
+        </div>
+      ) : (
+        groups.map((group) => (
+          <div key={group.category} className="card">
+            <div className="card-header">
+              <CategoryHeader
+                category={group.category}
+                count={group.pairs.length}
+                canEdit={canEdit}
+                onRename={(to) =>
+                  renameMutation.mutate({ from: group.category, to })
+                }
+              />
+            </div>
+            <ul className="divide-y divide-gray-100">
+              {group.pairs.map((pair, index) => {
+                const status = STATUS_BADGES[pair.embeddingStatus];
+                return (
+                  <li
+                    key={pair._id}
+                    className={clsx(
+                      "flex items-start gap-4 px-6 py-4",
+                      !pair.isActive && "opacity-60"
+                    )}
+                  >
+                    <div className="min-w-0 flex-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <p className="font-medium text-gray-900">
+                          {pair.question}
+                        </p>
+                        {!pair.isActive && (
+                          <span className="badge bg-gray-100 text-gray-600">
+                            Disabled
+                          </span>
+                        )}
+                        {pair.isActive && status && (
+                          <span
+                            className={status.className}
+                            title={pair.embeddingError}
+                          >
+                            {status.label}
+                          </span>
+                        )}
+                      </div>
+                      {pair.alternateQuestions.length > 0 && (
+                        <p className="mt-1 truncate text-xs text-gray-500">
+                          Also: {pair.alternateQuestions.join(" • ")}
+                        </p>
+                      )}
+                      <p className="mt-1 line-clamp-2 whitespace-pre-wrap text-sm text-gray-600">
+                        {pair.answer}
+                      </p>
+                    </div>
+                    {canEdit && (
+                      <div className="flex shrink-0 items-center gap-1 text-gray-400">
+                        {!search && (
+                          <>
+                            <button
+                              onClick={() => movePair(pair, -1)}
+                              disabled={index === 0}
+                              className="p-1 hover:text-gray-600 disabled:opacity-30"
+                              title="Move up"
+                            >
+                              <ArrowUp className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => movePair(pair, 1)}
+                              disabled={index === group.pairs.length - 1}
+                              className="p-1 hover:text-gray-600 disabled:opacity-30"
+                              title="Move down"
+                            >
+                              <ArrowDown className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                        <button
+                          onClick={() => toggleMutation.mutate(pair)}
+                          className="px-1 text-xs font-medium text-primary-600 hover:text-primary-700"
+                        >
+                          {pair.isActive ? "Disable" : "Enable"}
+                        </button>
+                        <button
+                          onClick={() => setEditing(pair)}
+                          className="p-1 hover:text-gray-600"
+                          title="Edit"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(pair)}
+                          className="p-1 hover:text-red-600"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default QaPairs;
@@ -13,6 +13,7 @@ import {
 } from "lucide-react";
 import { adminAPI } from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
+import AssistantSettings from "../components/AssistantSettings";
 import toast from "react-hot-toast";
 
 const Settings = () => {
@@ -25,7 +26,9 @@ const Settings = () => {
   const tenant = JSON.parse(localStorage.getItem("tenant") || "{}");
 
   // Fetch analytics to get widget key
-  const { data: analytics } = useQuery("analytics", adminAPI.getAnalytics);
+  const { data: analytics } = useQuery("analytics", () =>
+    adminAPI.getAnalytics().then((r) => r.data)
+  );
 
   // Update settings mutation
   const updateSettingsMutation = useMutation(
@@ -62,6 +65,15 @@ const Settings = () => {
       "csv",
       "pdf",
     ],
+    retrieval: {
+      mode: tenant.settings?.retrieval?.mode || "hybrid",
+      keywordWeight: tenant.settings?.retrieval?.keywordWeight ?? 0.5,
+    },
+    handoff: {
+      enabled: tenant.settings?.handoff?.enabled !== false,
+      confidenceThreshold:
+        tenant.settings?.handoff?.confidenceThreshold ?? 0.4,
+    },
   });
 
   const handleBrandSettingsChange = (field, value) => {
@@ -78,6 +90,26 @@ const Settings = () => {
     }));
   };
 
+  const handleRetrievalChange = (field, value) => {
+    setGeneralSettings((prev) => ({
+      ...prev,
+      retrieval: {
+        ...prev.retrieval,
+        [field]: value,
+      },
+    }));
+  };
+
+  const handleHandoffChange = (field, value) => {
+    setGeneralSettings((prev) => ({
+      ...prev,
+      handoff: {
+        ...prev.handoff,
+        [field]: value,
+      },
+    }));
+  };
+
   const handleSaveBrandSettings = () => {
     updateSettingsMutation.mutate({
       brandSettings,
@@ -106,6 +138,7 @@ const Settings = () => {
   const tabs = [
     { id: "branding", name: "Branding", icon: Palette },
     { id: "general", name: "General", icon: SettingsIcon },
+    { id: "assistant", name: "Assistant", icon: Bot },
     { id: "widget", name: "Widget Code", icon: Globe },
   ];
 
@@ -401,6 +434,104 @@ const Settings = () => {
                   ))}
                 </div>
               </div>
+
+              {/* Retrieval */}
+              <div>
+                <label className="label">Answer Retrieval</label>
+                <select
+                  value={generalSettings.retrieval.mode}
+                  onChange={(e) =>
+                    handleRetrievalChange("mode", e.target.value)
+                  }
+                  className="input"
+                >
+                  <option value="hybrid">Hybrid (keywords + meaning)</option>
+                  <option value="vector">Meaning only (vector search)</option>
+                </select>
+                <p className="mt-1 text-sm text-gray-500">
+                  Hybrid search also matches exact words such as product
+                  names and error codes
+                </p>
+              </div>
+
+              {generalSettings.retrieval.mode === "hybrid" && (
+                <div>
+                  <label className="label">
+                    Keyword Weight (
+                    {Math.round(generalSettings.retrieval.keywordWeight * 100)}
+                    %)
+                  </label>
+                  <input
+                    type="range"
+                    value={generalSettings.retrieval.keywordWeight}
+                    onChange={(e) =>
+                      handleRetrievalChange(
+                        "keywordWeight",
+                        parseFloat(e.target.value)
+                      )
+                    }
+                    className="w-full"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                  />
+                  <p className="mt-1 text-sm text-gray-500">
+                    How much exact keyword matches count compared to semantic
+                    similarity when ranking document chunks
+                  </p>
+                </div>
+              )}
+
+              {/* Human handoff */}
+              <div>
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={generalSettings.handoff.enabled}
+                    onChange={(e) =>
+                      handleHandoffChange("enabled", e.target.checked)
+                    }
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">
+                    Hand low-confidence chats to a live agent
+                  </span>
+                </label>
+                <p className="mt-1 text-sm text-gray-500">
+                  Only when someone is online in Live Chat. Visitors can
+                  always ask for a human from the widget.
+                </p>
+              </div>
+
+              {generalSettings.handoff.enabled && (
+                <div>
+                  <label className="label">
+                    Handoff Confidence Threshold (
+                    {Math.round(
+                      generalSettings.handoff.confidenceThreshold * 100
+                    )}
+                    %)
+                  </label>
+                  <input
+                    type="range"
+                    value={generalSettings.handoff.confidenceThreshold}
+                    onChange={(e) =>
+                      handleHandoffChange(
+                        "confidenceThreshold",
+                        parseFloat(e.target.value)
+                      )
+                    }
+                    className="w-full"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                  />
+                  <p className="mt-1 text-sm text-gray-500">
+                    Answers below this confidence bring an agent into the
+                    conversation
+                  </p>
+                </div>
+              )}
             </div>
             <div className="card-footer">
               <button
@@ -420,6 +551,9 @@ const Settings = () => {
         </div>
       )}
 
+      {/* Assistant */}
+      {activeTab === "assistant" && <AssistantSettings />}
+
       {/* Widget Code */}
       {activeTab === "widget" && (
         <div className="space-y-6">
@@ -0,0 +1,321 @@
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import { Users, UserPlus, Copy, Mail, X } from "lucide-react";
+import { clsx } from "clsx";
+import toast from "react-hot-toast";
+import { adminAPI } from "../services/api";
+import { useAuth } from "../hooks/useAuth.jsx";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const ROLE_DESCRIPTIONS = {
+  owner: "Everything, including billing, integrations and the team",
+  editor: "Documents, settings and live chat",
+  agent: "Live chat and conversations",
+  viewer: "Read-only access to conversations and analytics",
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return "";
+  return new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+};
+
+const Team = () => {
+  const { user, hasRole } = useAuth();
+  const queryClient = useQueryClient();
+  const isOwner = hasRole("owner");
+  const [invite, setInvite] = useState({ email: "", role: "editor" });
+  const [inviteUrl, setInviteUrl] = useState(null);
+
+  const { data, isLoading } = useQuery("team", () =>
+    adminAPI.getTeam().then((r) => r.data)
+  );
+
+  const refreshTeam = () => queryClient.invalidateQueries("team");
+
+  const inviteMutation = useMutation((data) => adminAPI.inviteMember(data), {
+    onSuccess: (response) => {
+      setInviteUrl(response.data.inviteUrl);
+      setInvite((prev) => ({ ...prev, email: "" }));
+      refreshTeam();
+      toast.success("Invitation created");
+    },
+  });
+
+  const revokeMutation = useMutation(
+    (invitationId) => adminAPI.revokeInvitation(invitationId),
+    {
+      onSuccess: () => {
+        refreshTeam();
+        toast.success("Invitation revoked");
+      },
+    }
+  );
+
+  const roleMutation = useMutation(
+    ({ userId, role }) => adminAPI.updateMemberRole(userId, role),
+    {
+      onSuccess: () => {
+        refreshTeam();
+        toast.success("Role updated");
+      },
+    }
+  );
+
+  const statusMutation = useMutation(
+    ({ userId, isActive }) => adminAPI.updateMemberStatus(userId, isActive),
+    {
+      onSuccess: (response) => {
+        refreshTeam();
+        toast.success(response.data.message);
+      },
+    }
+  );
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!invite.email.trim()) return;
+    setInviteUrl(null);
+    inviteMutation.mutate({ email: invite.email.trim(), role: invite.role });
+  };
+
+  const copyInviteUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      toast.success("Invite link copied!");
+    } catch (error) {
+      toast.error("Failed to copy invite link");
+    }
+  };
+
+  const roles = data?.roles || Object.keys(ROLE_DESCRIPTIONS);
+  const members = data?.members || [];
+  const invitations = data?.invitations || [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Team</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Invite teammates and choose what they can do
+        </p>
+      </div>
+
+      {/* Invite */}
+      {isOwner && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">
+              Invite a teammate
+            </h3>
+          </div>
+          <div className="card-body space-y-4">
+            <form
+              onSubmit={handleInvite}
+              className="grid grid-cols-1 gap-4 sm:grid-cols-4"
+            >
+              <div className="sm:col-span-2">
+                <label className="label">Email</label>
+                <input
+                  type="email"
+                  value={invite.email}
+                  onChange={(e) =>
+                    setInvite((prev) => ({ ...prev, email: e.target.value }))
+                  }
+                  className="input"
+                  placeholder="teammate@company.com"
+                />
+              </div>
+              <div>
+                <label className="label">Role</label>
+                <select
+                  value={invite.role}
+                  onChange={(e) =>
+                    setInvite((prev) => ({ ...prev, role: e.target.value }))
+                  }
+                  className="input"
+                >
+                  {roles
+                    .filter((role) => role !== "owner")
+                    .map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <div className="flex items-end">
+                <button
+                  type="submit"
+                  disabled={inviteMutation.isLoading || !invite.email.trim()}
+                  className="btn-primary w-full"
+                >
+                  {inviteMutation.isLoading ? (
+                    <LoadingSpinner size="sm" className="mr-2" />
+                  ) : (
+                    <UserPlus className="h-4 w-4 mr-2" />
+                  )}
+                  Invite
+                </button>
+              </div>
+            </form>
+            <p className="text-sm text-gray-500">
+              {ROLE_DESCRIPTIONS[invite.role]}
+            </p>
+
+            {inviteUrl && (
+              <div className="rounded-lg border border-green-200 bg-green-50 p-4">
+                <p className="text-sm text-green-800">
+                  Send this link to your teammate. It works once and expires
+                  in 7 days.
+                </p>
+                <div className="mt-2 flex items-center gap-2">
+                  <input
+                    type="text"
+                    readOnly
+                    value={inviteUrl}
+                    className="input flex-1 font-mono text-xs"
+                  />
+                  <button onClick={copyInviteUrl} className="btn-secondary">
+                    <Copy className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Members */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Members</h3>
+        </div>
+        <div className="divide-y divide-gray-100">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : members.length > 0 ? (
+            members.map((member) => {
+              const isSelf = member.id === user?.id;
+              return (
+                <div
+                  key={member.id}
+                  className="flex flex-wrap items-center justify-between gap-4 px-6 py-4"
+                >
+                  <div className="min-w-0">
+                    <p
+                      className={clsx(
+                        "text-sm font-medium",
+                        member.isActive ? "text-gray-900" : "text-gray-400"
+                      )}
+                    >
+                      {member.name}
+                      {isSelf && (
+                        <span className="ml-2 text-xs text-gray-500">(you)</span>
+                      )}
+                    </p>
+                    <p className="truncate text-xs text-gray-500">
+                      {member.email} • joined {formatDate(member.createdAt)}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {!member.isActive && (
+                      <span className="badge-danger">Deactivated</span>
+                    )}
+                    {isOwner && !isSelf ? (
+                      <>
+                        <select
+                          value={member.role}
+                          onChange={(e) =>
+                            roleMutation.mutate({
+                              userId: member.id,
+                              role: e.target.value,
+                            })
+                          }
+                          className="input w-32"
+                        >
+                          {roles.map((role) => (
+                            <option key={role} value={role}>
+                              {role}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() =>
+                            statusMutation.mutate({
+                              userId: member.id,
+                              isActive: !member.isActive,
+                            })
+                          }
+                          className="btn-secondary text-xs"
+                        >
+                          {member.isActive ? "Deactivate" : "Reactivate"}
+                        </button>
+                      </>
+                    ) : (
+                      <span className="badge-info">{member.role}</span>
+                    )}
+                  </div>
+                </div>
+              );
+            })
+          ) : (
+            <div className="py-8 text-center">
+              <Users className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-2 text-sm text-gray-500">No members yet.</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Pending invitations */}
+      {invitations.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">
+              Pending invitations
+            </h3>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {invitations.map((invitation) => (
+              <div
+                key={invitation.id}
+                className="flex items-center justify-between gap-4 px-6 py-4"
+              >
+                <div className="flex min-w-0 items-center gap-3">
+                  <Mail className="h-4 w-4 shrink-0 text-gray-400" />
+                  <div className="min-w-0">
+                    <p className="truncate text-sm font-medium text-gray-900">
+                      {invitation.email}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {invitation.role} • invited by {invitation.invitedBy} •
+                      expires {formatDate(invitation.expiresAt)}
+                    </p>
+                  </div>
+                </div>
+                {isOwner && (
+                  <button
+                    onClick={() => revokeMutation.mutate(invitation.id)}
+                    className="btn-secondary text-xs"
+                    title="Revoke invitation"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Team;
@@ -9,18 +9,43 @@ import {
   CheckCircle,
   Clock,
   XCircle,
+  Globe,
+  RotateCcw,
+  StopCircle,
+  Pencil,
 } from "lucide-react";
 import { adminAPI } from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
 import UploadProgress from "../components/UploadProgress";
+import WebsiteSources from "../components/WebsiteSources";
+import SearchIndex from "../components/SearchIndex";
+import { useProcessingEvents } from "../hooks/useProcessingEvents.jsx";
+import DocumentEditor from "../components/DocumentEditor";
 import toast from "react-hot-toast";
 
+// Mirrors SUPPORTED_FILE_TYPES in the backend file parser
+const ALLOWED_EXTENSIONS = [
+  "txt",
+  "csv",
+  "pdf",
+  "md",
+  "markdown",
+  "html",
+  "htm",
+  "docx",
+  "xlsx",
+  "json",
+];
+const SUPPORTED_FORMATS = "TXT, CSV, PDF, DOCX, MD, HTML, XLSX, JSON";
+
 const UploadFAQ = () => {
   const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [activeUploads, setActiveUploads] = useState([]);
+  const [editingDocumentId, setEditingDocumentId] = useState(null);
   const fileInputRef = useRef(null);
   const queryClient = useQueryClient();
+  const { live } = useProcessingEvents();
 
   // Fetch documents
   const { data: documents, isLoading } = useQuery(
@@ -30,7 +55,8 @@ const UploadFAQ = () => {
       return response.data;
     },
     {
-      refetchInterval: 5000, // Refetch every 5 seconds to show processing status
+      // Processing events keep the list current; poll only without them
+      refetchInterval: live ? false : 5000,
     },
   );
 
@@ -48,6 +74,28 @@ const UploadFAQ = () => {
     },
   );
 
+  // Retry a failed or cancelled document
+  const retryDocumentMutation = useMutation(
+    (documentId) => adminAPI.retryDocument(documentId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries("documents");
+        toast.success("Document queued for processing");
+      },
+    },
+  );
+
+  // Cancel a queued or running document
+  const cancelDocumentMutation = useMutation(
+    (documentId) => adminAPI.cancelDocument(documentId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries("documents");
+        toast.success("Processing cancelled");
+      },
+    },
+  );
+
   const handleDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -73,11 +121,11 @@ const UploadFAQ = () => {
     const validFiles = [];
 
     Array.from(files).forEach((file) => {
-      // Validate file type
-      const allowedTypes = ["text/plain", "text/csv", "application/pdf"];
-      if (!allowedTypes.includes(file.type)) {
+      // Validate file type by extension; browsers report MIME types inconsistently
+      const extension = file.name.split(".").pop().toLowerCase();
+      if (!ALLOWED_EXTENSIONS.includes(extension)) {
         toast.error(
-          `Invalid file type: ${file.name}. Only TXT, CSV, and PDF files are allowed.`,
+          `Invalid file type: ${file.name}. Allowed types: ${SUPPORTED_FORMATS}.`,
         );
         return;
       }
@@ -228,8 +276,8 @@ const UploadFAQ = () => {
           Upload FAQ Documents
         </h1>
         <p className="mt-1 text-xs sm:text-sm text-gray-500">
-          Upload your FAQ documents to train your chatbot. Supported formats:
-          TXT, CSV, PDF
+          Upload your FAQ documents to train your chatbot. Supported formats:{" "}
+          {SUPPORTED_FORMATS}
         </p>
       </div>
 
@@ -251,7 +299,7 @@ const UploadFAQ = () => {
               ref={fileInputRef}
               type="file"
               multiple
-              accept=".txt,.csv,.pdf"
+              accept={ALLOWED_EXTENSIONS.map((ext) => `.${ext}`).join(",")}
               onChange={handleFileInput}
               className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
               disabled={uploading}
@@ -267,7 +315,7 @@ const UploadFAQ = () => {
                   or drag and drop
                 </p>
                 <p className="text-xs text-gray-500 mt-1">
-                  TXT, CSV, PDF files up to 10MB each
+                  {SUPPORTED_FORMATS} files up to 10MB each
                 </p>
               </div>
             </div>
@@ -308,6 +356,12 @@ const UploadFAQ = () => {
         </div>
       )}
 
+      {/* Website Sources */}
+      <WebsiteSources />
+
+      {/* Search index */}
+      <SearchIndex />
+
       {/* Documents List */}
       <div className="card">
         <div className="card-header">
@@ -357,7 +411,26 @@ const UploadFAQ = () => {
                         <span className="hidden sm:inline whitespace-nowrap">
                           Uploaded {formatDate(doc.createdAt)}
                         </span>
+                        {doc.metadata?.sourceUrl && (
+                          <a
+                            href={doc.metadata.sourceUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex items-center gap-1 truncate text-primary-600 hover:text-primary-500"
+                          >
+                            <Globe className="h-3 w-3 shrink-0" />
+                            <span className="truncate">
+                              {doc.metadata.sourceUrl}
+                            </span>
+                          </a>
+                        )}
                       </div>
+                      {doc.processingError &&
+                        doc.processingStatus !== "completed" && (
+                          <p className="mt-1 text-xs text-red-600 truncate">
+                            {doc.processingError}
+                          </p>
+                        )}
                     </div>
                   </div>
 
@@ -383,6 +456,39 @@ const UploadFAQ = () => {
                       )}
                     </div>
 
+                    {["failed", "cancelled"].includes(doc.processingStatus) && (
+                      <button
+                        onClick={() => retryDocumentMutation.mutate(doc._id)}
+                        className="text-primary-600 hover:text-primary-800 transition-colors p-1"
+                        disabled={retryDocumentMutation.isLoading}
+                        aria-label="Retry processing"
+                        title="Retry processing"
+                      >
+                        <RotateCcw className="h-4 w-4" />
+                      </button>
+                    )}
+
+                    {["pending", "processing"].includes(doc.processingStatus) && (
+                      <button
+                        onClick={() => cancelDocumentMutation.mutate(doc._id)}
+                        className="text-gray-500 hover:text-gray-700 transition-colors p-1"
+                        disabled={cancelDocumentMutation.isLoading}
+                        aria-label="Cancel processing"
+                        title="Cancel processing"
+                      >
+                        <StopCircle className="h-4 w-4" />
+                      </button>
+                    )}
+
+                    <button
+                      onClick={() => setEditingDocumentId(doc._id)}
+                      className="text-gray-500 hover:text-gray-700 transition-colors p-1"
+                      aria-label="Edit document"
+                      title="Edit, replace or view history"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+
                     <button
                       onClick={() => handleDelete(doc._id)}
                       className="text-red-600 hover:text-red-800 transition-colors p-1"
@@ -433,6 +539,17 @@ const UploadFAQ = () => {
                 <li>
                   • <strong>PDF:</strong> Documents with extractable text
                 </li>
+                <li>
+                  • <strong>DOCX / Markdown / HTML:</strong> Headings are kept
+                  so answers know which section they came from
+                </li>
+                <li>
+                  • <strong>XLSX:</strong> One section per sheet, rows read
+                  like CSV
+                </li>
+                <li>
+                  • <strong>JSON:</strong> FAQ arrays or nested help content
+                </li>
               </ul>
             </div>
             <div>
@@ -449,6 +566,14 @@ const UploadFAQ = () => {
           </div>
         </div>
       </div>
+
+      {editingDocumentId && (
+        <DocumentEditor
+          documentId={editingDocumentId}
+          acceptedFileTypes={ALLOWED_EXTENSIONS}
+          onClose={() => setEditingDocumentId(null)}
+        />
+      )}
     </div>
   );
 };
@@ -61,6 +61,8 @@ export const authAPI = {
   getProfile: () => api.get("/auth/profile"),
   updateProfile: (data) => api.put("/auth/profile", data),
   changePassword: (data) => api.put("/auth/change-password", data),
+  getInvitation: (token) => api.get(`/auth/invitations/${token}`),
+  acceptInvitation: (data) => api.post("/auth/invitations/accept", data),
 };
 
 // Admin API
@@ -73,14 +75,98 @@ export const adminAPI = {
     }),
   getUploadStatus: (uploadId) => api.get(`/admin/upload/status/${uploadId}`),
   getDocuments: (params) => api.get("/admin/documents", { params }),
+  getDocument: (documentId) => api.get(`/admin/documents/${documentId}`),
+  updateDocumentContent: (documentId, data) =>
+    api.put(`/admin/documents/${documentId}/content`, data),
+  replaceDocument: (documentId, formData) =>
+    api.post(`/admin/documents/${documentId}/replace`, formData, {
+      headers: {
+        "Content-Type": "multipart/form-data",
+      },
+    }),
   deleteDocument: (documentId) => api.delete(`/admin/documents/${documentId}`),
+  retryDocument: (documentId) =>
+    api.post(`/admin/documents/${documentId}/retry`),
+  cancelDocument: (documentId) =>
+    api.post(`/admin/documents/${documentId}/cancel`),
+  // Document version history
+  getDocumentVersions: (documentId) =>
+    api.get(`/admin/documents/${documentId}/versions`),
+  diffDocumentVersions: (documentId, version, against) =>
+    api.get(`/admin/documents/${documentId}/versions/${version}/diff`, {
+      params: { against },
+    }),
+  rollbackDocument: (documentId, version) =>
+    api.post(`/admin/documents/${documentId}/versions/${version}/rollback`),
+  // Website sources
+  getSources: () => api.get("/admin/sources"),
+  createSource: (data) => api.post("/admin/sources", data),
+  updateSource: (sourceId, data) => api.put(`/admin/sources/${sourceId}`, data),
+  crawlSource: (sourceId) => api.post(`/admin/sources/${sourceId}/crawl`),
+  deleteSource: (sourceId) => api.delete(`/admin/sources/${sourceId}`),
+  // Search index (embedding model and re-embedding)
+  getEmbeddingIndex: () => api.get("/admin/embedding-index"),
+  reembedContent: (data) => api.post("/admin/embedding-index/reembed", data),
+  cancelReembedding: () => api.post("/admin/embedding-index/cancel"),
   updateSettings: (data) => api.put("/admin/settings", data),
+  getAssistantSettings: () => api.get("/admin/settings/assistant"),
+  updateAssistantSettings: (data) =>
+    api.put("/admin/settings/assistant", data),
   getAnalytics: () => api.get("/admin/analytics"),
+  getConversationAnalytics: (params) =>
+    api.get("/admin/analytics/conversations", { params }),
+  getFeedbackAnalytics: (params) =>
+    api.get("/admin/analytics/feedback", { params }),
+  // Conversation inbox
+  getConversations: (params) => api.get("/admin/conversations", { params }),
+  getConversation: (conversationId) =>
+    api.get(`/admin/conversations/${conversationId}`),
+  // Q&A pairs
+  getQaPairs: () => api.get("/admin/qa"),
+  createQaPair: (data) => api.post("/admin/qa", data),
+  updateQaPair: (pairId, data) => api.put(`/admin/qa/${pairId}`, data),
+  deleteQaPair: (pairId) => api.delete(`/admin/qa/${pairId}`),
+  reorderQaPairs: (pairIds) => api.put("/admin/qa/order", { pairIds }),
+  renameQaCategory: (from, to) => api.put("/admin/qa/categories", { from, to }),
+  importQaPairs: (formData) =>
+    api.post("/admin/qa/import", formData, {
+      headers: {
+        "Content-Type": "multipart/form-data",
+      },
+    }),
+  // Override rules
+  getOverrideRules: () => api.get("/admin/overrides"),
+  createOverrideRule: (data) => api.post("/admin/overrides", data),
+  updateOverrideRule: (ruleId, data) =>
+    api.put(`/admin/overrides/${ruleId}`, data),
+  deleteOverrideRule: (ruleId) => api.delete(`/admin/overrides/${ruleId}`),
+  testOverrideRules: (message) =>
+    api.post("/admin/overrides/test", { message }),
+  // Knowledge gaps
+  getKnowledgeGaps: (params) => api.get("/admin/knowledge-gaps", { params }),
+  answerKnowledgeGap: (data) => api.post("/admin/knowledge-gaps/answer", data),
+  dismissKnowledgeGap: (questionIds) =>
+    api.post("/admin/knowledge-gaps/dismiss", { questionIds }),
   updateSubscriptionPlan: (plan) => api.put("/admin/subscription", { plan }),
   // Social integrations
   getSocialSettings: () => api.get("/admin/social"),
   updateWhatsApp: (data) => api.put("/admin/social/whatsapp", data),
   updateInstagram: (data) => api.put("/admin/social/instagram", data),
+  testWhatsApp: (testPhone) =>
+    api.post("/admin/social/whatsapp/test", { testPhone }),
+  testInstagram: (testUserId) =>
+    api.post("/admin/social/instagram/test", { testUserId }),
+  regenerateVerifyToken: (platform) =>
+    api.post(`/admin/social/${platform}/verify-token`),
+  // Team members and invitations
+  getTeam: () => api.get("/admin/team"),
+  inviteMember: (data) => api.post("/admin/team/invitations", data),
+  revokeInvitation: (invitationId) =>
+    api.delete(`/admin/team/invitations/${invitationId}`),
+  updateMemberRole: (userId, role) =>
+    api.put(`/admin/team/${userId}/role`, { role }),
+  updateMemberStatus: (userId, isActive) =>
+    api.put(`/admin/team/${userId}/status`, { isActive }),
 };
 
 // Chat API
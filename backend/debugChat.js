@@ -4,7 +4,7 @@ import './src/models/Tenant.js';
 import './src/models/Document.js';
 import './src/models/Embedding.js';
 import mongoose from 'mongoose';
-import { generateEmbeddings } from './src/services/embeddingService.mock.js';
+import { generateEmbeddings, getMinSimilarity } from './src/services/embeddingService.js';
 import { findSimilarDocuments } from './src/services/similarityService.js';
 import { generateChatResponse } from './src/services/chatService.pdf.js';
 
@@ -14,10 +14,10 @@ import { generateChatResponse } from './src/services/chatService.pdf.js';
   const tenant = await Tenant.findOne();
 
   const message = 'What is the difference between SSD and HDD?';
-  const queryEmbedding = await generateEmbeddings(message);
+  const queryEmbedding = await generateEmbeddings(message, tenant._id);
   const similarDocs = await findSimilarDocuments(tenant._id, queryEmbedding, {
     limit: 10,
-    minSimilarity: 0.02,
+    minSimilarity: await getMinSimilarity(tenant._id),
   });
   console.log('found similarDocs', similarDocs.map(d => ({ sim: d.similarity, text: d.embedding.text.slice(0, 100) })));
 
@@ -3,7 +3,7 @@ import './src/models/Tenant.js';
 import './src/models/Document.js';
 import './src/models/Embedding.js';
 import mongoose from 'mongoose';
-import { generateEmbeddings } from './src/services/embeddingService.mock.js';
+import { generateEmbeddings, getMinSimilarity } from './src/services/embeddingService.js';
 import { findSimilarDocuments } from './src/services/similarityService.js';
 // helper function copied from chatService.pdf.js (not exported)
 const findRelevantQAPairs = (userMessage, context, userMessageLower) => {
@@ -76,8 +76,8 @@ const findRelevantQAPairs = (userMessage, context, userMessageLower) => {
   const Tenant = mongoose.model('Tenant');
   const tenant = await Tenant.findOne();
   const query = 'What is the difference between SSD and HDD?';
-  const emb = await generateEmbeddings(query);
-  const similarDocs = await findSimilarDocuments(tenant._id, emb, { limit: 10, minSimilarity: 0.02 });
+  const emb = await generateEmbeddings(query, tenant._id);
+  const similarDocs = await findSimilarDocuments(tenant._id, emb, { limit: 10, minSimilarity: await getMinSimilarity(tenant._id) });
   const context = similarDocs.map((d) => d.embedding.text).join('\n\n');
   console.log('raw context:', context);
   const pairs = findRelevantQAPairs(query, context, query.toLowerCase());
@@ -1,18 +1,41 @@
 import multer from "multer";
 import { v4 as uuidv4 } from "uuid";
-import path from "path";
 import fs from "fs/promises";
 import User from "../models/User.js";
-import Tenant from "../models/Tenant.js";
 import Document from "../models/Document.js";
 import Embedding from "../models/Embedding.js";
-import { parseFileContent, splitTextIntoChunks } from "../utils/fileParser.js";
-// TEMPORARY: Using mock service for testing (no OpenAI required)
-// To use real OpenAI: change to "../services/embeddingService.js"
+import DocumentVersion from "../models/DocumentVersion.js";
 import {
-  generateEmbeddings,
-  generateBatchEmbeddings,
-} from "../services/embeddingService.mock.js";
+  getFileType,
+  parseFileContent,
+  SUPPORTED_FILE_TYPES,
+} from "../utils/fileParser.js";
+import {
+  enqueueDocumentProcessing,
+  cancelDocumentProcessing,
+  deactivateDocument,
+} from "../services/documentProcessingService.js";
+import { findLatestJob } from "../services/jobQueue.js";
+import { discardPendingVersion } from "../services/documentVersionService.js";
+import { recomputeDocumentEmbeddings } from "../services/similarityService.js";
+import {
+  getEmbeddingIndex,
+  toModelFilter,
+} from "../services/embeddingService.js";
+import {
+  TONES,
+  ANSWER_LENGTHS,
+  MAX_FALLBACKS,
+  buildSystemPrompt,
+  normalizeAssistantSettings,
+} from "../services/assistantService.js";
+import {
+  DEFAULT_PROVIDER,
+  getProviderOptions,
+  resolveProviderChain,
+} from "../services/llmService.js";
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -28,16 +51,17 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_FILE_SIZE,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ["text/plain", "text/csv", "application/pdf"];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (getFileType(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
       cb(
         new Error(
-          "Invalid file type. Only TXT, CSV, and PDF files are allowed."
+          `Invalid file type. Allowed types: ${Object.keys(SUPPORTED_FILE_TYPES)
+            .join(", ")
+            .toUpperCase()}.`
         )
       );
     }
@@ -65,15 +89,22 @@ export const getUploadStatus = async (req, res) => {
     }
 
     const progress = document.getProcessingProgress();
+    const job = await findLatestJob({ documentId: document._id });
 
     res.json({
       uploadId: document._id,
       status: document.processingStatus,
       progress,
-      message: getStatusMessage(document.processingStatus, progress),
+      message: document.getProcessingMessage(),
       chunkCount: document.chunkCount,
       embeddingCount: document.embeddingCount,
       error: document.processingError || null,
+      job: job && {
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === "queued" ? job.runAt : null,
+      },
     });
   } catch (error) {
     console.error("Get upload status error:", error);
@@ -81,22 +112,6 @@ export const getUploadStatus = async (req, res) => {
   }
 };
 
-// Helper function to generate status messages
-const getStatusMessage = (status, progress) => {
-  switch (status) {
-    case "pending":
-      return "Upload received, waiting to process...";
-    case "processing":
-      return `Processing document... ${progress}% complete`;
-    case "completed":
-      return "Document indexed successfully";
-    case "failed":
-      return "Processing failed";
-    default:
-      return "Unknown status";
-  }
-};
-
 // Upload FAQ documents
 export const uploadDocuments = async (req, res) => {
   try {
@@ -133,14 +148,15 @@ export const uploadDocuments = async (req, res) => {
           console.log(`UPLOAD_RECEIVED: ${file.originalname} (${tenant._id})`);
 
           // Parse file content
-          const content = await parseFileContent(file.path, file.mimetype);
+          const fileType = getFileType(file.originalname, file.mimetype);
+          const content = await parseFileContent(file.path, fileType);
 
           // Create document record with initial status
           const document = new Document({
             tenantId: tenant._id,
             filename: file.filename,
             originalName: file.originalname,
-            fileType: path.extname(file.originalname).slice(1),
+            fileType,
             fileSize: file.size,
             content,
             processingStatus: "pending",
@@ -151,13 +167,8 @@ export const uploadDocuments = async (req, res) => {
           // Increment tenant document count
           await tenant.incrementDocumentCount();
 
-          // Process document asynchronously in background
-          processDocumentAsync(document._id, tenant._id).catch((error) => {
-            console.error(
-              `Background processing error for ${document._id}:`,
-              error
-            );
-          });
+          // Queue embedding for a background worker
+          await enqueueDocumentProcessing(document._id, tenant._id);
 
           results.push({
             uploadId: document._id.toString(),
@@ -197,211 +208,6 @@ export const uploadDocuments = async (req, res) => {
   }
 };
 
-// Process document asynchronously (create embeddings)
-const processDocumentAsync = async (documentId, tenantId) => {
-  let document = null;
-
-  try {
-    console.log(`UPLOAD_PARSING: Starting processing for ${documentId}`);
-
-    document = await Document.findById(documentId);
-    if (!document) {
-      console.error(`Document not found: ${documentId}`);
-      return;
-    }
-
-    // Update status to processing
-    document.processingStatus = "processing";
-    await document.save();
-
-    // Split content into chunks using improved chunking strategy
-    const chunks = splitTextIntoChunks(document.content);
-
-    if (chunks.length === 0) {
-      throw new Error("No content chunks generated from document");
-    }
-
-    document.chunkCount = chunks.length;
-    await document.save();
-
-    console.log(
-      `UPLOAD_PARSING: ${documentId} - Generated ${chunks.length} chunks`
-    );
-
-    // Process embeddings in batches for better performance
-    const BATCH_SIZE = 50;
-    let processedChunks = 0;
-
-    for (
-      let batchIndex = 0;
-      batchIndex < chunks.length;
-      batchIndex += BATCH_SIZE
-    ) {
-      const batchChunks = chunks.slice(batchIndex, batchIndex + BATCH_SIZE);
-
-      console.log(
-        `EMBEDDING_BATCH: ${documentId} - Processing batch ${
-          Math.floor(batchIndex / BATCH_SIZE) + 1
-        }/${Math.ceil(chunks.length / BATCH_SIZE)}`
-      );
-
-      try {
-        // Generate embeddings for batch with retry logic
-        const embeddings = await generateBatchEmbeddingsWithRetry(
-          batchChunks,
-          3
-        );
-
-        // Save embeddings to database
-        const embeddingDocs = embeddings.map((embedding, idx) => ({
-          tenantId,
-          documentId,
-          text: batchChunks[idx],
-          embedding: embedding,
-          metadata: {
-            chunkIndex: batchIndex + idx,
-            tokenCount: batchChunks[idx].split(" ").length,
-          },
-        }));
-
-        await Embedding.insertMany(embeddingDocs);
-        processedChunks += embeddings.length;
-
-        // Update progress
-        document.embeddingCount = processedChunks;
-        await document.save();
-
-        console.log(
-          `EMBEDDING_BATCH: ${documentId} - Completed ${processedChunks}/${
-            chunks.length
-          } chunks (${Math.round((processedChunks / chunks.length) * 100)}%)`
-        );
-      } catch (error) {
-        console.error(
-          `EMBEDDING_BATCH_ERROR: ${documentId} - Batch ${
-            Math.floor(batchIndex / BATCH_SIZE) + 1
-          } failed:`,
-          error.message
-        );
-
-        // Try processing individually as fallback
-        for (let i = 0; i < batchChunks.length; i++) {
-          try {
-            const embedding = await generateEmbeddingsWithRetry(
-              batchChunks[i],
-              3
-            );
-
-            const embeddingDoc = new Embedding({
-              tenantId,
-              documentId,
-              text: batchChunks[i],
-              embedding: embedding,
-              metadata: {
-                chunkIndex: batchIndex + i,
-                tokenCount: batchChunks[i].split(" ").length,
-              },
-            });
-
-            await embeddingDoc.save();
-            processedChunks++;
-
-            // Update progress
-            document.embeddingCount = processedChunks;
-            await document.save();
-          } catch (chunkError) {
-            console.error(
-              `EMBEDDING_ERROR: ${documentId} - Chunk ${
-                batchIndex + i
-              } failed:`,
-              chunkError.message
-            );
-          }
-        }
-      }
-
-      // Small delay to avoid rate limits
-      if (batchIndex + BATCH_SIZE < chunks.length) {
-        await new Promise((resolve) => setTimeout(resolve, 100));
-      }
-    }
-
-    // Check if we processed at least some chunks
-    if (processedChunks === 0) {
-      throw new Error("Failed to create any embeddings");
-    }
-
-    // Mark as completed
-    document.processingStatus = "completed";
-    await document.save();
-
-    console.log(
-      `UPLOAD_INDEXED: ${documentId} - Successfully indexed with ${processedChunks} embeddings`
-    );
-  } catch (error) {
-    console.error(`UPLOAD_FAILED: ${documentId} - ${error.message}`, error);
-
-    if (document) {
-      document.processingStatus = "failed";
-      document.processingError = error.message;
-      await document.save();
-    }
-
-    // Re-throw to be caught by the caller
-    throw error;
-  }
-};
-
-// Helper function to generate embeddings with retry logic
-const generateEmbeddingsWithRetry = async (text, maxRetries = 3) => {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await generateEmbeddings(text);
-    } catch (error) {
-      lastError = error;
-      console.error(
-        `Embedding attempt ${attempt}/${maxRetries} failed:`,
-        error.message
-      );
-
-      // Wait with exponential backoff before retry
-      if (attempt < maxRetries) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      }
-    }
-  }
-
-  throw lastError;
-};
-
-// Helper function to generate batch embeddings with retry logic
-const generateBatchEmbeddingsWithRetry = async (texts, maxRetries = 3) => {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await generateBatchEmbeddings(texts);
-    } catch (error) {
-      lastError = error;
-      console.error(
-        `Batch embedding attempt ${attempt}/${maxRetries} failed:`,
-        error.message
-      );
-
-      // Wait with exponential backoff before retry
-      if (attempt < maxRetries) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      }
-    }
-  }
-
-  throw lastError;
-};
-
 // Split text into chunks
 
 export const getDocuments = async (req, res) => {
@@ -451,6 +257,151 @@ export const getDocuments = async (req, res) => {
   }
 };
 
+// Get a document with its extracted text
+export const getDocument = async (req, res) => {
+  try {
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      tenantId: req.tenant._id,
+      isActive: true,
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    // While an edit is embedding, show the text that will go live
+    const pending =
+      document.pendingVersion && document.pendingVersion !== document.version
+        ? await DocumentVersion.findOne({
+            documentId: document._id,
+            version: document.pendingVersion,
+          })
+        : null;
+
+    res.json({
+      document,
+      pendingVersion: pending && {
+        version: pending.version,
+        content: pending.content,
+        changeType: pending.changeType,
+        createdAt: pending.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get document error:", error);
+    res.status(500).json({ error: "Failed to get document" });
+  }
+};
+
+// Edit a document's extracted text
+export const updateDocumentContent = async (req, res) => {
+  try {
+    const { content, note } = req.body;
+
+    if (typeof content !== "string" || !content.trim()) {
+      return res.status(400).json({ error: "Content is required" });
+    }
+
+    if (Buffer.byteLength(content) > MAX_FILE_SIZE) {
+      return res.status(400).json({ error: "Content is larger than 10MB" });
+    }
+
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      tenantId: req.tenant._id,
+      isActive: true,
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    if (content === document.content && !document.pendingVersion) {
+      return res.status(400).json({ error: "No changes to save" });
+    }
+
+    const result = await recomputeDocumentEmbeddings(document._id, content, {
+      changeType: "edit",
+      note,
+      userId: req.userId,
+    });
+
+    res.status(202).json({
+      message: `Saved as version ${result.version}. It goes live once re-indexed.`,
+      version: result.version,
+    });
+  } catch (error) {
+    console.error("Update document content error:", error);
+    res.status(500).json({ error: "Failed to update document" });
+  }
+};
+
+// Replace a document with a new file
+export const replaceDocumentFile = async (req, res) => {
+  try {
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      tenantId: req.tenant._id,
+      isActive: true,
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    upload.single("document")(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+      }
+
+      try {
+        const fileType = getFileType(req.file.originalname, req.file.mimetype);
+        const content = await parseFileContent(req.file.path, fileType);
+
+        if (!content.trim()) {
+          return res
+            .status(400)
+            .json({ error: "No text could be extracted from the file" });
+        }
+
+        const result = await recomputeDocumentEmbeddings(document._id, content, {
+          changeType: "replace",
+          fileType,
+          originalName: req.file.originalname,
+          fileSize: req.file.size,
+          note: req.body.note,
+          userId: req.userId,
+        });
+
+        res.status(202).json({
+          message: `Saved as version ${result.version}. It goes live once re-indexed.`,
+          version: result.version,
+        });
+      } catch (error) {
+        console.error(`Error replacing document ${document._id}:`, error);
+        res.status(400).json({ error: error.message });
+      } finally {
+        try {
+          await fs.unlink(req.file.path);
+        } catch (unlinkError) {
+          console.error(
+            `Error deleting temporary file ${req.file.path}:`,
+            unlinkError
+          );
+        }
+      }
+    });
+  } catch (error) {
+    console.error("Replace document error:", error);
+    res.status(500).json({ error: "Failed to replace document" });
+  }
+};
+
 // Delete document
 export const deleteDocument = async (req, res) => {
   try {
@@ -471,26 +422,86 @@ export const deleteDocument = async (req, res) => {
       return res.status(404).json({ error: "Document not found" });
     }
 
-    // Soft delete document
-    document.isActive = false;
+    await deactivateDocument(document);
+
+    res.json({ message: "Document deleted successfully" });
+  } catch (error) {
+    console.error("Delete document error:", error);
+    res.status(500).json({ error: "Failed to delete document" });
+  }
+};
+
+// Queue a failed or cancelled document for processing again
+export const retryDocument = async (req, res) => {
+  try {
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      tenantId: req.tenant._id,
+      isActive: true,
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    if (!["failed", "cancelled"].includes(document.processingStatus)) {
+      return res
+        .status(400)
+        .json({ error: "Only failed or cancelled documents can be retried" });
+    }
+
+    // Chunks embedded before the failure are kept and skipped
+    document.processingStatus = "pending";
+    document.processingError = undefined;
     await document.save();
+    await enqueueDocumentProcessing(document._id, document.tenantId);
+
+    res.status(202).json({ message: "Document queued for processing" });
+  } catch (error) {
+    console.error("Retry document error:", error);
+    res.status(500).json({ error: "Failed to retry document" });
+  }
+};
 
-    // Decrement tenant document count
-    const tenant = await Tenant.findById(document.tenantId);
-    if (tenant) {
-      await tenant.decrementDocumentCount();
+// Stop a queued or running document
+export const cancelDocument = async (req, res) => {
+  try {
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      tenantId: req.tenant._id,
+      isActive: true,
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
     }
 
-    // Delete associated embeddings
-    await Embedding.updateMany(
-      { documentId: document._id },
-      { isActive: false }
-    );
+    const cancelled = await cancelDocumentProcessing(document._id);
 
-    res.json({ message: "Document deleted successfully" });
+    // Cancelling an edit drops it and keeps the live version answering
+    if (await discardPendingVersion(document)) {
+      return res.json({
+        message: `Edit discarded. Version ${document.version} is still live.`,
+      });
+    }
+
+    if (
+      cancelled === 0 &&
+      !["pending", "processing"].includes(document.processingStatus)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "This document is not being processed" });
+    }
+
+    document.processingStatus = "cancelled";
+    document.processingError = "Cancelled by a team member";
+    await document.save();
+
+    res.json({ message: "Processing cancelled" });
   } catch (error) {
-    console.error("Delete document error:", error);
-    res.status(500).json({ error: "Failed to delete document" });
+    console.error("Cancel document error:", error);
+    res.status(500).json({ error: "Failed to cancel processing" });
   }
 };
 
@@ -539,6 +550,60 @@ export const updateTenantSettings = async (req, res) => {
   }
 };
 
+// Get the assistant settings with the options the admin UI can choose from
+export const getAssistantSettings = async (req, res) => {
+  try {
+    res.json({
+      assistant: req.tenant.assistant,
+      options: {
+        providers: getProviderOptions(),
+        defaultProvider: DEFAULT_PROVIDER,
+        maxFallbacks: MAX_FALLBACKS,
+        tones: Object.keys(TONES),
+        answerLengths: Object.keys(ANSWER_LENGTHS),
+      },
+      // The providers answers are tried with, in order, before the PDF service
+      providerChain: resolveProviderChain(req.tenant.assistant),
+      // The prompt answers are generated with, for reference
+      systemPrompt: buildSystemPrompt(
+        req.tenant.assistant,
+        req.tenant.brandSettings?.botName
+      ),
+    });
+  } catch (error) {
+    console.error("Get assistant settings error:", error);
+    res.status(500).json({ error: "Failed to get assistant settings" });
+  }
+};
+
+// Update the assistant settings
+export const updateAssistantSettings = async (req, res) => {
+  try {
+    const tenant = req.tenant;
+    Object.assign(
+      tenant.assistant,
+      normalizeAssistantSettings(req.body, tenant.assistant)
+    );
+    await tenant.save();
+
+    res.json({
+      message: "Assistant settings updated",
+      assistant: tenant.assistant,
+      providerChain: resolveProviderChain(tenant.assistant),
+      systemPrompt: buildSystemPrompt(
+        tenant.assistant,
+        tenant.brandSettings?.botName
+      ),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Update assistant settings error:", error);
+    res.status(500).json({ error: "Failed to update assistant settings" });
+  }
+};
+
 // Get tenant analytics
 export const getAnalytics = async (req, res) => {
   try {
@@ -566,10 +631,12 @@ export const getAnalytics = async (req, res) => {
 
     console.log(`[ANALYTICS] Document stats:`, documentStats);
 
-    // Get embedding statistics
+    // Get embedding statistics; a re-embedding adds a second copy of each
+    // chunk until it completes
     const embeddingCount = await Embedding.countDocuments({
       tenantId: tenantId,
       isActive: true,
+      ...toModelFilter(await getEmbeddingIndex(tenantId)),
     });
 
     console.log(`[ANALYTICS] Embedding count:`, embeddingCount);
@@ -1,6 +1,7 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 import Tenant from "../models/Tenant.js";
+import Invitation from "../models/Invitation.js";
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -46,7 +47,7 @@ export const register = async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role,
+        role: user.getRole(),
       },
       tenant: {
         id: tenant._id,
@@ -92,7 +93,7 @@ export const login = async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role,
+        role: user.getRole(),
       },
       tenant: {
         id: user.tenantId._id,
@@ -121,7 +122,7 @@ export const getProfile = async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role,
+        role: user.getRole(),
       },
       tenant: {
         id: user.tenantId._id,
@@ -169,7 +170,7 @@ export const updateProfile = async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role,
+        role: user.getRole(),
       },
     });
   } catch (error) {
@@ -205,3 +206,86 @@ export const changePassword = async (req, res) => {
     res.status(500).json({ error: "Failed to change password" });
   }
 };
+
+// Look up an invitation from its link so the accept page can show who invited whom
+export const getInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+
+    if (!invitation || !invitation.isUsable() || !invitation.tenantId) {
+      return res
+        .status(404)
+        .json({ error: "This invitation is invalid or has expired" });
+    }
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      tenant: { name: invitation.tenantId.name },
+      expiresAt: invitation.expiresAt,
+    });
+  } catch (error) {
+    console.error("Get invitation error:", error);
+    res.status(500).json({ error: "Failed to load invitation" });
+  }
+};
+
+// Accept an invitation, creating the user in the inviting tenant
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!name || !password) {
+      return res.status(400).json({ error: "Name and password are required" });
+    }
+
+    const invitation = await Invitation.findByToken(token);
+    if (!invitation || !invitation.isUsable() || !invitation.tenantId?.isActive) {
+      return res
+        .status(400)
+        .json({ error: "This invitation is invalid or has expired" });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({ error: "User already exists" });
+    }
+
+    const tenant = invitation.tenantId;
+    const user = new User({
+      email: invitation.email,
+      password,
+      name,
+      role: invitation.role,
+      tenantId: tenant._id,
+    });
+    await user.save();
+
+    invitation.status = "accepted";
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    const authToken = generateToken(user._id);
+
+    res.status(201).json({
+      message: "Invitation accepted",
+      token: authToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.getRole(),
+      },
+      tenant: {
+        id: tenant._id,
+        name: tenant.name,
+        widgetKey: tenant.widgetKey,
+        brandSettings: tenant.brandSettings,
+        subscription: tenant.subscription,
+      },
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    res.status(500).json({ error: "Failed to accept invitation" });
+  }
+};
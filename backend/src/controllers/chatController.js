@@ -1,26 +1,38 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
 import Tenant from "../models/Tenant.js";
 import Embedding from "../models/Embedding.js";
-import { generateEmbeddings } from "../services/embeddingService.mock.js";
-import { findSimilarDocuments } from "../services/similarityService.js";
-import { generateChatResponse as generateChatResponsePDF } from "../services/chatService.pdf.js";
-import { generateChatResponse as generateChatResponseAI } from "../services/chatService.js";
-
-// Try OpenAI first; if it fails for any reason, fall back to PDF-grounded
-const generateChatResponse = async (message, context, options) => {
-  if (process.env.OPENAI_API_KEY) {
-    try {
-      return await generateChatResponseAI(message, context, options);
-    } catch (err) {
-      console.error("[CHAT] OpenAI failed, falling back to PDF service:", err.message);
-    }
-  }
-  return generateChatResponsePDF(message, context, options);
-};
+import Conversation, {
+  WIDGET_CHANNELS,
+  isWidgetSessionId,
+} from "../models/Conversation.js";
+import {
+  generateEmbeddings,
+  getMinSimilarity,
+} from "../services/embeddingService.js";
+import { findRelevantDocuments } from "../services/similarityService.js";
+import { generateAssistantResponse } from "../services/assistantService.js";
+import { resolveProviderChain } from "../services/llmService.js";
+import {
+  getConversationHistory,
+  rewriteFollowUpQuery,
+} from "../services/contextService.js";
+import { recordUnansweredQuestion } from "../services/knowledgeGapService.js";
+import { getQaPairAnswer } from "../services/qaService.js";
+import { getOverrideAnswer } from "../services/overrideService.js";
+import { buildCitations, toSource } from "../services/citationService.js";
+import {
+  forwardVisitorMessage,
+  getHandoffState,
+  requestHandoff,
+  shouldEscalate,
+} from "../services/handoffService.js";
 
 // Handle chat query
 export const handleChatQuery = async (req, res) => {
   try {
-    const { tenantKey, message, sessionId } = req.body;
+    const { tenantKey, message } = req.body;
+    const sessionId = req.body.sessionId || uuidv4();
 
     if (!tenantKey || !message) {
       return res.status(400).json({
@@ -28,6 +40,11 @@ export const handleChatQuery = async (req, res) => {
       });
     }
 
+    // Visitors may only continue widget sessions, never a social transcript
+    if (!isWidgetSessionId(sessionId)) {
+      return res.status(400).json({ error: "Invalid sessionId" });
+    }
+
     // Find tenant by widget key
     const tenant = await Tenant.findOne({
       widgetKey: tenantKey,
@@ -45,48 +62,145 @@ export const handleChatQuery = async (req, res) => {
       });
     }
 
-    // Generate embedding for user query
-    const queryEmbedding = await generateEmbeddings(message);
-
-    // Find similar documents with lower threshold to get more results for analysis
-    const similarDocs = await findSimilarDocuments(tenant._id, queryEmbedding, {
-      limit: 10,
-      // Lower threshold to catch documents with very small cosine similarity due to mock embeddings
-      minSimilarity: 0.02, // tuned for the deterministic mock algorithm
-    });
+    // A human agent owns the conversation; the bot stays silent
+    const handoff = await getHandoffState(tenant._id, sessionId);
+    if (["queued", "claimed"].includes(handoff?.status)) {
+      await forwardVisitorMessage(tenant, sessionId, message);
+      return res.json({
+        response: null,
+        sessionId,
+        messageType: "handoff",
+        handoff: { status: handoff.status, agentName: handoff.agentName },
+        timestamp: new Date().toISOString(),
+      });
+    }
 
-    console.log(`[CHAT] Query: "${message.substring(0, 50)}..."`);
-    console.log(`[CHAT] Found ${similarDocs.length} similar documents`);
+    // Pinned answers skip retrieval and generation entirely
+    const overrideResponse = await getOverrideAnswer(tenant._id, message);
 
-    // Pass individual chunks (as array) so the chat service can score each one
+    let searchQuery = message;
     let response;
     let sources = [];
 
-    if (similarDocs.length > 0) {
-      const docsToUse = similarDocs.slice(0, 10);
-      const chunks = docsToUse.map((doc) => doc.embedding.text);
-
-      console.log(`[CHAT] Passing ${chunks.length} chunks to chat service`);
-      response = await generateChatResponse(message, chunks);
-
-      sources = docsToUse.slice(0, 3).map((doc) => ({
-        text: doc.embedding.text.substring(0, 300) + "...",
-        similarity: Math.round(doc.similarity * 100) / 100,
-        documentId: doc.embedding.documentId,
-        chunkIndex: doc.embedding.metadata.chunkIndex,
-      }));
+    if (overrideResponse) {
+      response = overrideResponse;
     } else {
-      console.log(`[CHAT] ❌ NO DOCUMENTS FOUND AT ALL`);
-      response = await generateChatResponse(message, []);
-      sources = [];
+      // Earlier turns: passed in by the socket session, otherwise from the stored conversation
+      const history =
+        req.history ||
+        (await getConversationHistory(tenant._id, sessionId, {
+          channels: WIDGET_CHANNELS,
+        }));
+
+      // Follow-ups like "what about for enterprise?" are searched as standalone questions
+      searchQuery = await rewriteFollowUpQuery(
+        message,
+        history,
+        resolveProviderChain(tenant.assistant)
+      );
+
+      // Generate embedding for user query
+      const queryEmbedding = await generateEmbeddings(searchQuery, tenant._id);
+
+      // Find similar documents; the threshold depends on the embedding provider
+      const similarDocs = await findRelevantDocuments(
+        tenant,
+        searchQuery,
+        queryEmbedding,
+        {
+          limit: 10,
+          minSimilarity: await getMinSimilarity(tenant._id),
+        }
+      );
+
+      console.log(`[CHAT] Query: "${message.substring(0, 50)}..."`);
+      console.log(`[CHAT] Found ${similarDocs.length} similar documents`);
+
+      // A Q&A pair written for this question is answered word for word
+      const qaResponse = await getQaPairAnswer(tenant._id, similarDocs);
+
+      if (qaResponse) {
+        response = qaResponse;
+        sources = similarDocs.slice(0, 1).map(toSource);
+      } else if (similarDocs.length > 0) {
+        // Pass individual chunks (as array) so the chat service can score each one
+        const docsToUse = similarDocs.slice(0, 10);
+        const chunks = docsToUse.map((doc) => doc.embedding.text);
+
+        console.log(`[CHAT] Passing ${chunks.length} chunks to chat service`);
+        response = await generateAssistantResponse(
+          tenant,
+          message,
+          chunks,
+          { history, standaloneQuery: searchQuery },
+          req.onToken
+        );
+
+        sources = docsToUse.slice(0, 3).map(toSource);
+      } else {
+        console.log(`[CHAT] ❌ NO DOCUMENTS FOUND AT ALL`);
+        response = await generateAssistantResponse(
+          tenant,
+          message,
+          [],
+          { history, standaloneQuery: searchQuery },
+          req.onToken
+        );
+        sources = [];
+      }
     }
 
     // Increment query count
     await tenant.incrementQueryCount();
 
+    // The stored reply's id; the widget sends it back with answer feedback
+    const messageId = req.messageId || new mongoose.Types.ObjectId().toString();
+
+    // Store the exchange; a failed write should not cost the visitor their answer
+    try {
+      await Conversation.recordExchange(tenant._id, sessionId, message, response, {
+        sources,
+        channel: req.channel || "widget",
+        channels: WIDGET_CHANNELS,
+        messageId,
+      });
+    } catch (recordError) {
+      console.error("[CHAT] Failed to record conversation:", recordError.message);
+    }
+
+    // Misses feed the knowledge-gap report
+    recordUnansweredQuestion(tenant._id, message, response, {
+      searchQuery,
+      channel: req.channel || "widget",
+      sessionId,
+      sources,
+    });
+
+    // Weak answers bring in an agent. The socket path queues the handoff
+    // itself once the answer is sent, so the notice follows the answer.
+    let escalation = shouldEscalate(tenant, response)
+      ? { status: "queued" }
+      : undefined;
+    if (escalation && !req.deferHandoff) {
+      try {
+        await requestHandoff(tenant, sessionId, "lowConfidence");
+      } catch (handoffError) {
+        console.error("[CHAT] Failed to request handoff:", handoffError.message);
+        escalation = undefined;
+      }
+    }
+
     res.json({
       response: response.message,
       sessionId,
+      messageId,
+      confidence: response.confidence,
+      source: response.source,
+      messageType: response.messageType,
+      isFallback: response.isFallback || false,
+      sources,
+      citations: buildCitations(sources),
+      handoff: escalation,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -115,38 +229,55 @@ export const testChatQuery = async (req, res) => {
 
     const tenant = user.tenantId;
 
-    // Generate embedding for user query
-    const queryEmbedding = await generateEmbeddings(message);
-
-    // Find similar documents with lower threshold for test mode
-    const similarDocs = await findSimilarDocuments(tenant._id, queryEmbedding, {
-      limit: 10,
-      minSimilarity: 0.15, // Adjusted threshold for test mode with mock embeddings
+    // Answered as a visitor would be: pinned answers first, then retrieval
+    // at the embedding provider's threshold. Test hits aren't counted.
+    const overrideResponse = await getOverrideAnswer(tenant._id, message, {
+      recordHit: false,
     });
 
-    console.log(`[CHAT] Query: "${message.substring(0, 50)}..."`);
-    console.log(`[CHAT] Found ${similarDocs.length} similar documents`);
-
     let response;
     let sources = [];
 
-    if (similarDocs.length > 0) {
-      const docsToUse = similarDocs.slice(0, 10);
-      const chunks = docsToUse.map((doc) => doc.embedding.text);
-
-      console.log(`[CHAT-TEST] Passing ${chunks.length} chunks to chat service`);
-      response = await generateChatResponse(message, chunks);
-
-      sources = docsToUse.slice(0, 3).map((doc) => ({
-        text: doc.embedding.text.substring(0, 300) + "...",
-        similarity: Math.round(doc.similarity * 100) / 100,
-        documentId: doc.embedding.documentId,
-        chunkIndex: doc.embedding.metadata.chunkIndex,
-      }));
+    if (overrideResponse) {
+      response = overrideResponse;
     } else {
-      console.log(`[CHAT-TEST] ❌ NO DOCUMENTS FOUND`);
-      response = await generateChatResponse(message, []);
-      sources = [];
+      // Generate embedding for user query
+      const queryEmbedding = await generateEmbeddings(message, tenant._id);
+
+      const similarDocs = await findRelevantDocuments(
+        tenant,
+        message,
+        queryEmbedding,
+        {
+          limit: 10,
+          minSimilarity: await getMinSimilarity(tenant._id),
+        }
+      );
+
+      console.log(`[CHAT] Query: "${message.substring(0, 50)}..."`);
+      console.log(`[CHAT] Found ${similarDocs.length} similar documents`);
+
+      // A Q&A pair written for this question is answered word for word
+      const qaResponse = await getQaPairAnswer(tenant._id, similarDocs);
+
+      if (qaResponse) {
+        response = qaResponse;
+        sources = similarDocs.slice(0, 1).map(toSource);
+      } else if (similarDocs.length > 0) {
+        const docsToUse = similarDocs.slice(0, 10);
+        const chunks = docsToUse.map((doc) => doc.embedding.text);
+
+        console.log(
+          `[CHAT-TEST] Passing ${chunks.length} chunks to chat service`
+        );
+        response = await generateAssistantResponse(tenant, message, chunks);
+
+        sources = docsToUse.slice(0, 3).map(toSource);
+      } else {
+        console.log(`[CHAT-TEST] ❌ NO DOCUMENTS FOUND`);
+        response = await generateAssistantResponse(tenant, message, []);
+        sources = [];
+      }
     }
 
     res.json({
@@ -169,12 +300,16 @@ export const testChatQuery = async (req, res) => {
   }
 };
 
-// Get chat history (if needed for future features)
+// Get chat history for a widget session
 export const getChatHistory = async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { tenantKey } = req.query;
 
+    if (!isWidgetSessionId(sessionId)) {
+      return res.status(400).json({ error: "Invalid sessionId" });
+    }
+
     // Find tenant
     const tenant = await Tenant.findOne({
       widgetKey: tenantKey,
@@ -185,11 +320,28 @@ export const getChatHistory = async (req, res) => {
       return res.status(401).json({ error: "Invalid tenant key" });
     }
 
-    // For now, return empty history
-    // In a full implementation, you'd store chat sessions in a separate collection
+    // Only widget transcripts are visible to widget visitors
+    const conversation = await Conversation.findOne({
+      tenantId: tenant._id,
+      sessionId,
+      channel: { $in: WIDGET_CHANNELS },
+    }).populate(
+      "messages.sources.documentId",
+      "originalName fileType metadata.title metadata.sourceUrl"
+    );
+
+    // Bot replies carry their citations, as when they were first sent
+    const messages = (conversation ? conversation.getTranscript() : []).map(
+      (message) =>
+        message.sources?.length
+          ? { ...message, citations: buildCitations(message.sources) }
+          : message
+    );
+
     res.json({
       sessionId,
-      messages: [],
+      channel: conversation?.channel || null,
+      messages,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -0,0 +1,246 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Conversation, {
+  LOW_CONFIDENCE_THRESHOLD,
+} from "../models/Conversation.js";
+import {
+  parseAnalyticsRange,
+  computeConversationAnalytics,
+  computeFeedbackAnalytics,
+} from "../services/analyticsService.js";
+
+const CHANNELS = ["widget", "socket", "whatsapp", "instagram"];
+
+// Build the MongoDB filter for the inbox from query parameters
+const buildConversationFilter = (tenantId, query) => {
+  const { channel, from, to, fallback, lowConfidence, search } = query;
+
+  const filter = { tenantId };
+
+  if (channel && CHANNELS.includes(channel)) {
+    filter.channel = channel;
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+
+  if (fromDate && !isNaN(fromDate)) {
+    filter.lastMessageAt = { ...filter.lastMessageAt, $gte: fromDate };
+  }
+
+  if (toDate && !isNaN(toDate)) {
+    // A bare date ("2024-01-31") should include the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+    filter.lastMessageAt = { ...filter.lastMessageAt, $lte: toDate };
+  }
+
+  const botConditions = [];
+
+  if (fallback === "true") {
+    botConditions.push({
+      messages: {
+        $elemMatch: {
+          role: "bot",
+          $or: [{ isFallback: true }, { messageType: "notFound" }],
+        },
+      },
+    });
+  }
+
+  if (lowConfidence === "true") {
+    botConditions.push({
+      messages: {
+        $elemMatch: {
+          role: "bot",
+          confidence: { $lt: LOW_CONFIDENCE_THRESHOLD },
+        },
+      },
+    });
+  }
+
+  if (botConditions.length > 0) {
+    filter.$and = botConditions;
+  }
+
+  if (search && search.trim()) {
+    filter.$text = { $search: search.trim() };
+  }
+
+  return filter;
+};
+
+// List conversations for the admin inbox
+export const getConversations = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const user = await User.findById(userId).populate("tenantId");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const tenantId = new mongoose.Types.ObjectId(user.tenantId._id);
+    const filter = buildConversationFilter(tenantId, req.query);
+
+    const conversations = await Conversation.aggregate([
+      { $match: filter },
+      { $sort: { lastMessageAt: -1 } },
+      { $skip: (pageNum - 1) * limitNum },
+      { $limit: limitNum },
+      {
+        $project: {
+          sessionId: 1,
+          channel: 1,
+          externalUserId: 1,
+          messageCount: 1,
+          lastMessageAt: 1,
+          createdAt: 1,
+          firstMessage: { $arrayElemAt: ["$messages.content", 0] },
+          lastMessage: { $arrayElemAt: ["$messages.content", -1] },
+          fallbackCount: {
+            $size: {
+              $filter: {
+                input: "$messages",
+                as: "m",
+                cond: {
+                  $and: [
+                    { $eq: ["$$m.role", "bot"] },
+                    {
+                      $or: [
+                        { $eq: ["$$m.isFallback", true] },
+                        { $eq: ["$$m.messageType", "notFound"] },
+                      ],
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          lowConfidenceCount: {
+            $size: {
+              $filter: {
+                input: "$messages",
+                as: "m",
+                cond: {
+                  $and: [
+                    { $eq: ["$$m.role", "bot"] },
+                    { $ne: [{ $type: "$$m.confidence" }, "missing"] },
+                    { $lt: ["$$m.confidence", LOW_CONFIDENCE_THRESHOLD] },
+                  ],
+                },
+              },
+            },
+          },
+        },
+      },
+    ]);
+
+    const total = await Conversation.countDocuments(filter);
+
+    res.json({
+      conversations,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+      lowConfidenceThreshold: LOW_CONFIDENCE_THRESHOLD,
+    });
+  } catch (error) {
+    console.error("Get conversations error:", error);
+    res.status(500).json({ error: "Failed to get conversations" });
+  }
+};
+
+// Get the full transcript of one conversation
+export const getConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.userId;
+
+    const user = await User.findById(userId).populate("tenantId");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      tenantId: user.tenantId._id,
+    })
+      .populate("messages.sources.documentId", "originalName")
+      .populate("messages.overrideRuleId", "name");
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json({
+      conversation: {
+        id: conversation._id,
+        sessionId: conversation.sessionId,
+        channel: conversation.channel,
+        externalUserId: conversation.externalUserId,
+        messageCount: conversation.messageCount,
+        createdAt: conversation.createdAt,
+        lastMessageAt: conversation.lastMessageAt,
+        messages: conversation.getTranscript(),
+      },
+      lowConfidenceThreshold: LOW_CONFIDENCE_THRESHOLD,
+    });
+  } catch (error) {
+    console.error("Get conversation error:", error);
+    res.status(500).json({ error: "Failed to get conversation" });
+  }
+};
+
+// Conversation analytics for a date range (?from, ?to, ?timezone)
+export const getConversationAnalytics = async (req, res) => {
+  try {
+    let range;
+    try {
+      range = parseAnalyticsRange(req.query);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const analytics = await computeConversationAnalytics(
+      req.tenant._id,
+      range
+    );
+
+    res.json({ analytics });
+  } catch (error) {
+    console.error("Get conversation analytics error:", error);
+    res.status(500).json({ error: "Failed to get conversation analytics" });
+  }
+};
+
+// Get answer feedback analytics (?from, ?to, ?timezone)
+export const getFeedbackAnalytics = async (req, res) => {
+  try {
+    let range;
+    try {
+      range = parseAnalyticsRange(req.query);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const analytics = await computeFeedbackAnalytics(req.tenant._id, range);
+
+    res.json({ analytics });
+  } catch (error) {
+    console.error("Get feedback analytics error:", error);
+    res.status(500).json({ error: "Failed to get feedback analytics" });
+  }
+};
@@ -0,0 +1,137 @@
+import Document from "../models/Document.js";
+import DocumentVersion from "../models/DocumentVersion.js";
+import {
+  ensureInitialVersion,
+  rollbackToVersion,
+  diffVersions,
+} from "../services/documentVersionService.js";
+
+// Shape of a version in the history list (without its text)
+const toVersion = (version) => ({
+  version: version.version,
+  status: version.status,
+  changeType: version.changeType,
+  note: version.note,
+  restoredFrom: version.restoredFrom,
+  originalName: version.originalName,
+  fileType: version.fileType,
+  fileSize: version.fileSize,
+  createdBy: version.createdBy?.name,
+  createdAt: version.createdAt,
+  liveAt: version.liveAt,
+});
+
+// Load an active document of the current user's tenant
+const findDocument = (req) =>
+  Document.findOne({
+    _id: req.params.documentId,
+    tenantId: req.tenant._id,
+    isActive: true,
+  });
+
+const findVersion = (documentId, version) =>
+  DocumentVersion.findOne({ documentId, version: parseInt(version) });
+
+// Get a document's version history
+export const getDocumentVersions = async (req, res) => {
+  try {
+    const document = await findDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    await ensureInitialVersion(document);
+
+    const versions = await DocumentVersion.find({ documentId: document._id })
+      .select("-content")
+      .populate("createdBy", "name")
+      .sort({ version: -1 });
+
+    res.json({
+      liveVersion: document.version,
+      pendingVersion: document.pendingVersion || null,
+      versions: versions.map(toVersion),
+    });
+  } catch (error) {
+    console.error("Get document versions error:", error);
+    res.status(500).json({ error: "Failed to get document versions" });
+  }
+};
+
+// Get one version including its text
+export const getDocumentVersion = async (req, res) => {
+  try {
+    const document = await findDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const version = await findVersion(document._id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    res.json({ ...toVersion(version), content: version.content });
+  } catch (error) {
+    console.error("Get document version error:", error);
+    res.status(500).json({ error: "Failed to get document version" });
+  }
+};
+
+// Diff a version against another (default: the live version)
+export const diffDocumentVersions = async (req, res) => {
+  try {
+    const document = await findDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const against = req.query.against || document.version;
+    const [from, to] = await Promise.all([
+      findVersion(document._id, against),
+      findVersion(document._id, req.params.version),
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    res.json({
+      from: from.version,
+      to: to.version,
+      ...diffVersions(from, to),
+    });
+  } catch (error) {
+    console.error("Diff document versions error:", error);
+    res.status(500).json({ error: "Failed to diff document versions" });
+  }
+};
+
+// Restore an earlier version as a new version
+export const rollbackDocument = async (req, res) => {
+  try {
+    const document = await findDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const version = await findVersion(document._id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    if (version.version === document.version && !document.pendingVersion) {
+      return res.status(400).json({ error: "This version is already live" });
+    }
+
+    const restored = await rollbackToVersion(document, version, req.userId);
+
+    res.status(202).json({
+      message: `Restoring version ${version.version} as version ${restored.version}. It goes live once re-indexed.`,
+      version: restored.version,
+    });
+  } catch (error) {
+    console.error("Rollback document error:", error);
+    res.status(500).json({ error: "Failed to roll back document" });
+  }
+};
@@ -0,0 +1,59 @@
+import {
+  getEmbeddingIndexStatus,
+  startEmbeddingMigration,
+  cancelEmbeddingMigration,
+} from "../services/embeddingMigrationService.js";
+
+// Errors from embeddingMigrationService carry the HTTP status they map to
+const sendError = (res, error, fallbackMessage, logLabel) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel} error:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// Live and configured embedding models, and the latest re-embedding
+export const getEmbeddingIndex = async (req, res) => {
+  try {
+    const status = await getEmbeddingIndexStatus(req.tenant._id);
+    res.json(status);
+  } catch (error) {
+    console.error("Get embedding index error:", error);
+    res.status(500).json({ error: "Failed to get search index status" });
+  }
+};
+
+// Re-embed all content with the configured model; `refit` fits a new local
+// model on the current content first
+export const reembedContent = async (req, res) => {
+  try {
+    await startEmbeddingMigration(req.tenant._id, {
+      reason: "manual",
+      refit: Boolean(req.body?.refit),
+      requestedBy: req.userId,
+    });
+
+    const status = await getEmbeddingIndexStatus(req.tenant._id);
+    res.status(202).json({ message: "Re-embedding started", ...status });
+  } catch (error) {
+    sendError(res, error, "Failed to start re-embedding", "Re-embed content");
+  }
+};
+
+// Cancel a re-embedding before the new index goes live
+export const cancelReembedding = async (req, res) => {
+  try {
+    await cancelEmbeddingMigration(req.tenant._id);
+
+    const status = await getEmbeddingIndexStatus(req.tenant._id);
+    res.json({ message: "Re-embedding cancelled", ...status });
+  } catch (error) {
+    sendError(
+      res,
+      error,
+      "Failed to cancel re-embedding",
+      "Cancel re-embedding"
+    );
+  }
+};
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import { parseAnalyticsRange } from "../services/analyticsService.js";
+import {
+  getKnowledgeGapReport,
+  answerKnowledgeGap,
+  dismissKnowledgeGap,
+} from "../services/knowledgeGapService.js";
+import { normalizeQaPairInput } from "../services/qaService.js";
+
+// Keep only well-formed ObjectIds from a request body list
+const parseQuestionIds = (questionIds) =>
+  Array.isArray(questionIds)
+    ? questionIds.filter((id) => mongoose.Types.ObjectId.isValid(id))
+    : [];
+
+// Get open knowledge gaps grouped by similar questions (?from, ?to, ?timezone)
+export const getKnowledgeGaps = async (req, res) => {
+  try {
+    let range;
+    try {
+      range = parseAnalyticsRange(req.query);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const report = await getKnowledgeGapReport(req.tenant._id, {
+      from: range.from,
+      to: range.to,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error("Get knowledge gaps error:", error);
+    res.status(500).json({ error: "Failed to get knowledge gaps" });
+  }
+};
+
+// Turn a group of questions into a Q&A pair
+export const answerKnowledgeGapGroup = async (req, res) => {
+  try {
+    let fields;
+    try {
+      fields = normalizeQaPairInput(req.body);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const pair = await answerKnowledgeGap(req.tenant, {
+      fields,
+      questionIds: parseQuestionIds(req.body.questionIds),
+      userId: req.userId,
+    });
+
+    res.status(201).json({
+      message: "Q&A pair added to the knowledge base",
+      pair,
+    });
+  } catch (error) {
+    console.error("Answer knowledge gap error:", error);
+    res.status(500).json({ error: "Failed to add Q&A pair" });
+  }
+};
+
+// Remove a group of questions from the report without answering them
+export const dismissKnowledgeGapGroup = async (req, res) => {
+  try {
+    const questionIds = parseQuestionIds(req.body.questionIds);
+
+    if (questionIds.length === 0) {
+      return res.status(400).json({ error: "questionIds are required" });
+    }
+
+    const dismissed = await dismissKnowledgeGap(
+      req.tenant._id,
+      questionIds,
+      req.userId
+    );
+
+    res.json({ message: "Questions dismissed", dismissed });
+  } catch (error) {
+    console.error("Dismiss knowledge gap error:", error);
+    res.status(500).json({ error: "Failed to dismiss questions" });
+  }
+};
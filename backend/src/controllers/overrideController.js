@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+import OverrideRule from "../models/OverrideRule.js";
+import {
+  normalizeOverrideRuleInput,
+  saveOverrideRule,
+  findOverrideRule,
+} from "../services/overrideService.js";
+
+// Errors from overrideService carry the HTTP status they map to
+const sendError = (res, error, fallbackMessage, logLabel) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel} error:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const findTenantRule = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? OverrideRule.findOne({ _id: req.params.id, tenantId: req.tenant._id })
+    : null;
+
+// List override rules in the order they are checked
+export const getOverrideRules = async (req, res) => {
+  try {
+    const rules = await OverrideRule.find({ tenantId: req.tenant._id })
+      .sort({ priority: 1, createdAt: 1 })
+      .lean();
+
+    res.json({ rules });
+  } catch (error) {
+    console.error("Get override rules error:", error);
+    res.status(500).json({ error: "Failed to get override rules" });
+  }
+};
+
+// Create an override rule
+export const createOverrideRule = async (req, res) => {
+  try {
+    const rule = new OverrideRule({
+      ...normalizeOverrideRuleInput(req.body),
+      tenantId: req.tenant._id,
+      createdBy: req.userId,
+      updatedBy: req.userId,
+    });
+
+    const saved = await saveOverrideRule(rule);
+
+    res.status(201).json({ message: "Override rule created", rule: saved });
+  } catch (error) {
+    sendError(
+      res,
+      error,
+      "Failed to create override rule",
+      "Create override rule"
+    );
+  }
+};
+
+// Update an override rule
+export const updateOverrideRule = async (req, res) => {
+  try {
+    const rule = await findTenantRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: "Override rule not found" });
+    }
+
+    Object.assign(
+      rule,
+      normalizeOverrideRuleInput(req.body, { partial: true }),
+      { updatedBy: req.userId }
+    );
+    const saved = await saveOverrideRule(rule);
+
+    res.json({ message: "Override rule updated", rule: saved });
+  } catch (error) {
+    sendError(
+      res,
+      error,
+      "Failed to update override rule",
+      "Update override rule"
+    );
+  }
+};
+
+// Delete an override rule
+export const deleteOverrideRule = async (req, res) => {
+  try {
+    const rule = await findTenantRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: "Override rule not found" });
+    }
+
+    await rule.deleteOne();
+
+    res.json({ message: "Override rule deleted" });
+  } catch (error) {
+    console.error("Delete override rule error:", error);
+    res.status(500).json({ error: "Failed to delete override rule" });
+  }
+};
+
+// Check which rule, if any, would answer a message (nothing is recorded)
+export const testOverrideRules = async (req, res) => {
+  try {
+    const message = req.body.message?.trim();
+    if (!message) {
+      return res.status(400).json({ error: "Message is required" });
+    }
+
+    const match = await findOverrideRule(req.tenant._id, message);
+
+    res.json({
+      matched: Boolean(match),
+      ...(match && {
+        rule: { _id: match.rule._id, name: match.rule.name },
+        trigger: match.trigger,
+        response: match.rule.response,
+      }),
+    });
+  } catch (error) {
+    console.error("Test override rules error:", error);
+    res.status(500).json({ error: "Failed to test override rules" });
+  }
+};
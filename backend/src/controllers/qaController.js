@@ -0,0 +1,193 @@
+import multer from "multer";
+import mongoose from "mongoose";
+import QaPair from "../models/QaPair.js";
+import {
+  normalizeQaPairInput,
+  addQaPair,
+  indexQaPair,
+  deleteQaPair as removeQaPair,
+  renameQaCategory,
+  reorderQaPairs as saveQaOrder,
+  parseQaImportFile,
+  importQaPairs as createQaPairs,
+} from "../services/qaService.js";
+
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5MB limit
+
+// Import files are small and parsed straight from memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Allowed types: CSV, JSON."));
+    }
+  },
+});
+
+// Errors from qaService carry the HTTP status they map to
+const sendError = (res, error, fallbackMessage, logLabel) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel} error:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const findTenantPair = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? QaPair.findOne({ _id: req.params.id, tenantId: req.tenant._id })
+    : null;
+
+// List Q&A pairs in admin order with their categories
+export const getQaPairs = async (req, res) => {
+  try {
+    const pairs = await QaPair.find({ tenantId: req.tenant._id })
+      .sort({ order: 1, createdAt: 1 })
+      .lean();
+
+    // Categories in the order their first pair appears
+    const categories = [...new Set(pairs.map((pair) => pair.category))];
+
+    res.json({ pairs, categories });
+  } catch (error) {
+    console.error("Get Q&A pairs error:", error);
+    res.status(500).json({ error: "Failed to get Q&A pairs" });
+  }
+};
+
+// Create a Q&A pair and embed it
+export const createQaPair = async (req, res) => {
+  try {
+    const pair = await addQaPair(
+      req.tenant._id,
+      normalizeQaPairInput(req.body),
+      req.userId
+    );
+
+    res.status(201).json({ message: "Q&A pair created", pair });
+  } catch (error) {
+    sendError(res, error, "Failed to create Q&A pair", "Create Q&A pair");
+  }
+};
+
+// Update a Q&A pair; its phrasings are embedded again
+export const updateQaPair = async (req, res) => {
+  try {
+    const pair = await findTenantPair(req);
+    if (!pair) {
+      return res.status(404).json({ error: "Q&A pair not found" });
+    }
+
+    Object.assign(pair, normalizeQaPairInput(req.body, { partial: true }), {
+      updatedBy: req.userId,
+      embeddingStatus: "pending",
+    });
+    await pair.save();
+
+    res.json({ message: "Q&A pair updated", pair: await indexQaPair(pair) });
+  } catch (error) {
+    sendError(res, error, "Failed to update Q&A pair", "Update Q&A pair");
+  }
+};
+
+// Delete a Q&A pair and its embeddings
+export const deleteQaPair = async (req, res) => {
+  try {
+    const pair = await findTenantPair(req);
+    if (!pair) {
+      return res.status(404).json({ error: "Q&A pair not found" });
+    }
+
+    await removeQaPair(pair);
+
+    res.json({ message: "Q&A pair deleted" });
+  } catch (error) {
+    console.error("Delete Q&A pair error:", error);
+    res.status(500).json({ error: "Failed to delete Q&A pair" });
+  }
+};
+
+// Save the order of Q&A pairs ({ pairIds } in their new order)
+export const reorderQaPairs = async (req, res) => {
+  try {
+    const { pairIds } = req.body;
+
+    if (
+      !Array.isArray(pairIds) ||
+      !pairIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return res.status(400).json({ error: "pairIds must be a list of IDs" });
+    }
+
+    await saveQaOrder(req.tenant._id, pairIds);
+
+    res.json({ message: "Order saved" });
+  } catch (error) {
+    console.error("Reorder Q&A pairs error:", error);
+    res.status(500).json({ error: "Failed to save order" });
+  }
+};
+
+// Rename a category, moving all of its pairs ({ from, to })
+export const renameQaPairCategory = async (req, res) => {
+  try {
+    const from = req.body.from?.trim();
+    const to = req.body.to?.trim();
+
+    if (!from || !to) {
+      return res.status(400).json({ error: "from and to are required" });
+    }
+
+    if (to.length > 100) {
+      return res
+        .status(400)
+        .json({ error: "Category must be 100 characters or less" });
+    }
+
+    const moved = await renameQaCategory(req.tenant._id, from, to);
+
+    res.json({ message: "Category renamed", moved });
+  } catch (error) {
+    console.error("Rename Q&A category error:", error);
+    res.status(500).json({ error: "Failed to rename category" });
+  }
+};
+
+// Bulk import Q&A pairs from a CSV/JSON file ("file") or a JSON body ({ pairs })
+export const importQaPairs = (req, res) => {
+  importUpload.single("file")(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const rows = req.file
+        ? await parseQaImportFile(req.file)
+        : req.body.pairs;
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ error: "No Q&A pairs to import" });
+      }
+
+      const result = await createQaPairs(req.tenant._id, rows, req.userId);
+
+      if (result.created === 0) {
+        return res
+          .status(400)
+          .json({ error: "No valid Q&A pairs found", ...result });
+      }
+
+      res.status(201).json({
+        message: `Imported ${result.created} Q&A pair(s)`,
+        ...result,
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to import Q&A pairs", "Import Q&A pairs");
+    }
+  });
+};
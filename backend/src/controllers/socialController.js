@@ -0,0 +1,356 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import Tenant from "../models/Tenant.js";
+import {
+  testWhatsAppConnection,
+  testInstagramConnection,
+} from "../services/socialService.js";
+
+const PLATFORMS = ["whatsapp", "instagram"];
+
+// Generate a random token for Meta's webhook verification handshake
+const generateVerifyToken = () => crypto.randomBytes(24).toString("hex");
+
+// Public base URL of the webhook routes, as Meta should call them
+const getWebhookBaseUrl = (req) => {
+  const backendUrl = process.env.BACKEND_URL?.replace(/\/$/, "");
+  if (backendUrl) {
+    return `${backendUrl}/api/webhooks`;
+  }
+
+  const protocol = req.get("x-forwarded-proto") || req.protocol;
+  return `${protocol}://${req.get("host")}/api/webhooks`;
+};
+
+// Make sure both platforms have a verify token the admin can copy into Meta
+const ensureVerifyTokens = async (tenant) => {
+  let changed = false;
+
+  for (const platform of PLATFORMS) {
+    if (!tenant[platform]?.verifyToken) {
+      tenant.set(`${platform}.verifyToken`, generateVerifyToken());
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await tenant.save();
+  }
+};
+
+// Webhook signatures can be checked with the tenant's own secret or a shared one
+const hasAppSecret = (tenant, platform) =>
+  !!(tenant[platform]?.appSecret || process.env.META_APP_SECRET);
+
+// Check whether another tenant already routes webhooks for the same account
+const isAccountTaken = async (tenantId, field, value) => {
+  if (!value) return false;
+
+  const existing = await Tenant.findOne({
+    _id: { $ne: tenantId },
+    [field]: value,
+  }).select("_id");
+
+  return !!existing;
+};
+
+// Get social integration settings
+export const getSocialSettings = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const user = await User.findById(userId).populate("tenantId");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const tenant = user.tenantId;
+    await ensureVerifyTokens(tenant);
+
+    res.json({
+      ...tenant.getSocialSettings(),
+      webhookBaseUrl: getWebhookBaseUrl(req),
+    });
+  } catch (error) {
+    console.error("Get social settings error:", error);
+    res.status(500).json({ error: "Failed to get social settings" });
+  }
+};
+
+// Update WhatsApp settings
+export const updateWhatsAppSettings = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const user = await User.findById(userId).populate("tenantId");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const tenant = user.tenantId;
+    const {
+      enabled,
+      phoneNumberId,
+      businessAccountId,
+      accessToken,
+      appSecret,
+    } = req.body;
+
+    if (phoneNumberId !== undefined) {
+      if (
+        await isAccountTaken(
+          tenant._id,
+          "whatsapp.phoneNumberId",
+          phoneNumberId.trim()
+        )
+      ) {
+        return res.status(400).json({
+          error: "This phone number ID is already connected to another account",
+        });
+      }
+      tenant.set("whatsapp.phoneNumberId", phoneNumberId.trim());
+    }
+
+    if (businessAccountId !== undefined) {
+      tenant.set("whatsapp.businessAccountId", businessAccountId.trim());
+    }
+
+    // Blank token means "keep the current one"
+    if (accessToken && accessToken.trim()) {
+      tenant.set("whatsapp.accessToken", accessToken.trim());
+    }
+
+    if (appSecret && appSecret.trim()) {
+      tenant.set("whatsapp.appSecret", appSecret.trim());
+    }
+
+    if (enabled !== undefined) {
+      if (
+        enabled &&
+        (!tenant.whatsapp?.phoneNumberId || !tenant.whatsapp?.accessToken)
+      ) {
+        return res.status(400).json({
+          error: "Phone Number ID and access token are required to enable WhatsApp",
+        });
+      }
+
+      if (enabled && !hasAppSecret(tenant, "whatsapp")) {
+        return res.status(400).json({
+          error: "App secret is required to verify incoming WhatsApp webhooks",
+        });
+      }
+
+      tenant.set("whatsapp.enabled", !!enabled);
+      tenant.set(
+        "whatsapp.connectedAt",
+        enabled ? tenant.whatsapp?.connectedAt || new Date() : null
+      );
+    }
+
+    if (!tenant.whatsapp?.verifyToken) {
+      tenant.set("whatsapp.verifyToken", generateVerifyToken());
+    }
+
+    await tenant.save();
+
+    res.json({
+      message: "WhatsApp settings updated successfully",
+      whatsapp: tenant.getSocialSettings().whatsapp,
+    });
+  } catch (error) {
+    console.error("Update WhatsApp settings error:", error);
+    res.status(500).json({ error: "Failed to update WhatsApp settings" });
+  }
+};
+
+// Update Instagram settings
+export const updateInstagramSettings = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const user = await User.findById(userId).populate("tenantId");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const tenant = user.tenantId;
+    const { enabled, pageId, igUserId, accessToken, appSecret } = req.body;
+
+    if (pageId !== undefined) {
+      if (await isAccountTaken(tenant._id, "instagram.pageId", pageId.trim())) {
+        return res.status(400).json({
+          error: "This page ID is already connected to another account",
+        });
+      }
+      tenant.set("instagram.pageId", pageId.trim());
+    }
+
+    if (igUserId !== undefined) {
+      if (
+        await isAccountTaken(tenant._id, "instagram.igUserId", igUserId.trim())
+      ) {
+        return res.status(400).json({
+          error: "This Instagram user ID is already connected to another account",
+        });
+      }
+      tenant.set("instagram.igUserId", igUserId.trim());
+    }
+
+    // Blank token means "keep the current one"
+    if (accessToken && accessToken.trim()) {
+      tenant.set("instagram.accessToken", accessToken.trim());
+    }
+
+    if (appSecret && appSecret.trim()) {
+      tenant.set("instagram.appSecret", appSecret.trim());
+    }
+
+    if (enabled !== undefined) {
+      if (
+        enabled &&
+        (!tenant.instagram?.pageId || !tenant.instagram?.accessToken)
+      ) {
+        return res.status(400).json({
+          error: "Page ID and access token are required to enable Instagram",
+        });
+      }
+
+      if (enabled && !hasAppSecret(tenant, "instagram")) {
+        return res.status(400).json({
+          error: "App secret is required to verify incoming Instagram webhooks",
+        });
+      }
+
+      tenant.set("instagram.enabled", !!enabled);
+      tenant.set(
+        "instagram.connectedAt",
+        enabled ? tenant.instagram?.connectedAt || new Date() : null
+      );
+    }
+
+    if (!tenant.instagram?.verifyToken) {
+      tenant.set("instagram.verifyToken", generateVerifyToken());
+    }
+
+    await tenant.save();
+
+    res.json({
+      message: "Instagram settings updated successfully",
+      instagram: tenant.getSocialSettings().instagram,
+    });
+  } catch (error) {
+    console.error("Update Instagram settings error:", error);
+    res.status(500).json({ error: "Failed to update Instagram settings" });
+  }
+};
+
+// Regenerate the webhook verify token for a platform
+export const regenerateVerifyToken = async (req, res) => {
+  try {
+    const { platform } = req.params;
+    const userId = req.userId;
+
+    if (!PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        error: "Invalid platform. Must be 'whatsapp' or 'instagram'",
+      });
+    }
+
+    const user = await User.findById(userId).populate("tenantId");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const tenant = user.tenantId;
+    const verifyToken = generateVerifyToken();
+    tenant.set(`${platform}.verifyToken`, verifyToken);
+    await tenant.save();
+
+    res.json({
+      message: "Verify token regenerated. Update it in the Meta webhook configuration.",
+      verifyToken,
+    });
+  } catch (error) {
+    console.error("Regenerate verify token error:", error);
+    res.status(500).json({ error: "Failed to regenerate verify token" });
+  }
+};
+
+// Send a test WhatsApp message with the saved credentials
+export const testWhatsApp = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { testPhone } = req.body;
+
+    if (!testPhone || !testPhone.trim()) {
+      return res.status(400).json({ error: "Test phone number is required" });
+    }
+
+    const user = await User.findById(userId).populate("tenantId");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { phoneNumberId, accessToken } = user.tenantId.whatsapp || {};
+    if (!phoneNumberId || !accessToken) {
+      return res.status(400).json({
+        error: "Save a Phone Number ID and access token before testing",
+      });
+    }
+
+    // WhatsApp expects digits only, in international format
+    const result = await testWhatsAppConnection(
+      phoneNumberId,
+      accessToken,
+      testPhone.replace(/[^\d]/g, "")
+    );
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ message: "Test message sent successfully" });
+  } catch (error) {
+    console.error("Test WhatsApp error:", error);
+    res.status(500).json({ error: "Failed to send test message" });
+  }
+};
+
+// Send a test Instagram message with the saved credentials
+export const testInstagram = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { testUserId } = req.body;
+
+    if (!testUserId || !testUserId.trim()) {
+      return res.status(400).json({ error: "Test recipient ID is required" });
+    }
+
+    const user = await User.findById(userId).populate("tenantId");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { pageId, accessToken } = user.tenantId.instagram || {};
+    if (!pageId || !accessToken) {
+      return res.status(400).json({
+        error: "Save a Page ID and access token before testing",
+      });
+    }
+
+    const result = await testInstagramConnection(
+      pageId,
+      accessToken,
+      testUserId.trim()
+    );
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ message: "Test message sent successfully" });
+  } catch (error) {
+    console.error("Test Instagram error:", error);
+    res.status(500).json({ error: "Failed to send test message" });
+  }
+};
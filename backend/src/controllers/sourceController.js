@@ -0,0 +1,242 @@
+import Source from "../models/Source.js";
+import Document from "../models/Document.js";
+import { crawlSource as runCrawl } from "../services/crawlerService.js";
+import { deactivateDocument } from "../services/documentProcessingService.js";
+
+// Shape of a website source as returned to the admin dashboard
+const toSource = (source) => ({
+  id: source._id,
+  type: source.type,
+  name: source.name,
+  url: source.url,
+  crawlSettings: source.crawlSettings,
+  status: source.status,
+  lastCrawledAt: source.lastCrawledAt,
+  nextCrawlAt: source.nextCrawlAt,
+  lastError: source.lastError,
+  lastStats: source.lastStats,
+  createdAt: source.createdAt,
+});
+
+// Accept http(s) URLs only
+const parseSourceUrl = (value) => {
+  try {
+    const url = new URL(String(value || "").trim());
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.href
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const clamp = (value, min, max, fallback) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+};
+
+// Patterns arrive as an array or one per line
+const parsePatterns = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const list = Array.isArray(value) ? value : String(value).split("\n");
+  return list.map((pattern) => String(pattern).trim()).filter(Boolean);
+};
+
+// Merge submitted crawl settings over the current ones
+const parseCrawlSettings = (input = {}, current = {}) => ({
+  maxDepth: clamp(input.maxDepth, 0, 10, current.maxDepth ?? 2),
+  maxPages: clamp(input.maxPages, 1, 1000, current.maxPages ?? 100),
+  includePatterns: parsePatterns(
+    input.includePatterns,
+    current.includePatterns || []
+  ),
+  excludePatterns: parsePatterns(
+    input.excludePatterns,
+    current.excludePatterns || []
+  ),
+  recrawlIntervalHours: clamp(
+    input.recrawlIntervalHours,
+    0,
+    24 * 30,
+    current.recrawlIntervalHours ?? 24
+  ),
+});
+
+// Crawl in the background; the dashboard polls the source status
+const startCrawl = (sourceId) => {
+  runCrawl(sourceId).catch((error) => {
+    console.error(`Background crawl error for ${sourceId}:`, error);
+  });
+};
+
+// Load a source of the current user's tenant
+const findSource = (req) =>
+  Source.findOne({
+    _id: req.params.sourceId,
+    tenantId: req.tenant._id,
+    isActive: true,
+  });
+
+// Get website sources
+export const getSources = async (req, res) => {
+  try {
+    const sources = await Source.find({
+      tenantId: req.tenant._id,
+      isActive: true,
+    }).sort({ createdAt: -1 });
+
+    // Pages currently indexed from each source
+    const counts = await Document.aggregate([
+      {
+        $match: {
+          tenantId: req.tenant._id,
+          sourceId: { $in: sources.map((source) => source._id) },
+          isActive: true,
+        },
+      },
+      { $group: { _id: "$sourceId", count: { $sum: 1 } } },
+    ]);
+    const pageCounts = new Map(
+      counts.map((entry) => [entry._id.toString(), entry.count])
+    );
+
+    res.json({
+      sources: sources.map((source) => ({
+        ...toSource(source),
+        pageCount: pageCounts.get(source._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error("Get sources error:", error);
+    res.status(500).json({ error: "Failed to get sources" });
+  }
+};
+
+// Add a website or sitemap and start the first crawl
+export const createSource = async (req, res) => {
+  try {
+    const { name, crawlSettings } = req.body;
+    const url = parseSourceUrl(req.body.url);
+
+    if (!url) {
+      return res
+        .status(400)
+        .json({ error: "A valid http(s) URL is required" });
+    }
+
+    const existing = await Source.findOne({
+      tenantId: req.tenant._id,
+      url,
+      isActive: true,
+    });
+    if (existing) {
+      return res
+        .status(400)
+        .json({ error: "This website is already a source" });
+    }
+
+    const source = await Source.create({
+      tenantId: req.tenant._id,
+      name: name?.trim() || new URL(url).hostname,
+      url,
+      crawlSettings: parseCrawlSettings(crawlSettings),
+    });
+
+    startCrawl(source._id);
+
+    res.status(201).json({
+      message: "Source added. The first crawl has started.",
+      source: toSource(source),
+    });
+  } catch (error) {
+    console.error("Create source error:", error);
+    res.status(500).json({ error: "Failed to add source" });
+  }
+};
+
+// Update a source's name or crawl settings
+export const updateSource = async (req, res) => {
+  try {
+    const { name, crawlSettings } = req.body;
+
+    const source = await findSource(req);
+    if (!source) {
+      return res.status(404).json({ error: "Source not found" });
+    }
+
+    if (name !== undefined) {
+      source.name = name.trim() || new URL(source.url).hostname;
+    }
+
+    if (crawlSettings) {
+      source.crawlSettings = parseCrawlSettings(
+        crawlSettings,
+        source.crawlSettings.toObject()
+      );
+      source.scheduleNextCrawl(source.lastCrawledAt || new Date());
+    }
+
+    await source.save();
+
+    res.json({
+      message: "Source updated successfully",
+      source: toSource(source),
+    });
+  } catch (error) {
+    console.error("Update source error:", error);
+    res.status(500).json({ error: "Failed to update source" });
+  }
+};
+
+// Start a crawl now instead of waiting for the schedule
+export const crawlSource = async (req, res) => {
+  try {
+    const source = await findSource(req);
+    if (!source) {
+      return res.status(404).json({ error: "Source not found" });
+    }
+
+    if (source.status === "crawling") {
+      return res
+        .status(409)
+        .json({ error: "A crawl is already running for this source" });
+    }
+
+    startCrawl(source._id);
+
+    res.status(202).json({ message: "Crawl started" });
+  } catch (error) {
+    console.error("Crawl source error:", error);
+    res.status(500).json({ error: "Failed to start crawl" });
+  }
+};
+
+// Delete a source and the pages it added
+export const deleteSource = async (req, res) => {
+  try {
+    const source = await findSource(req);
+    if (!source) {
+      return res.status(404).json({ error: "Source not found" });
+    }
+
+    source.isActive = false;
+    source.nextCrawlAt = null;
+    await source.save();
+
+    const documents = await Document.find({
+      sourceId: source._id,
+      isActive: true,
+    });
+    for (const document of documents) {
+      await deactivateDocument(document);
+    }
+
+    res.json({
+      message: "Source deleted successfully",
+      removedPages: documents.length,
+    });
+  } catch (error) {
+    console.error("Delete source error:", error);
+    res.status(500).json({ error: "Failed to delete source" });
+  }
+};
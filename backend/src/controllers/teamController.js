@@ -0,0 +1,233 @@
+import User, { ROLES } from "../models/User.js";
+import Invitation, { INVITE_TTL_DAYS } from "../models/Invitation.js";
+import { disconnectAgentSockets } from "../services/agentSocketService.js";
+import { disconnectAdminSockets } from "../services/adminSocketService.js";
+
+// Public URL of the admin page that accepts an invite
+const getInviteUrl = (req, token) => {
+  const frontendUrl =
+    process.env.FRONTEND_URL?.replace(/\/$/, "") || req.get("origin") || "";
+  return `${frontendUrl}/accept-invite?token=${token}`;
+};
+
+// Shape of a team member as returned to the admin dashboard
+const toMember = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.getRole(),
+  isActive: user.isActive,
+  createdAt: user.createdAt,
+});
+
+// A tenant must always keep at least one active owner
+const isLastOwner = async (user) => {
+  if (!user.hasRole("owner") || !user.isActive) return false;
+
+  const owners = await User.countDocuments({
+    tenantId: user.tenantId,
+    isActive: true,
+    role: { $in: ["owner", "admin", "user"] },
+  });
+
+  return owners <= 1;
+};
+
+// Load a member of the current user's tenant
+const findMember = (req) =>
+  User.findOne({ _id: req.params.userId, tenantId: req.tenant._id });
+
+// Get team members and pending invitations
+export const getTeam = async (req, res) => {
+  try {
+    const tenantId = req.tenant._id;
+
+    const [users, invitations] = await Promise.all([
+      User.find({ tenantId }).sort({ createdAt: 1 }),
+      Invitation.find({
+        tenantId,
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+      })
+        .populate("invitedBy", "name email")
+        .sort({ createdAt: -1 }),
+    ]);
+
+    res.json({
+      members: users.map(toMember),
+      invitations: invitations.map((invitation) => ({
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy?.name,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt,
+      })),
+      roles: ROLES,
+    });
+  } catch (error) {
+    console.error("Get team error:", error);
+    res.status(500).json({ error: "Failed to get team" });
+  }
+};
+
+// Invite a teammate by email
+export const inviteMember = async (req, res) => {
+  try {
+    const { email, role = "viewer" } = req.body;
+    const tenantId = req.tenant._id;
+
+    if (!email || !email.includes("@")) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+
+    if (!ROLES.includes(role) || role === "owner") {
+      return res.status(400).json({
+        error: "Invite as editor, agent or viewer; promote to owner once joined",
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Accounts belong to a single tenant
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({ error: "User already exists" });
+    }
+
+    // A new invite replaces any earlier one for the same address
+    await Invitation.updateMany(
+      { tenantId, email: normalizedEmail, status: "pending" },
+      { $set: { status: "revoked" } }
+    );
+
+    const invitation = await Invitation.create({
+      tenantId,
+      email: normalizedEmail,
+      role,
+      invitedBy: req.userId,
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({
+      message: "Invitation created",
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+      inviteUrl: getInviteUrl(req, invitation.generateToken()),
+    });
+  } catch (error) {
+    console.error("Invite member error:", error);
+    res.status(500).json({ error: "Failed to invite member" });
+  }
+};
+
+// Revoke a pending invitation
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        _id: req.params.invitationId,
+        tenantId: req.tenant._id,
+        status: "pending",
+      },
+      { $set: { status: "revoked" } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+
+    res.json({ message: "Invitation revoked" });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({ error: "Failed to revoke invitation" });
+  }
+};
+
+// Change a member's role
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+    }
+
+    const member = await findMember(req);
+    if (!member) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (member._id.equals(req.userId)) {
+      return res.status(400).json({ error: "You cannot change your own role" });
+    }
+
+    if (role !== "owner" && (await isLastOwner(member))) {
+      return res
+        .status(400)
+        .json({ error: "The tenant needs at least one active owner" });
+    }
+
+    member.role = role;
+    await member.save();
+
+    // The live chat console reconnects under the new role, if it allows it
+    disconnectAgentSockets(member._id);
+
+    res.json({ message: "Role updated", member: toMember(member) });
+  } catch (error) {
+    console.error("Update member role error:", error);
+    res.status(500).json({ error: "Failed to update role" });
+  }
+};
+
+// Deactivate or reactivate a member
+export const updateMemberStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== "boolean") {
+      return res.status(400).json({ error: "isActive must be true or false" });
+    }
+
+    const member = await findMember(req);
+    if (!member) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (member._id.equals(req.userId)) {
+      return res
+        .status(400)
+        .json({ error: "You cannot deactivate your own account" });
+    }
+
+    if (!isActive && (await isLastOwner(member))) {
+      return res
+        .status(400)
+        .json({ error: "The tenant needs at least one active owner" });
+    }
+
+    member.isActive = isActive;
+    await member.save();
+
+    if (!isActive) {
+      disconnectAgentSockets(member._id);
+      disconnectAdminSockets(member._id);
+    }
+
+    res.json({
+      message: isActive ? "Member reactivated" : "Member deactivated",
+      member: toMember(member),
+    });
+  } catch (error) {
+    console.error("Update member status error:", error);
+    res.status(500).json({ error: "Failed to update member" });
+  }
+};
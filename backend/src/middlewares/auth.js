@@ -54,23 +54,70 @@ export const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has admin role
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Next middleware function
+ * Socket.io middleware factory with the same checks as authenticateToken,
+ * reading the JWT from the handshake's auth payload
+ * @param {...string} roles - Allowed roles; any role when omitted
+ * @returns {Function} - Socket.io namespace middleware
+ */
+export const authenticateSocket = (...roles) => async (socket, next) => {
+  try {
+    const { token } = socket.handshake.auth || {};
+
+    if (!token) {
+      return next(new Error("Access token required"));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).populate("tenantId");
+
+    if (!user || !user.isActive) {
+      return next(new Error("Invalid token - user not found"));
+    }
+
+    if (!user.tenantId || !user.tenantId.isActive) {
+      return next(new Error("Tenant account is deactivated"));
+    }
+
+    if (roles.length > 0 && !user.hasRole(...roles)) {
+      return next(new Error(`This requires the ${roles.join(" or ")} role`));
+    }
+
+    socket.user = user;
+    socket.tenant = user.tenantId;
+    next();
+  } catch (error) {
+    console.error("Socket authentication error:", error.message);
+    next(new Error("Authentication failed"));
+  }
+};
+
+/**
+ * Middleware factory to allow only users with one of the given roles
+ * @param {...string} roles - Allowed roles (owner, editor, agent, viewer)
+ * @returns {Function} - Express middleware
  */
-export const requireAdmin = (req, res, next) => {
+export const requireRole = (...roles) => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ error: "Authentication required" });
   }
 
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ error: "Admin access required" });
+  if (!req.user.hasRole(...roles)) {
+    return res.status(403).json({
+      error: `This action requires the ${roles.join(" or ")} role`,
+    });
   }
 
   next();
 };
 
+/**
+ * Middleware to check if user owns the tenant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export const requireAdmin = requireRole("owner");
+
 /**
  * Middleware to validate tenant access
  * @param {Object} req - Express request object
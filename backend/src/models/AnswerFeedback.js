@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+// A visitor's thumbs up/down on one bot answer. Keeps a copy of the question,
+// the answer and the chunks it was built from, so ratings can be traced back
+// to the documents that produced them after the transcript has moved on.
+const answerFeedbackSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    // The rated bot message within the conversation
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["widget", "socket", "whatsapp", "instagram"],
+    },
+    rating: {
+      type: String,
+      enum: ["up", "down"],
+      required: true,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    question: String,
+    answer: String,
+    confidence: Number,
+    isFallback: {
+      type: Boolean,
+      default: false,
+    },
+    sources: [
+      {
+        _id: false,
+        text: String,
+        similarity: Number,
+        documentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Document",
+        },
+        qaPairId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "QaPair",
+        },
+        chunkIndex: Number,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rating per answer; rating again replaces it
+answerFeedbackSchema.index({ tenantId: 1, messageId: 1 }, { unique: true });
+answerFeedbackSchema.index({ tenantId: 1, createdAt: -1 });
+answerFeedbackSchema.index({ tenantId: 1, "sources.documentId": 1 });
+
+export default mongoose.model("AnswerFeedback", answerFeedbackSchema);
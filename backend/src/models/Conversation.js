@@ -0,0 +1,254 @@
+import mongoose from "mongoose";
+
+// Bot replies below this confidence count as low confidence in the inbox and analytics
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// Channels whose visitors chat through the widget; social channels store
+// their conversations under "<channel>:<sender>" session IDs
+export const WIDGET_CHANNELS = ["widget", "socket"];
+const SOCIAL_SESSION_PATTERN = /^(whatsapp|instagram):/i;
+
+// Most recent messages kept per conversation. A social sender keeps one
+// conversation for good, so older messages are dropped to stay well under
+// MongoDB's document size limit; messageCount still counts every message.
+const MAX_MESSAGES = parseInt(process.env.CONVERSATION_MAX_MESSAGES) || 1000;
+
+/**
+ * Whether a visitor-supplied session ID may name a widget conversation
+ * @param {*} sessionId - The session ID from the request
+ * @returns {boolean}
+ */
+export const isWidgetSessionId = (sessionId) =>
+  typeof sessionId === "string" &&
+  sessionId.length > 0 &&
+  sessionId.length <= 200 &&
+  !SOCIAL_SESSION_PATTERN.test(sessionId);
+
+const messageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ["user", "bot", "agent"],
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    sources: [
+      {
+        _id: false,
+        text: String,
+        similarity: Number,
+        documentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Document",
+        },
+        qaPairId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "QaPair",
+        },
+        chunkIndex: Number,
+        // Where the chunk sits in its document, for citations
+        section: String,
+        page: Number,
+      },
+    ],
+    confidence: Number,
+    source: String,
+    messageType: String,
+    isFallback: {
+      type: Boolean,
+      default: false,
+    },
+    model: String,
+    // LLM provider that wrote the answer (see llmService)
+    provider: String,
+    // Set when a pinned override rule answered instead of the knowledge base
+    overrideRuleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OverrideRule",
+    },
+    // Set on replies written by a human agent
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    agentName: String,
+    // Visitor's thumbs up/down on a bot reply; see AnswerFeedback
+    feedback: {
+      rating: {
+        type: String,
+        enum: ["up", "down"],
+      },
+      comment: String,
+      createdAt: Date,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["widget", "socket", "whatsapp", "instagram"],
+      required: true,
+    },
+    // Phone number (WhatsApp) or scoped sender ID (Instagram)
+    externalUserId: {
+      type: String,
+    },
+    messages: [messageSchema],
+    messageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Human handoff: the bot stays silent while queued or claimed
+    handoff: {
+      status: {
+        type: String,
+        enum: ["none", "queued", "claimed"],
+        default: "none",
+      },
+      reason: {
+        type: String,
+        enum: ["requested", "lowConfidence"],
+      },
+      requestedAt: Date,
+      claimedAt: Date,
+      // Refreshed while the claiming agent stays connected
+      agentSeenAt: Date,
+      releasedAt: Date,
+      agentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      agentName: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One conversation per session within a tenant
+conversationSchema.index({ tenantId: 1, sessionId: 1 }, { unique: true });
+conversationSchema.index({ tenantId: 1, lastMessageAt: -1 });
+conversationSchema.index({ tenantId: 1, channel: 1 });
+conversationSchema.index({ tenantId: 1, "handoff.status": 1 });
+
+// Text index for transcript search in the admin inbox
+conversationSchema.index({
+  tenantId: 1,
+  "messages.content": "text",
+});
+
+// Static method to append messages to a session, creating the conversation if needed
+conversationSchema.statics.recordMessages = function (
+  tenantId,
+  sessionId,
+  messages,
+  options = {}
+) {
+  // channels limits which existing conversations the messages may join
+  const { channel = "widget", externalUserId = null, channels } = options;
+  const now = new Date();
+
+  const setOnInsert = { channel };
+  if (externalUserId) {
+    setOnInsert.externalUserId = externalUserId;
+  }
+
+  return this.findOneAndUpdate(
+    { tenantId, sessionId, ...(channels && { channel: { $in: channels } }) },
+    {
+      $setOnInsert: setOnInsert,
+      $push: {
+        messages: {
+          $each: messages.map((message) => ({ createdAt: now, ...message })),
+          $slice: -MAX_MESSAGES,
+        },
+      },
+      $inc: { messageCount: messages.length },
+      $set: { lastMessageAt: now },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to record one user question and the bot reply it produced
+conversationSchema.statics.recordExchange = function (
+  tenantId,
+  sessionId,
+  userMessage,
+  response,
+  options = {}
+) {
+  // messageId lets the caller hand the reply's id to the visitor for feedback
+  const { sources = [], messageId } = options;
+
+  return this.recordMessages(
+    tenantId,
+    sessionId,
+    [
+      { role: "user", content: userMessage },
+      {
+        ...(messageId && { _id: messageId }),
+        role: "bot",
+        content: response.message,
+        sources,
+        confidence: response.confidence,
+        source: response.source,
+        messageType: response.messageType,
+        isFallback: response.isFallback || false,
+        model: response.model,
+        provider: response.provider,
+        overrideRuleId: response.overrideRuleId,
+      },
+    ],
+    options
+  );
+};
+
+// Method to get the transcript in the shape the widget renders
+conversationSchema.methods.getTranscript = function () {
+  return this.messages.map((message) => ({
+    id: message._id,
+    role: message.role,
+    content: message.content,
+    timestamp: message.createdAt,
+    confidence: message.confidence,
+    source: message.source,
+    messageType: message.messageType,
+    sources: message.sources,
+    isFallback: message.isFallback,
+    agentName: message.agentName,
+    overrideRuleId: message.overrideRuleId,
+    feedback: message.feedback?.rating ? message.feedback : undefined,
+  }));
+};
+
+// Method to check whether a human agent owns (or is about to own) the conversation
+conversationSchema.methods.isHandedOff = function () {
+  return ["queued", "claimed"].includes(this.handoff?.status);
+};
+
+export default mongoose.model("Conversation", conversationSchema);
@@ -18,7 +18,7 @@ const documentSchema = new mongoose.Schema(
     fileType: {
       type: String,
       required: true,
-      enum: ["txt", "csv", "pdf"],
+      enum: ["txt", "csv", "pdf", "md", "html", "docx", "xlsx", "json"],
     },
     fileSize: {
       type: Number,
@@ -35,10 +35,23 @@ const documentSchema = new mongoose.Schema(
       category: String,
       author: String,
       lastModified: Date,
+      // Set for pages imported by a website source
+      sourceUrl: String,
+      contentHash: String,
     },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Source",
+    },
+    // Live version (see DocumentVersion) and one still being embedded
+    version: {
+      type: Number,
+      default: 1,
+    },
+    pendingVersion: Number,
     processingStatus: {
       type: String,
-      enum: ["pending", "processing", "completed", "failed"],
+      enum: ["pending", "processing", "completed", "failed", "cancelled"],
       default: "pending",
     },
     processingError: {
@@ -66,6 +79,7 @@ const documentSchema = new mongoose.Schema(
 documentSchema.index({ tenantId: 1, isActive: 1 });
 documentSchema.index({ tenantId: 1, processingStatus: 1 });
 documentSchema.index({ tenantId: 1, "metadata.category": 1 });
+documentSchema.index({ sourceId: 1, "metadata.sourceUrl": 1 });
 
 // Virtual for file size in MB
 documentSchema.virtual("fileSizeMB").get(function () {
@@ -78,6 +92,24 @@ documentSchema.methods.getProcessingProgress = function () {
   return Math.round((this.embeddingCount / this.chunkCount) * 100);
 };
 
+// Method to describe the processing status for progress displays
+documentSchema.methods.getProcessingMessage = function () {
+  switch (this.processingStatus) {
+    case "pending":
+      return "Upload received, waiting to process...";
+    case "processing":
+      return `Processing document... ${this.getProcessingProgress()}% complete`;
+    case "completed":
+      return "Document indexed successfully";
+    case "failed":
+      return "Processing failed";
+    case "cancelled":
+      return "Processing cancelled";
+    default:
+      return "Unknown status";
+  }
+};
+
 // Method to check if document is fully processed
 documentSchema.methods.isFullyProcessed = function () {
   return (
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+// One revision of a document's text. The live revision's text is also kept
+// on the Document; a newer revision waits as "pending" until its embeddings
+// are ready and then replaces the live one.
+const documentVersionSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    fileType: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      default: 0,
+    },
+    changeType: {
+      type: String,
+      enum: ["upload", "edit", "replace", "rollback", "recrawl"],
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    // Version a rollback restored
+    restoredFrom: Number,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "live", "archived", "discarded"],
+      default: "pending",
+    },
+    liveAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+documentVersionSchema.index({ documentId: 1, version: -1 }, { unique: true });
+
+export default mongoose.model("DocumentVersion", documentVersionSchema);
@@ -7,10 +7,17 @@ const embeddingSchema = new mongoose.Schema(
       ref: "Tenant",
       required: true,
     },
+    // Chunks belong to a document, or embed one phrasing of a Q&A pair
     documentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Document",
-      required: true,
+      required: function () {
+        return !this.qaPairId;
+      },
+    },
+    qaPairId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QaPair",
     },
     text: {
       type: String,
@@ -20,6 +27,16 @@ const embeddingSchema = new mongoose.Schema(
       type: [Number],
       required: true,
     },
+    // Embedding model that produced the vector (see embeddingService.js);
+    // search only compares vectors of the tenant's current model
+    provider: String,
+    model: String,
+    modelVersion: Number,
+    dimension: Number,
+    // Source embedding this one re-embeds, while a migration is running
+    migratedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
     metadata: {
       chunkIndex: {
         type: Number,
@@ -28,9 +45,20 @@ const embeddingSchema = new mongoose.Schema(
       startChar: Number,
       endChar: Number,
       tokenCount: Number,
+      // Nearest heading and full heading path, for structured formats
+      section: String,
+      headings: [String],
+      // PDF page the chunk was cut from
+      page: Number,
       category: String,
       tags: [String],
     },
+    // Document version the chunk was cut from; a pending version's chunks
+    // stay inactive until it goes live
+    version: {
+      type: Number,
+      default: 1,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -42,8 +70,12 @@ const embeddingSchema = new mongoose.Schema(
 );
 
 // Indexes for efficient similarity search
-embeddingSchema.index({ tenantId: 1, isActive: 1 });
-embeddingSchema.index({ documentId: 1 });
+embeddingSchema.index({ tenantId: 1, isActive: 1, provider: 1, model: 1 });
+// Newest active write per tenant, which tells in-memory indexes they are stale
+embeddingSchema.index({ tenantId: 1, isActive: 1, updatedAt: -1 });
+embeddingSchema.index({ migratedFrom: 1 }, { sparse: true });
+embeddingSchema.index({ documentId: 1, version: 1 });
+embeddingSchema.index({ qaPairId: 1 });
 embeddingSchema.index({ tenantId: 1, "metadata.category": 1 });
 
 // Compound index for text search (if needed)
@@ -94,45 +126,35 @@ embeddingSchema.statics.findSimilar = async function (
     excludeDocumentIds = [],
   } = options;
 
-  // Build filter
-  const filter = {
-    tenantId,
-    isActive: true,
-  };
+  // Candidates come from the configured vector store instead of a full scan
+  const { searchVectors } = await import("../services/vectorStore.js");
+  const matches = await searchVectors(tenantId, queryEmbedding, {
+    limit,
+    category,
+    excludeDocumentIds,
+  });
 
-  if (category) {
-    filter["metadata.category"] = category;
-  }
-
-  if (excludeDocumentIds.length > 0) {
-    filter.documentId = { $nin: excludeDocumentIds };
-  }
+  const embeddings = await this.find({
+    _id: { $in: matches.map((match) => match.id) },
+    isActive: true,
+  }).populate("documentId", "filename originalName");
 
-  // Get all embeddings for the tenant (in production, consider using a vector database)
-  const embeddings = await this.find(filter).populate(
-    "documentId",
-    "filename originalName"
+  const embeddingsById = new Map(
+    embeddings.map((embedding) => [embedding._id.toString(), embedding])
   );
 
-  // Calculate similarities
-  const similarities = embeddings.map((embedding) => ({
-    embedding,
-    similarity: embedding.cosineSimilarity({ embedding: queryEmbedding }),
-  }));
-
-  // Filter by minimum similarity and sort
-  const results = similarities
-    .filter((item) => item.similarity >= minSimilarity)
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, limit);
+  // Keep only matches above the threshold, in similarity order
+  const results = matches
+    .filter(
+      (match) =>
+        embeddingsById.has(match.id) && match.similarity >= minSimilarity
+    )
+    .map((match) => ({
+      embedding: embeddingsById.get(match.id),
+      similarity: match.similarity,
+    }));
 
   return results;
 };
 
-// Method to get embedding dimension
-embeddingSchema.statics.getEmbeddingDimension = function () {
-  // OpenAI text-embedding-3-small has 1536 dimensions
-  return 1536;
-};
-
 export default mongoose.model("Embedding", embeddingSchema);
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+const modelSchema = new mongoose.Schema(
+  {
+    provider: String,
+    model: String,
+    // Null for a local model that is yet to be fitted
+    version: Number,
+  },
+  { _id: false }
+);
+
+// Re-embedding of a tenant's content with another embedding model, run by
+// a queue worker (see embeddingMigrationService.js). Search keeps using the
+// old vectors until every chunk has a new one, then switches in one update.
+const embeddingMigrationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    from: modelSchema,
+    to: modelSchema,
+    // "model-changed", "mixed-models" or "manual"
+    reason: String,
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed", "cancelled"],
+      default: "queued",
+    },
+    phase: {
+      type: String,
+      enum: ["fitting", "embedding", "switching", "cleanup"],
+    },
+    // Chunks to re-embed when the migration started, and how many are done
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    // Last source embedding re-embedded, so a retried job resumes after it
+    cursor: mongoose.Schema.Types.ObjectId,
+    error: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+embeddingMigrationSchema.index({ tenantId: 1, createdAt: -1 });
+embeddingMigrationSchema.index({ tenantId: 1, status: 1 });
+
+// Method to get the share of chunks re-embedded (0-100)
+embeddingMigrationSchema.methods.getProgress = function () {
+  if (this.status === "completed") return 100;
+  if (!this.total) return 0;
+  return Math.min(99, Math.round((this.processed / this.total) * 100));
+};
+
+export default mongoose.model("EmbeddingMigration", embeddingMigrationSchema);
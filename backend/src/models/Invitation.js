@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { ROLES } from "./User.js";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES.filter((role) => role !== "owner"),
+      default: "viewer",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Pending invites per tenant, and lookups when re-inviting an address
+invitationSchema.index({ tenantId: 1, status: 1 });
+invitationSchema.index({ tenantId: 1, email: 1 });
+
+// How long an invite link stays valid
+export const INVITE_TTL_DAYS = 7;
+
+// Method to sign the token carried by the invite link
+invitationSchema.methods.generateToken = function () {
+  return jwt.sign(
+    { inviteId: this._id, purpose: "invite" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${INVITE_TTL_DAYS}d` }
+  );
+};
+
+// Static method to load the invitation behind an invite link token
+invitationSchema.statics.findByToken = async function (token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== "invite") return null;
+    return await this.findById(decoded.inviteId).populate("tenantId");
+  } catch (error) {
+    return null;
+  }
+};
+
+// Method to check whether the invitation can still be accepted
+invitationSchema.methods.isUsable = function () {
+  return this.status === "pending" && this.expiresAt > new Date();
+};
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+// Background work picked up by a worker (API process or src/worker.js).
+// A running job holds a lease that its worker renews with heartbeats; once
+// the lease lapses any worker may claim the job again.
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed", "cancelled"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // Earliest time the job may run; pushed back after a failed attempt
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    heartbeatAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Claim lookups: due queued jobs and running jobs with lapsed leases
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ documentId: 1, status: 1 });
+
+// Finished jobs are kept for a week
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Method to check if the job may still run
+jobSchema.methods.isActive = function () {
+  return this.status === "queued" || this.status === "running";
+};
+
+export default mongoose.model("Job", jobSchema);
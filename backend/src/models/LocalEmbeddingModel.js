@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A tenant's fitted LSA model for the "local" embedding provider (see
+// embeddingService.local.js). Components are stored as a Float32 buffer of
+// vocabulary.length x dimension values. Refitting adds a new version; the
+// old one serves search until re-embedding with the new one completes.
+const localEmbeddingModelSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      default: 1,
+    },
+    dimension: {
+      type: Number,
+      required: true,
+    },
+    vocabulary: [String],
+    idf: [Number],
+    components: {
+      type: Buffer,
+      required: true,
+    },
+    // Texts the model was fitted on
+    documentCount: Number,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+localEmbeddingModelSchema.index({ tenantId: 1, version: 1 }, { unique: true });
+
+export default mongoose.model("LocalEmbeddingModel", localEmbeddingModelSchema);
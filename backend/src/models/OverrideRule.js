@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+// A pinned answer for questions that must always get approved wording
+// (refunds, legal terms). A rule fires when the visitor's message contains
+// one of its phrases, matches one of its patterns, or is close enough to one
+// of its example questions; retrieval and generation are then skipped.
+const overrideRuleSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Matched as whole words, ignoring case and punctuation
+    phrases: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 200,
+      },
+    ],
+    // Regular expression sources, matched case-insensitively
+    patterns: [
+      {
+        type: String,
+        maxlength: 200,
+      },
+    ],
+    // Example questions compared to the visitor's message by embedding similarity
+    examples: [
+      {
+        _id: false,
+        text: {
+          type: String,
+          trim: true,
+          maxlength: 500,
+        },
+        embedding: {
+          type: [Number],
+          select: false,
+        },
+      },
+    ],
+    // Embedding model the examples were embedded with, e.g. "openai:
+    // text-embedding-3-small@v1"; they are embedded again when it changes
+    embeddingModel: String,
+    similarityThreshold: {
+      type: Number,
+      min: 0.5,
+      max: 1,
+      default: 0.85,
+    },
+    response: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    // Lower runs first when several rules match
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    hitCount: {
+      type: Number,
+      default: 0,
+    },
+    lastTriggeredAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+overrideRuleSchema.index({ tenantId: 1, isActive: 1, priority: 1 });
+
+// Static method to record that a rule answered a message
+overrideRuleSchema.statics.recordHit = function (ruleId) {
+  return this.updateOne(
+    { _id: ruleId },
+    { $inc: { hitCount: 1 }, $set: { lastTriggeredAt: new Date() } }
+  );
+};
+
+export default mongoose.model("OverrideRule", overrideRuleSchema);
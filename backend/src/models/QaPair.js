@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// A question and answer written by an admin. The question and each alternate
+// phrasing are embedded as their own retrieval units (Embedding.qaPairId);
+// when one of them is the top match the answer is returned verbatim.
+const qaPairSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    category: {
+      type: String,
+      trim: true,
+      default: "General",
+      maxlength: 100,
+    },
+    question: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    // Other ways visitors ask the same thing
+    alternateQuestions: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 500,
+      },
+    ],
+    answer: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    // Position in the admin list, across categories
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // Disabled pairs keep their text but are not searched
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    embeddingStatus: {
+      type: String,
+      enum: ["pending", "indexed", "failed"],
+      default: "pending",
+    },
+    embeddingError: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+qaPairSchema.index({ tenantId: 1, order: 1 });
+qaPairSchema.index({ tenantId: 1, category: 1 });
+
+// Method to list the phrasings that get embedded, main question first
+qaPairSchema.methods.getPhrasings = function () {
+  const seen = new Set();
+  return [this.question, ...(this.alternateQuestions || [])].filter(
+    (phrasing) => {
+      const key = phrasing?.trim().toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }
+  );
+};
+
+export default mongoose.model("QaPair", qaPairSchema);
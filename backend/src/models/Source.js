@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+// A website crawled into the knowledge base; each page becomes a Document
+const sourceSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["website"],
+      default: "website",
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    // Start page, or a sitemap.xml whose URLs are fetched directly
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    crawlSettings: {
+      maxDepth: {
+        type: Number,
+        min: 0,
+        max: 10,
+        default: 2,
+      },
+      maxPages: {
+        type: Number,
+        min: 1,
+        max: 1000,
+        default: 100,
+      },
+      // Wildcard patterns ("*") matched against the page path
+      includePatterns: {
+        type: [String],
+        default: [],
+      },
+      excludePatterns: {
+        type: [String],
+        default: [],
+      },
+      // 0 turns scheduled re-crawls off
+      recrawlIntervalHours: {
+        type: Number,
+        min: 0,
+        default: 24,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["idle", "crawling", "failed"],
+      default: "idle",
+    },
+    crawlStartedAt: Date,
+    lastCrawledAt: Date,
+    nextCrawlAt: Date,
+    lastError: String,
+    lastStats: {
+      pagesFound: { type: Number, default: 0 },
+      added: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      removed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      // New pages not added because the plan's document limit was reached
+      skipped: { type: Number, default: 0 },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sourceSchema.index({ tenantId: 1, isActive: 1 });
+
+// Scheduler lookup for sources due a re-crawl
+sourceSchema.index({ isActive: 1, nextCrawlAt: 1 });
+
+// Method to compute when the next scheduled crawl is due
+sourceSchema.methods.scheduleNextCrawl = function (from = new Date()) {
+  const hours = this.crawlSettings?.recrawlIntervalHours || 0;
+  this.nextCrawlAt = hours > 0 ? new Date(from.getTime() + hours * 3600000) : null;
+  return this.nextCrawlAt;
+};
+
+export default mongoose.model("Source", sourceSchema);
@@ -59,6 +59,148 @@ const tenantSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // "hybrid" fuses keyword (text index) and vector rankings
+      retrieval: {
+        mode: {
+          type: String,
+          enum: ["vector", "hybrid"],
+          default: "hybrid",
+        },
+        // Share of the fused score given to keyword matches (0 = vector only)
+        keywordWeight: {
+          type: Number,
+          min: 0,
+          max: 1,
+          default: 0.5,
+        },
+      },
+      // Escalate to a human agent when the bot's confidence drops below the threshold
+      handoff: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        confidenceThreshold: {
+          type: Number,
+          min: 0,
+          max: 1,
+          default: 0.4,
+        },
+      },
+    },
+    // How the AI writes answers on every channel (see assistantService);
+    // kept out of settings, which the widget can read
+    assistant: {
+      instructions: {
+        type: String,
+        trim: true,
+        maxlength: 4000,
+        default: "",
+      },
+      tone: {
+        type: String,
+        enum: ["professional", "friendly", "casual", "formal"],
+        default: "professional",
+      },
+      answerLength: {
+        type: String,
+        enum: ["short", "medium", "detailed"],
+        default: "short",
+      },
+      // LLM provider (see llmService); unset means the server default
+      provider: {
+        type: String,
+        enum: ["openai", "compatible", "ollama", "anthropic", "fake"],
+      },
+      model: {
+        type: String,
+        default: "gpt-4o-mini",
+      },
+      // Tried in order when the provider fails; empty uses LLM_FALLBACK_CHAIN
+      fallbacks: [
+        {
+          _id: false,
+          provider: {
+            type: String,
+            enum: ["openai", "compatible", "ollama", "anthropic", "fake"],
+          },
+          model: String,
+        },
+      ],
+      temperature: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0,
+      },
+      // Answer from the model's own knowledge when the documents have nothing
+      allowGeneralKnowledge: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Embedding model whose vectors search uses (see embeddingService.js).
+    // It only changes once a re-embedding migration has finished, so search
+    // switches to the new vectors all at once.
+    embeddingIndex: {
+      provider: String,
+      model: String,
+      version: Number,
+      updatedAt: Date,
+    },
+    whatsapp: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      phoneNumberId: {
+        type: String,
+        trim: true,
+      },
+      businessAccountId: {
+        type: String,
+        trim: true,
+      },
+      accessToken: {
+        type: String,
+      },
+      // Meta app secret used to check X-Hub-Signature-256 on webhook calls
+      appSecret: {
+        type: String,
+      },
+      verifyToken: {
+        type: String,
+      },
+      connectedAt: {
+        type: Date,
+      },
+    },
+    instagram: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      pageId: {
+        type: String,
+        trim: true,
+      },
+      igUserId: {
+        type: String,
+        trim: true,
+      },
+      accessToken: {
+        type: String,
+      },
+      // Meta app secret used to check X-Hub-Signature-256 on webhook calls
+      appSecret: {
+        type: String,
+      },
+      verifyToken: {
+        type: String,
+      },
+      connectedAt: {
+        type: Date,
+      },
     },
     isActive: {
       type: Boolean,
@@ -100,6 +242,11 @@ const tenantSchema = new mongoose.Schema(
 // Index for domain lookups
 tenantSchema.index({ domain: 1 });
 
+// Indexes for routing incoming webhook messages to a tenant
+tenantSchema.index({ "whatsapp.phoneNumberId": 1 }, { sparse: true });
+tenantSchema.index({ "instagram.pageId": 1 }, { sparse: true });
+tenantSchema.index({ "instagram.igUserId": 1 }, { sparse: true });
+
 // Method to check if tenant can upload more documents
 tenantSchema.methods.canUploadDocument = function () {
   return this.subscription.currentDocuments < this.subscription.maxDocuments;
@@ -140,6 +287,33 @@ tenantSchema.methods.decrementDocumentCount = function () {
   return this.save();
 };
 
+// Method to get social settings without exposing access tokens or app secrets
+tenantSchema.methods.getSocialSettings = function () {
+  const whatsapp = this.whatsapp || {};
+  const instagram = this.instagram || {};
+
+  return {
+    whatsapp: {
+      enabled: whatsapp.enabled || false,
+      phoneNumberId: whatsapp.phoneNumberId || "",
+      businessAccountId: whatsapp.businessAccountId || "",
+      verifyToken: whatsapp.verifyToken || "",
+      hasAccessToken: !!whatsapp.accessToken,
+      hasAppSecret: !!whatsapp.appSecret,
+      connectedAt: whatsapp.connectedAt || null,
+    },
+    instagram: {
+      enabled: instagram.enabled || false,
+      pageId: instagram.pageId || "",
+      igUserId: instagram.igUserId || "",
+      verifyToken: instagram.verifyToken || "",
+      hasAccessToken: !!instagram.accessToken,
+      hasAppSecret: !!instagram.appSecret,
+      connectedAt: instagram.connectedAt || null,
+    },
+  };
+};
+
 // Method to update subscription plan
 tenantSchema.methods.updatePlan = function (plan) {
   this.subscription.plan = plan;
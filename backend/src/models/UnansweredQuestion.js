@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// A visitor question the bot could not answer well: the knowledge base had
+// nothing (notFound) or only a weak match (lowConfidence). Grouped into the
+// knowledge-gap report until someone writes an answer or dismisses it.
+const unansweredQuestionSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    question: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Standalone rewrite of a follow-up; what retrieval actually searched for
+    searchQuery: {
+      type: String,
+      trim: true,
+    },
+    channel: {
+      type: String,
+      enum: ["widget", "socket", "whatsapp", "instagram"],
+    },
+    sessionId: String,
+    reason: {
+      type: String,
+      enum: ["notFound", "lowConfidence"],
+      required: true,
+    },
+    confidence: Number,
+    // Similarity of the best retrieved chunk, if any
+    topSimilarity: Number,
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Q&A pair written to answer it
+    qaPairId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QaPair",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+unansweredQuestionSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+
+// Old misses stop mattering once the content has moved on
+unansweredQuestionSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 180 * 24 * 60 * 60 }
+);
+
+export default mongoose.model("UnansweredQuestion", unansweredQuestionSchema);
@@ -1,6 +1,12 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+// Tenant roles, most privileged first
+export const ROLES = ["owner", "editor", "agent", "viewer"];
+
+// Accounts created before team roles each ran their own tenant
+const LEGACY_ROLES = { admin: "owner", user: "owner" };
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -22,8 +28,8 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["admin", "user"],
-      default: "user",
+      enum: ROLES,
+      default: "owner",
     },
     tenantId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -40,6 +46,14 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Upgrade legacy roles so older accounts still pass validation
+userSchema.pre("validate", function (next) {
+  if (LEGACY_ROLES[this.role]) {
+    this.role = LEGACY_ROLES[this.role];
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -58,6 +72,16 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to get the user's role, reading legacy roles as their replacement
+userSchema.methods.getRole = function () {
+  return LEGACY_ROLES[this.role] || this.role;
+};
+
+// Method to check whether the user has one of the given roles
+userSchema.methods.hasRole = function (...roles) {
+  return roles.includes(this.getRole());
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
@@ -3,28 +3,175 @@ import {
   uploadDocuments,
   getUploadStatus,
   getDocuments,
+  getDocument,
+  updateDocumentContent,
+  replaceDocumentFile,
   deleteDocument,
+  retryDocument,
+  cancelDocument,
   updateTenantSettings,
+  getAssistantSettings,
+  updateAssistantSettings,
   getAnalytics,
   updateSubscriptionPlan,
 } from "../controllers/adminController.js";
+import {
+  getDocumentVersions,
+  getDocumentVersion,
+  diffDocumentVersions,
+  rollbackDocument,
+} from "../controllers/documentVersionController.js";
+import {
+  getConversations,
+  getConversation,
+  getConversationAnalytics,
+  getFeedbackAnalytics,
+} from "../controllers/conversationController.js";
+import {
+  getSocialSettings,
+  updateWhatsAppSettings,
+  updateInstagramSettings,
+  regenerateVerifyToken,
+  testWhatsApp,
+  testInstagram,
+} from "../controllers/socialController.js";
+import {
+  getTeam,
+  inviteMember,
+  revokeInvitation,
+  updateMemberRole,
+  updateMemberStatus,
+} from "../controllers/teamController.js";
+import {
+  getSources,
+  createSource,
+  updateSource,
+  crawlSource,
+  deleteSource,
+} from "../controllers/sourceController.js";
+import {
+  getKnowledgeGaps,
+  answerKnowledgeGapGroup,
+  dismissKnowledgeGapGroup,
+} from "../controllers/knowledgeGapController.js";
+import {
+  getQaPairs,
+  createQaPair,
+  updateQaPair,
+  deleteQaPair,
+  reorderQaPairs,
+  renameQaPairCategory,
+  importQaPairs,
+} from "../controllers/qaController.js";
+import {
+  getOverrideRules,
+  createOverrideRule,
+  updateOverrideRule,
+  deleteOverrideRule,
+  testOverrideRules,
+} from "../controllers/overrideController.js";
+import {
+  getEmbeddingIndex,
+  reembedContent,
+  cancelReembedding,
+} from "../controllers/embeddingIndexController.js";
+import { requireRole } from "../middlewares/auth.js";
 
 const router = express.Router();
 
+// Owners manage the account, editors the knowledge base and settings,
+// agents answer live chats, and viewers only read
+const ownerOnly = requireRole("owner");
+const canEdit = requireRole("owner", "editor");
+
 // Document management routes
-router.post("/upload", uploadDocuments);
+router.post("/upload", canEdit, uploadDocuments);
 router.get("/upload/status/:uploadId", getUploadStatus);
 router.get("/documents", getDocuments);
-router.delete("/documents/:documentId", deleteDocument);
+router.get("/documents/:documentId", getDocument);
+router.put("/documents/:documentId/content", canEdit, updateDocumentContent);
+router.post("/documents/:documentId/replace", canEdit, replaceDocumentFile);
+router.delete("/documents/:documentId", canEdit, deleteDocument);
+router.post("/documents/:documentId/retry", canEdit, retryDocument);
+router.post("/documents/:documentId/cancel", canEdit, cancelDocument);
+
+// Document version history routes
+router.get("/documents/:documentId/versions", getDocumentVersions);
+router.get("/documents/:documentId/versions/:version", getDocumentVersion);
+router.get(
+  "/documents/:documentId/versions/:version/diff",
+  diffDocumentVersions
+);
+router.post(
+  "/documents/:documentId/versions/:version/rollback",
+  canEdit,
+  rollbackDocument
+);
+
+// Website source routes
+router.get("/sources", getSources);
+router.post("/sources", canEdit, createSource);
+router.put("/sources/:sourceId", canEdit, updateSource);
+router.post("/sources/:sourceId/crawl", canEdit, crawlSource);
+router.delete("/sources/:sourceId", canEdit, deleteSource);
+
+// Search index routes
+router.get("/embedding-index", getEmbeddingIndex);
+router.post("/embedding-index/reembed", canEdit, reembedContent);
+router.post("/embedding-index/cancel", canEdit, cancelReembedding);
+
+// Knowledge gap routes
+router.get("/knowledge-gaps", getKnowledgeGaps);
+router.post("/knowledge-gaps/answer", canEdit, answerKnowledgeGapGroup);
+router.post("/knowledge-gaps/dismiss", canEdit, dismissKnowledgeGapGroup);
+
+// Q&A pair routes
+router.get("/qa", getQaPairs);
+router.post("/qa", canEdit, createQaPair);
+router.post("/qa/import", canEdit, importQaPairs);
+router.put("/qa/order", canEdit, reorderQaPairs);
+router.put("/qa/categories", canEdit, renameQaPairCategory);
+router.put("/qa/:id", canEdit, updateQaPair);
+router.delete("/qa/:id", canEdit, deleteQaPair);
+
+// Override rule routes
+router.get("/overrides", getOverrideRules);
+router.post("/overrides", canEdit, createOverrideRule);
+router.post("/overrides/test", testOverrideRules);
+router.put("/overrides/:id", canEdit, updateOverrideRule);
+router.delete("/overrides/:id", canEdit, deleteOverrideRule);
 
 // Tenant settings routes
-router.put("/settings", updateTenantSettings);
+router.put("/settings", canEdit, updateTenantSettings);
+router.get("/settings/assistant", getAssistantSettings);
+router.put("/settings/assistant", canEdit, updateAssistantSettings);
+
+// Conversation inbox routes
+router.get("/conversations", getConversations);
+router.get("/conversations/:conversationId", getConversation);
+
+// Social integration routes
+router.get("/social", canEdit, getSocialSettings);
+router.put("/social/whatsapp", ownerOnly, updateWhatsAppSettings);
+router.put("/social/instagram", ownerOnly, updateInstagramSettings);
+router.post("/social/whatsapp/test", canEdit, testWhatsApp);
+router.post("/social/instagram/test", canEdit, testInstagram);
+router.post("/social/:platform/verify-token", ownerOnly, regenerateVerifyToken);
+
+// Team routes
+router.get("/team", getTeam);
+router.post("/team/invitations", ownerOnly, inviteMember);
+router.delete("/team/invitations/:invitationId", ownerOnly, revokeInvitation);
+router.put("/team/:userId/role", ownerOnly, updateMemberRole);
+router.put("/team/:userId/status", ownerOnly, updateMemberStatus);
 
 // Analytics routes
 router.get("/analytics", getAnalytics);
+router.get("/analytics/conversations", getConversationAnalytics);
+router.get("/analytics/feedback", getFeedbackAnalytics);
 
 // Subscription routes
-router.put("/subscription", updateSubscriptionPlan);
+router.put("/subscription", ownerOnly, updateSubscriptionPlan);
 
 
 
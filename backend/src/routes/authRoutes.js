@@ -5,6 +5,8 @@ import {
   getProfile,
   updateProfile,
   changePassword,
+  getInvitation,
+  acceptInvitation,
 } from "../controllers/authController.js";
 import { authenticateToken } from "../middlewares/auth.js";
 
@@ -13,6 +15,8 @@ const router = express.Router();
 // Public routes
 router.post("/register", register);
 router.post("/login", login);
+router.get("/invitations/:token", getInvitation);
+router.post("/invitations/accept", acceptInvitation);
 
 // Protected routes (require authentication)
 router.get("/profile", authenticateToken, getProfile);
@@ -4,10 +4,60 @@ import {
   handleWhatsAppWebhook,
   handleInstagramWebhook,
   verifyWebhook,
+  verifyWebhookSignature,
+  findWebhookTenants,
 } from "../services/socialService.js";
 
 const router = express.Router();
 
+// Parse JSON here (not in server.js) so the raw bytes are kept for signature checks
+router.use(
+  express.json({
+    limit: "1mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+/**
+ * Reject payloads whose X-Hub-Signature-256 doesn't match the app secret of
+ * every tenant they are addressed to
+ * @param {string} platform - "whatsapp" or "instagram"
+ * @returns {Function} - Express middleware
+ */
+const requireValidSignature = (platform) => async (req, res, next) => {
+  const tag = platform === "whatsapp" ? "[WA-WEBHOOK]" : "[IG-WEBHOOK]";
+
+  try {
+    const tenants = await findWebhookTenants(platform, req.body);
+
+    // Status updates or accounts we don't serve: acknowledge and drop
+    if (tenants.length === 0) {
+      return res.sendStatus(200);
+    }
+
+    const signature = req.get("x-hub-signature-256");
+    const allValid = tenants.every((tenant) =>
+      verifyWebhookSignature(
+        req.rawBody,
+        signature,
+        tenant[platform]?.appSecret || process.env.META_APP_SECRET
+      )
+    );
+
+    if (!allValid) {
+      console.warn(`${tag} Rejected payload with invalid signature`);
+      return res.sendStatus(401);
+    }
+
+    next();
+  } catch (error) {
+    console.error(`${tag} Signature check error:`, error);
+    return res.sendStatus(500);
+  }
+};
+
 // ─── WhatsApp Webhook ─────────────────────────────────────────────────────────
 
 // GET  – Meta verification handshake
@@ -40,8 +90,8 @@ router.get("/whatsapp", async (req, res) => {
   }
 });
 
-// POST – Incoming messages
-router.post("/whatsapp", async (req, res) => {
+// POST – Incoming messages (signature checked before we acknowledge)
+router.post("/whatsapp", requireValidSignature("whatsapp"), async (req, res) => {
   // Always respond 200 quickly so Meta doesn't retry
   res.sendStatus(200);
 
@@ -82,8 +132,8 @@ router.get("/instagram", async (req, res) => {
   }
 });
 
-// POST – Incoming messages
-router.post("/instagram", async (req, res) => {
+// POST – Incoming messages (signature checked before we acknowledge)
+router.post("/instagram", requireValidSignature("instagram"), async (req, res) => {
   res.sendStatus(200);
 
   try {
@@ -19,6 +19,7 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 import authRoutes from "./routes/authRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import chatRoutes from "./routes/chatRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
 
 // Import middleware
 import { authenticateToken } from "./middlewares/auth.js";
@@ -26,6 +27,11 @@ import { rateLimiter } from "./middlewares/rateLimiter.js";
 
 // Import socket handlers
 import { setupSocketHandlers } from "./services/socketService.js";
+import { setupAgentHandlers } from "./services/agentSocketService.js";
+import { setupAdminHandlers } from "./services/adminSocketService.js";
+import { startCrawlScheduler } from "./services/crawlerService.js";
+import { startDocumentWorker } from "./services/documentProcessingService.js";
+import { labelLegacyEmbeddings } from "./services/embeddingService.js";
 
 // Ensure uploads directory exists
 const ensureUploadsDir = async () => {
@@ -40,6 +46,9 @@ const ensureUploadsDir = async () => {
   }
 };
 
+// Embedding runs in-process unless dedicated workers (npm run worker) do it
+const workerInApi = process.env.JOB_WORKER_IN_API !== "false";
+
 const app = express();
 const server = createServer(app);
 
@@ -48,10 +57,15 @@ const widgetOrigin = process.env.WIDGET_ORIGIN === "*"
   ? true 
   : process.env.WIDGET_ORIGIN?.replace(/\/$/, '');
 
-// Socket.io setup with CORS
+// Clean up FRONTEND_URL (remove trailing slash if present)
+const frontendUrl = process.env.FRONTEND_URL?.replace(/\/$/, '');
+
+// Socket.io setup with CORS — widgets on /ws/chat, the admin console on /ws/agent
+// and processing progress on /ws/admin
 const io = new Server(server, {
   cors: {
-    origin: widgetOrigin,
+    origin:
+      widgetOrigin === true ? true : [widgetOrigin, frontendUrl].filter(Boolean),
     methods: ["GET", "POST"],
     credentials: true,
   },
@@ -92,13 +106,13 @@ app.use(
 // Middleware
 app.use(helmet());
 
-// Clean up FRONTEND_URL (remove trailing slash if present)
-const frontendUrl = process.env.FRONTEND_URL?.replace(/\/$/, '');
-
 // Route-specific CORS — no catch-all so they don't overwrite each other
 const adminCors = cors({ origin: frontendUrl, credentials: true });
 const widgetCors = cors({ origin: true });
 
+// Meta webhooks parse their own body so the raw bytes survive for signature checks
+app.use("/api/webhooks", webhookRoutes);
+
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
@@ -117,12 +131,22 @@ app.get("/health", (req, res) => {
 
 // Socket.io connection handling
 setupSocketHandlers(io);
+setupAgentHandlers(io);
+setupAdminHandlers(io, { liveProgress: workerInApi });
 
 // Database connection
 mongoose
   .connect(process.env.MONGO_URI)
   .then(() => {
     console.log("Connected to MongoDB");
+    startCrawlScheduler();
+
+    if (workerInApi) {
+      startDocumentWorker();
+    } else {
+      // The worker checks embedding models too; labels are needed here first
+      labelLegacyEmbeddings();
+    }
   })
   .catch((error) => {
     console.error("MongoDB connection error:", error);
@@ -0,0 +1,74 @@
+import { authenticateSocket } from "../middlewares/auth.js";
+
+/**
+ * The /ws/admin namespace pushes document processing progress to every
+ * signed-in member of a tenant, so the dashboard does not have to poll.
+ * Events are emitted by whichever process embeds the document; a dedicated
+ * worker (npm run worker) has no sockets, so clients are told to keep
+ * polling in that setup.
+ */
+
+// Set by setupAdminHandlers; null in processes without a Socket.io server
+let adminNamespace = null;
+
+const tenantRoom = (tenantId) => `tenant:${tenantId}`;
+const memberRoom = (userId) => `member:${userId}`;
+
+/**
+ * Disconnect a deactivated member's dashboard sockets
+ * @param {string} userId - The member's user ID
+ */
+export const disconnectAdminSockets = (userId) => {
+  adminNamespace?.in(memberRoom(userId)).disconnectSockets(true);
+};
+
+/**
+ * Setup the /ws/admin namespace used by the admin dashboard
+ * @param {Server} io - Socket.io server instance
+ * @param {Object} options
+ * @param {boolean} options.liveProgress - Whether documents are embedded in this process
+ * @returns {Namespace} - The admin namespace
+ */
+export const setupAdminHandlers = (io, { liveProgress = true } = {}) => {
+  adminNamespace = io.of("/ws/admin");
+
+  adminNamespace.use(authenticateSocket());
+
+  adminNamespace.on("connection", (socket) => {
+    socket.join(tenantRoom(socket.tenant._id));
+    socket.join(memberRoom(socket.user._id));
+
+    // Lets the client decide whether it still needs to poll
+    socket.emit("processing:config", { liveProgress });
+  });
+
+  adminNamespace.on("error", (error) => {
+    console.error("Admin namespace error:", error);
+  });
+
+  return adminNamespace;
+};
+
+/**
+ * Push a document's processing state to its tenant's admins as
+ * `document:<event>` (parsing, embedding, completed or failed)
+ * @param {Object} document - The Document
+ * @param {string} event - Event name without the "document:" prefix
+ * @param {Object} extra - Additional fields for the payload
+ */
+export const emitDocumentEvent = (document, event, extra = {}) => {
+  if (!adminNamespace) return;
+
+  adminNamespace.to(tenantRoom(document.tenantId)).emit(`document:${event}`, {
+    documentId: document._id.toString(),
+    status: document.processingStatus,
+    progress: document.getProcessingProgress(),
+    message: document.getProcessingMessage(),
+    chunkCount: document.chunkCount,
+    embeddingCount: document.embeddingCount,
+    version: document.version,
+    pendingVersion: document.pendingVersion || null,
+    error: document.processingError || null,
+    ...extra,
+  });
+};
@@ -0,0 +1,162 @@
+import { authenticateSocket } from "../middlewares/auth.js";
+import Conversation from "../models/Conversation.js";
+import User from "../models/User.js";
+import {
+  agentRoom,
+  claimConversation,
+  listHandoffQueue,
+  reclaimAbandonedConversations,
+  registerHandoffNamespaces,
+  releaseConversation,
+  sendAgentMessage,
+  toQueueItem,
+  touchAgentClaims,
+} from "./handoffService.js";
+
+const AGENT_ROLES = ["owner", "editor", "agent"];
+
+// How long a claimed conversation waits for its agent to reconnect
+const HANDOFF_RELEASE_MS = parseInt(process.env.HANDOFF_RELEASE_MS) || 120000;
+
+// Set by setupAgentHandlers; null in processes without a Socket.io server
+let agentNamespace = null;
+
+// Room of one member's agent sockets, to disconnect them on account changes
+const memberRoom = (userId) => `member:${userId}`;
+
+/**
+ * Disconnect a member's agent console after their role or status changed;
+ * reconnecting authenticates them again
+ * @param {string} userId - The member's user ID
+ */
+export const disconnectAgentSockets = (userId) => {
+  agentNamespace?.in(memberRoom(userId)).disconnectSockets(true);
+};
+
+/**
+ * Keep the claims of this process's connected agents alive, then hand back
+ * conversations whose agent disconnected or stopped responding (Socket.io
+ * drops sockets that miss their pings) more than HANDOFF_RELEASE_MS ago
+ * @returns {Promise<number>} - Number of conversations handed back
+ */
+export const checkAgentClaims = async () => {
+  const agents = new Map();
+  for (const socket of agentNamespace?.sockets.values() || []) {
+    agents.set(`${socket.tenant._id}:${socket.user._id}`, socket);
+  }
+
+  await Promise.all(
+    [...agents.values()].map((socket) =>
+      touchAgentClaims(socket.tenant._id, socket.user._id)
+    )
+  );
+
+  return reclaimAbandonedConversations(
+    new Date(Date.now() - HANDOFF_RELEASE_MS)
+  );
+};
+
+/**
+ * Setup the /ws/agent namespace used by the admin live chat console
+ * @param {Server} io - Socket.io server instance
+ * @returns {Namespace} - The agent namespace
+ */
+export const setupAgentHandlers = (io) => {
+  agentNamespace = io.of("/ws/agent");
+  registerHandoffNamespaces({ agent: agentNamespace });
+
+  agentNamespace.use(authenticateSocket(...AGENT_ROLES));
+
+  agentNamespace.on("connection", (socket) => {
+    const tenantId = socket.tenant._id;
+    console.log(`[HANDOFF] Agent connected: ${socket.user.email}`);
+
+    socket.join(agentRoom(tenantId));
+    socket.join(memberRoom(socket.user._id));
+
+    // Access is checked again on every event, as a deactivation or role
+    // change may have been made by another API process
+    const hasAccess = async () => {
+      const user = await User.findById(socket.user._id);
+      return Boolean(user?.isActive && user.hasRole(...AGENT_ROLES));
+    };
+
+    // Wrap a handler so every event answers its ack with { data } or { error }
+    const handle = (event, handler) => {
+      socket.on(event, async (payload = {}, ack = () => {}) => {
+        try {
+          if (!(await hasAccess())) {
+            ack({ error: "Your access to the live chat has changed" });
+            socket.disconnect(true);
+            return;
+          }
+          ack({ data: await handler(payload) });
+        } catch (error) {
+          console.error(`[HANDOFF] ${event} failed:`, error.message);
+          ack({ error: error.message });
+        }
+      });
+    };
+
+    handle("queue:list", () => listHandoffQueue(tenantId));
+
+    handle("conversation:open", async ({ conversationId }) => {
+      const conversation = await Conversation.findOne({
+        _id: conversationId,
+        tenantId,
+      });
+
+      if (!conversation) {
+        throw new Error("Conversation not found");
+      }
+
+      return {
+        ...toQueueItem(conversation),
+        messages: conversation.getTranscript(),
+      };
+    });
+
+    handle("conversation:claim", async ({ conversationId }) =>
+      toQueueItem(await claimConversation(tenantId, conversationId, socket.user))
+    );
+
+    handle("conversation:release", async ({ conversationId }) =>
+      toQueueItem(
+        await releaseConversation(tenantId, conversationId, socket.user)
+      )
+    );
+
+    handle("agent:message", ({ conversationId, message }) => {
+      if (!message || typeof message !== "string" || !message.trim()) {
+        throw new Error("Message is required");
+      }
+
+      return sendAgentMessage(
+        tenantId,
+        conversationId,
+        socket.user,
+        message.trim()
+      );
+    });
+
+    socket.on("disconnect", (reason) => {
+      console.log(
+        `[HANDOFF] Agent disconnected: ${socket.user.email}, reason: ${reason}`
+      );
+    });
+  });
+
+  agentNamespace.on("error", (error) => {
+    console.error("Agent namespace error:", error);
+  });
+
+  setInterval(async () => {
+    try {
+      await checkAgentClaims();
+    } catch (error) {
+      console.error("[HANDOFF] Checking agent claims failed:", error.message);
+    }
+  }, Math.floor(HANDOFF_RELEASE_MS / 3)).unref();
+
+  return agentNamespace;
+};
@@ -0,0 +1,584 @@
+import mongoose from "mongoose";
+import Conversation, {
+  LOW_CONFIDENCE_THRESHOLD,
+} from "../models/Conversation.js";
+import AnswerFeedback from "../models/AnswerFeedback.js";
+import Document from "../models/Document.js";
+import OverrideRule from "../models/OverrideRule.js";
+import { detectMessageType } from "../config/defaultAnswers.js";
+import { clusterQuestions } from "./questionClusterService.js";
+
+/**
+ * Support metrics computed from stored conversations: question volume by
+ * day, hour and channel, how often answers fell back or were unsure, and
+ * the questions visitors ask most, and which override rules answered.
+ * Answer feedback is reported the same way.
+ */
+
+const CHANNELS = ["widget", "socket", "whatsapp", "instagram"];
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most recent questions considered for the top questions list
+const TOP_QUESTIONS_SAMPLE = 2000;
+
+// Small talk is not worth ranking as a support question
+const SMALL_TALK = ["greeting", "thanks", "goodbye"];
+
+// Minutes a timezone is ahead of UTC at a given instant
+const getTimezoneOffset = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, parseInt(part.value)])
+  );
+  const local = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute
+  );
+  return Math.round((local - date.getTime()) / 60000);
+};
+
+// A bare date ("2024-01-31") means that day in the report's timezone;
+// anything else is parsed as a full timestamp
+const parseDate = (value, timezone, endOfDay = false) => {
+  if (!value) return null;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const midnight = Date.UTC(year, month - 1, day + (endOfDay ? 1 : 0));
+  if (isNaN(midnight)) return null;
+
+  const offset = getTimezoneOffset(new Date(midnight), timezone);
+  return new Date(midnight - offset * 60000 - (endOfDay ? 1 : 0));
+};
+
+/**
+ * Validate the from/to/timezone query parameters of an analytics request.
+ * Defaults to the last 30 days in UTC.
+ * @param {Object} query - Request query ({ from, to, timezone })
+ * @returns {{from: Date, to: Date, timezone: string}}
+ * @throws {Error} With `status` 400 when a parameter is invalid
+ */
+export const parseAnalyticsRange = (query = {}) => {
+  const invalid = (message) =>
+    Object.assign(new Error(message), { status: 400 });
+
+  const timezone = query.timezone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch (error) {
+    throw invalid("Invalid timezone");
+  }
+
+  const to = query.to ? parseDate(query.to, timezone, true) : new Date();
+  if (!to) throw invalid("Invalid 'to' date");
+
+  const from = query.from
+    ? parseDate(query.from, timezone)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (!from) throw invalid("Invalid 'from' date");
+
+  if (from > to) throw invalid("'from' must be before 'to'");
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw invalid(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from, to, timezone };
+};
+
+// Every calendar day of the range in the report's timezone
+const listDays = (from, to, timezone) => {
+  const format = new Intl.DateTimeFormat("en-CA", { timeZone: timezone });
+  const days = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    const day = format.format(new Date(time));
+    if (days[days.length - 1] !== day) days.push(day);
+  }
+  const last = format.format(to);
+  if (days[days.length - 1] !== last) days.push(last);
+  return days;
+};
+
+const emptyChannels = () =>
+  Object.fromEntries(CHANNELS.map((channel) => [channel, 0]));
+
+// Fold {_id: {key, channel}, count} rows into [{key, total, byChannel}]
+const byChannel = (rows, keys, keyName) => {
+  const buckets = new Map(
+    keys.map((key) => [
+      key,
+      { [keyName]: key, total: 0, byChannel: emptyChannels() },
+    ])
+  );
+
+  for (const row of rows) {
+    const bucket = buckets.get(row._id.key);
+    if (!bucket) continue;
+    bucket.total += row.count;
+    bucket.byChannel[row._id.channel] =
+      (bucket.byChannel[row._id.channel] || 0) + row.count;
+  }
+
+  return [...buckets.values()];
+};
+
+// The bucket with the most questions, or null when there were none
+const busiest = (buckets) =>
+  buckets.reduce(
+    (top, bucket) => (bucket.total > (top?.total || 0) ? bucket : top),
+    null
+  );
+
+const rate = (count, total) =>
+  total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+
+/**
+ * Conversation analytics for a tenant over a date range
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} range - From parseAnalyticsRange
+ * @param {Date} range.from - Start of the range
+ * @param {Date} range.to - End of the range
+ * @param {string} range.timezone - IANA timezone for day and hour buckets
+ * @returns {Promise<Object>} Totals, daily and hourly volume, busiest times and top questions
+ */
+export const computeConversationAnalytics = async (
+  tenantId,
+  { from, to, timezone }
+) => {
+  const tenantObjectId = new mongoose.Types.ObjectId(tenantId);
+
+  const [facets] = await Conversation.aggregate([
+    // Conversations active in the range; messages are filtered below
+    { $match: { tenantId: tenantObjectId, lastMessageAt: { $gte: from } } },
+    { $unwind: "$messages" },
+    { $match: { "messages.createdAt": { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        daily: [
+          { $match: { "messages.role": "user" } },
+          {
+            $group: {
+              _id: {
+                key: {
+                  $dateToString: {
+                    format: "%Y-%m-%d",
+                    date: "$messages.createdAt",
+                    timezone,
+                  },
+                },
+                channel: "$channel",
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        hourly: [
+          { $match: { "messages.role": "user" } },
+          {
+            $group: {
+              _id: {
+                key: { $hour: { date: "$messages.createdAt", timezone } },
+                channel: "$channel",
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        weekdayHours: [
+          { $match: { "messages.role": "user" } },
+          {
+            $group: {
+              _id: {
+                day: {
+                  $isoDayOfWeek: { date: "$messages.createdAt", timezone },
+                },
+                hour: { $hour: { date: "$messages.createdAt", timezone } },
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        answers: [
+          {
+            $match: {
+              "messages.role": "bot",
+              "messages.messageType": { $ne: "handoff" },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              fallback: {
+                $sum: {
+                  $cond: [
+                    {
+                      $or: [
+                        { $eq: ["$messages.isFallback", true] },
+                        { $eq: ["$messages.messageType", "notFound"] },
+                      ],
+                    },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              lowConfidence: {
+                $sum: {
+                  $cond: [
+                    {
+                      $and: [
+                        { $isNumber: "$messages.confidence" },
+                        {
+                          $lt: [
+                            "$messages.confidence",
+                            LOW_CONFIDENCE_THRESHOLD,
+                          ],
+                        },
+                      ],
+                    },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              // Best match of each answer that retrieved anything
+              avgSimilarity: { $avg: { $max: "$messages.sources.similarity" } },
+            },
+          },
+        ],
+        overrides: [
+          { $match: { "messages.overrideRuleId": { $exists: true } } },
+          {
+            $group: {
+              _id: "$messages.overrideRuleId",
+              count: { $sum: 1 },
+              lastTriggeredAt: { $max: "$messages.createdAt" },
+            },
+          },
+          { $sort: { count: -1 } },
+        ],
+        conversations: [{ $group: { _id: "$_id" } }, { $count: "total" }],
+        agentReplies: [
+          { $match: { "messages.role": "agent" } },
+          { $group: { _id: "$_id" } },
+          { $count: "conversations" },
+        ],
+        questions: [
+          { $match: { "messages.role": "user" } },
+          { $sort: { "messages.createdAt": -1 } },
+          { $limit: TOP_QUESTIONS_SAMPLE },
+          {
+            $project: {
+              _id: 0,
+              text: "$messages.content",
+              askedAt: "$messages.createdAt",
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const days = listDays(from, to, timezone);
+  const hours = Array.from({ length: 24 }, (_, hour) => hour);
+  const daily = byChannel(facets.daily, days, "date");
+  const hourly = byChannel(facets.hourly, hours, "hour");
+
+  const answers = facets.answers[0] || {
+    total: 0,
+    fallback: 0,
+    lowConfidence: 0,
+    avgSimilarity: null,
+  };
+  const conversationCount = facets.conversations[0]?.total || 0;
+  const handedOff = facets.agentReplies[0]?.conversations || 0;
+  const questionCount = daily.reduce((sum, day) => sum + day.total, 0);
+
+  const weekdayHours = facets.weekdayHours
+    .map((row) => ({ day: row._id.day, hour: row._id.hour, count: row.count }))
+    .sort((a, b) => b.count - a.count);
+
+  // Rules deleted since they fired are still counted, without a name
+  const rules = await OverrideRule.find({
+    _id: { $in: facets.overrides.map((row) => row._id) },
+  })
+    .select("name")
+    .lean();
+  const ruleNames = new Map(
+    rules.map((rule) => [rule._id.toString(), rule.name])
+  );
+  const overrides = facets.overrides.map((row) => ({
+    ruleId: row._id,
+    name: ruleNames.get(row._id.toString()) || null,
+    count: row.count,
+    lastTriggeredAt: row.lastTriggeredAt,
+  }));
+
+  const topQuestions = await clusterQuestions(
+    facets.questions
+      .filter((question) => !SMALL_TALK.includes(detectMessageType(question.text)))
+      .map((question) => ({ text: question.text, lastAskedAt: question.askedAt })),
+    { tenantId }
+  );
+
+  return {
+    range: { from, to, timezone },
+    totals: {
+      conversations: conversationCount,
+      questions: questionCount,
+      answers: answers.total,
+      fallback: answers.fallback,
+      fallbackRate: rate(answers.fallback, answers.total),
+      lowConfidence: answers.lowConfidence,
+      lowConfidenceRate: rate(answers.lowConfidence, answers.total),
+      avgSimilarity:
+        answers.avgSimilarity === null
+          ? null
+          : Math.round(answers.avgSimilarity * 1000) / 1000,
+      handedOff,
+      overrides: overrides.reduce((sum, rule) => sum + rule.count, 0),
+      perDay: Math.round((questionCount / days.length) * 10) / 10,
+    },
+    daily,
+    hourly,
+    // ISO weekday (1 = Monday) and hour, busiest first
+    weekdayHours,
+    busiestDay: busiest(daily),
+    busiestHour: busiest(hourly),
+    topQuestions: topQuestions.slice(0, 10).map(({ ids, ...group }) => group),
+    // Pinned answers given, per override rule, most used first
+    overrides,
+  };
+};
+
+// Most recent ratings grouped into the worst-rated answers list
+const FEEDBACK_SAMPLE = 2000;
+
+const countRating = (rating) => ({
+  $sum: { $cond: [{ $eq: ["$rating", rating] }, 1, 0] },
+});
+
+/**
+ * Answer feedback analytics for a tenant over a date range
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} range - From parseAnalyticsRange
+ * @param {Date} range.from - Start of the range
+ * @param {Date} range.to - End of the range
+ * @param {string} range.timezone - IANA timezone for day buckets
+ * @returns {Promise<Object>} Totals, daily ratings, worst-rated answers and the documents and chunks behind them
+ */
+export const computeFeedbackAnalytics = async (
+  tenantId,
+  { from, to, timezone }
+) => {
+  const tenantObjectId = new mongoose.Types.ObjectId(tenantId);
+
+  // A rating counts once per document even if several of its chunks were used
+  const byDocument = [
+    { $unwind: "$sources" },
+    { $match: { "sources.documentId": { $ne: null } } },
+    {
+      $group: {
+        _id: { feedback: "$_id", documentId: "$sources.documentId" },
+        rating: { $first: "$rating" },
+      },
+    },
+  ];
+
+  const [facets] = await AnswerFeedback.aggregate([
+    {
+      $match: { tenantId: tenantObjectId, createdAt: { $gte: from, $lte: to } },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              up: countRating("up"),
+              down: countRating("down"),
+              comments: {
+                $sum: { $cond: [{ $ifNull: ["$comment", false] }, 1, 0] },
+              },
+            },
+          },
+        ],
+        daily: [
+          {
+            $group: {
+              _id: {
+                date: {
+                  $dateToString: {
+                    format: "%Y-%m-%d",
+                    date: "$createdAt",
+                    timezone,
+                  },
+                },
+                rating: "$rating",
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        documents: [
+          ...byDocument,
+          {
+            $group: {
+              _id: "$_id.documentId",
+              up: countRating("up"),
+              down: countRating("down"),
+            },
+          },
+          { $match: { down: { $gt: 0 } } },
+          { $sort: { down: -1, up: 1 } },
+          { $limit: 10 },
+        ],
+        chunks: [
+          { $unwind: "$sources" },
+          { $match: { "sources.documentId": { $ne: null } } },
+          {
+            $group: {
+              _id: {
+                documentId: "$sources.documentId",
+                chunkIndex: "$sources.chunkIndex",
+              },
+              up: countRating("up"),
+              down: countRating("down"),
+              text: { $last: "$sources.text" },
+            },
+          },
+          { $match: { down: { $gt: 0 } } },
+          { $sort: { down: -1, up: 1 } },
+          { $limit: 10 },
+        ],
+        ratings: [
+          { $match: { question: { $ne: null } } },
+          { $sort: { createdAt: -1 } },
+          { $limit: FEEDBACK_SAMPLE },
+          {
+            $project: {
+              question: 1,
+              answer: 1,
+              rating: 1,
+              comment: 1,
+              createdAt: 1,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const totals = facets.totals[0] || { up: 0, down: 0, comments: 0 };
+  const rated = totals.up + totals.down;
+
+  const dailyCounts = new Map(
+    listDays(from, to, timezone).map((date) => [date, { date, up: 0, down: 0 }])
+  );
+  for (const row of facets.daily) {
+    const day = dailyCounts.get(row._id.date);
+    if (day) day[row._id.rating] += row.count;
+  }
+
+  // Names for the documents and chunks lists
+  const documentIds = [
+    ...facets.documents.map((row) => row._id),
+    ...facets.chunks.map((row) => row._id.documentId),
+  ];
+  const documents = await Document.find({ _id: { $in: documentIds } })
+    .select("originalName")
+    .lean();
+  const documentNames = new Map(
+    documents.map((document) => [document._id.toString(), document.originalName])
+  );
+  const documentName = (id) => documentNames.get(id.toString()) || null;
+
+  // Group rated questions so repeated bad answers surface together
+  const ratingsById = new Map(
+    facets.ratings.map((rating) => [rating._id.toString(), rating])
+  );
+  const groups = await clusterQuestions(
+    facets.ratings.map((rating) => ({
+      id: rating._id.toString(),
+      text: rating.question,
+      lastAskedAt: rating.createdAt,
+    })),
+    { tenantId }
+  );
+
+  const worstAnswers = groups
+    .map((group) => {
+      // Newest first
+      const members = group.ids
+        .map((id) => ratingsById.get(id))
+        .sort((a, b) => b.createdAt - a.createdAt);
+      const down = members.filter((member) => member.rating === "down");
+
+      return {
+        question: group.question,
+        examples: group.examples.slice(0, 5),
+        up: members.length - down.length,
+        down: down.length,
+        lastRatedAt: group.lastAskedAt,
+        answer: down[0]?.answer,
+        comments: down
+          .filter((member) => member.comment)
+          .slice(0, 5)
+          .map((member) => ({
+            comment: member.comment,
+            createdAt: member.createdAt,
+          })),
+      };
+    })
+    .filter((group) => group.down > 0)
+    .sort((a, b) => b.down - a.down || a.up - b.up)
+    .slice(0, 10);
+
+  return {
+    range: { from, to, timezone },
+    totals: {
+      rated,
+      up: totals.up,
+      down: totals.down,
+      satisfaction: rated > 0 ? rate(totals.up, rated) : null,
+      comments: totals.comments,
+    },
+    daily: [...dailyCounts.values()],
+    worstAnswers,
+    documents: facets.documents.map((row) => ({
+      documentId: row._id,
+      name: documentName(row._id),
+      up: row.up,
+      down: row.down,
+      downRate: rate(row.down, row.up + row.down),
+    })),
+    chunks: facets.chunks.map((row) => ({
+      documentId: row._id.documentId,
+      name: documentName(row._id.documentId),
+      chunkIndex: row._id.chunkIndex,
+      text: row.text,
+      up: row.up,
+      down: row.down,
+    })),
+  };
+};
@@ -0,0 +1,265 @@
+import {
+  generateChatResponse as generateChatResponseAI,
+  streamChatResponse as streamChatResponseAI,
+} from "./chatService.js";
+import { generateChatResponse as generateChatResponsePDF } from "./chatService.pdf.js";
+import {
+  PROVIDER_IDS,
+  DEFAULT_PROVIDER,
+  isProviderConfigured,
+  getProviderModels,
+  resolveProviderChain,
+} from "./llmService.js";
+
+/**
+ * Per-tenant assistant configuration: the settings admins choose under
+ * Settings > Assistant, turned into the prompt and options every channel
+ * generates answers with.
+ */
+
+export const TONES = {
+  professional: "Professional and courteous.",
+  friendly: "Warm and friendly, like a helpful colleague.",
+  casual: "Relaxed and conversational; plain words, no jargon.",
+  formal: "Formal and precise; no slang or emoji.",
+};
+
+// Token budget and instructions per answer length; the PDF service, which
+// quotes documents instead of writing, keeps to maxSentences
+export const ANSWER_LENGTHS = {
+  short: {
+    maxTokens: 300,
+    maxSentences: 2,
+    instruction: "Answer in 1-2 short sentences.",
+  },
+  medium: {
+    maxTokens: 500,
+    maxSentences: 4,
+    instruction: "Answer in a short paragraph of up to 4 sentences.",
+  },
+  detailed: {
+    maxTokens: 1000,
+    maxSentences: 8,
+    instruction:
+      "Give a complete answer; use a short numbered list for steps when it helps.",
+  },
+};
+
+export const MAX_INSTRUCTIONS_LENGTH = 4000;
+
+// Providers tried, in order, after the tenant's own
+export const MAX_FALLBACKS = 3;
+
+const NOT_FOUND_REPLY =
+  "I don't have enough information to answer that from the provided documents.";
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+// A provider (and optionally one of its models) a tenant may choose. Choices
+// already saved stay valid when the server's configuration changes.
+const toProviderChoice = ({ provider, model } = {}, saved = []) => {
+  if (!PROVIDER_IDS.includes(provider)) {
+    throw invalid(`Unknown provider "${provider}"`);
+  }
+  if (saved.some((c) => c.provider === provider && c.model === model)) {
+    return { provider, model };
+  }
+  if (!isProviderConfigured(provider)) {
+    throw invalid(`Provider "${provider}" is not configured on this server`);
+  }
+
+  const models = getProviderModels(provider);
+  if (model && !models.includes(model)) {
+    throw invalid(
+      `Model for ${provider} must be one of: ${models.join(", ")}`
+    );
+  }
+  return { provider, model: model || models[0] };
+};
+
+/**
+ * Validate the assistant settings sent by the admin UI
+ * @param {Object} input - instructions, tone, answerLength, provider, model,
+ *   fallbacks, temperature, allowGeneralKnowledge
+ * @param {Object} current - The saved Tenant.assistant
+ * @returns {Object} Fields ready to save
+ * @throws {Error} With `status` 400 when a field is invalid
+ */
+export const normalizeAssistantSettings = (input = {}, current = {}) => {
+  const fields = {};
+
+  if (input.instructions !== undefined) {
+    const instructions = String(input.instructions ?? "").trim();
+    if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      throw invalid(
+        `Instructions must be ${MAX_INSTRUCTIONS_LENGTH} characters or less`
+      );
+    }
+    fields.instructions = instructions;
+  }
+
+  if (input.tone !== undefined) {
+    if (!TONES[input.tone]) throw invalid("Unknown tone");
+    fields.tone = input.tone;
+  }
+
+  if (input.answerLength !== undefined) {
+    if (!ANSWER_LENGTHS[input.answerLength]) {
+      throw invalid("Unknown answer length");
+    }
+    fields.answerLength = input.answerLength;
+  }
+
+  // The model is checked against the provider it will be sent to
+  if (input.provider !== undefined || input.model !== undefined) {
+    const provider = input.provider ?? current.provider ?? DEFAULT_PROVIDER;
+    // A saved model from another provider gives way to the new default
+    const currentModel = getProviderModels(provider).includes(current.model)
+      ? current.model
+      : undefined;
+    const saved = {
+      provider: current.provider ?? DEFAULT_PROVIDER,
+      model: current.model,
+    };
+    const choice = toProviderChoice(
+      { provider, model: input.model ?? currentModel },
+      [saved]
+    );
+    fields.provider = choice.provider;
+    fields.model = choice.model;
+  }
+
+  if (input.fallbacks !== undefined) {
+    if (!Array.isArray(input.fallbacks)) {
+      throw invalid("Fallbacks must be a list of providers");
+    }
+    if (input.fallbacks.length > MAX_FALLBACKS) {
+      throw invalid(`At most ${MAX_FALLBACKS} fallback providers`);
+    }
+    fields.fallbacks = input.fallbacks.map((fallback) =>
+      toProviderChoice(
+        typeof fallback === "string" ? { provider: fallback } : fallback,
+        current.fallbacks
+      )
+    );
+  }
+
+  if (input.temperature !== undefined) {
+    const temperature = Number(input.temperature);
+    if (!(temperature >= 0 && temperature <= 1)) {
+      throw invalid("Temperature must be between 0 and 1");
+    }
+    fields.temperature = temperature;
+  }
+
+  if (input.allowGeneralKnowledge !== undefined) {
+    fields.allowGeneralKnowledge = Boolean(input.allowGeneralKnowledge);
+  }
+
+  return fields;
+};
+
+/**
+ * Build the system prompt for a tenant's assistant
+ * @param {Object} assistant - Tenant.assistant
+ * @param {string} botName - Name the bot introduces itself with
+ * @returns {string}
+ */
+export const buildSystemPrompt = (assistant = {}, botName = "Support Bot") => {
+  const tone = TONES[assistant.tone] || TONES.professional;
+  const length =
+    ANSWER_LENGTHS[assistant.answerLength] || ANSWER_LENGTHS.short;
+
+  const grounding = assistant.allowGeneralKnowledge
+    ? [
+        "Prefer the provided context. If it does not cover the question, you may answer from general knowledge, but say that the answer is not from our documentation.",
+        "Never make up company-specific facts such as prices, policies or contact details.",
+      ]
+    : [
+        "Answer only from the provided context; do not invent facts that are not in it.",
+        `If the context lacks relevant information, reply with: "${NOT_FOUND_REPLY}" and offer to help search or connect to human support.`,
+      ];
+
+  const rules = [
+    length.instruction,
+    "Do NOT reproduce, summarize, or return entire documents, FAQs, or long lists from the context.",
+    "If the context contains multiple possible answers, prefer the single most relevant fact.",
+    ...grounding,
+    "If you include a citation, include at most one short excerpt (<=120 characters) and label it as a source.",
+  ];
+
+  let prompt = `You are ${botName}, a customer support assistant. Use the provided context to answer the user's question directly.
+
+Rules:
+${rules.map((rule, index) => `${index + 1}. ${rule}`).join("\n")}
+
+Tone: ${tone}`;
+
+  if (assistant.instructions) {
+    prompt += `\n\nAdditional instructions from the business (the rules above still apply):\n${assistant.instructions}`;
+  }
+
+  return prompt;
+};
+
+/**
+ * Chat options for a tenant, as accepted by chatService and chatService.pdf
+ * @param {Object} tenant - The tenant
+ * @returns {Object} { systemPrompt, providers, temperature, maxTokens, maxSentences }
+ */
+export const getAssistantOptions = (tenant) => {
+  const assistant = tenant.assistant || {};
+  const length =
+    ANSWER_LENGTHS[assistant.answerLength] || ANSWER_LENGTHS.short;
+
+  return {
+    systemPrompt: buildSystemPrompt(assistant, tenant.brandSettings?.botName),
+    providers: resolveProviderChain(assistant),
+    temperature: assistant.temperature ?? 0,
+    maxTokens: length.maxTokens,
+    maxSentences: length.maxSentences,
+  };
+};
+
+/**
+ * Answer with the tenant's assistant settings: the tenant's LLM provider
+ * chain when any provider is configured, the PDF-grounded service otherwise
+ * or if every provider fails. With onToken, LLM answers are streamed; the
+ * PDF fallback never streams. LLMs read the history themselves; the PDF
+ * service only sees one question, so it gets the standalone rewrite of a
+ * follow-up instead.
+ * @param {Object} tenant - The tenant
+ * @param {string} message - The visitor's message
+ * @param {string|string[]} context - Retrieved chunks
+ * @param {Object} options - history and standaloneQuery
+ * @param {Function} onToken - Receives answer text as it is streamed
+ * @returns {Promise<Object>} The chat response
+ */
+export const generateAssistantResponse = async (
+  tenant,
+  message,
+  context,
+  options = {},
+  onToken
+) => {
+  const { standaloneQuery, ...rest } = options;
+  const chatOptions = { ...getAssistantOptions(tenant), ...rest };
+
+  if (chatOptions.providers.length > 0) {
+    try {
+      return onToken
+        ? await streamChatResponseAI(message, context, chatOptions, onToken)
+        : await generateChatResponseAI(message, context, chatOptions);
+    } catch (err) {
+      console.error(
+        "[CHAT] No LLM provider answered, falling back to PDF service:",
+        err.message
+      );
+    }
+  }
+  return generateChatResponsePDF(
+    standaloneQuery || message,
+    context,
+    chatOptions
+  );
+};
@@ -1,42 +1,7 @@
-import OpenAI from "openai";
+import { generateCompletion, resolveProviderChain } from "./llmService.js";
 
-// Initialize OpenAI client lazily
-let openai = null;
-
-const getOpenAIClient = () => {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error("OPENAI_API_KEY environment variable is not set");
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-};
-
-/**
- * Generate a chat response using OpenAI's completion API
- * @param {string} userMessage - The user's message
- * @param {string} context - The context from similar documents
- * @param {Object} options - Additional options
- * @returns {Promise<Object>} - The generated response
- */
-export const generateChatResponse = async (
-  userMessage,
-  context,
-  options = {}
-) => {
-  try {
-    const {
-      model = "gpt-4o-mini",
-      maxTokens = 500,
-      temperature = 0.0,
-      systemPrompt = null,
-    } = options;
-
-    // Default system prompt
-    const defaultSystemPrompt = `You are a helpful customer support assistant. Use the provided context to answer the user's question directly and concisely.
+// Default system prompt
+const defaultSystemPrompt = `You are a helpful customer support assistant. Use the provided context to answer the user's question directly and concisely.
 
   Priority rules:
   1. Provide a direct answer in 1-2 short sentences. Do NOT reproduce, summarize, or return entire documents, FAQs, or long lists from the context.
@@ -49,74 +14,145 @@ export const generateChatResponse = async (
   - Friendly, professional, and concise.
   - Do not invent facts not present in the context.`;
 
-    const systemMessage = systemPrompt || defaultSystemPrompt;
+/**
+ * Build the provider-neutral request shared by streaming and non-streaming calls
+ * @param {string} userMessage - The user's message
+ * @param {string|string[]} context - The context from similar documents
+ * @param {Object} options - Additional options
+ * @returns {Object} - Request for llmService.generateCompletion
+ */
+const buildCompletionRequest = (userMessage, context, options = {}) => {
+  const {
+    maxTokens = 500,
+    temperature = 0.0,
+    systemPrompt = null,
+    history = [],
+  } = options;
 
-    // Normalize context (may be array of chunks or a string)
-    const contextStr = Array.isArray(context) ? context.join("\n\n") : (context || "");
+  // Normalize context (may be array of chunks or a string)
+  const contextStr = Array.isArray(context) ? context.join("\n\n") : (context || "");
 
-    const messages = [
-      {
-        role: "system",
-        content: systemMessage,
-      },
+  return {
+    system: systemPrompt || defaultSystemPrompt,
+    messages: [
+      // Earlier turns of the conversation, so follow-ups keep their meaning
+      ...history.map((turn) => ({ role: turn.role, content: turn.content })),
       {
         role: "user",
         content: `Context from knowledge base:\n${contextStr}\n\nUser question: ${userMessage}\n\nPlease provide a helpful response based on the context above.`,
       },
-    ];
-
-    // Call OpenAI API
-    const response = await getOpenAIClient().chat.completions.create({
-      model,
-      messages,
-      max_tokens: maxTokens,
-      temperature,
-      top_p: 0.9,
-      frequency_penalty: 0.1,
-      presence_penalty: 0.1,
-    });
-
-    if (!response.choices || response.choices.length === 0) {
-      throw new Error("No response generated from OpenAI");
-    }
+    ],
+    maxTokens,
+    temperature,
+  };
+};
 
-    const generatedText = response.choices[0].message.content;
-    const usage = response.usage;
+/**
+ * The providers to try: options.providers, or the default provider and
+ * fallback chain when none are given
+ * @param {Object} options - Additional options
+ * @returns {Array<{provider: string, model: string}>}
+ */
+const getChain = (options) =>
+  options.providers || resolveProviderChain({ model: options.model });
 
-    // Calculate confidence based on usage and response length
-    const confidence = calculateConfidence(generatedText, usage);
+/**
+ * Shape a completed answer the same way for both call styles
+ * @param {Object} completion - { text, usage, provider, model } from llmService
+ * @returns {Object} - The chat response
+ */
+const buildChatResponse = ({ text, usage, provider, model }) => ({
+  message: text.trim(),
+  confidence: calculateConfidence(text, usage),
+  usage,
+  provider,
+  model,
+  timestamp: new Date().toISOString(),
+});
 
-    return {
-      message: generatedText.trim(),
-      confidence,
-      usage: {
-        promptTokens: usage.prompt_tokens,
-        completionTokens: usage.completion_tokens,
-        totalTokens: usage.total_tokens,
-      },
-      model,
-      timestamp: new Date().toISOString(),
-    };
+/**
+ * Generate a chat response with the first LLM provider that answers
+ * @param {string} userMessage - The user's message
+ * @param {string} context - The context from similar documents
+ * @param {Object} options - Additional options, including `providers`
+ * @returns {Promise<Object>} - The generated response
+ */
+export const generateChatResponse = async (
+  userMessage,
+  context,
+  options = {}
+) => {
+  try {
+    const request = buildCompletionRequest(userMessage, context, options);
+    const completion = await generateCompletion(getChain(options), request);
+
+    return buildChatResponse(completion);
   } catch (error) {
-    console.error("Error generating chat response:", error);
-
-    // Handle specific OpenAI errors
-    if (error.code === "insufficient_quota") {
-      throw new Error("OpenAI API quota exceeded. Please check your billing.");
-    } else if (error.code === "invalid_api_key") {
-      throw new Error(
-        "Invalid OpenAI API key. Please check your configuration."
-      );
-    } else if (error.code === "rate_limit_exceeded") {
-      throw new Error(
-        "OpenAI API rate limit exceeded. Please try again later."
-      );
-    }
+    console.error("Error generating chat response:", error.message);
+    throw error;
+  }
+};
 
-    throw new Error(`Failed to generate chat response: ${error.message}`);
+/**
+ * Stream a chat response token by token
+ * @param {string} userMessage - The user's message
+ * @param {string} context - The context from similar documents
+ * @param {Object} options - Additional options, including `providers`
+ * @param {Function} onToken - Called with each text delta as it arrives
+ * @returns {Promise<Object>} - The complete response, same shape as generateChatResponse
+ */
+export const streamChatResponse = async (
+  userMessage,
+  context,
+  options = {},
+  onToken = () => {}
+) => {
+  try {
+    const request = buildCompletionRequest(userMessage, context, options);
+    const completion = await generateCompletion(
+      getChain(options),
+      request,
+      onToken
+    );
+
+    return buildChatResponse(completion);
+  } catch (error) {
+    console.error("Error streaming chat response:", error.message);
+    throw error;
   }
 };
 
+/**
+ * Rewrite a follow-up question into a standalone search query
+ * @param {string} userMessage - The user's latest message
+ * @param {Array<{role: string, content: string}>} history - Earlier turns, oldest first
+ * @param {Object} options - Additional options, including `providers`
+ * @returns {Promise<string>} - The standalone query
+ */
+export const rewriteQuery = async (userMessage, history, options = {}) => {
+  const transcript = history
+    .map(
+      (turn) =>
+        `${turn.role === "user" ? "Customer" : "Assistant"}: ${turn.content}`
+    )
+    .join("\n");
+
+  const { text } = await generateCompletion(getChain(options), {
+    system:
+      "Rewrite the customer's latest message as a standalone question that can be understood without the conversation. Keep product names, plans and error codes exactly as written. If it is already standalone, return it unchanged. Reply with the question only.",
+    messages: [
+      {
+        role: "user",
+        content: `Conversation:\n${transcript}\n\nLatest message: ${userMessage}`,
+      },
+    ],
+    maxTokens: 100,
+    temperature: 0,
+  });
+
+  return text.trim() || userMessage;
+};
+
 /**
  * Calculate confidence score for the generated response
  * @param {string} response - The generated response
@@ -135,7 +171,7 @@ const calculateConfidence = (response, usage) => {
 
   // Adjust based on token usage
   if (usage) {
-    const efficiency = usage.completion_tokens / usage.prompt_tokens;
+    const efficiency = usage.completionTokens / usage.promptTokens;
     if (efficiency > 0.3) {
       confidence += 0.1; // Good efficiency
     } else if (efficiency < 0.1) {
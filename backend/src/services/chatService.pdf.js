@@ -13,6 +13,7 @@ import defaultAnswers, {
  * Generate a chat response from document chunks.
  * @param {string} userMessage
  * @param {string|string[]} context – single string (legacy) or array of chunk strings
+ * @param {Object} options – maxSentences: longest answer quoted from a chunk (default 4)
  */
 export const generateChatResponse = async (
   userMessage,
@@ -87,9 +88,11 @@ export const generateChatResponse = async (
     let answer = extractBestParagraph(rawText, userKeywords);
 
     // Limit length
+    const { maxSentences = 4 } = options;
+    const maxChars = maxSentences * 200;
     const sentences = answer.match(/[^.!?]+[.!?]+/g) || [answer];
-    answer = sentences.slice(0, 4).join(" ").trim();
-    if (answer.length > 800) answer = answer.substring(0, 797) + "...";
+    answer = sentences.slice(0, maxSentences).join(" ").trim();
+    if (answer.length > maxChars) answer = answer.substring(0, maxChars - 3) + "...";
     if (!answer.match(/[.!?]$/)) answer += ".";
 
     console.log(`[PDF-CHAT] Answer (${hasMatch ? "matched" : "best-available"}): "${answer.substring(0, 80)}..."`);
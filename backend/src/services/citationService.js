@@ -0,0 +1,80 @@
+/**
+ * Citations: the sources of an answer in the shape the widget shows them,
+ * one per document page (or Q&A pair), with a link back to the original
+ * when the document has one.
+ */
+
+// Documents without a title of their own are cited by file name
+const getDocumentTitle = (document) =>
+  document.metadata?.title || document.originalName || "Document";
+
+// Crawled pages link to their URL; PDF pages link to the page itself
+const getDocumentUrl = (document, page) => {
+  const url = document.metadata?.sourceUrl;
+  if (!url) return null;
+  return page && document.fileType === "pdf" ? `${url}#page=${page}` : url;
+};
+
+/**
+ * A retrieved chunk or Q&A phrasing as stored with the answer
+ * @param {Object} doc - A result of findRelevantDocuments
+ * @returns {Object} { text, similarity, documentId, qaPairId, chunkIndex, section, page }
+ */
+export const toSource = (doc) => ({
+  text: doc.embedding.text.substring(0, 300) + "...",
+  similarity: Math.round(doc.similarity * 100) / 100,
+  documentId: doc.embedding.documentId,
+  qaPairId: doc.embedding.qaPairId,
+  chunkIndex: doc.embedding.metadata.chunkIndex,
+  section: doc.embedding.metadata.section,
+  page: doc.embedding.metadata.page,
+});
+
+/**
+ * Turn the stored sources of an answer into citations
+ * @param {Array<Object>} sources - Answer sources whose documentId is
+ *   populated with originalName, fileType and metadata
+ * @returns {Array<Object>} { id, type, title, section, page, url, snippet, similarity }, best match first
+ */
+export const buildCitations = (sources = []) => {
+  const citations = new Map();
+
+  for (const source of sources) {
+    const document = source.documentId?._id ? source.documentId : null;
+
+    let citation;
+    if (source.qaPairId) {
+      citation = {
+        id: source.qaPairId.toString(),
+        type: "qa",
+        title: source.section || "FAQ",
+        section: null,
+        page: null,
+        url: null,
+      };
+    } else if (document) {
+      citation = {
+        id: document._id.toString(),
+        type: "document",
+        title: getDocumentTitle(document),
+        section: source.section || null,
+        page: source.page || null,
+        url: getDocumentUrl(document, source.page),
+      };
+    } else {
+      // The document was deleted after the answer was given
+      continue;
+    }
+
+    const key = `${citation.id}:${citation.page || ""}`;
+    if (citations.has(key)) continue;
+
+    citations.set(key, {
+      ...citation,
+      snippet: source.text,
+      similarity: source.similarity,
+    });
+  }
+
+  return [...citations.values()].sort((a, b) => b.similarity - a.similarity);
+};
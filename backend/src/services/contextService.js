@@ -0,0 +1,118 @@
+import Conversation from "../models/Conversation.js";
+import { rewriteQuery } from "./chatService.js";
+import { resolveProviderChain } from "./llmService.js";
+
+/**
+ * Conversational context for the chat pipeline: recent turns of a session
+ * and standalone rewrites of follow-up questions for retrieval.
+ */
+
+// Number of previous question/answer pairs carried into the prompt
+export const MAX_HISTORY_TURNS = parseInt(process.env.CHAT_HISTORY_TURNS) || 3;
+
+// Long answers are trimmed so history doesn't crowd out document context
+const MAX_TURN_LENGTH = 600;
+
+const FOLLOW_UP_PATTERNS = [
+  /^(and|but|also|so|then|or)\b/i,
+  /^(what|how) about\b/i,
+  /\b(it|its|that|this|those|these|they|them|their|one|ones)\b/i,
+];
+
+/**
+ * Trim a list of turns to the most recent MAX_HISTORY_TURNS pairs
+ * @param {Array<{role: string, content: string}>} turns - Oldest first
+ * @returns {Array<{role: string, content: string}>}
+ */
+export const trimHistory = (turns) =>
+  turns.slice(-MAX_HISTORY_TURNS * 2).map((turn) => ({
+    role: turn.role,
+    content:
+      turn.content.length > MAX_TURN_LENGTH
+        ? `${turn.content.substring(0, MAX_TURN_LENGTH)}...`
+        : turn.content,
+  }));
+
+/**
+ * Load the recent turns of a stored conversation
+ * @param {string} tenantId - The tenant ID
+ * @param {string} sessionId - The session ID
+ * @param {Object} options - { channels } to only read conversations of these channels
+ * @returns {Promise<Array<{role: "user"|"assistant", content: string}>>} - Oldest first
+ */
+export const getConversationHistory = async (
+  tenantId,
+  sessionId,
+  { channels } = {}
+) => {
+  if (!sessionId) return [];
+
+  try {
+    const conversation = await Conversation.findOne(
+      { tenantId, sessionId, ...(channels && { channel: { $in: channels } }) },
+      { messages: { $slice: -MAX_HISTORY_TURNS * 2 } }
+    ).lean();
+
+    if (!conversation) return [];
+
+    return trimHistory(
+      conversation.messages.map((message) => ({
+        role: message.role === "user" ? "user" : "assistant",
+        content: message.content,
+      }))
+    );
+  } catch (error) {
+    console.error("[CONTEXT] Failed to load conversation history:", error.message);
+    return [];
+  }
+};
+
+/**
+ * Whether a message reads like it depends on earlier turns
+ * @param {string} message - The user message
+ * @returns {boolean}
+ */
+export const isFollowUp = (message) => {
+  const words = message.trim().split(/\s+/);
+  return (
+    words.length <= 4 ||
+    FOLLOW_UP_PATTERNS.some((pattern) => pattern.test(message.trim()))
+  );
+};
+
+/**
+ * Turn a follow-up question into a standalone query for retrieval.
+ * Uses an LLM provider when one is configured; otherwise, or if that fails,
+ * prefixes the previous question so its keywords and meaning reach the search.
+ * @param {string} message - The user message
+ * @param {Array<{role: string, content: string}>} history - Recent turns, oldest first
+ * @param {Array<Object>} providers - The tenant's provider chain (see llmService)
+ * @returns {Promise<string>} - The query to embed and search with
+ */
+export const rewriteFollowUpQuery = async (
+  message,
+  history = [],
+  providers = resolveProviderChain()
+) => {
+  if (history.length === 0 || !isFollowUp(message)) {
+    return message;
+  }
+
+  if (providers.length > 0) {
+    try {
+      const rewritten = await rewriteQuery(message, history, { providers });
+      console.log(`[CONTEXT] Rewrote "${message}" -> "${rewritten}"`);
+      return rewritten;
+    } catch (error) {
+      console.error("[CONTEXT] Query rewrite failed:", error.message);
+    }
+  }
+
+  const previousQuestion = [...history]
+    .reverse()
+    .find((turn) => turn.role === "user");
+
+  return previousQuestion
+    ? `${previousQuestion.content} ${message}`
+    : message;
+};
@@ -0,0 +1,621 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { parse as parseHtml } from "node-html-parser";
+import Source from "../models/Source.js";
+import Tenant from "../models/Tenant.js";
+import Document from "../models/Document.js";
+import { convertHtmlToText } from "../utils/fileParser.js";
+import { compilePathPattern, parseRobotsTxt } from "../utils/robots.js";
+import {
+  enqueueDocumentProcessing,
+  deactivateDocument,
+} from "./documentProcessingService.js";
+import { createDocumentVersion } from "./documentVersionService.js";
+
+/**
+ * Website sources: crawl a site (or its sitemap) and keep one Document per
+ * page in sync with it. Pages are queued for the same embedding pipeline as
+ * uploads; re-crawls only re-queue pages whose content hash changed.
+ */
+
+const USER_AGENT =
+  process.env.CRAWLER_USER_AGENT || "SupportCraftBot/1.0 (+knowledge-base)";
+const REQUEST_DELAY_MS = parseInt(process.env.CRAWLER_DELAY_MS) || 500;
+const SCHEDULER_INTERVAL_MS =
+  parseInt(process.env.CRAWL_SCHEDULER_INTERVAL_MS) || 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const MAX_SITEMAPS = 20;
+const MAX_CRAWL_DELAY_MS = 30000;
+// A crawl still marked running after this long is assumed dead
+const STALE_CRAWL_MS = 60 * 60 * 1000;
+
+// Responses that say a page is gone for good, rather than down for now
+const GONE_STATUSES = [404, 410];
+
+// Links to files we can't index are never fetched
+const SKIPPED_EXTENSIONS =
+  /\.(pdf|zip|gz|tar|png|jpe?g|gif|svg|webp|ico|css|js|json|xml|mp3|mp4|mov|avi|woff2?|ttf|eot|exe|dmg|docx?|xlsx?|pptx?)$/i;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Loopback, link-local and private ranges (IPv4 and IPv6)
+const isPrivateAddress = (address) => {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return (
+      lower === "::" ||
+      lower === "::1" ||
+      /^f[cd]/.test(lower) ||
+      /^fe[89ab]/.test(lower)
+    );
+  }
+
+  const [a, b] = address.split(".").map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168)
+  );
+};
+
+// Keep tenants from pointing the crawler at internal services
+const assertPublicUrl = async (url) => {
+  if (process.env.CRAWLER_ALLOW_PRIVATE === "true") return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.lookup(host, { all: true })).map((entry) => entry.address);
+
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error(`Refusing to crawl private address ${host}`);
+  }
+};
+
+const readBody = async (response) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_RESPONSE_BYTES) {
+      throw new Error("Response too large");
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+/**
+ * Fetch a URL, following redirects by hand so every hop passes the
+ * private-address check
+ * @param {string} url - URL to fetch
+ * @returns {Promise<{url: string, ok: boolean, status: number, contentType: string, body: string}>}
+ */
+const fetchUrl = async (url) => {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current);
+
+    const response = await fetch(current, {
+      redirect: "manual",
+      headers: {
+        "User-Agent": USER_AGENT,
+        Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.5",
+      },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    const location = response.headers.get("location");
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel();
+      current = new URL(location, current).href;
+      continue;
+    }
+
+    return {
+      url: current,
+      ok: response.ok,
+      status: response.status,
+      contentType: response.headers.get("content-type") || "",
+      body: response.body ? await readBody(response) : "",
+    };
+  }
+
+  throw new Error("Too many redirects");
+};
+
+/**
+ * Resolve a link against its page and drop the fragment
+ * @param {string} href - Link target
+ * @param {string} base - URL of the page the link is on
+ * @returns {string|null} Absolute http(s) URL, or null
+ */
+export const normalizeUrl = (href, base) => {
+  try {
+    const url = new URL(href, base);
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    url.hash = "";
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getPath = (url) => {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+};
+
+const loadRobots = async (origin) => {
+  try {
+    const response = await fetchUrl(`${origin}/robots.txt`);
+    if (response.ok) {
+      return parseRobotsTxt(response.body, USER_AGENT);
+    }
+  } catch (error) {
+    console.warn(`[CRAWLER] robots.txt unavailable for ${origin}:`, error.message);
+  }
+
+  // Missing robots.txt means everything is allowed
+  return parseRobotsTxt("", USER_AGENT);
+};
+
+const decodeXml = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+/**
+ * Collect page URLs from a sitemap, following sitemap indexes
+ * @param {string} sitemapUrl - URL of sitemap.xml
+ * @returns {Promise<{urls: string[], complete: boolean}>} complete is false
+ *   when a nested sitemap could not be read
+ */
+const loadSitemapUrls = async (sitemapUrl) => {
+  const pending = [sitemapUrl];
+  const visited = new Set();
+  const urls = [];
+  let complete = true;
+
+  while (pending.length > 0 && visited.size < MAX_SITEMAPS) {
+    const current = pending.shift();
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    let response;
+    try {
+      response = await fetchUrl(current);
+      if (!response.ok) {
+        throw new Error(`Sitemap returned HTTP ${response.status}`);
+      }
+    } catch (error) {
+      if (current === sitemapUrl) throw error;
+      console.warn(`[CRAWLER] ${current} failed:`, error.message);
+      complete = false;
+      continue;
+    }
+
+    const locations = [
+      ...response.body.matchAll(
+        /<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi
+      ),
+    ].map((match) => decodeXml(match[1].trim()));
+
+    if (/<sitemapindex[\s>]/i.test(response.body)) {
+      pending.push(...locations);
+    } else {
+      urls.push(...locations);
+    }
+  }
+
+  return {
+    urls,
+    complete: complete && pending.every((url) => visited.has(url)),
+  };
+};
+
+// Title, links and article text of an HTML page
+const extractPage = (html) => {
+  const root = parseHtml(html);
+  const robotsMeta = (
+    root.querySelector('meta[name="robots"]')?.getAttribute("content") || ""
+  ).toLowerCase();
+
+  const title =
+    root.querySelector("title")?.text.trim() ||
+    root.querySelector("h1")?.text.trim() ||
+    "";
+
+  const links = robotsMeta.includes("nofollow")
+    ? []
+    : root
+        .querySelectorAll("a[href]")
+        .map((link) => link.getAttribute("href"));
+
+  return {
+    title: title.replace(/\s+/g, " "),
+    links,
+    noindex: robotsMeta.includes("noindex"),
+    content: convertHtmlToText(html),
+  };
+};
+
+/**
+ * Crawl a website source without touching the database. A sitemap URL is
+ * read directly; anything else is crawled breadth-first on its own origin
+ * up to maxDepth links from the start page.
+ *
+ * Besides the indexed pages, it reports which URLs the crawl can vouch
+ * for: fetched without an error, or answered 404/410. A crawl is complete
+ * when nothing failed and maxPages did not cut it short; only then can a
+ * page it never reached be taken as removed from the site.
+ * @param {Object} source - Source document (url and crawlSettings)
+ * @param {Function} onPage - Awaited with {url, title, content, contentHash}
+ * @returns {Promise<{pageUrls: string[], visitedUrls: string[], failed: number, complete: boolean}>}
+ */
+export const crawlWebsite = async (source, onPage) => {
+  const { maxDepth, maxPages, includePatterns, excludePatterns } =
+    source.crawlSettings;
+  const startUrl = normalizeUrl(source.url);
+  if (!startUrl) {
+    throw new Error("Source URL must be an http(s) URL");
+  }
+
+  let origin = new URL(startUrl).origin;
+  const robots = await loadRobots(origin);
+  const delayMs = Math.min(
+    Math.max(REQUEST_DELAY_MS, (robots.crawlDelay || 0) * 1000),
+    MAX_CRAWL_DELAY_MS
+  );
+  const include = includePatterns.map(compilePathPattern);
+  const exclude = excludePatterns.map(compilePathPattern);
+
+  const matchesInclude = (url) =>
+    include.length === 0 || include.some((matches) => matches(getPath(url)));
+
+  const isCrawlable = (url) => {
+    const parsed = new URL(url);
+    const path = getPath(url);
+    return (
+      parsed.origin === origin &&
+      !SKIPPED_EXTENSIONS.test(parsed.pathname) &&
+      robots.isAllowed(path) &&
+      !exclude.some((matches) => matches(path)) &&
+      matchesInclude(url)
+    );
+  };
+
+  const isSitemap = /\.xml$/i.test(new URL(startUrl).pathname);
+  const queue = [];
+  const seen = new Set();
+  let complete = true;
+
+  if (isSitemap) {
+    const sitemap = await loadSitemapUrls(startUrl);
+    complete = sitemap.complete;
+    for (const url of sitemap.urls) {
+      const normalized = normalizeUrl(url);
+      if (normalized && !seen.has(normalized) && isCrawlable(normalized)) {
+        seen.add(normalized);
+        queue.push({ url: normalized, depth: maxDepth });
+      }
+    }
+  } else {
+    // The start page is always fetched for its links, even when include
+    // patterns keep it out of the index
+    seen.add(startUrl);
+    queue.push({ url: startUrl, depth: 0 });
+  }
+
+  const pageUrls = new Set();
+  const visitedUrls = new Set();
+  let failed = 0;
+  let requests = 0;
+
+  while (queue.length > 0 && pageUrls.size < maxPages) {
+    const { url, depth } = queue.shift();
+    const isStartPage = !isSitemap && url === startUrl;
+
+    if (requests++ > 0) await sleep(delayMs);
+
+    let response;
+    try {
+      response = await fetchUrl(url);
+      if (GONE_STATUSES.includes(response.status) && !isStartPage) {
+        visitedUrls.add(url).add(normalizeUrl(response.url));
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      if (isStartPage) {
+        throw new Error(`Could not fetch ${url}: ${error.message}`);
+      }
+      console.warn(`[CRAWLER] ${url} failed:`, error.message);
+      failed++;
+      continue;
+    }
+
+    visitedUrls.add(url);
+    if (!/html/i.test(response.contentType)) continue;
+
+    // The start page may redirect to the canonical host (e.g. www.)
+    const pageUrl = normalizeUrl(response.url);
+    visitedUrls.add(pageUrl);
+    if (isStartPage) {
+      origin = new URL(pageUrl).origin;
+    } else if (new URL(pageUrl).origin !== origin) {
+      continue;
+    }
+    if (pageUrl !== url) {
+      if (seen.has(pageUrl)) continue;
+      seen.add(pageUrl);
+    }
+
+    const page = extractPage(response.body);
+
+    if (depth < maxDepth) {
+      for (const href of page.links) {
+        const link = normalizeUrl(href, pageUrl);
+        if (link && !seen.has(link) && isCrawlable(link)) {
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1 });
+        }
+      }
+    }
+
+    if (
+      page.noindex ||
+      !page.content.trim() ||
+      !matchesInclude(pageUrl) ||
+      pageUrls.has(pageUrl)
+    ) {
+      continue;
+    }
+
+    pageUrls.add(pageUrl);
+    await onPage({
+      url: pageUrl,
+      title: page.title || pageUrl,
+      content: page.content,
+      contentHash: crypto
+        .createHash("sha256")
+        .update(page.content)
+        .digest("hex"),
+    });
+  }
+
+  return {
+    pageUrls: [...pageUrls],
+    visitedUrls: [...visitedUrls],
+    failed,
+    complete: complete && failed === 0 && queue.length === 0,
+  };
+};
+
+/**
+ * Add or refresh the Document for one crawled page
+ * @param {Object} source - The Source being crawled
+ * @param {Object} tenant - The source's tenant
+ * @param {Object} page - Page from crawlWebsite
+ * @returns {Promise<string>} lastStats key: added, updated, unchanged or skipped
+ */
+const syncPage = async (source, tenant, page) => {
+  const existing = await Document.findOne({
+    sourceId: source._id,
+    "metadata.sourceUrl": page.url,
+    isActive: true,
+  });
+
+  if (existing) {
+    if (existing.metadata?.contentHash === page.contentHash) {
+      if (existing.processingStatus !== "failed") {
+        return "unchanged";
+      }
+
+      // Same text as last time, but it never finished embedding
+      existing.processingStatus = "pending";
+      await existing.save();
+      await enqueueDocumentProcessing(existing._id, source.tenantId);
+      return "updated";
+    }
+
+    // Content changed: the new text becomes a version that replaces the
+    // live one once it is embedded
+    existing.set({
+      "metadata.title": page.title,
+      "metadata.contentHash": page.contentHash,
+      "metadata.lastModified": new Date(),
+    });
+    await createDocumentVersion(existing, {
+      content: page.content,
+      originalName: page.title,
+      changeType: "recrawl",
+    });
+    return "updated";
+  }
+
+  if (!tenant.canUploadDocument()) {
+    return "skipped";
+  }
+
+  const document = await Document.create({
+    tenantId: source.tenantId,
+    sourceId: source._id,
+    filename: page.url,
+    originalName: page.title,
+    fileType: "html",
+    fileSize: Buffer.byteLength(page.content),
+    content: page.content,
+    metadata: {
+      title: page.title,
+      sourceUrl: page.url,
+      contentHash: page.contentHash,
+      lastModified: new Date(),
+    },
+    processingStatus: "pending",
+  });
+
+  await tenant.incrementDocumentCount();
+  await enqueueDocumentProcessing(document._id, source.tenantId);
+  return "added";
+};
+
+/**
+ * Crawl a source and sync its pages. Returns null when the source is missing
+ * or another crawl of it is already running.
+ * @param {string} sourceId - The source ID
+ * @returns {Promise<Object|null>} The updated Source
+ */
+export const crawlSource = async (sourceId) => {
+  const source = await Source.findOneAndUpdate(
+    {
+      _id: sourceId,
+      isActive: true,
+      $or: [
+        { status: { $ne: "crawling" } },
+        { crawlStartedAt: { $lt: new Date(Date.now() - STALE_CRAWL_MS) } },
+      ],
+    },
+    { status: "crawling", crawlStartedAt: new Date(), lastError: null },
+    { new: true }
+  );
+
+  if (!source) return null;
+
+  console.log(`[CRAWLER] ${source._id} - Crawling ${source.url}`);
+
+  const stats = {
+    pagesFound: 0,
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    removed: 0,
+    failed: 0,
+    skipped: 0,
+  };
+
+  try {
+    const tenant = await Tenant.findById(source.tenantId);
+    if (!tenant) {
+      throw new Error("Tenant not found");
+    }
+
+    const crawl = await crawlWebsite(source, async (page) => {
+      // Stop early if the source was deleted mid-crawl
+      if (!(await Source.exists({ _id: source._id, isActive: true }))) {
+        throw new Error("Source was deleted");
+      }
+
+      stats.pagesFound++;
+      try {
+        stats[await syncPage(source, tenant, page)]++;
+      } catch (error) {
+        console.error(`[CRAWLER] ${page.url} sync failed:`, error.message);
+        stats.failed++;
+      }
+    });
+    stats.failed += crawl.failed;
+
+    // Pages no longer on the site: ones that were fetched but are gone or
+    // not indexable any more, and, after a complete crawl, ones it no longer
+    // links to. Pages that failed or were past maxPages are kept, and so is
+    // everything after an empty crawl (site down, robots.txt change).
+    const unlisted = await Document.find({
+      sourceId: source._id,
+      isActive: true,
+      "metadata.sourceUrl": { $nin: crawl.pageUrls },
+    });
+    const visited = new Set(crawl.visitedUrls);
+    const removeUnreached = crawl.complete && crawl.pageUrls.length > 0;
+
+    for (const document of unlisted) {
+      if (removeUnreached || visited.has(document.metadata.sourceUrl)) {
+        await deactivateDocument(document);
+        stats.removed++;
+      }
+    }
+
+    source.status = "idle";
+    source.lastCrawledAt = new Date();
+  } catch (error) {
+    console.error(`[CRAWLER] ${source._id} - Crawl failed:`, error.message);
+    source.status = "failed";
+    source.lastError = error.message;
+  }
+
+  // Pages added while a delete was in flight go with the source
+  if (!(await Source.exists({ _id: source._id, isActive: true }))) {
+    const orphaned = await Document.find({ sourceId: source._id, isActive: true });
+    for (const document of orphaned) {
+      await deactivateDocument(document);
+    }
+    return null;
+  }
+
+  source.lastStats = stats;
+  source.scheduleNextCrawl();
+  await source.save();
+
+  console.log(
+    `[CRAWLER] ${source._id} - Finished: ${stats.added} added, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.removed} removed, ${stats.failed} failed`
+  );
+
+  return source;
+};
+
+let schedulerBusy = false;
+
+/**
+ * Periodically re-crawl sources whose nextCrawlAt has passed
+ * @returns {NodeJS.Timeout}
+ */
+export const startCrawlScheduler = () => {
+  const tick = async () => {
+    if (schedulerBusy) return;
+    schedulerBusy = true;
+
+    try {
+      const due = await Source.find({
+        isActive: true,
+        nextCrawlAt: { $lte: new Date() },
+        $or: [
+          { status: { $ne: "crawling" } },
+          { crawlStartedAt: { $lt: new Date(Date.now() - STALE_CRAWL_MS) } },
+        ],
+      })
+        .select("_id")
+        .sort({ nextCrawlAt: 1 })
+        .limit(10);
+
+      for (const source of due) {
+        await crawlSource(source._id);
+      }
+    } catch (error) {
+      console.error("[CRAWLER] Scheduler error:", error);
+    } finally {
+      schedulerBusy = false;
+    }
+  };
+
+  const timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,684 @@
+import Document from "../models/Document.js";
+import Embedding from "../models/Embedding.js";
+import Tenant from "../models/Tenant.js";
+import Job from "../models/Job.js";
+import DocumentVersion from "../models/DocumentVersion.js";
+import { splitDocumentIntoChunks } from "../utils/fileParser.js";
+import {
+  generateEmbeddings,
+  generateBatchEmbeddings,
+  getEmbeddingIndex,
+  prepareEmbeddingModel,
+  toEmbeddingFields,
+  toModelFilter,
+} from "./embeddingService.js";
+import { indexEmbeddings, removeDocumentVectors } from "./vectorStore.js";
+import { enqueueJob, cancelJobs, startJobWorker } from "./jobQueue.js";
+import {
+  EMBEDDING_MIGRATION_JOB,
+  checkEmbeddingModels,
+  failAbandonedMigration,
+  runEmbeddingMigrationJob,
+} from "./embeddingMigrationService.js";
+import { emitDocumentEvent } from "./adminSocketService.js";
+
+/**
+ * Embedding pipeline shared by file uploads and website sources. Documents
+ * are processed by queue workers (see jobQueue.js) so a restart mid-way
+ * resumes from the chunks already embedded instead of leaving the document
+ * stuck in "processing".
+ *
+ * A new version of an already indexed document (edit, replacement file,
+ * rollback, re-crawl) is embedded alongside the live one with inactive
+ * chunks, then swapped in once every chunk is ready, so answers keep using
+ * the old text until the new text is fully searchable.
+ */
+
+export const DOCUMENT_JOB = "processDocument";
+
+// Documents pending this long without a queued job are assumed orphaned
+const ORPHAN_AFTER_MS = 60 * 1000;
+
+/**
+ * Chunk, embed and index a stored document, tracking progress on the Document.
+ * Processes the pending version when there is one, otherwise the live text.
+ * Chunks that already have an embedding (from an interrupted run) are skipped.
+ * @param {string} documentId - The document ID
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts between batches when the job is cancelled
+ * @returns {Promise<void>}
+ */
+export const processDocumentAsync = async (
+  documentId,
+  tenantId,
+  { signal } = {}
+) => {
+  let document = null;
+
+  try {
+    console.log(`UPLOAD_PARSING: Starting processing for ${documentId}`);
+
+    document = await Document.findById(documentId);
+    if (!document || !document.isActive) {
+      console.error(`Document not found: ${documentId}`);
+      return;
+    }
+
+    const targetVersion = document.pendingVersion || document.version;
+    const staged = targetVersion !== document.version;
+    let source = document;
+
+    if (staged) {
+      source = await DocumentVersion.findOne({
+        documentId,
+        version: targetVersion,
+      });
+      if (!source) {
+        throw new Error(`Version ${targetVersion} not found`);
+      }
+    }
+
+    // Update status to processing
+    document.processingStatus = "processing";
+    document.processingError = undefined;
+    await document.save();
+    emitDocumentEvent(document, "parsing");
+
+    // Split content into chunks; structured formats keep their section titles
+    const chunks = splitDocumentIntoChunks(source.content, source.fileType);
+
+    if (chunks.length === 0) {
+      throw new Error("No content chunks generated from document");
+    }
+
+    // Chunking is deterministic, so chunks embedded by an interrupted run
+    // carry over; embeddings that no longer match the content are dropped.
+    // Vectors of other models belong to a re-embedding in progress, which
+    // keeps them in step with these.
+    let embeddingIndex = await getEmbeddingIndex(tenantId);
+    const model = toModelFilter(embeddingIndex);
+    const existing = await Embedding.find(
+      staged
+        ? { documentId, version: targetVersion, ...model }
+        : { documentId, isActive: true, ...model }
+    ).select("text metadata.chunkIndex");
+    const embeddedIndexes = new Set();
+    const staleIds = [];
+    for (const embedding of existing) {
+      const index = embedding.metadata?.chunkIndex;
+      if (
+        chunks[index]?.text === embedding.text &&
+        !embeddedIndexes.has(index)
+      ) {
+        embeddedIndexes.add(index);
+      } else {
+        staleIds.push(embedding._id);
+      }
+    }
+
+    if (staleIds.length > 0) {
+      await Embedding.deleteMany({ _id: { $in: staleIds } });
+      if (!staged) {
+        await removeDocumentVectors(tenantId, documentId);
+        await indexEmbeddings(
+          tenantId,
+          await Embedding.find({ documentId, isActive: true, ...model })
+        );
+      }
+    }
+
+    // Unchanged chunks of a new version reuse the live embeddings
+    if (staged) {
+      const live = await Embedding.find({
+        documentId,
+        isActive: true,
+        ...model,
+      }).select("text embedding");
+      const liveEmbeddings = new Map(
+        live.map((embedding) => [embedding.text, embedding.embedding])
+      );
+      const reused = chunks
+        .map((chunk, chunkIndex) => ({ ...chunk, chunkIndex }))
+        .filter(
+          (chunk) =>
+            !embeddedIndexes.has(chunk.chunkIndex) &&
+            liveEmbeddings.has(chunk.text)
+        );
+
+      if (reused.length > 0) {
+        await Embedding.insertMany(
+          reused.map((chunk) => ({
+            tenantId,
+            documentId,
+            text: chunk.text,
+            ...toEmbeddingFields(
+              liveEmbeddings.get(chunk.text),
+              embeddingIndex
+            ),
+            metadata: getChunkMetadata(chunk),
+            version: targetVersion,
+            isActive: false,
+          }))
+        );
+        reused.forEach((chunk) => embeddedIndexes.add(chunk.chunkIndex));
+      }
+    }
+
+    // A staged version's progress is only pushed to admins: the live
+    // document keeps the counts of the version search still uses
+    const counts = staged ? {} : document;
+    const emitProgress = () =>
+      emitDocumentEvent(
+        document,
+        "embedding",
+        staged ? toStagedProgress(counts) : {}
+      );
+
+    counts.chunkCount = chunks.length;
+    counts.embeddingCount = embeddedIndexes.size;
+    if (!staged) {
+      await document.save();
+    }
+    emitProgress();
+
+    console.log(
+      `UPLOAD_PARSING: ${documentId} - Generated ${chunks.length} chunks for version ${targetVersion}${
+        embeddedIndexes.size > 0
+          ? `, resuming with ${embeddedIndexes.size} already embedded`
+          : ""
+      }`
+    );
+
+    // A local model is fitted before the tenant's first content is embedded
+    await prepareEmbeddingModel(tenantId, chunks.map((chunk) => chunk.text));
+
+    // Process embeddings in batches for better performance
+    const BATCH_SIZE = 50;
+    let processedChunks = embeddedIndexes.size;
+
+    for (
+      let batchIndex = 0;
+      batchIndex < chunks.length;
+      batchIndex += BATCH_SIZE
+    ) {
+      const batchChunks = chunks
+        .slice(batchIndex, batchIndex + BATCH_SIZE)
+        .map((chunk, idx) => ({ ...chunk, chunkIndex: batchIndex + idx }))
+        .filter((chunk) => !embeddedIndexes.has(chunk.chunkIndex));
+
+      if (batchChunks.length === 0) continue;
+
+      signal?.throwIfAborted();
+
+      console.log(
+        `EMBEDDING_BATCH: ${documentId} - Processing batch ${
+          Math.floor(batchIndex / BATCH_SIZE) + 1
+        }/${Math.ceil(chunks.length / BATCH_SIZE)}`
+      );
+
+      // A re-embedding may have switched the tenant's model meanwhile;
+      // it copies chunks embedded with the old one
+      embeddingIndex = await getEmbeddingIndex(tenantId);
+
+      try {
+        // Generate embeddings for batch with retry logic
+        const embeddings = await generateBatchEmbeddingsWithRetry(
+          batchChunks.map((chunk) => chunk.text),
+          tenantId,
+          embeddingIndex,
+          3
+        );
+
+        // Save embeddings to database
+        const embeddingDocs = embeddings.map((embedding, idx) => ({
+          tenantId,
+          documentId,
+          text: batchChunks[idx].text,
+          ...toEmbeddingFields(embedding, embeddingIndex),
+          metadata: getChunkMetadata(batchChunks[idx]),
+          version: targetVersion,
+          isActive: !staged,
+        }));
+
+        const savedEmbeddings = await Embedding.insertMany(embeddingDocs);
+        if (!staged) {
+          await indexEmbeddings(tenantId, savedEmbeddings);
+        }
+        processedChunks += embeddings.length;
+
+        // Update progress
+        counts.embeddingCount = processedChunks;
+        if (!staged) {
+          await document.save();
+        }
+
+        console.log(
+          `EMBEDDING_BATCH: ${documentId} - Completed ${processedChunks}/${
+            chunks.length
+          } chunks (${Math.round((processedChunks / chunks.length) * 100)}%)`
+        );
+      } catch (error) {
+        console.error(
+          `EMBEDDING_BATCH_ERROR: ${documentId} - Batch ${
+            Math.floor(batchIndex / BATCH_SIZE) + 1
+          } failed:`,
+          error.message
+        );
+
+        // Try processing individually as fallback
+        for (const chunk of batchChunks) {
+          signal?.throwIfAborted();
+
+          try {
+            const embedding = await generateEmbeddingsWithRetry(
+              chunk.text,
+              tenantId,
+              embeddingIndex,
+              3
+            );
+
+            const embeddingDoc = new Embedding({
+              tenantId,
+              documentId,
+              text: chunk.text,
+              ...toEmbeddingFields(embedding, embeddingIndex),
+              metadata: getChunkMetadata(chunk),
+              version: targetVersion,
+              isActive: !staged,
+            });
+
+            await embeddingDoc.save();
+            if (!staged) {
+              await indexEmbeddings(tenantId, [embeddingDoc]);
+            }
+            processedChunks++;
+
+            // Update progress
+            counts.embeddingCount = processedChunks;
+            if (!staged) {
+              await document.save();
+            }
+          } catch (chunkError) {
+            console.error(
+              `EMBEDDING_ERROR: ${documentId} - Chunk ${chunk.chunkIndex} failed:`,
+              chunkError.message
+            );
+          }
+        }
+      }
+
+      emitProgress();
+
+      // Small delay to avoid rate limits
+      if (batchIndex + BATCH_SIZE < chunks.length) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+    }
+
+    // A document is only complete with every chunk embedded; failing lets
+    // the queue retry, resuming with the chunks still missing. A staged
+    // version going live without them would delete content the live
+    // version still has.
+    if (processedChunks < chunks.length) {
+      throw new Error(
+        `${chunks.length - processedChunks} of ${chunks.length} chunks could not be embedded`
+      );
+    }
+
+    if (staged) {
+      signal?.throwIfAborted();
+      if (!(await swapDocumentVersion(document, source, chunks.length))) {
+        return;
+      }
+      document = await Document.findById(documentId);
+    } else {
+      // Mark as completed
+      document.processingStatus = "completed";
+      await document.save();
+      await DocumentVersion.updateOne(
+        { documentId, version: targetVersion, status: "pending" },
+        { status: "live", liveAt: new Date() }
+      );
+    }
+    emitDocumentEvent(document, "completed");
+
+    console.log(
+      `UPLOAD_INDEXED: ${documentId} - Successfully indexed with ${processedChunks} embeddings`
+    );
+  } catch (error) {
+    // A cancelled run leaves the status to whoever cancelled it
+    if (signal?.aborted) {
+      console.log(`UPLOAD_ABORTED: ${documentId} - ${signal.reason?.message}`);
+      throw error;
+    }
+
+    console.error(`UPLOAD_FAILED: ${documentId} - ${error.message}`, error);
+
+    if (document) {
+      document.processingStatus = "failed";
+      document.processingError = toFailureMessage(document, error.message);
+      await document.save();
+    }
+
+    // Re-throw to be caught by the caller
+    throw error;
+  }
+};
+
+/**
+ * Make a fully embedded pending version the live one. The document is only
+ * marked completed once its embeddings are swapped: a run that dies midway
+ * leaves it processing, and the re-run (see recoverStuckDocuments) repeats
+ * the steps, each of which is safe to repeat.
+ * @param {Object} document - The Document
+ * @param {Object} version - The DocumentVersion going live
+ * @param {number} chunkCount - Chunks of the version, all of them embedded
+ * @returns {Promise<boolean>} False if a newer version replaced it meanwhile
+ */
+const swapDocumentVersion = async (document, version, chunkCount) => {
+  const { _id: documentId, tenantId } = document;
+  const isCurrent = {
+    _id: documentId,
+    isActive: true,
+    pendingVersion: version.version,
+  };
+
+  const superseded = () => {
+    console.log(
+      `UPLOAD_SUPERSEDED: ${documentId} - Version ${version.version} was replaced before going live`
+    );
+    return false;
+  };
+
+  // Only swap if no newer edit has replaced this version meanwhile
+  if (!(await Document.exists(isCurrent))) {
+    return superseded();
+  }
+
+  // New chunks go live before the old ones are dropped, so search never
+  // comes back empty for this document. A newer version's staged chunks
+  // are left alone.
+  await Embedding.updateMany(
+    { documentId, version: version.version },
+    { isActive: true }
+  );
+  await Embedding.deleteMany({ documentId, version: { $lt: version.version } });
+  await removeDocumentVectors(tenantId, documentId);
+  await indexEmbeddings(
+    tenantId,
+    await Embedding.find({ documentId, isActive: true })
+  );
+
+  const swapped = await Document.updateOne(isCurrent, {
+    $set: {
+      content: version.content,
+      fileType: version.fileType,
+      originalName: version.originalName,
+      fileSize: version.fileSize,
+      version: version.version,
+      processingStatus: "completed",
+      chunkCount,
+      embeddingCount: chunkCount,
+    },
+    $unset: { pendingVersion: 1, processingError: 1 },
+  });
+  // The newer version's own swap replaces these chunks in turn
+  if (swapped.modifiedCount === 0) {
+    return superseded();
+  }
+
+  await DocumentVersion.updateMany(
+    { documentId, status: "live" },
+    { status: "archived" }
+  );
+  await DocumentVersion.updateMany(
+    { documentId, status: "pending", version: { $lt: version.version } },
+    { status: "discarded" }
+  );
+  await DocumentVersion.updateOne(
+    { _id: version._id },
+    { status: "live", liveAt: new Date() }
+  );
+
+  console.log(
+    `UPLOAD_SWAPPED: ${documentId} - Version ${version.version} is live`
+  );
+  return true;
+};
+
+/**
+ * Queue a document for processing, replacing any job already queued for it
+ * @param {string} documentId - The document ID
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>} The queued Job
+ */
+export const enqueueDocumentProcessing = async (documentId, tenantId) => {
+  await cancelJobs({ documentId });
+  return enqueueJob(DOCUMENT_JOB, { tenantId, documentId });
+};
+
+/**
+ * Cancel queued or running processing for a document
+ * @param {string} documentId - The document ID
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+export const cancelDocumentProcessing = (documentId) =>
+  cancelJobs({ documentId });
+
+// Queue handler: failures that will be retried put the document back to pending
+const runDocumentJob = async (job, { signal }) => {
+  try {
+    await processDocumentAsync(job.documentId, job.tenantId, { signal });
+  } catch (error) {
+    if (signal.aborted) throw error;
+
+    const retrying = job.attempts < job.maxAttempts;
+    if (retrying) {
+      await Document.updateOne(
+        { _id: job.documentId, isActive: true },
+        {
+          processingStatus: "pending",
+          processingError: `${error.message} (attempt ${job.attempts} of ${job.maxAttempts}, retrying)`,
+        }
+      );
+    }
+
+    const document = await Document.findById(job.documentId);
+    if (document?.isActive) {
+      emitDocumentEvent(document, "failed", {
+        retrying,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+      });
+    }
+    throw error;
+  }
+};
+
+// Queue callback for a job whose worker died on its last attempt: nothing
+// will run it again, so the document must not stay "processing"
+const failAbandonedDocument = async (job) => {
+  const document = await Document.findOne({
+    _id: job.documentId,
+    isActive: true,
+    processingStatus: { $in: ["pending", "processing"] },
+  });
+  if (!document) return;
+
+  document.processingStatus = "failed";
+  document.processingError = toFailureMessage(document, job.lastError);
+  await document.save();
+  emitDocumentEvent(document, "failed", {
+    retrying: false,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+  });
+};
+
+/**
+ * Re-queue documents left pending or processing without an active job,
+ * e.g. uploads from before the queue existed
+ * @returns {Promise<number>} Number of documents queued
+ */
+export const recoverStuckDocuments = async () => {
+  const documents = await Document.find({
+    isActive: true,
+    processingStatus: { $in: ["pending", "processing"] },
+    updatedAt: { $lt: new Date(Date.now() - ORPHAN_AFTER_MS) },
+  }).select("_id tenantId");
+
+  let recovered = 0;
+  for (const document of documents) {
+    const active = await Job.exists({
+      documentId: document._id,
+      status: { $in: ["queued", "running"] },
+    });
+    if (!active) {
+      await enqueueJob(DOCUMENT_JOB, {
+        tenantId: document.tenantId,
+        documentId: document._id,
+      });
+      recovered++;
+    }
+  }
+
+  if (recovered > 0) {
+    console.log(`[JOBS] Re-queued ${recovered} stuck document(s)`);
+  }
+  return recovered;
+};
+
+/**
+ * Start a worker that processes queued documents and re-embedding
+ * migrations
+ * @param {Object} options - Passed to startJobWorker (e.g. concurrency)
+ * @returns {{id: string, stop: Function}}
+ */
+export const startDocumentWorker = (options = {}) => {
+  recoverStuckDocuments().catch((error) => {
+    console.error("[JOBS] Document recovery failed:", error);
+  });
+  checkEmbeddingModels().catch((error) => {
+    console.error("[JOBS] Embedding model check failed:", error);
+  });
+
+  return startJobWorker({
+    ...options,
+    handlers: {
+      [DOCUMENT_JOB]: runDocumentJob,
+      [EMBEDDING_MIGRATION_JOB]: runEmbeddingMigrationJob,
+    },
+    onAbandoned: {
+      [DOCUMENT_JOB]: failAbandonedDocument,
+      [EMBEDDING_MIGRATION_JOB]: failAbandonedMigration,
+    },
+  });
+};
+
+/**
+ * Soft delete a document and take its embeddings out of search
+ * @param {Object} document - The Document to remove
+ * @returns {Promise<void>}
+ */
+export const deactivateDocument = async (document) => {
+  document.isActive = false;
+  await document.save();
+  await cancelDocumentProcessing(document._id);
+
+  // Decrement tenant document count
+  const tenant = await Tenant.findById(document.tenantId);
+  if (tenant) {
+    await tenant.decrementDocumentCount();
+  }
+
+  await Embedding.updateMany({ documentId: document._id }, { isActive: false });
+  await removeDocumentVectors(document.tenantId, document._id);
+};
+
+// Failure message for a document; a failed new version leaves the old live
+const toFailureMessage = (document, message) =>
+  document.pendingVersion && document.pendingVersion !== document.version
+    ? `Version ${document.pendingVersion} failed: ${message}. Version ${document.version} is still live.`
+    : message;
+
+// Progress event fields for a version being built next to the live one
+const toStagedProgress = ({ chunkCount, embeddingCount }) => {
+  const progress = chunkCount
+    ? Math.round((embeddingCount / chunkCount) * 100)
+    : 0;
+  return {
+    chunkCount,
+    embeddingCount,
+    progress,
+    message: `Processing document... ${progress}% complete`,
+  };
+};
+
+// Embedding metadata for a chunk from splitDocumentIntoChunks
+const getChunkMetadata = (chunk) => ({
+  chunkIndex: chunk.chunkIndex,
+  tokenCount: chunk.text.split(" ").length,
+  ...(chunk.section && { section: chunk.section, headings: chunk.headings }),
+  ...(chunk.page && { page: chunk.page }),
+});
+
+// Helper function to generate embeddings with retry logic
+const generateEmbeddingsWithRetry = async (
+  text,
+  tenantId,
+  index,
+  maxRetries = 3
+) => {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await generateEmbeddings(text, tenantId, index);
+    } catch (error) {
+      lastError = error;
+      console.error(
+        `Embedding attempt ${attempt}/${maxRetries} failed:`,
+        error.message
+      );
+
+      // Wait with exponential backoff before retry
+      if (attempt < maxRetries) {
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw lastError;
+};
+
+// Helper function to generate batch embeddings with retry logic
+const generateBatchEmbeddingsWithRetry = async (
+  texts,
+  tenantId,
+  index,
+  maxRetries = 3
+) => {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await generateBatchEmbeddings(texts, tenantId, index);
+    } catch (error) {
+      lastError = error;
+      console.error(
+        `Batch embedding attempt ${attempt}/${maxRetries} failed:`,
+        error.message
+      );
+
+      // Wait with exponential backoff before retry
+      if (attempt < maxRetries) {
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw lastError;
+};
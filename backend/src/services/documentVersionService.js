@@ -0,0 +1,199 @@
+import { diffLines } from "diff";
+import DocumentVersion from "../models/DocumentVersion.js";
+import Embedding from "../models/Embedding.js";
+import { enqueueDocumentProcessing } from "./documentProcessingService.js";
+import { getEmbeddingIndex, toModelFilter } from "./embeddingService.js";
+
+/**
+ * Document version history. Every edit, replacement file, rollback or
+ * re-crawl adds a version that is embedded in the background and swapped
+ * in when ready (see documentProcessingService.js).
+ */
+
+// Archived versions beyond this many are pruned; live and pending never are
+const MAX_VERSIONS = parseInt(process.env.DOCUMENT_MAX_VERSIONS) || 20;
+
+/**
+ * Record the document's current text as a version if it has none yet
+ * (documents uploaded before version history existed)
+ * @param {Object} document - The Document
+ * @returns {Promise<void>}
+ */
+export const ensureInitialVersion = async (document) => {
+  const exists = await DocumentVersion.exists({ documentId: document._id });
+  if (exists) return;
+
+  try {
+    await DocumentVersion.create({
+      tenantId: document.tenantId,
+      documentId: document._id,
+      version: document.version,
+      content: document.content,
+      fileType: document.fileType,
+      originalName: document.originalName,
+      fileSize: document.fileSize,
+      changeType: document.sourceId ? "recrawl" : "upload",
+      status: document.processingStatus === "completed" ? "live" : "pending",
+      liveAt: document.processingStatus === "completed" ? new Date() : null,
+      createdAt: document.createdAt,
+    });
+  } catch (error) {
+    // Another request recorded it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Add a version and queue it for embedding; the live version keeps
+ * answering until the new one is ready
+ * @param {Object} document - The Document
+ * @param {Object} changes
+ * @param {string} changes.content - New extracted text
+ * @param {string} changes.changeType - edit, replace, rollback or recrawl
+ * @param {string} changes.fileType - Defaults to the current file type
+ * @param {string} changes.originalName - Defaults to the current name
+ * @param {number} changes.fileSize - Defaults to the text's byte length
+ * @param {string} changes.note - Optional description of the change
+ * @param {number} changes.restoredFrom - Version a rollback restores
+ * @param {string} changes.userId - Who made the change
+ * @returns {Promise<Object>} The new DocumentVersion
+ */
+export const createDocumentVersion = async (document, changes) => {
+  await ensureInitialVersion(document);
+
+  const latest = await DocumentVersion.findOne({ documentId: document._id })
+    .sort({ version: -1 })
+    .select("version");
+  const nextVersion = Math.max(latest?.version || 0, document.version) + 1;
+
+  const version = await DocumentVersion.create({
+    tenantId: document.tenantId,
+    documentId: document._id,
+    version: nextVersion,
+    content: changes.content,
+    fileType: changes.fileType || document.fileType,
+    originalName: changes.originalName || document.originalName,
+    fileSize: changes.fileSize ?? Buffer.byteLength(changes.content),
+    changeType: changes.changeType,
+    note: changes.note,
+    restoredFrom: changes.restoredFrom,
+    createdBy: changes.userId,
+  });
+
+  // An edit made while another was still embedding replaces it
+  await discardPendingVersions(document._id, nextVersion);
+
+  document.pendingVersion = nextVersion;
+  document.processingStatus = "pending";
+  document.processingError = undefined;
+  await document.save();
+
+  await enqueueDocumentProcessing(document._id, document.tenantId);
+  await pruneVersions(document._id);
+
+  return version;
+};
+
+// Drop pending versions older than `beforeVersion` and their staged chunks
+const discardPendingVersions = async (documentId, beforeVersion) => {
+  const pending = await DocumentVersion.find({
+    documentId,
+    status: "pending",
+    version: { $lt: beforeVersion },
+  }).select("version");
+
+  for (const { version } of pending) {
+    await Embedding.deleteMany({ documentId, version, isActive: false });
+  }
+
+  await DocumentVersion.updateMany(
+    { _id: { $in: pending.map((version) => version._id) } },
+    { status: "discarded" }
+  );
+};
+
+/**
+ * Abandon a pending version, leaving the live one in place
+ * @param {Object} document - The Document
+ * @returns {Promise<boolean>} False if the document had no pending version
+ */
+export const discardPendingVersion = async (document) => {
+  if (!document.pendingVersion || document.pendingVersion === document.version) {
+    return false;
+  }
+
+  await discardPendingVersions(document._id, document.pendingVersion + 1);
+
+  const embeddingCount = await Embedding.countDocuments({
+    documentId: document._id,
+    isActive: true,
+    ...toModelFilter(await getEmbeddingIndex(document.tenantId)),
+  });
+
+  document.pendingVersion = undefined;
+  document.processingStatus = embeddingCount > 0 ? "completed" : "cancelled";
+  document.processingError = undefined;
+  document.chunkCount = embeddingCount;
+  document.embeddingCount = embeddingCount;
+  await document.save();
+
+  return true;
+};
+
+// Keep the newest MAX_VERSIONS archived or discarded versions
+const pruneVersions = async (documentId) => {
+  const old = await DocumentVersion.find({
+    documentId,
+    status: { $in: ["archived", "discarded"] },
+  })
+    .sort({ version: -1 })
+    .skip(MAX_VERSIONS)
+    .select("_id");
+
+  if (old.length > 0) {
+    await DocumentVersion.deleteMany({
+      _id: { $in: old.map((version) => version._id) },
+    });
+  }
+};
+
+/**
+ * Restore an earlier version's text as a new version
+ * @param {Object} document - The Document
+ * @param {Object} version - The DocumentVersion to restore
+ * @param {string} userId - Who rolled back
+ * @returns {Promise<Object>} The new DocumentVersion
+ */
+export const rollbackToVersion = (document, version, userId) =>
+  createDocumentVersion(document, {
+    content: version.content,
+    fileType: version.fileType,
+    originalName: version.originalName,
+    fileSize: version.fileSize,
+    changeType: "rollback",
+    note: `Rolled back to version ${version.version}`,
+    restoredFrom: version.version,
+    userId,
+  });
+
+/**
+ * Line diff between two versions
+ * @param {Object} from - Older DocumentVersion
+ * @param {Object} to - Newer DocumentVersion
+ * @returns {{changes: Array<Object>, stats: Object}}
+ */
+export const diffVersions = (from, to) => {
+  const changes = diffLines(from.content, to.content).map((part) => ({
+    type: part.added ? "added" : part.removed ? "removed" : "unchanged",
+    value: part.value,
+    lines: part.count,
+  }));
+
+  const stats = { added: 0, removed: 0 };
+  for (const change of changes) {
+    if (change.type !== "unchanged") stats[change.type] += change.lines;
+  }
+
+  return { changes, stats };
+};
+
@@ -0,0 +1,525 @@
+import Document from "../models/Document.js";
+import Embedding from "../models/Embedding.js";
+import EmbeddingMigration from "../models/EmbeddingMigration.js";
+import Tenant from "../models/Tenant.js";
+import {
+  INDEX_CACHE_MS,
+  generateBatchEmbeddings,
+  getConfiguredModel,
+  getEmbeddingIndex,
+  getModelKey,
+  isSameModel,
+  labelLegacyEmbeddings,
+  prepareTargetModel,
+  removeUnusedModels,
+  resetEmbeddingIndexCache,
+  toEmbeddingFields,
+  toModelFilter,
+} from "./embeddingService.js";
+import { resetVectorIndex } from "./vectorStore.js";
+import { enqueueJob, cancelJobs } from "./jobQueue.js";
+
+/**
+ * Re-embedding a tenant's content when its embedding model changes: a new
+ * EMBEDDING_PROVIDER or OPENAI_EMBEDDING_MODEL, a refitted local model, or
+ * vectors of several models left behind by an older release.
+ *
+ * A queue worker copies every chunk with a vector from the new model next
+ * to the old one. Search keeps using the tenant's live index, and only
+ * sees the old vectors, until the copy is complete; then one update to
+ * Tenant.embeddingIndex switches retrieval over and the old vectors are
+ * dropped. A retried job resumes after the last chunk it copied.
+ */
+
+export const EMBEDDING_MIGRATION_JOB = "migrateEmbeddings";
+
+const ACTIVE_STATUSES = ["queued", "running"];
+const BATCH_SIZE = 50;
+
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+const toTarget = ({ provider, model, version }) => ({
+  provider,
+  model,
+  version: version ?? null,
+});
+
+// Chunks still lacking a vector from the target model. Chunks of deleted
+// documents are left out; they are dropped at cleanup.
+const getSourceFilter = async (tenantId, target) => ({
+  tenantId,
+  $nor: [toModelFilter(target)],
+  documentId: {
+    $nin: await Document.distinct("_id", { tenantId, isActive: false }),
+  },
+});
+
+/**
+ * The tenant's migration that has not finished yet, if any
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object|null>}
+ */
+export const findActiveMigration = (tenantId) =>
+  EmbeddingMigration.findOne({
+    tenantId,
+    status: { $in: ACTIVE_STATUSES },
+  }).sort({ createdAt: 1 });
+
+/**
+ * Queue a re-embedding of a tenant's content with the configured model
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options
+ * @param {string} options.reason - "manual", "model-changed" or "mixed-models"
+ * @param {boolean} options.refit - Fit a new local model even if one is live
+ * @param {string} options.requestedBy - User who asked for it
+ * @returns {Promise<Object>} The EmbeddingMigration
+ * @throws {Error} With `status` 409 when one is already running
+ */
+export const startEmbeddingMigration = async (
+  tenantId,
+  { reason = "manual", refit = false, requestedBy } = {}
+) => {
+  if (await findActiveMigration(tenantId)) {
+    throw conflict("A re-embedding is already in progress");
+  }
+
+  const from = await getEmbeddingIndex(tenantId);
+  const to = getConfiguredModel(from, { refit });
+  const total = await Embedding.countDocuments(
+    await getSourceFilter(tenantId, to)
+  );
+
+  const migration = await EmbeddingMigration.create({
+    tenantId,
+    from,
+    to,
+    reason,
+    total,
+    requestedBy,
+  });
+
+  // Another request may have started one meanwhile; the oldest wins
+  const first = await findActiveMigration(tenantId);
+  if (!first._id.equals(migration._id)) {
+    await migration.deleteOne();
+    throw conflict("A re-embedding is already in progress");
+  }
+
+  await enqueueJob(EMBEDDING_MIGRATION_JOB, {
+    tenantId,
+    payload: { migrationId: migration._id },
+  });
+
+  console.log(
+    `[EMBED] Queued re-embedding of tenant ${tenantId} from ${getModelKey(
+      from
+    )} to ${getModelKey(to)} (${reason}, ${total} chunks)`
+  );
+  return migration;
+};
+
+// Update a migration unless it was cancelled meanwhile
+const updateRunning = async (migrationId, update) => {
+  const result = await EmbeddingMigration.updateOne(
+    { _id: migrationId, status: "running" },
+    update
+  );
+  return result.matchedCount > 0;
+};
+
+/**
+ * Add a target-model copy of every chunk that lacks one, in _id order
+ * @returns {Promise<boolean>} False if the migration was cancelled
+ */
+const copyEmbeddings = async (migration, target, { signal, trackProgress }) => {
+  const { tenantId } = migration;
+  const filter = await getSourceFilter(tenantId, target);
+  let cursor = trackProgress ? migration.cursor : null;
+
+  for (;;) {
+    signal?.throwIfAborted();
+
+    const sources = await Embedding.find({
+      ...filter,
+      ...(cursor && { _id: { $gt: cursor } }),
+    })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .select("-embedding")
+      .lean();
+    if (sources.length === 0) return true;
+
+    const copied = new Set(
+      (
+        await Embedding.distinct("migratedFrom", {
+          migratedFrom: { $in: sources.map((source) => source._id) },
+        })
+      ).map(String)
+    );
+    const pending = sources.filter(
+      (source) => !copied.has(source._id.toString())
+    );
+
+    const pendingIds = pending.map((source) => source._id);
+    if (pending.length > 0) {
+      const vectors = await generateBatchEmbeddings(
+        pending.map((source) => source.text),
+        tenantId,
+        target
+      );
+      await Embedding.insertMany(
+        pending.map((source, index) => ({
+          tenantId,
+          documentId: source.documentId,
+          qaPairId: source.qaPairId,
+          text: source.text,
+          ...toEmbeddingFields(vectors[index], target),
+          migratedFrom: source._id,
+          metadata: source.metadata,
+          version: source.version,
+          isActive: source.isActive,
+        }))
+      );
+    }
+
+    cursor = sources[sources.length - 1]._id;
+    const running = await updateRunning(migration._id, {
+      ...(trackProgress && { cursor }),
+      $inc: { processed: pending.length },
+    });
+    if (!running) {
+      // Cancelled while this batch was embedding
+      await Embedding.deleteMany({ migratedFrom: { $in: pendingIds } });
+      return false;
+    }
+  }
+};
+
+/**
+ * Bring copies in line with their sources: drop those whose source was
+ * deleted meanwhile, and follow sources that went live or were removed
+ * from search
+ */
+const reconcileCopies = async (tenantId, target) => {
+  const copies = await Embedding.find({
+    tenantId,
+    ...toModelFilter(target),
+    migratedFrom: { $exists: true },
+  })
+    .select("migratedFrom isActive")
+    .lean();
+
+  const sources = await Embedding.find({
+    _id: { $in: copies.map((copy) => copy.migratedFrom) },
+  })
+    .select("isActive")
+    .lean();
+  const sourcesById = new Map(
+    sources.map((source) => [source._id.toString(), source])
+  );
+
+  const orphanIds = [];
+  const activate = [];
+  const deactivate = [];
+  for (const copy of copies) {
+    const source = sourcesById.get(copy.migratedFrom.toString());
+    if (!source) orphanIds.push(copy._id);
+    else if (source.isActive && !copy.isActive) activate.push(copy._id);
+    else if (!source.isActive && copy.isActive) deactivate.push(copy._id);
+  }
+
+  if (orphanIds.length > 0) {
+    await Embedding.deleteMany({ _id: { $in: orphanIds } });
+  }
+  if (activate.length > 0) {
+    await Embedding.updateMany({ _id: { $in: activate } }, { isActive: true });
+  }
+  if (deactivate.length > 0) {
+    await Embedding.updateMany(
+      { _id: { $in: deactivate } },
+      { isActive: false }
+    );
+  }
+};
+
+// Make the target the tenant's live index
+const switchIndex = async (migration, target) => {
+  await Tenant.updateOne(
+    { _id: migration.tenantId },
+    { $set: { embeddingIndex: { ...target, updatedAt: new Date() } } }
+  );
+  resetEmbeddingIndexCache(migration.tenantId);
+  await resetVectorIndex(migration.tenantId);
+
+  console.log(
+    `[EMBED] Tenant ${migration.tenantId} now searches ${getModelKey(target)}`
+  );
+};
+
+/**
+ * Run a migration from wherever it stopped
+ * @param {Object} migration - The EmbeddingMigration
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborted when the job is cancelled
+ */
+const runMigration = async (migration, { signal }) => {
+  const { tenantId } = migration;
+
+  const started = await EmbeddingMigration.findOneAndUpdate(
+    { _id: migration._id, status: { $in: ACTIVE_STATUSES } },
+    {
+      status: "running",
+      $unset: { error: 1 },
+      ...(!migration.startedAt && { startedAt: new Date() }),
+    },
+    { new: true }
+  );
+  if (!started) return;
+  migration = started;
+
+  let target = toTarget(migration.to);
+
+  if (!migration.phase || migration.phase === "fitting") {
+    if (target.version === null) {
+      await updateRunning(migration._id, { phase: "fitting" });
+      const texts = await Embedding.distinct("text", {
+        tenantId,
+        isActive: true,
+      });
+      target = await prepareTargetModel(tenantId, target, texts);
+      await updateRunning(migration._id, { to: target });
+    }
+    if (!(await updateRunning(migration._id, { phase: "embedding" }))) return;
+    migration.phase = "embedding";
+  }
+
+  if (migration.phase === "embedding") {
+    const copied = await copyEmbeddings(migration, target, {
+      signal,
+      trackProgress: true,
+    });
+    if (!copied) return;
+
+    signal?.throwIfAborted();
+    await reconcileCopies(tenantId, target);
+
+    // Past this point the migration can no longer be cancelled
+    if (!(await updateRunning(migration._id, { phase: "switching" }))) return;
+    migration.phase = "switching";
+  }
+
+  if (migration.phase === "switching") {
+    await switchIndex(migration, target);
+    await EmbeddingMigration.updateOne(
+      { _id: migration._id },
+      { phase: "cleanup" }
+    );
+  }
+
+  // Processes that cached the old index may still be embedding with it
+  await new Promise((resolve) => setTimeout(resolve, INDEX_CACHE_MS));
+
+  // Copy whatever was added with the old model before the switch, then
+  // drop every vector of other models
+  await copyEmbeddings(migration, target, { signal, trackProgress: false });
+  await reconcileCopies(tenantId, target);
+  await Embedding.deleteMany({ tenantId, $nor: [toModelFilter(target)] });
+  await Embedding.updateMany(
+    { tenantId, migratedFrom: { $exists: true } },
+    { $unset: { migratedFrom: 1 } }
+  );
+  await removeUnusedModels(tenantId, target);
+  await resetVectorIndex(tenantId);
+
+  await EmbeddingMigration.updateOne(
+    { _id: migration._id },
+    { status: "completed", completedAt: new Date() }
+  );
+
+  console.log(
+    `[EMBED] Re-embedding of tenant ${tenantId} to ${getModelKey(
+      target
+    )} completed`
+  );
+};
+
+// Queue handler: failures that will be retried put the migration back to queued
+export const runEmbeddingMigrationJob = async (job, { signal }) => {
+  const migration = await EmbeddingMigration.findById(
+    job.payload?.migrationId
+  );
+  if (!migration) return;
+
+  try {
+    await runMigration(migration, { signal });
+  } catch (error) {
+    if (signal.aborted) throw error;
+
+    console.error(
+      `[EMBED] Re-embedding of tenant ${migration.tenantId} failed:`,
+      error.message
+    );
+
+    const retrying = job.attempts < job.maxAttempts;
+    await EmbeddingMigration.updateOne(
+      { _id: migration._id, status: "running" },
+      retrying
+        ? {
+            status: "queued",
+            error: `${error.message} (attempt ${job.attempts} of ${job.maxAttempts}, retrying)`,
+          }
+        : { status: "failed", error: error.message, completedAt: new Date() }
+    );
+    throw error;
+  }
+};
+
+// Queue callback for a job whose worker died on its last attempt
+export const failAbandonedMigration = async (job) => {
+  await EmbeddingMigration.updateOne(
+    { _id: job.payload?.migrationId, status: { $in: ACTIVE_STATUSES } },
+    { status: "failed", error: job.lastError, completedAt: new Date() }
+  );
+};
+
+/**
+ * Cancel a tenant's re-embedding and drop the vectors it added. Search was
+ * never switched, so the tenant keeps its current index.
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>} The cancelled EmbeddingMigration
+ * @throws {Error} With `status` 404 when none is running, 409 once the
+ *   index has been switched
+ */
+export const cancelEmbeddingMigration = async (tenantId) => {
+  const migration = await EmbeddingMigration.findOneAndUpdate(
+    {
+      tenantId,
+      status: { $in: ACTIVE_STATUSES },
+      phase: { $nin: ["switching", "cleanup"] },
+    },
+    { status: "cancelled", completedAt: new Date() },
+    { new: true }
+  );
+
+  if (!migration) {
+    if (await findActiveMigration(tenantId)) {
+      throw conflict("The new index is already live and being cleaned up");
+    }
+    throw Object.assign(new Error("No re-embedding in progress"), {
+      status: 404,
+    });
+  }
+
+  await cancelJobs({ "payload.migrationId": migration._id });
+  await Embedding.deleteMany({ tenantId, migratedFrom: { $exists: true } });
+  await removeUnusedModels(tenantId, await getEmbeddingIndex(tenantId));
+
+  return migration;
+};
+
+// Migration fields shown to admins
+const toMigrationSummary = (migration) =>
+  migration && {
+    id: migration._id,
+    from: migration.from && getModelKey(migration.from),
+    to: migration.to && getModelKey(migration.to),
+    reason: migration.reason,
+    status: migration.status,
+    phase: migration.phase,
+    total: migration.total,
+    processed: migration.processed,
+    progress: migration.getProgress(),
+    error: migration.error,
+    startedAt: migration.startedAt,
+    completedAt: migration.completedAt,
+    createdAt: migration.createdAt,
+  };
+
+/**
+ * A tenant's live and configured embedding models and latest migration
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>}
+ */
+export const getEmbeddingIndexStatus = async (tenantId) => {
+  const live = await getEmbeddingIndex(tenantId);
+  const configured = getConfiguredModel(live);
+  const migration = await EmbeddingMigration.findOne({ tenantId }).sort({
+    createdAt: -1,
+  });
+
+  return {
+    live: { ...live, key: getModelKey(live) },
+    configured: { ...configured, key: getModelKey(configured) },
+    upToDate: isSameModel(live, configured),
+    chunks: await Embedding.countDocuments({
+      tenantId,
+      ...toModelFilter(live),
+    }),
+    migration: toMigrationSummary(migration),
+  };
+};
+
+/**
+ * Queue a migration for every tenant whose vectors do not all come from
+ * the configured model. A tenant whose last migration to the same model
+ * failed is left for an admin to retry.
+ * @returns {Promise<number>} Number of migrations queued
+ */
+export const detectEmbeddingModelChanges = async () => {
+  const tenantIds = await Embedding.distinct("tenantId");
+  let queued = 0;
+
+  for (const tenantId of tenantIds) {
+    try {
+      if (await findActiveMigration(tenantId)) continue;
+
+      const live = await getEmbeddingIndex(tenantId);
+      const configured = getConfiguredModel(live);
+      const changed = !isSameModel(live, configured);
+      const mixed =
+        !changed &&
+        (await Embedding.exists({
+          tenantId,
+          isActive: true,
+          $nor: [toModelFilter(live)],
+        }));
+      if (!changed && !mixed) continue;
+
+      const last = await EmbeddingMigration.findOne({ tenantId }).sort({
+        createdAt: -1,
+      });
+      if (
+        last?.status === "failed" &&
+        last.to?.provider === configured.provider &&
+        last.to?.model === configured.model
+      ) {
+        continue;
+      }
+
+      await startEmbeddingMigration(tenantId, {
+        reason: changed ? "model-changed" : "mixed-models",
+      });
+      queued++;
+    } catch (error) {
+      console.error(
+        `[EMBED] Model check failed for tenant ${tenantId}:`,
+        error.message
+      );
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`[EMBED] Queued ${queued} re-embedding migration(s)`);
+  }
+  return queued;
+};
+
+/**
+ * Label vectors stored before models were tracked, then queue migrations
+ * for tenants that are not on the configured model
+ * @returns {Promise<number>} Number of migrations queued
+ */
+export const checkEmbeddingModels = async () => {
+  await labelLegacyEmbeddings();
+  return detectEmbeddingModelChanges();
+};
@@ -1,140 +1,281 @@
-import OpenAI from "openai";
+import Tenant from "../models/Tenant.js";
+import Embedding from "../models/Embedding.js";
+import * as mockProvider from "./embeddingService.mock.js";
+import * as localProvider from "./embeddingService.local.js";
+import * as openaiProvider from "./embeddingService.openai.js";
 
-// Initialize OpenAI client lazily
-let openai = null;
+/**
+ * Embedding provider selected with EMBEDDING_PROVIDER:
+ * - "mock" (default): deterministic hashed keywords, for testing
+ * - "local": LSA model fitted to each tenant's content, runs offline
+ * - "openai": OPENAI_EMBEDDING_MODEL (needs OPENAI_API_KEY)
+ *
+ * That is the model content should be embedded with. Each tenant also has
+ * a live index (Tenant.embeddingIndex): the model its stored vectors and
+ * its queries use. The two differ while a migration re-embeds the tenant's
+ * content (see embeddingMigrationService.js). Every stored embedding
+ * records the provider, model, version and dimension that produced it.
+ */
+const providers = {
+  mock: mockProvider,
+  local: localProvider,
+  openai: openaiProvider,
+};
 
-const getOpenAIClient = () => {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error("OPENAI_API_KEY environment variable is not set");
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+const providerName = (process.env.EMBEDDING_PROVIDER || "mock").toLowerCase();
+
+if (!providers[providerName]) {
+  console.warn(
+    `[EMBED] Unknown EMBEDDING_PROVIDER "${providerName}", using mock embeddings`
+  );
+}
+
+const configured = providers[providerName] || mockProvider;
+
+if (configured === mockProvider) {
+  console.log(
+    "⚠️  MOCK EMBEDDING SERVICE LOADED - Using deterministic embeddings for testing"
+  );
+  console.log(
+    "   Set EMBEDDING_PROVIDER=local or EMBEDDING_PROVIDER=openai for real embeddings"
+  );
+}
+
+// Migrations switch a tenant's index from any process, so lookups are only
+// cached briefly
+export const INDEX_CACHE_MS =
+  parseInt(process.env.EMBEDDING_INDEX_CACHE_MS) || 10000;
+
+const indexCache = new Map();
+
+const getProvider = (index) => {
+  const provider = providers[index.provider];
+  if (!provider) {
+    throw new Error(`Unknown embedding provider "${index.provider}"`);
   }
-  return openai;
+  return provider;
 };
 
+const toIndex = ({ provider, model, version }) => ({
+  provider,
+  model,
+  version,
+});
+
+export const getEmbeddingProviderName = () => configured.name;
+
 /**
- * Generate embeddings for text using OpenAI's text-embedding-3-small model
- * @param {string} text - The text to generate embeddings for
- * @returns {Promise<number[]>} - Array of embedding values
+ * Readable identifier of an embedding model, e.g. "mock:hash@v1"
+ * @param {Object} index - { provider, model, version }
+ * @returns {string}
  */
-export const generateEmbeddings = async (text) => {
-  try {
-    if (!text || typeof text !== "string") {
-      throw new Error("Text input is required and must be a string");
-    }
+export const getModelKey = ({ provider, model, version }) =>
+  `${provider}:${model}@v${version ?? "?"}`;
 
-    // Clean and prepare text
-    const cleanText = text.trim().replace(/\s+/g, " ");
+/**
+ * Embedding fields matching vectors of a model
+ * @param {Object} index - { provider, model, version }
+ * @returns {Object} Filter on provider, model and modelVersion
+ */
+export const toModelFilter = ({ provider, model, version }) => ({
+  provider,
+  model,
+  modelVersion: version,
+});
 
-    if (cleanText.length === 0) {
-      throw new Error("Text cannot be empty");
-    }
+export const isSameModel = (a, b) =>
+  a.provider === b.provider && a.model === b.model && a.version === b.version;
 
-    // Call OpenAI API
-    const response = await getOpenAIClient().embeddings.create({
-      model: "text-embedding-3-small",
-      input: cleanText,
-      encoding_format: "float",
-    });
+/**
+ * The model a tenant's content should be embedded with
+ * @param {Object|null} current - The tenant's live index, if any
+ * @param {Object} options
+ * @param {boolean} options.refit - Fit a new local model even if one is live
+ * @returns {Object} { provider, model, version }; a null version means a
+ *   local model still has to be fitted
+ */
+export const getConfiguredModel = (current, { refit = false } = {}) => {
+  if (configured === localProvider) {
+    // Local versions only change when a migration refits the model
+    return current?.provider === localProvider.name && !refit
+      ? toIndex(current)
+      : {
+          provider: localProvider.name,
+          model: localProvider.model,
+          version: null,
+        };
+  }
+  return { provider: configured.name, model: configured.model, version: 1 };
+};
 
-    if (!response.data || response.data.length === 0) {
-      throw new Error("No embedding data received from OpenAI");
-    }
+// A tenant without a live index takes the model of its stored vectors, or
+// the configured one when it has none
+const adoptEmbeddingIndex = async (tenantId) => {
+  const existing = await Embedding.findOne({
+    tenantId,
+    model: { $exists: true },
+  })
+    .select("provider model modelVersion")
+    .lean();
 
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error("Error generating embeddings:", error);
-
-    // Handle specific OpenAI errors
-    if (error.code === "insufficient_quota") {
-      throw new Error("OpenAI API quota exceeded. Please check your billing.");
-    } else if (error.code === "invalid_api_key") {
-      throw new Error(
-        "Invalid OpenAI API key. Please check your configuration."
-      );
-    } else if (error.code === "rate_limit_exceeded") {
-      throw new Error(
-        "OpenAI API rate limit exceeded. Please try again later."
-      );
+  let index;
+  if (existing) {
+    index = {
+      provider: existing.provider,
+      model: existing.model,
+      version: existing.modelVersion,
+    };
+  } else {
+    index = getConfiguredModel(null);
+    if (index.version === null) {
+      index.version = (await localProvider.getLatestVersion(tenantId)) ?? 1;
     }
+  }
 
-    throw new Error(`Failed to generate embeddings: ${error.message}`);
+  // Vectors stored before models were tracked are labelled at startup;
+  // until then nothing is recorded
+  if (await Embedding.exists({ tenantId, model: { $exists: false } })) {
+    return index;
   }
+
+  // Another process may have adopted one first
+  await Tenant.updateOne(
+    { _id: tenantId, "embeddingIndex.provider": { $exists: false } },
+    { $set: { embeddingIndex: { ...index, updatedAt: new Date() } } }
+  );
+  const tenant = await Tenant.findById(tenantId)
+    .select("embeddingIndex")
+    .lean();
+  return tenant?.embeddingIndex?.provider
+    ? toIndex(tenant.embeddingIndex)
+    : index;
 };
 
 /**
- * Generate embeddings for multiple texts in batch
- * @param {string[]} texts - Array of texts to generate embeddings for
- * @returns {Promise<number[][]>} - Array of embedding arrays
+ * A tenant's live embedding index
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>} { provider, model, version }
  */
-export const generateBatchEmbeddings = async (texts) => {
-  try {
-    if (!Array.isArray(texts) || texts.length === 0) {
-      throw new Error("Texts input must be a non-empty array");
-    }
-
-    // Clean texts
-    const cleanTexts = texts
-      .filter((text) => text && typeof text === "string")
-      .map((text) => text.trim().replace(/\s+/g, " "))
-      .filter((text) => text.length > 0);
+export const getEmbeddingIndex = async (tenantId) => {
+  const key = tenantId.toString();
+  const cached = indexCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.index;
 
-    if (cleanTexts.length === 0) {
-      throw new Error("No valid texts provided");
-    }
+  const tenant = await Tenant.findById(tenantId)
+    .select("embeddingIndex")
+    .lean();
+  const index = tenant?.embeddingIndex?.provider
+    ? toIndex(tenant.embeddingIndex)
+    : await adoptEmbeddingIndex(tenantId);
 
-    // OpenAI has a limit on batch size, so we'll process in chunks
-    const batchSize = 100; // OpenAI's limit is 2048, but we'll use 100 for safety
-    const results = [];
+  indexCache.set(key, { index, expiresAt: Date.now() + INDEX_CACHE_MS });
+  return index;
+};
 
-    for (let i = 0; i < cleanTexts.length; i += batchSize) {
-      const batch = cleanTexts.slice(i, i + batchSize);
+/**
+ * Forget this process's cached index for a tenant
+ * @param {string} tenantId - The tenant ID
+ */
+export const resetEmbeddingIndexCache = (tenantId) => {
+  indexCache.delete(tenantId.toString());
+};
 
-      const response = await getOpenAIClient().embeddings.create({
-        model: "text-embedding-3-small",
-        input: batch,
-        encoding_format: "float",
-      });
+/**
+ * Embed one text
+ * @param {string} text - The text to embed
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} index - Model to use; the tenant's live index by default
+ * @returns {Promise<number[]>}
+ */
+export const generateEmbeddings = async (text, tenantId, index) => {
+  const target = index || (await getEmbeddingIndex(tenantId));
+  return getProvider(target).generateEmbeddings(text, tenantId, target.version);
+};
 
-      if (response.data) {
-        results.push(...response.data.map((item) => item.embedding));
-      }
-    }
+/**
+ * Embed several texts
+ * @param {string[]} texts - The texts to embed
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} index - Model to use; the tenant's live index by default
+ * @returns {Promise<number[][]>}
+ */
+export const generateBatchEmbeddings = async (texts, tenantId, index) => {
+  const target = index || (await getEmbeddingIndex(tenantId));
+  return getProvider(target).generateBatchEmbeddings(
+    texts,
+    tenantId,
+    target.version
+  );
+};
 
-    return results;
-  } catch (error) {
-    console.error("Error generating batch embeddings:", error);
-    throw new Error(`Failed to generate batch embeddings: ${error.message}`);
-  }
+/**
+ * Let the tenant's live model learn from its content before it is
+ * embedded; a no-op for providers with a fixed model
+ * @param {string} tenantId - The tenant ID
+ * @param {string[]} texts - Content about to be embedded
+ */
+export const prepareEmbeddingModel = async (tenantId, texts) => {
+  const index = await getEmbeddingIndex(tenantId);
+  await getProvider(index).prepareModel?.(tenantId, texts);
 };
 
 /**
- * Get the dimension of embeddings from the current model
- * @returns {number} - The embedding dimension
+ * Give a migration target a version: local models are refitted on the
+ * tenant's current content
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} target - From getConfiguredModel
+ * @param {string[]} texts - The tenant's chunks
+ * @returns {Promise<Object>} The target with its version
  */
-export const getEmbeddingDimension = () => {
-  // text-embedding-3-small has 1536 dimensions
-  return 1536;
+export const prepareTargetModel = async (tenantId, target, texts) => {
+  if (target.version !== null) return target;
+  const { version } = await localProvider.fitNextModel(tenantId, texts);
+  return { ...target, version };
 };
 
 /**
- * Validate if an embedding array is valid
- * @param {number[]} embedding - The embedding array to validate
- * @returns {boolean} - True if valid, false otherwise
+ * Delete a tenant's local models other than the live one
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} index - The live index
  */
-export const validateEmbedding = (embedding) => {
-  if (!Array.isArray(embedding)) {
-    return false;
-  }
+export const removeUnusedModels = (tenantId, index) =>
+  localProvider.deleteModels(
+    tenantId,
+    index.provider === localProvider.name ? index.version : null
+  );
 
-  if (embedding.length !== getEmbeddingDimension()) {
-    return false;
-  }
+/**
+ * Fields to store with a vector on an Embedding
+ * @param {number[]} embedding - The vector
+ * @param {Object} index - The model that produced it
+ * @returns {Object} { embedding, provider, model, modelVersion, dimension }
+ */
+export const toEmbeddingFields = (embedding, index) => ({
+  embedding,
+  ...toModelFilter(index),
+  dimension: embedding.length,
+});
+
+/**
+ * Lowest similarity worth retrieving; scores depend on the provider, so
+ * each has its own default (EMBEDDING_MIN_SIMILARITY overrides it)
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<number>}
+ */
+export const getMinSimilarity = async (tenantId) => {
+  const override = parseFloat(process.env.EMBEDDING_MIN_SIMILARITY);
+  if (!Number.isNaN(override)) return override;
+  return getProvider(await getEmbeddingIndex(tenantId)).minSimilarity;
+};
 
-  return embedding.every((value) => typeof value === "number" && !isNaN(value));
+/**
+ * Dimension of a tenant's live vectors
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<number|null>} - null while a local model is not fitted
+ */
+export const getEmbeddingDimension = async (tenantId) => {
+  const index = await getEmbeddingIndex(tenantId);
+  return getProvider(index).getEmbeddingDimension(tenantId, index.version);
 };
 
 /**
@@ -144,7 +285,11 @@ export const validateEmbedding = (embedding) => {
  * @returns {number} - Cosine similarity score (-1 to 1)
  */
 export const cosineSimilarity = (embedding1, embedding2) => {
-  if (!validateEmbedding(embedding1) || !validateEmbedding(embedding2)) {
+  if (
+    !Array.isArray(embedding1) ||
+    !Array.isArray(embedding2) ||
+    embedding1.length !== embedding2.length
+  ) {
     throw new Error("Invalid embeddings provided");
   }
 
@@ -167,3 +312,62 @@ export const cosineSimilarity = (embedding1, embedding2) => {
 
   return dotProduct / (norm1 * norm2);
 };
+
+// Models of embeddings stored before models were recorded
+const LEGACY_MODELS = {
+  mock: mockProvider.model,
+  openai: "text-embedding-3-small",
+  local: localProvider.model,
+};
+
+/**
+ * Record the model of embeddings stored before models were tracked.
+ * Unlabelled ones came from the mock or OpenAI; a sample per tenant is
+ * compared with what the mock would produce for the same text.
+ */
+export const labelLegacyEmbeddings = async () => {
+  try {
+    await localProvider.upgradeLegacyModels();
+
+    const tenantIds = await Embedding.distinct("tenantId", {
+      provider: { $exists: false },
+    });
+
+    for (const tenantId of tenantIds) {
+      const sample = await Embedding.findOne({
+        tenantId,
+        provider: { $exists: false },
+      })
+        .select("text embedding")
+        .lean();
+      if (!sample) continue;
+
+      const mockEmbedding = mockProvider.generateDeterministicEmbedding(
+        sample.text.trim()
+      );
+      const label =
+        sample.embedding.length === mockEmbedding.length &&
+        cosineSimilarity(sample.embedding, mockEmbedding) > 0.999
+          ? mockProvider.name
+          : openaiProvider.name;
+
+      const { modifiedCount } = await Embedding.updateMany(
+        { tenantId, provider: { $exists: false } },
+        [{ $set: { provider: label, dimension: { $size: "$embedding" } } }]
+      );
+
+      console.log(
+        `[EMBED] Labelled ${modifiedCount} embeddings of tenant ${tenantId} as ${label}`
+      );
+    }
+
+    for (const [provider, model] of Object.entries(LEGACY_MODELS)) {
+      await Embedding.updateMany(
+        { provider, model: { $exists: false } },
+        { $set: { model, modelVersion: 1 } }
+      );
+    }
+  } catch (error) {
+    console.error("Label legacy embeddings error:", error);
+  }
+};
@@ -0,0 +1,246 @@
+import Embedding from "../models/Embedding.js";
+import LocalEmbeddingModel from "../models/LocalEmbeddingModel.js";
+import { fitLsa, projectText } from "../utils/lsa.js";
+
+/**
+ * Local embeddings that run offline on the CPU: an LSA model (TF-IDF and a
+ * truncated SVD, see utils/lsa.js) fitted to each tenant's own content and
+ * kept in MongoDB. A tenant's first model is fitted from its stored chunks
+ * plus the first content it embeds; later content is projected into the
+ * same space. Refitting on the grown corpus creates a new version, which
+ * embeddingMigrationService re-embeds the tenant's content with.
+ */
+
+export const name = "local";
+export const model = "lsa";
+
+// Cosine similarities of LSA vectors run higher than the mock's
+export const minSimilarity = 0.1;
+
+const DIMENSIONS = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 128;
+const MAX_FIT_TEXTS =
+  parseInt(process.env.LOCAL_EMBEDDING_MAX_FIT_TEXTS) || 20000;
+
+// "tenantId:version" -> Promise of the model (null until one is fitted)
+const models = new Map();
+
+const cacheKey = (tenantId, version) => `${tenantId}:${version}`;
+
+// Lean reads return the components as a BSON Binary, whose bytes are in
+// `buffer`; documents hydrated by mongoose hold a Buffer
+const toBytes = (components) =>
+  Buffer.isBuffer(components)
+    ? components
+    : components.buffer.subarray(0, components.length());
+
+const fromSaved = (saved) =>
+  saved && {
+    version: saved.version,
+    dimension: saved.dimension,
+    vocabulary: saved.vocabulary,
+    idf: saved.idf,
+    // Copy so the Float32Array view is aligned
+    components: new Float32Array(
+      Uint8Array.from(toBytes(saved.components)).buffer
+    ),
+  };
+
+const loadModel = (tenantId, version) => {
+  const key = cacheKey(tenantId, version);
+  if (!models.has(key)) {
+    const loading = LocalEmbeddingModel.findOne({ tenantId, version })
+      .lean()
+      .then((saved) => {
+        // Not fitted yet: look again next time
+        if (!saved) models.delete(key);
+        return fromSaved(saved);
+      })
+      .catch((error) => {
+        models.delete(key);
+        throw error;
+      });
+    models.set(key, loading);
+  }
+  return models.get(key);
+};
+
+/**
+ * Newest fitted model version of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<number|null>} - null when none is fitted yet
+ */
+export const getLatestVersion = async (tenantId) => {
+  const latest = await LocalEmbeddingModel.findOne({ tenantId })
+    .sort({ version: -1 })
+    .select("version")
+    .lean();
+  return latest?.version ?? null;
+};
+
+const fitVersion = async (tenantId, version, texts) => {
+  const startedAt = Date.now();
+  const corpus = texts.slice(0, MAX_FIT_TEXTS);
+  if (corpus.length === 0) return null;
+
+  const fitted = fitLsa(corpus, { dimensions: DIMENSIONS });
+  // Nothing but stop words: wait for more content
+  if (fitted.dimension === 0) return null;
+
+  // Another process may have fitted one meanwhile; the first saved wins
+  await LocalEmbeddingModel.updateOne(
+    { tenantId, version },
+    {
+      $setOnInsert: {
+        tenantId,
+        version,
+        dimension: fitted.dimension,
+        vocabulary: fitted.vocabulary,
+        idf: fitted.idf,
+        components: Buffer.from(fitted.components.buffer),
+        documentCount: fitted.documentCount,
+      },
+    },
+    { upsert: true }
+  );
+
+  console.log(
+    `[EMBED] Fitted local model v${version} for tenant ${tenantId}: ${
+      fitted.dimension
+    } dimensions, ${fitted.vocabulary.length} terms, ${
+      corpus.length
+    } texts in ${Date.now() - startedAt}ms`
+  );
+
+  models.delete(cacheKey(tenantId, version));
+  return loadModel(tenantId, version);
+};
+
+const getStoredTexts = async (tenantId) => {
+  const stored = await Embedding.find({ tenantId, isActive: true })
+    .select("text")
+    .limit(MAX_FIT_TEXTS)
+    .lean();
+  return stored.map((embedding) => embedding.text);
+};
+
+/**
+ * Make sure a tenant has a model before its content is embedded, fitting
+ * the first one from its stored chunks and these texts if needed
+ * @param {string} tenantId - The tenant ID
+ * @param {string[]} texts - Content about to be embedded
+ */
+export const prepareModel = async (tenantId, texts = []) => {
+  if ((await getLatestVersion(tenantId)) !== null) return;
+
+  const key = `fit:${tenantId}`;
+  if (!models.has(key)) {
+    models.set(
+      key,
+      getStoredTexts(tenantId)
+        .then((stored) => fitVersion(tenantId, 1, [...stored, ...texts]))
+        .finally(() => models.delete(key))
+    );
+  }
+  await models.get(key);
+};
+
+/**
+ * Fit a new model version on a tenant's current content
+ * @param {string} tenantId - The tenant ID
+ * @param {string[]} texts - The tenant's chunks
+ * @returns {Promise<{version: number, dimension: number}>}
+ * @throws {Error} When the texts have too few terms to fit a model
+ */
+export const fitNextModel = async (tenantId, texts) => {
+  const version = ((await getLatestVersion(tenantId)) ?? 0) + 1;
+  const fitted = await fitVersion(tenantId, version, texts);
+  if (!fitted) {
+    throw new Error("Not enough content to fit a local embedding model");
+  }
+  return { version, dimension: fitted.dimension };
+};
+
+/**
+ * Delete a tenant's models, except the one still in use
+ * @param {string} tenantId - The tenant ID
+ * @param {number|null} keepVersion - Version to keep, if any
+ */
+export const deleteModels = async (tenantId, keepVersion = null) => {
+  await LocalEmbeddingModel.deleteMany({
+    tenantId,
+    ...(keepVersion !== null && { version: { $ne: keepVersion } }),
+  });
+
+  for (const key of models.keys()) {
+    if (
+      key.startsWith(`${tenantId}:`) &&
+      key !== cacheKey(tenantId, keepVersion)
+    ) {
+      models.delete(key);
+    }
+  }
+};
+
+/**
+ * Give models fitted before versions were tracked version 1, and replace
+ * their one-model-per-tenant unique index
+ */
+export const upgradeLegacyModels = async () => {
+  await LocalEmbeddingModel.updateMany(
+    { version: { $exists: false } },
+    { $set: { version: 1 } }
+  );
+  await LocalEmbeddingModel.syncIndexes();
+};
+
+/**
+ * Generate local embeddings for multiple texts
+ * @param {string[]} texts - Array of texts
+ * @param {string} tenantId - The tenant whose model to use
+ * @param {number} version - Model version
+ * @returns {Promise<number[][]>} - Array of embedding arrays
+ */
+export const generateBatchEmbeddings = async (texts, tenantId, version = 1) => {
+  if (!Array.isArray(texts) || texts.length === 0) {
+    throw new Error("Texts input must be a non-empty array");
+  }
+  if (!tenantId) {
+    throw new Error("Local embeddings need a tenant");
+  }
+
+  let fitted = await loadModel(tenantId, version);
+  if (!fitted) {
+    if ((await getLatestVersion(tenantId)) !== null) {
+      throw new Error(`Local embedding model v${version} not found`);
+    }
+    // Without content of its own a tenant has nothing to search, so queries
+    // get a throwaway model instead of fixing a poor one for good
+    fitted = fitLsa(texts, { dimensions: DIMENSIONS });
+  }
+
+  return texts.map((text) => projectText(fitted, text));
+};
+
+/**
+ * Generate a local embedding for one text
+ * @param {string} text - The text to embed
+ * @param {string} tenantId - The tenant whose model to use
+ * @param {number} version - Model version
+ * @returns {Promise<number[]>}
+ */
+export const generateEmbeddings = async (text, tenantId, version = 1) => {
+  if (!text || typeof text !== "string" || !text.trim()) {
+    throw new Error("Text input is required and must be a non-empty string");
+  }
+  const [embedding] = await generateBatchEmbeddings([text], tenantId, version);
+  return embedding;
+};
+
+/**
+ * Dimension of a tenant's model
+ * @param {string} tenantId - The tenant ID
+ * @param {number} version - Model version
+ * @returns {Promise<number|null>} - null until the model is fitted
+ */
+export const getEmbeddingDimension = async (tenantId, version = 1) =>
+  (await loadModel(tenantId, version))?.dimension ?? null;
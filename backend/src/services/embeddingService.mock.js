@@ -1,9 +1,15 @@
 /**
  * MOCK Embedding Service for Testing (No OpenAI Required)
  * This generates fake embeddings for testing the upload pipeline
- * Replace with real embeddingService.js when you have OpenAI credits
+ * Selected with EMBEDDING_PROVIDER=mock (the default, see embeddingService.js)
  */
 
+export const name = "mock";
+export const model = "hash";
+
+// Hashed keywords rarely collide, so related texts score low
+export const minSimilarity = 0.02;
+
 /**
  * Generate mock embeddings for text (1536 dimensions like OpenAI)
  * @param {string} text - The text to generate embeddings for
@@ -83,61 +89,13 @@ export const getEmbeddingDimension = () => {
   return 1536;
 };
 
-/**
- * Validate if an embedding array is valid
- * @param {number[]} embedding - The embedding array to validate
- * @returns {boolean} - True if valid, false otherwise
- */
-export const validateEmbedding = (embedding) => {
-  if (!Array.isArray(embedding)) {
-    return false;
-  }
-
-  if (embedding.length !== getEmbeddingDimension()) {
-    return false;
-  }
-
-  return embedding.every((value) => typeof value === "number" && !isNaN(value));
-};
-
-/**
- * Calculate cosine similarity between two embeddings
- * @param {number[]} embedding1 - First embedding
- * @param {number[]} embedding2 - Second embedding
- * @returns {number} - Cosine similarity score (-1 to 1)
- */
-export const cosineSimilarity = (embedding1, embedding2) => {
-  if (!validateEmbedding(embedding1) || !validateEmbedding(embedding2)) {
-    throw new Error("Invalid embeddings provided");
-  }
-
-  let dotProduct = 0;
-  let norm1 = 0;
-  let norm2 = 0;
-
-  for (let i = 0; i < embedding1.length; i++) {
-    dotProduct += embedding1[i] * embedding2[i];
-    norm1 += embedding1[i] * embedding1[i];
-    norm2 += embedding2[i] * embedding2[i];
-  }
-
-  norm1 = Math.sqrt(norm1);
-  norm2 = Math.sqrt(norm2);
-
-  if (norm1 === 0 || norm2 === 0) {
-    return 0;
-  }
-
-  return dotProduct / (norm1 * norm2);
-};
-
 /**
  * Generate deterministic embeddings based on text content
  * Creates meaningful similarity scores for semantic-like matching
  * @param {string} text - The text to generate embeddings for
  * @returns {number[]} - Array of 1536 deterministic numbers
  */
-const generateDeterministicEmbedding = (text) => {
+export const generateDeterministicEmbedding = (text) => {
   const embedding = new Array(1536).fill(0);
   const lowerText = text.toLowerCase();
   
@@ -197,10 +155,3 @@ const generateDeterministicEmbedding = (text) => {
   
   return embedding;
 };
-
-console.log(
-  "⚠️  MOCK EMBEDDING SERVICE LOADED - Using deterministic embeddings for testing"
-);
-console.log(
-  "   Replace embeddingService.mock.js with embeddingService.js when OpenAI is available"
-);
@@ -0,0 +1,132 @@
+import OpenAI from "openai";
+
+export const name = "openai";
+export const model =
+  process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+
+const DIMENSIONS = {
+  "text-embedding-3-small": 1536,
+  "text-embedding-3-large": 3072,
+  "text-embedding-ada-002": 1536,
+};
+
+// text-embedding-3 similarities for related text sit well above this
+export const minSimilarity = 0.25;
+
+// Initialize OpenAI client lazily
+let openai = null;
+
+const getOpenAIClient = () => {
+  if (!openai) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY environment variable is not set");
+    }
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return openai;
+};
+
+/**
+ * Generate embeddings for text using OpenAI (OPENAI_EMBEDDING_MODEL,
+ * text-embedding-3-small by default)
+ * @param {string} text - The text to generate embeddings for
+ * @returns {Promise<number[]>} - Array of embedding values
+ */
+export const generateEmbeddings = async (text) => {
+  try {
+    if (!text || typeof text !== "string") {
+      throw new Error("Text input is required and must be a string");
+    }
+
+    // Clean and prepare text
+    const cleanText = text.trim().replace(/\s+/g, " ");
+
+    if (cleanText.length === 0) {
+      throw new Error("Text cannot be empty");
+    }
+
+    // Call OpenAI API
+    const response = await getOpenAIClient().embeddings.create({
+      model,
+      input: cleanText,
+      encoding_format: "float",
+    });
+
+    if (!response.data || response.data.length === 0) {
+      throw new Error("No embedding data received from OpenAI");
+    }
+
+    return response.data[0].embedding;
+  } catch (error) {
+    console.error("Error generating embeddings:", error);
+
+    // Handle specific OpenAI errors
+    if (error.code === "insufficient_quota") {
+      throw new Error("OpenAI API quota exceeded. Please check your billing.");
+    } else if (error.code === "invalid_api_key") {
+      throw new Error(
+        "Invalid OpenAI API key. Please check your configuration."
+      );
+    } else if (error.code === "rate_limit_exceeded") {
+      throw new Error(
+        "OpenAI API rate limit exceeded. Please try again later."
+      );
+    }
+
+    throw new Error(`Failed to generate embeddings: ${error.message}`);
+  }
+};
+
+/**
+ * Generate embeddings for multiple texts in batch
+ * @param {string[]} texts - Array of texts to generate embeddings for
+ * @returns {Promise<number[][]>} - Array of embedding arrays
+ */
+export const generateBatchEmbeddings = async (texts) => {
+  try {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error("Texts input must be a non-empty array");
+    }
+
+    // Clean texts
+    const cleanTexts = texts
+      .filter((text) => text && typeof text === "string")
+      .map((text) => text.trim().replace(/\s+/g, " "))
+      .filter((text) => text.length > 0);
+
+    if (cleanTexts.length === 0) {
+      throw new Error("No valid texts provided");
+    }
+
+    // OpenAI has a limit on batch size, so we'll process in chunks
+    const batchSize = 100; // OpenAI's limit is 2048, but we'll use 100 for safety
+    const results = [];
+
+    for (let i = 0; i < cleanTexts.length; i += batchSize) {
+      const batch = cleanTexts.slice(i, i + batchSize);
+
+      const response = await getOpenAIClient().embeddings.create({
+        model,
+        input: batch,
+        encoding_format: "float",
+      });
+
+      if (response.data) {
+        results.push(...response.data.map((item) => item.embedding));
+      }
+    }
+
+    return results;
+  } catch (error) {
+    console.error("Error generating batch embeddings:", error);
+    throw new Error(`Failed to generate batch embeddings: ${error.message}`);
+  }
+};
+
+/**
+ * Get the dimension of embeddings from the current model
+ * @returns {number|null} - The embedding dimension, if the model is known
+ */
+export const getEmbeddingDimension = () => DIMENSIONS[model] || null;
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+import Conversation, {
+  WIDGET_CHANNELS,
+  isWidgetSessionId,
+} from "../models/Conversation.js";
+import AnswerFeedback from "../models/AnswerFeedback.js";
+
+/**
+ * Answer feedback: visitors rate bot replies thumbs up or down, optionally
+ * with a comment. The rating is shown on the transcript and copied, with
+ * the question and the retrieved chunks, into AnswerFeedback for analytics.
+ */
+
+const RATINGS = ["up", "down"];
+const MAX_COMMENT_LENGTH = 1000;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Rate a bot reply, replacing any earlier rating of it. A null rating
+ * removes the feedback.
+ * @param {string} tenantId - The tenant ID
+ * @param {string} sessionId - The visitor's session; only its own replies can be rated
+ * @param {Object} feedback
+ * @param {string} feedback.messageId - The bot message being rated
+ * @param {string|null} feedback.rating - "up", "down" or null
+ * @param {string} feedback.comment - Optional free text
+ * @returns {Promise<Object>} {messageId, rating, comment}
+ * @throws {Error} With `status` 400 or 404 when the rating can't be stored
+ */
+export const recordAnswerFeedback = async (
+  tenantId,
+  sessionId,
+  { messageId, rating = null, comment } = {}
+) => {
+  if (!sessionId) throw invalid("Session ID is required");
+  if (!isWidgetSessionId(sessionId)) throw invalid("Invalid session ID");
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw invalid("Invalid message ID");
+  }
+  if (rating !== null && !RATINGS.includes(rating)) {
+    throw invalid("Rating must be 'up' or 'down'");
+  }
+
+  const trimmedComment =
+    typeof comment === "string"
+      ? comment.trim().slice(0, MAX_COMMENT_LENGTH)
+      : undefined;
+
+  const conversation = await Conversation.findOne({
+    tenantId,
+    sessionId,
+    channel: { $in: WIDGET_CHANNELS },
+    "messages._id": messageId,
+  });
+
+  const index = conversation?.messages.findIndex(
+    (message) => message._id.toString() === messageId.toString()
+  );
+  const message = conversation?.messages[index];
+
+  if (!message || message.role !== "bot") {
+    throw Object.assign(new Error("Message not found"), { status: 404 });
+  }
+
+  if (rating === null) {
+    await AnswerFeedback.deleteOne({ tenantId, messageId: message._id });
+    await Conversation.updateOne(
+      { _id: conversation._id, "messages._id": message._id },
+      { $unset: { "messages.$.feedback": "" } }
+    );
+    return { messageId: message._id, rating: null };
+  }
+
+  // The question this reply answered
+  const question = conversation.messages
+    .slice(0, index)
+    .reverse()
+    .find((previous) => previous.role === "user");
+
+  const update = {
+    $set: {
+      conversationId: conversation._id,
+      sessionId,
+      channel: conversation.channel,
+      rating,
+      question: question?.content,
+      answer: message.content,
+      confidence: message.confidence,
+      isFallback: message.isFallback,
+      sources: message.sources,
+    },
+  };
+  if (trimmedComment) {
+    update.$set.comment = trimmedComment;
+  } else {
+    update.$unset = { comment: "" };
+  }
+
+  await AnswerFeedback.findOneAndUpdate(
+    { tenantId, messageId: message._id },
+    update,
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const feedback = { rating, createdAt: new Date() };
+  if (trimmedComment) feedback.comment = trimmedComment;
+
+  await Conversation.updateOne(
+    { _id: conversation._id, "messages._id": message._id },
+    { $set: { "messages.$.feedback": feedback } }
+  );
+
+  return { messageId: message._id, ...feedback };
+};
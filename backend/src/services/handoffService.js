@@ -0,0 +1,439 @@
+import Conversation, { WIDGET_CHANNELS } from "../models/Conversation.js";
+
+/**
+ * Human handoff: moves widget conversations between the bot, the agent
+ * queue and a claiming agent, and relays messages between the visitor's
+ * /ws/chat socket and the agents' /ws/agent sockets.
+ */
+
+const HANDOFF_MESSAGES = {
+  queued: "I've asked a member of our team to join. They'll reply here shortly.",
+  claimed: (agentName) => `${agentName} has joined the conversation.`,
+  released: "You're back with our virtual assistant. Ask me anything!",
+  cancelled: "No problem, I'm still here to help.",
+  unavailable:
+    "No one from our team is available right now. I'm still here to help, or try again later.",
+  requeued: "Sorry for the wait. I've asked another member of our team to join.",
+};
+
+// Set by the socket setup so services can reach both sides
+let namespaces = { chat: null, agent: null };
+
+/**
+ * Register the Socket.io namespaces used for relaying messages
+ * @param {Object} registered - { chat, agent } namespaces
+ */
+export const registerHandoffNamespaces = (registered) => {
+  namespaces = { ...namespaces, ...registered };
+};
+
+/**
+ * Room joined by every widget socket of one visitor session
+ * @param {string} tenantId - The tenant ID
+ * @param {string} sessionId - The session ID
+ * @returns {string}
+ */
+export const visitorRoom = (tenantId, sessionId) =>
+  `session:${tenantId}:${sessionId}`;
+
+/**
+ * Room joined by every connected agent of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {string}
+ */
+export const agentRoom = (tenantId) => `tenant:${tenantId}`;
+
+const emitToVisitor = (conversation, event, data) => {
+  namespaces.chat
+    ?.to(visitorRoom(conversation.tenantId, conversation.sessionId))
+    .emit(event, data);
+};
+
+const emitToAgents = (tenantId, event, data) => {
+  namespaces.agent?.to(agentRoom(tenantId)).emit(event, data);
+};
+
+/**
+ * Summary of a conversation as shown in the agent queue
+ * @param {Object} conversation - Conversation document
+ * @returns {Object}
+ */
+export const toQueueItem = (conversation) => {
+  const lastUserMessage = [...conversation.messages]
+    .reverse()
+    .find((message) => message.role === "user");
+
+  return {
+    id: conversation._id,
+    sessionId: conversation.sessionId,
+    channel: conversation.channel,
+    status: conversation.handoff?.status || "none",
+    reason: conversation.handoff?.reason,
+    requestedAt: conversation.handoff?.requestedAt,
+    agentId: conversation.handoff?.agentId,
+    agentName: conversation.handoff?.agentName,
+    lastMessage: lastUserMessage?.content || "",
+    lastMessageAt: conversation.lastMessageAt,
+    messageCount: conversation.messageCount,
+  };
+};
+
+// Post a bot notice to the visitor and keep it in the transcript
+const notifyVisitor = async (conversation, text, handoffStatus) => {
+  const updated = await Conversation.recordMessages(
+    conversation.tenantId,
+    conversation.sessionId,
+    [{ role: "bot", content: text, messageType: "handoff" }],
+    { channel: conversation.channel }
+  );
+
+  emitToVisitor(conversation, "bot:message", {
+    message: text,
+    messageType: "handoff",
+    timestamp: new Date().toISOString(),
+    type: "handoff",
+  });
+  emitToVisitor(conversation, "handoff:status", {
+    status: handoffStatus,
+    agentName: updated.handoff?.agentName,
+  });
+
+  return updated;
+};
+
+/**
+ * Whether any agent of the tenant is connected to the console
+ * @param {string} tenantId - The tenant ID
+ * @returns {boolean}
+ */
+export const hasOnlineAgents = (tenantId) =>
+  (namespaces.agent?.adapter.rooms.get(agentRoom(tenantId))?.size || 0) > 0;
+
+/**
+ * Whether a bot answer is weak enough to bring in a human
+ * Only escalates when someone is online to pick the conversation up
+ * @param {Object} tenant - The tenant document
+ * @param {Object} response - The bot response (with confidence)
+ * @returns {boolean}
+ */
+export const shouldEscalate = (tenant, response) => {
+  const { enabled = true, confidenceThreshold = 0.4 } =
+    tenant.settings?.handoff || {};
+
+  return (
+    enabled &&
+    typeof response.confidence === "number" &&
+    response.confidence < confidenceThreshold &&
+    hasOnlineAgents(tenant._id)
+  );
+};
+
+/**
+ * Get the handoff state of a session
+ * @param {string} tenantId - The tenant ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - The handoff sub-document, or null
+ */
+export const getHandoffState = async (tenantId, sessionId) => {
+  const conversation = await Conversation.findOne(
+    { tenantId, sessionId },
+    { handoff: 1 }
+  ).lean();
+
+  return conversation?.handoff || null;
+};
+
+/**
+ * Put a visitor session in the agent queue. With no agent online the
+ * visitor is told so and stays with the bot.
+ * @param {Object} tenant - The tenant document
+ * @param {string} sessionId - The session ID
+ * @param {string} reason - "requested" or "lowConfidence"
+ * @returns {Promise<Object>} - The updated conversation
+ */
+export const requestHandoff = async (tenant, sessionId, reason = "requested") => {
+  const existing = await Conversation.findOne({ tenantId: tenant._id, sessionId });
+  if (existing?.isHandedOff()) {
+    return existing;
+  }
+
+  if (!hasOnlineAgents(tenant._id)) {
+    console.log(`[HANDOFF] Session ${sessionId} not queued: no agents online`);
+    return notifyVisitor(
+      existing || { tenantId: tenant._id, sessionId, channel: "socket" },
+      HANDOFF_MESSAGES.unavailable,
+      "none"
+    );
+  }
+
+  const conversation = await Conversation.findOneAndUpdate(
+    { tenantId: tenant._id, sessionId },
+    {
+      $setOnInsert: { channel: "socket" },
+      $set: {
+        handoff: { status: "queued", reason, requestedAt: new Date() },
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`[HANDOFF] Session ${sessionId} queued (${reason})`);
+
+  const updated = await notifyVisitor(
+    conversation,
+    HANDOFF_MESSAGES.queued,
+    "queued"
+  );
+  emitToAgents(tenant._id, "queue:updated", toQueueItem(updated));
+
+  return updated;
+};
+
+/**
+ * Take a session back out of the queue before an agent claims it
+ * @param {Object} tenant - The tenant document
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - The updated conversation, or null if not queued
+ */
+export const cancelHandoff = async (tenant, sessionId) => {
+  const conversation = await Conversation.findOneAndUpdate(
+    { tenantId: tenant._id, sessionId, "handoff.status": "queued" },
+    { $set: { "handoff.status": "none", "handoff.releasedAt": new Date() } },
+    { new: true }
+  );
+
+  if (!conversation) return null;
+
+  const updated = await notifyVisitor(
+    conversation,
+    HANDOFF_MESSAGES.cancelled,
+    "none"
+  );
+  emitToAgents(tenant._id, "queue:updated", toQueueItem(updated));
+
+  return updated;
+};
+
+/**
+ * Claim a queued conversation for an agent
+ * @param {string} tenantId - The tenant ID
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} agent - The agent's User document
+ * @returns {Promise<Object>} - The claimed conversation
+ */
+export const claimConversation = async (tenantId, conversationId, agent) => {
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId, tenantId, "handoff.status": "queued" },
+    {
+      $set: {
+        "handoff.status": "claimed",
+        "handoff.claimedAt": new Date(),
+        "handoff.agentSeenAt": new Date(),
+        "handoff.agentId": agent._id,
+        "handoff.agentName": agent.name,
+      },
+    },
+    { new: true }
+  );
+
+  if (!conversation) {
+    throw new Error("Conversation is no longer waiting in the queue");
+  }
+
+  console.log(`[HANDOFF] ${agent.email} claimed conversation ${conversationId}`);
+
+  const updated = await notifyVisitor(
+    conversation,
+    HANDOFF_MESSAGES.claimed(agent.name),
+    "claimed"
+  );
+  emitToAgents(tenantId, "queue:updated", toQueueItem(updated));
+
+  return updated;
+};
+
+/**
+ * Hand a claimed conversation back to the bot
+ * @param {string} tenantId - The tenant ID
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} agent - The agent's User document
+ * @returns {Promise<Object>} - The released conversation
+ */
+export const releaseConversation = async (tenantId, conversationId, agent) => {
+  const conversation = await Conversation.findOneAndUpdate(
+    {
+      _id: conversationId,
+      tenantId,
+      "handoff.status": "claimed",
+      "handoff.agentId": agent._id,
+    },
+    { $set: { "handoff.status": "none", "handoff.releasedAt": new Date() } },
+    { new: true }
+  );
+
+  if (!conversation) {
+    throw new Error("You are not handling this conversation");
+  }
+
+  console.log(`[HANDOFF] ${agent.email} released conversation ${conversationId}`);
+
+  const updated = await notifyVisitor(
+    conversation,
+    HANDOFF_MESSAGES.released,
+    "none"
+  );
+  emitToAgents(tenantId, "queue:updated", toQueueItem(updated));
+
+  return updated;
+};
+
+/**
+ * Record that an agent is still connected to the conversations they claimed
+ * @param {string} tenantId - The tenant ID
+ * @param {string} agentId - The agent's user ID
+ * @returns {Promise<Object>} - The update result
+ */
+export const touchAgentClaims = (tenantId, agentId) =>
+  Conversation.updateMany(
+    { tenantId, "handoff.status": "claimed", "handoff.agentId": agentId },
+    { $set: { "handoff.agentSeenAt": new Date() } }
+  );
+
+/**
+ * Hand back conversations whose agent has not been seen since a cutoff:
+ * to the queue while another agent is online, otherwise to the bot
+ * @param {Date} cutoff - Claims last seen before this are handed back
+ * @returns {Promise<number>} - Number of conversations handed back
+ */
+export const reclaimAbandonedConversations = async (cutoff) => {
+  const abandoned = {
+    "handoff.status": "claimed",
+    $or: [
+      { "handoff.agentSeenAt": { $lt: cutoff } },
+      { "handoff.agentSeenAt": { $exists: false } },
+    ],
+  };
+
+  let reclaimed = 0;
+  for (const { _id, tenantId } of await Conversation.find(abandoned)) {
+    const requeue = hasOnlineAgents(tenantId);
+
+    // The agent may have come back, or another process got there first
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id, ...abandoned },
+      requeue
+        ? {
+            $set: { "handoff.status": "queued" },
+            $unset: {
+              "handoff.agentId": 1,
+              "handoff.agentName": 1,
+              "handoff.claimedAt": 1,
+              "handoff.agentSeenAt": 1,
+            },
+          }
+        : {
+            $set: { "handoff.status": "none", "handoff.releasedAt": new Date() },
+          },
+      { new: true }
+    );
+    if (!conversation) continue;
+    reclaimed++;
+
+    console.log(
+      `[HANDOFF] Agent left conversation ${_id}; ${requeue ? "queued again" : "back with the bot"}`
+    );
+
+    const updated = await notifyVisitor(
+      conversation,
+      requeue ? HANDOFF_MESSAGES.requeued : HANDOFF_MESSAGES.released,
+      requeue ? "queued" : "none"
+    );
+    emitToAgents(tenantId, "queue:updated", toQueueItem(updated));
+  }
+
+  return reclaimed;
+};
+
+/**
+ * Send an agent's reply into the visitor's widget
+ * @param {string} tenantId - The tenant ID
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} agent - The agent's User document
+ * @param {string} text - The reply
+ * @returns {Promise<Object>} - The stored message
+ */
+export const sendAgentMessage = async (tenantId, conversationId, agent, text) => {
+  const conversation = await Conversation.findOne({
+    _id: conversationId,
+    tenantId,
+    "handoff.status": "claimed",
+    "handoff.agentId": agent._id,
+  });
+
+  if (!conversation) {
+    throw new Error("Claim the conversation before replying");
+  }
+
+  const updated = await Conversation.recordMessages(
+    tenantId,
+    conversation.sessionId,
+    [
+      {
+        role: "agent",
+        content: text,
+        agentId: agent._id,
+        agentName: agent.name,
+      },
+    ],
+    { channel: conversation.channel }
+  );
+  const message = updated.getTranscript().at(-1);
+
+  emitToVisitor(conversation, "agent:message", {
+    messageId: message.id,
+    message: text,
+    agentName: agent.name,
+    timestamp: message.timestamp,
+  });
+  emitToAgents(tenantId, "conversation:message", {
+    conversationId,
+    message,
+  });
+
+  return message;
+};
+
+/**
+ * Store a visitor message for a handed-off session and show it to agents
+ * @param {Object} tenant - The tenant document
+ * @param {string} sessionId - The session ID
+ * @param {string} text - The visitor's message
+ */
+export const forwardVisitorMessage = async (tenant, sessionId, text) => {
+  const updated = await Conversation.recordMessages(
+    tenant._id,
+    sessionId,
+    [{ role: "user", content: text }],
+    { channel: "socket", channels: WIDGET_CHANNELS }
+  );
+
+  emitToAgents(tenant._id, "conversation:message", {
+    conversationId: updated._id,
+    message: updated.getTranscript().at(-1),
+  });
+  emitToAgents(tenant._id, "queue:updated", toQueueItem(updated));
+};
+
+/**
+ * List conversations that are waiting for or handled by an agent
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Array<Object>>} - Oldest request first
+ */
+export const listHandoffQueue = async (tenantId) => {
+  const conversations = await Conversation.find({
+    tenantId,
+    "handoff.status": { $in: ["queued", "claimed"] },
+  }).sort({ "handoff.requestedAt": 1 });
+
+  return conversations.map(toQueueItem);
+};
@@ -0,0 +1,309 @@
+import os from "os";
+import Job from "../models/Job.js";
+
+/**
+ * MongoDB-backed job queue. Workers claim jobs atomically, hold a lease
+ * renewed by heartbeats while the handler runs, and retry failures with
+ * exponential backoff. A job whose worker dies is claimed again once its
+ * lease lapses, so handlers should be safe to resume.
+ */
+
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS) || 60000;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 30000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const DEFAULT_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const ACTIVE_STATUSES = ["queued", "running"];
+
+/**
+ * Delay before the next attempt: base, 2x base, 4x base... capped
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_MS);
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type; must have a handler in some worker
+ * @param {Object} fields - tenantId, documentId, payload, maxAttempts, runAt
+ * @returns {Promise<Object>} The created Job
+ */
+export const enqueueJob = (type, fields = {}) =>
+  Job.create({ type, ...fields, status: "queued" });
+
+/**
+ * Cancel queued and running jobs. A running handler is aborted at its
+ * worker's next heartbeat.
+ * @param {Object} filter - Job filter, e.g. { documentId }
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+export const cancelJobs = async (filter) => {
+  const result = await Job.updateMany(
+    { ...filter, status: { $in: ACTIVE_STATUSES } },
+    {
+      status: "cancelled",
+      completedAt: new Date(),
+      lockedBy: null,
+      lockedUntil: null,
+    }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Latest job matching a filter
+ * @param {Object} filter - Job filter
+ * @returns {Promise<Object|null>}
+ */
+export const findLatestJob = (filter) =>
+  Job.findOne(filter).sort({ createdAt: -1 });
+
+// A lapsed lease counts as a failed attempt; ones with none left are not
+// claimed again
+const hasAttemptsLeft = { $expr: { $lt: ["$attempts", "$maxAttempts"] } };
+
+/**
+ * Fail running jobs whose worker stopped responding on their last attempt
+ * @param {string[]} types - Job types the worker can run
+ * @param {Object} onAbandoned - Map of job type to async (job) callback, to
+ *   fail whatever the job was working on
+ * @returns {Promise<number>} Number of jobs failed
+ */
+const failAbandonedJobs = async (types, onAbandoned) => {
+  const abandoned = await Job.find({
+    type: { $in: types },
+    status: "running",
+    lockedUntil: { $lt: new Date() },
+    $expr: { $gte: ["$attempts", "$maxAttempts"] },
+  });
+
+  let failed = 0;
+  for (const job of abandoned) {
+    // Another worker may have failed it first
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, status: "running", lockedUntil: job.lockedUntil },
+      {
+        status: "failed",
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: "Worker stopped responding on the last attempt",
+      },
+      { new: true }
+    );
+    if (!updated) continue;
+    failed++;
+
+    try {
+      await onAbandoned[updated.type]?.(updated);
+    } catch (error) {
+      console.error(
+        `[JOBS] ${updated.type} ${updated._id} - Abandon handler failed:`,
+        error.message
+      );
+    }
+  }
+
+  if (failed > 0) {
+    console.error(
+      `[JOBS] Failed ${failed} job(s) abandoned on their last attempt`
+    );
+  }
+  return failed;
+};
+
+/**
+ * Atomically claim the next due job, or a running one whose lease lapsed
+ * and that has attempts left
+ * @param {string} workerId - Claiming worker
+ * @param {string[]} types - Job types the worker can run
+ * @returns {Promise<Object|null>}
+ */
+const claimNextJob = (workerId, types) => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now }, ...hasAttemptsLeft },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        heartbeatAt: now,
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+/**
+ * Start polling for jobs
+ * @param {Object} options
+ * @param {Object} options.handlers - Map of job type to async (job, { signal }) handler
+ * @param {Object} options.onAbandoned - Map of job type to async (job)
+ *   callback for jobs failed because their worker died on the last attempt
+ * @param {number} options.concurrency - Jobs run at once by this worker
+ * @returns {{id: string, stop: Function}}
+ */
+export const startJobWorker = ({
+  handlers,
+  onAbandoned = {},
+  concurrency = DEFAULT_CONCURRENCY,
+}) => {
+  const workerId = `${os.hostname()}:${process.pid}:${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+  const types = Object.keys(handlers);
+  const running = new Map();
+  let polling = false;
+  let stopped = false;
+
+  // Updates only apply while this worker still holds the job
+  const ownJob = (job) => ({
+    _id: job._id,
+    lockedBy: workerId,
+    status: "running",
+  });
+
+  const runJob = async (job, controller) => {
+    const heartbeat = setInterval(async () => {
+      try {
+        const renewed = await Job.findOneAndUpdate(ownJob(job), {
+          lockedUntil: new Date(Date.now() + LEASE_MS),
+          heartbeatAt: new Date(),
+        });
+        if (!renewed) {
+          controller.abort(new Error("Job was cancelled or its lease expired"));
+        }
+      } catch (error) {
+        console.error(`[JOBS] Heartbeat failed for ${job._id}:`, error.message);
+      }
+    }, Math.floor(LEASE_MS / 3));
+
+    console.log(
+      `[JOBS] ${job.type} ${job._id} - Attempt ${job.attempts}/${job.maxAttempts}`
+    );
+
+    try {
+      await handlers[job.type](job, { signal: controller.signal });
+
+      await Job.updateOne(ownJob(job), {
+        status: "completed",
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: null,
+      });
+    } catch (error) {
+      // Cancelled, taken over or stopped: whoever holds the job now decides
+      if (controller.signal.aborted) {
+        console.log(`[JOBS] ${job.type} ${job._id} - Aborted`);
+        return;
+      }
+
+      const retry = job.attempts < job.maxAttempts;
+      console.error(
+        `[JOBS] ${job.type} ${job._id} - Failed${retry ? ", will retry" : ""}:`,
+        error.message
+      );
+
+      await Job.updateOne(
+        ownJob(job),
+        retry
+          ? {
+              status: "queued",
+              runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+              lockedBy: null,
+              lockedUntil: null,
+              lastError: error.message,
+            }
+          : {
+              status: "failed",
+              completedAt: new Date(),
+              lockedBy: null,
+              lockedUntil: null,
+              lastError: error.message,
+            }
+      );
+    } finally {
+      clearInterval(heartbeat);
+    }
+  };
+
+  const poll = async () => {
+    if (polling || stopped) return;
+    polling = true;
+
+    try {
+      await failAbandonedJobs(types, onAbandoned);
+
+      while (!stopped && running.size < concurrency) {
+        const job = await claimNextJob(workerId, types);
+        if (!job) break;
+
+        const id = job._id.toString();
+        const controller = new AbortController();
+        const run = runJob(job, controller)
+          .catch((error) => {
+            console.error(`[JOBS] ${job._id} - Worker error:`, error);
+          })
+          .finally(() => {
+            running.delete(id);
+            // Pick up the next job straight away
+            setImmediate(poll);
+          });
+        running.set(id, { job, run, controller });
+      }
+    } catch (error) {
+      console.error("[JOBS] Poll error:", error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, POLL_INTERVAL_MS);
+  poll();
+
+  console.log(
+    `[JOBS] Worker ${workerId} started (${types.join(", ")}; concurrency ${concurrency})`
+  );
+
+  /**
+   * Stop claiming jobs and wait for running ones. Jobs still running after
+   * the timeout are released back to the queue for another worker.
+   * @param {number} timeoutMs - How long to wait
+   * @returns {Promise<void>}
+   */
+  const stop = async (timeoutMs = 10000) => {
+    stopped = true;
+    clearInterval(timer);
+
+    const runs = [...running.values()].map(({ run }) => run);
+    await Promise.race([
+      Promise.all(runs),
+      new Promise((resolve) => setTimeout(resolve, timeoutMs)),
+    ]);
+
+    for (const { job, controller } of running.values()) {
+      await Job.updateOne(ownJob(job), {
+        status: "queued",
+        runAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+        $inc: { attempts: -1 },
+      });
+      controller.abort(new Error("Worker is shutting down"));
+    }
+  };
+
+  return { id: workerId, stop };
+};
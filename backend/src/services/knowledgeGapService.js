@@ -0,0 +1,218 @@
+import UnansweredQuestion from "../models/UnansweredQuestion.js";
+import { LOW_CONFIDENCE_THRESHOLD } from "../models/Conversation.js";
+import {
+  clusterQuestions,
+  normalizeQuestion,
+} from "./questionClusterService.js";
+import { addQaPair, MAX_ALTERNATE_QUESTIONS } from "./qaService.js";
+
+/**
+ * Knowledge gaps: questions the bot answered with the notFound default or
+ * only a weak "best-available" match are recorded, grouped by similarity
+ * and ranked by how often they are asked, so writers know which FAQs are
+ * missing. Answering a group adds a Q&A pair to the knowledge base.
+ */
+
+// Replies that are not attempts to answer from the knowledge base
+const NOT_ANSWERS = ["greeting", "thanks", "goodbye", "handoff"];
+
+// Most recent open questions grouped into one report
+const REPORT_SAMPLE = 5000;
+
+/**
+ * Why a bot response counts as a knowledge gap
+ * @param {Object} response - The chat service response
+ * @returns {string|null} "notFound", "lowConfidence" or null if it was answered
+ */
+export const getGapReason = (response) => {
+  if (!response || NOT_ANSWERS.includes(response.messageType)) {
+    return null;
+  }
+
+  if (response.messageType === "notFound" || response.isFallback) {
+    return "notFound";
+  }
+
+  if (
+    typeof response.confidence === "number" &&
+    response.confidence < LOW_CONFIDENCE_THRESHOLD
+  ) {
+    return "lowConfidence";
+  }
+
+  return null;
+};
+
+/**
+ * Record a question if its answer was a miss. Never throws, so callers can
+ * fire and forget.
+ * @param {string} tenantId - The tenant ID
+ * @param {string} question - The visitor's message
+ * @param {Object} response - The chat service response
+ * @param {Object} options - searchQuery, channel, sessionId and the retrieved sources
+ * @returns {Promise<Object|null>} The UnansweredQuestion, or null
+ */
+export const recordUnansweredQuestion = async (
+  tenantId,
+  question,
+  response,
+  options = {}
+) => {
+  const reason = getGapReason(response);
+  if (!reason || !question?.trim()) {
+    return null;
+  }
+
+  const { searchQuery, channel, sessionId, sources = [] } = options;
+
+  try {
+    return await UnansweredQuestion.create({
+      tenantId,
+      question,
+      searchQuery: searchQuery !== question ? searchQuery : undefined,
+      channel,
+      sessionId,
+      reason,
+      confidence: response.confidence,
+      topSimilarity: sources.length
+        ? Math.max(...sources.map((source) => source.similarity || 0))
+        : undefined,
+    });
+  } catch (error) {
+    console.error("[GAPS] Failed to record unanswered question:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Open knowledge gaps grouped by similar questions, most asked first
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options
+ * @param {Date} options.from - Only questions asked since
+ * @param {Date} options.to - Only questions asked until
+ * @param {number} options.limit - Groups returned
+ * @returns {Promise<Object>} {groups, totalQuestions}
+ */
+export const getKnowledgeGapReport = async (tenantId, options = {}) => {
+  const { from, to, limit = 50 } = options;
+
+  const filter = { tenantId, status: "open" };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const questions = await UnansweredQuestion.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(REPORT_SAMPLE)
+    .select("question searchQuery reason channel createdAt")
+    .lean();
+
+  const byId = new Map(
+    questions.map((question) => [question._id.toString(), question])
+  );
+
+  const groups = await clusterQuestions(
+    questions.map((question) => ({
+      id: question._id.toString(),
+      text: question.searchQuery || question.question,
+      lastAskedAt: question.createdAt,
+    })),
+    { tenantId }
+  );
+
+  return {
+    totalQuestions: questions.length,
+    groups: groups.slice(0, limit).map((group) => {
+      const members = group.ids.map((id) => byId.get(id));
+      const countBy = (field) =>
+        members.reduce((counts, member) => {
+          if (member[field]) {
+            counts[member[field]] = (counts[member[field]] || 0) + 1;
+          }
+          return counts;
+        }, {});
+
+      return {
+        question: group.question,
+        count: group.count,
+        lastAskedAt: group.lastAskedAt,
+        examples: group.examples.slice(0, 10),
+        reasons: countBy("reason"),
+        channels: countBy("channel"),
+        questionIds: group.ids,
+      };
+    }),
+  };
+};
+
+/**
+ * Answer a group of questions with a new Q&A pair. The visitors' own
+ * wordings become its alternate questions, it is embedded straight away
+ * and the questions are marked resolved.
+ * @param {Object} tenant - The Tenant
+ * @param {Object} faq
+ * @param {Object} faq.fields - From normalizeQaPairInput (question, answer, category)
+ * @param {string[]} faq.questionIds - UnansweredQuestions the pair answers
+ * @param {string} faq.userId - Who wrote it
+ * @returns {Promise<Object>} The new QaPair
+ */
+export const answerKnowledgeGap = async (
+  tenant,
+  { fields, questionIds = [], userId }
+) => {
+  const questions = await UnansweredQuestion.find({
+    _id: { $in: questionIds },
+    tenantId: tenant._id,
+    status: "open",
+  })
+    .select("question searchQuery")
+    .lean();
+
+  const seen = new Set([normalizeQuestion(fields.question)]);
+  const alternateQuestions = [...(fields.alternateQuestions || [])];
+  for (const question of questions) {
+    const text = (question.searchQuery || question.question).trim();
+    const key = normalizeQuestion(text);
+    if (!key || seen.has(key) || text.length > 500) continue;
+    seen.add(key);
+    alternateQuestions.push(text);
+  }
+
+  const pair = await addQaPair(
+    tenant._id,
+    {
+      ...fields,
+      alternateQuestions: alternateQuestions.slice(0, MAX_ALTERNATE_QUESTIONS),
+    },
+    userId
+  );
+
+  await UnansweredQuestion.updateMany(
+    { _id: { $in: questionIds }, tenantId: tenant._id, status: "open" },
+    {
+      status: "resolved",
+      resolvedAt: new Date(),
+      resolvedBy: userId,
+      qaPairId: pair._id,
+    }
+  );
+
+  return pair;
+};
+
+/**
+ * Drop questions from the report without answering them
+ * @param {string} tenantId - The tenant ID
+ * @param {string[]} questionIds - UnansweredQuestions to dismiss
+ * @param {string} userId - Who dismissed them
+ * @returns {Promise<number>} Number of questions dismissed
+ */
+export const dismissKnowledgeGap = async (tenantId, questionIds, userId) => {
+  const result = await UnansweredQuestion.updateMany(
+    { _id: { $in: questionIds }, tenantId, status: "open" },
+    { status: "dismissed", resolvedAt: new Date(), resolvedBy: userId }
+  );
+  return result.modifiedCount;
+};
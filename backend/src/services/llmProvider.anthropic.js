@@ -0,0 +1,101 @@
+import { postJson, readLines } from "../utils/httpStream.js";
+
+/**
+ * Anthropic's Messages API (POST /v1/messages), streamed as server-sent
+ * events.
+ */
+
+export const name = "anthropic";
+
+const API_VERSION = "2023-06-01";
+
+// The API takes the system prompt separately and needs turns that alternate,
+// starting with the user
+const toMessages = (messages) => {
+  const turns = [];
+  for (const message of messages) {
+    const previous = turns[turns.length - 1];
+    if (!previous && message.role !== "user") continue;
+    if (previous?.role === message.role) {
+      previous.content += `\n\n${message.content}`;
+    } else {
+      turns.push({ role: message.role, content: message.content });
+    }
+  }
+  return turns;
+};
+
+const toUsage = (inputTokens, outputTokens) =>
+  outputTokens !== undefined
+    ? {
+        promptTokens: inputTokens || 0,
+        completionTokens: outputTokens,
+        totalTokens: (inputTokens || 0) + outputTokens,
+      }
+    : null;
+
+/**
+ * Generate a completion
+ * @param {Object} config - The provider configuration from llmService
+ * @param {Object} request - { model, system, messages, maxTokens, temperature }
+ * @param {Function} onToken - When given, the answer is streamed to it
+ * @returns {Promise<{text: string, usage: Object|null}>}
+ */
+export const complete = async (config, request, onToken) => {
+  const response = await postJson(
+    `${config.baseUrl}/v1/messages`,
+    {
+      model: request.model,
+      system: request.system,
+      messages: toMessages(request.messages),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      stream: Boolean(onToken),
+    },
+    {
+      headers: {
+        "x-api-key": config.apiKey,
+        "anthropic-version": API_VERSION,
+      },
+      timeoutMs: config.timeoutMs,
+    }
+  );
+
+  if (!onToken) {
+    const result = await response.json();
+    const text = (result.content || [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+    return {
+      text,
+      usage: toUsage(result.usage?.input_tokens, result.usage?.output_tokens),
+    };
+  }
+
+  let text = "";
+  let inputTokens;
+  let outputTokens;
+
+  for await (const line of readLines(response)) {
+    // Only the data lines matter; each names its event type
+    if (!line.startsWith("data:")) continue;
+    const event = JSON.parse(line.slice(5));
+
+    if (event.type === "error") {
+      throw new Error(`Anthropic: ${event.error?.message || "stream error"}`);
+    } else if (event.type === "message_start") {
+      inputTokens = event.message?.usage?.input_tokens;
+    } else if (
+      event.type === "content_block_delta" &&
+      event.delta?.type === "text_delta"
+    ) {
+      text += event.delta.text;
+      onToken(event.delta.text);
+    } else if (event.type === "message_delta") {
+      outputTokens = event.usage?.output_tokens;
+    }
+  }
+
+  return { text, usage: toUsage(inputTokens, outputTokens) };
+};
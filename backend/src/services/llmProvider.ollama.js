@@ -0,0 +1,66 @@
+import { postJson, readLines } from "../utils/httpStream.js";
+
+/**
+ * Ollama's native chat API (POST /api/chat), which streams NDJSON.
+ */
+
+export const name = "ollama";
+
+const toUsage = (result) =>
+  result?.eval_count !== undefined
+    ? {
+        promptTokens: result.prompt_eval_count || 0,
+        completionTokens: result.eval_count,
+        totalTokens: (result.prompt_eval_count || 0) + result.eval_count,
+      }
+    : null;
+
+/**
+ * Generate a completion
+ * @param {Object} config - The provider configuration from llmService
+ * @param {Object} request - { model, system, messages, maxTokens, temperature }
+ * @param {Function} onToken - When given, the answer is streamed to it
+ * @returns {Promise<{text: string, usage: Object|null}>}
+ */
+export const complete = async (config, request, onToken) => {
+  const response = await postJson(
+    `${config.baseUrl}/api/chat`,
+    {
+      model: request.model,
+      messages: [
+        { role: "system", content: request.system },
+        ...request.messages,
+      ],
+      stream: Boolean(onToken),
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxTokens,
+      },
+    },
+    { timeoutMs: config.timeoutMs }
+  );
+
+  if (!onToken) {
+    const result = await response.json();
+    return { text: result.message?.content || "", usage: toUsage(result) };
+  }
+
+  let text = "";
+  let usage = null;
+
+  for await (const line of readLines(response)) {
+    const part = JSON.parse(line);
+    if (part.error) throw new Error(`Ollama: ${part.error}`);
+
+    const delta = part.message?.content;
+    if (delta) {
+      text += delta;
+      onToken(delta);
+    }
+
+    // The last line has done: true and the token counts
+    if (part.done) usage = toUsage(part);
+  }
+
+  return { text, usage };
+};
@@ -0,0 +1,120 @@
+import OpenAI from "openai";
+
+/**
+ * OpenAI chat completions, for OpenAI itself and any server with a
+ * compatible API: Azure OpenAI (a deployment URL plus api-version), vLLM,
+ * LM Studio, or the fake server in utils/fakeLlmServer.js.
+ */
+
+export const name = "openai";
+
+// One client per configured provider
+const clients = new Map();
+
+const getClient = (config) => {
+  if (!clients.has(config.id)) {
+    // Azure authenticates with an api-key header and versions by query string
+    const azure = Boolean(config.apiVersion);
+
+    clients.set(
+      config.id,
+      new OpenAI({
+        apiKey: config.apiKey || "not-required",
+        baseURL: config.baseUrl || undefined,
+        defaultQuery: azure ? { "api-version": config.apiVersion } : undefined,
+        defaultHeaders: azure ? { "api-key": config.apiKey } : undefined,
+        timeout: config.timeoutMs,
+        // The fallback chain retries on the next provider instead
+        maxRetries: 0,
+      })
+    );
+  }
+  return clients.get(config.id);
+};
+
+/**
+ * Turn OpenAI API errors into readable ones
+ * @param {Error} error - The error thrown by the OpenAI client
+ * @returns {Error} - The error to rethrow, with the HTTP status kept
+ */
+const toChatError = (error) => {
+  let message = `Failed to generate chat response: ${error.message}`;
+
+  if (error.code === "insufficient_quota") {
+    message = "OpenAI API quota exceeded. Please check your billing.";
+  } else if (error.code === "invalid_api_key") {
+    message = "Invalid OpenAI API key. Please check your configuration.";
+  } else if (error.code === "rate_limit_exceeded") {
+    message = "OpenAI API rate limit exceeded. Please try again later.";
+  }
+
+  return Object.assign(new Error(message), { status: error.status });
+};
+
+const toUsage = (usage) =>
+  usage
+    ? {
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        totalTokens: usage.total_tokens,
+      }
+    : null;
+
+/**
+ * Generate a completion
+ * @param {Object} config - The provider configuration from llmService
+ * @param {Object} request - { model, system, messages, maxTokens, temperature }
+ * @param {Function} onToken - When given, the answer is streamed to it
+ * @returns {Promise<{text: string, usage: Object|null}>}
+ */
+export const complete = async (config, request, onToken) => {
+  const params = {
+    model: request.model,
+    messages: [
+      { role: "system", content: request.system },
+      ...request.messages,
+    ],
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    top_p: 0.9,
+    frequency_penalty: 0.1,
+    presence_penalty: 0.1,
+  };
+
+  try {
+    if (!onToken) {
+      const response = await getClient(config).chat.completions.create(params);
+      return {
+        text: response.choices?.[0]?.message?.content || "",
+        usage: toUsage(response.usage),
+      };
+    }
+
+    const stream = await getClient(config).chat.completions.create({
+      ...params,
+      stream: true,
+      // Not every compatible server understands stream_options
+      ...(config.streamUsage && { stream_options: { include_usage: true } }),
+    });
+
+    let text = "";
+    let usage = null;
+
+    for await (const part of stream) {
+      const delta = part.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+
+      // The final part carries usage and no choices
+      if (part.usage) {
+        usage = part.usage;
+      }
+    }
+
+    return { text, usage: toUsage(usage) };
+  } catch (error) {
+    throw toChatError(error);
+  }
+};
@@ -0,0 +1,260 @@
+import * as openaiProvider from "./llmProvider.openai.js";
+import * as ollamaProvider from "./llmProvider.ollama.js";
+import * as anthropicProvider from "./llmProvider.anthropic.js";
+import { createCircuitBreaker } from "../utils/circuitBreaker.js";
+
+/**
+ * Provider-agnostic LLM layer. Each provider is an adapter plus settings
+ * from the environment, and is offered to tenants once configured:
+ * - "openai": OPENAI_API_KEY (and optionally OPENAI_BASE_URL)
+ * - "compatible": any OpenAI-compatible server (Azure OpenAI, vLLM,
+ *   LM Studio) at LLM_COMPATIBLE_BASE_URL
+ * - "ollama": OLLAMA_BASE_URL
+ * - "anthropic": ANTHROPIC_API_KEY
+ * - "fake": the deterministic server in utils/fakeLlmServer.js, at LLM_FAKE_URL
+ *
+ * Calls walk an ordered chain of { provider, model }. A model that keeps
+ * failing trips its circuit breaker and is skipped until its cooldown ends;
+ * the provider's other models are still tried.
+ */
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 30000;
+const BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD) || 3;
+const BREAKER_COOLDOWN_MS =
+  parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 60000;
+
+const toList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Base URLs are joined with API paths, so drop any trailing slash
+const trimUrl = (url) => url.replace(/\/+$/, "");
+
+// getConfig returns null until the provider's settings are present
+const PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    adapter: openaiProvider,
+    models: toList(
+      process.env.OPENAI_MODELS || "gpt-4o-mini,gpt-4o,gpt-4.1-mini,gpt-4.1"
+    ),
+    getConfig: () =>
+      process.env.OPENAI_API_KEY
+        ? {
+            apiKey: process.env.OPENAI_API_KEY,
+            baseUrl: process.env.OPENAI_BASE_URL,
+            streamUsage: true,
+          }
+        : null,
+  },
+  compatible: {
+    label: "OpenAI-compatible",
+    adapter: openaiProvider,
+    models: toList(process.env.LLM_COMPATIBLE_MODELS),
+    getConfig: () =>
+      process.env.LLM_COMPATIBLE_BASE_URL
+        ? {
+            baseUrl: trimUrl(process.env.LLM_COMPATIBLE_BASE_URL),
+            apiKey: process.env.LLM_COMPATIBLE_API_KEY,
+            // Set for Azure OpenAI, e.g. 2024-10-21
+            apiVersion: process.env.LLM_COMPATIBLE_API_VERSION,
+          }
+        : null,
+  },
+  ollama: {
+    label: "Ollama",
+    adapter: ollamaProvider,
+    models: toList(process.env.OLLAMA_MODELS || "llama3.1"),
+    getConfig: () =>
+      process.env.OLLAMA_BASE_URL
+        ? { baseUrl: trimUrl(process.env.OLLAMA_BASE_URL) }
+        : null,
+  },
+  anthropic: {
+    label: "Anthropic",
+    adapter: anthropicProvider,
+    models: toList(
+      process.env.ANTHROPIC_MODELS ||
+        "claude-3-5-haiku-latest,claude-sonnet-4-0"
+    ),
+    getConfig: () =>
+      process.env.ANTHROPIC_API_KEY
+        ? {
+            apiKey: process.env.ANTHROPIC_API_KEY,
+            baseUrl: trimUrl(
+              process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com"
+            ),
+          }
+        : null,
+  },
+  fake: {
+    label: "Fake (testing)",
+    adapter: openaiProvider,
+    // "fake-error" always fails, to exercise fallbacks and the breaker
+    models: ["fake-echo", "fake-error"],
+    getConfig: () =>
+      process.env.LLM_FAKE_URL
+        ? { baseUrl: trimUrl(process.env.LLM_FAKE_URL), streamUsage: true }
+        : null,
+  },
+};
+
+export const PROVIDER_IDS = Object.keys(PROVIDERS);
+
+// Used by tenants that have not picked a provider
+export const DEFAULT_PROVIDER = PROVIDERS[process.env.LLM_PROVIDER]
+  ? process.env.LLM_PROVIDER
+  : "openai";
+
+// Tried after a tenant's own provider unless the tenant sets its own
+// fallbacks; written as "provider" or "provider:model", comma separated
+const DEFAULT_FALLBACKS = toList(process.env.LLM_FALLBACK_CHAIN).map(
+  (entry) => {
+    const [provider, ...model] = entry.split(":");
+    return { provider, model: model.join(":") || undefined };
+  }
+);
+
+// One breaker per "provider:model", as one deployment can fail while the
+// provider's others answer
+const breakers = new Map();
+
+const getBreaker = (provider, model) => {
+  const key = `${provider}:${model}`;
+  if (!breakers.has(key)) {
+    breakers.set(
+      key,
+      createCircuitBreaker({
+        threshold: BREAKER_THRESHOLD,
+        cooldownMs: BREAKER_COOLDOWN_MS,
+      })
+    );
+  }
+  return breakers.get(key);
+};
+
+/**
+ * Whether a provider has the settings it needs
+ * @param {string} provider - Provider ID
+ * @returns {boolean}
+ */
+export const isProviderConfigured = (provider) =>
+  Boolean(PROVIDERS[provider]?.getConfig());
+
+/**
+ * Models a provider offers; the first is its default
+ * @param {string} provider - Provider ID
+ * @returns {string[]}
+ */
+export const getProviderModels = (provider) =>
+  PROVIDERS[provider]?.models || [];
+
+/**
+ * Every provider with its models, whether it is configured and the breaker
+ * state of each model, for the admin UI
+ * @returns {Array<Object>} { id, label, models, configured, circuits }
+ */
+export const getProviderOptions = () =>
+  PROVIDER_IDS.map((id) => ({
+    id,
+    label: PROVIDERS[id].label,
+    models: PROVIDERS[id].models,
+    configured: isProviderConfigured(id),
+    circuits: Object.fromEntries(
+      PROVIDERS[id].models.map((model) => [
+        model,
+        getBreaker(id, model).getState(),
+      ])
+    ),
+  }));
+
+/**
+ * The ordered providers to try for a tenant, keeping configured ones only.
+ * A model the provider doesn't offer is replaced by its default model.
+ * @param {Object} selection - Tenant.assistant: provider, model, fallbacks
+ * @returns {Array<{provider: string, model: string}>}
+ */
+export const resolveProviderChain = ({ provider, model, fallbacks } = {}) => {
+  const entries = [
+    { provider: provider || DEFAULT_PROVIDER, model },
+    ...(fallbacks?.length ? fallbacks : DEFAULT_FALLBACKS),
+  ];
+
+  const chain = [];
+  for (const entry of entries) {
+    if (!isProviderConfigured(entry.provider)) continue;
+
+    const models = getProviderModels(entry.provider);
+    const chosen = models.includes(entry.model) ? entry.model : models[0];
+    if (!chosen) continue;
+
+    const duplicate = chain.some(
+      (link) => link.provider === entry.provider && link.model === chosen
+    );
+    if (!duplicate) chain.push({ provider: entry.provider, model: chosen });
+  }
+  return chain;
+};
+
+/**
+ * Generate a completion with the first provider in the chain that answers
+ * @param {Array<{provider: string, model: string}>} chain - From resolveProviderChain
+ * @param {Object} request - { system, messages, maxTokens, temperature }
+ * @param {Function} onToken - When given, the answer is streamed to it
+ * @returns {Promise<Object>} { text, usage, provider, model }
+ * @throws {Error} When every provider failed or was skipped
+ */
+export const generateCompletion = async (chain, request, onToken) => {
+  let lastError = null;
+
+  for (const { provider, model } of chain) {
+    const breaker = getBreaker(provider, model);
+    if (!breaker.canRequest()) {
+      console.warn(`[LLM] Skipping ${provider} (${model}): circuit open`);
+      continue;
+    }
+
+    const config = {
+      id: provider,
+      timeoutMs: TIMEOUT_MS,
+      ...PROVIDERS[provider].getConfig(),
+    };
+
+    let streamed = false;
+    try {
+      const result = await PROVIDERS[provider].adapter.complete(
+        config,
+        { ...request, model },
+        onToken &&
+          ((delta) => {
+            streamed = true;
+            onToken(delta);
+          })
+      );
+
+      if (!result.text.trim()) {
+        throw new Error("Empty response");
+      }
+
+      breaker.recordSuccess();
+      return { ...result, provider, model };
+    } catch (error) {
+      lastError = error;
+      console.error(`[LLM] ${provider} (${model}) failed:`, error.message);
+      if (breaker.recordFailure(error)) {
+        console.error(
+          `[LLM] Circuit opened for ${provider} (${model}) for ${BREAKER_COOLDOWN_MS}ms`
+        );
+      }
+
+      // Another provider's stream would be appended to the partial answer
+      // already shown, so stop here; the caller's fallback answer is sent
+      // whole and replaces the partial text
+      if (streamed) throw error;
+    }
+  }
+
+  throw lastError || new Error("No LLM provider is available");
+};
@@ -0,0 +1,302 @@
+import { RE2JS } from "re2js";
+import OverrideRule from "../models/OverrideRule.js";
+import {
+  generateEmbeddings,
+  generateBatchEmbeddings,
+  cosineSimilarity,
+  getEmbeddingIndex,
+  getModelKey,
+  prepareEmbeddingModel,
+} from "./embeddingService.js";
+import { normalizeQuestion } from "./questionClusterService.js";
+
+/**
+ * Override rules: pinned answers checked before retrieval. A rule fires on a
+ * trigger phrase, a regular expression or an example question above its
+ * similarity threshold, and its response is returned as written.
+ */
+
+export const MAX_TRIGGERS = 50;
+
+// Patterns only ever see this much of a message, to bound regex run time
+const MAX_PATTERN_INPUT = 1000;
+
+// Editor patterns run on RE2's linear-time engine, so no pattern can make
+// matching backtrack catastrophically. RE2 has no lookarounds or
+// back-references; patterns using them fail to compile.
+const compilePattern = (pattern) =>
+  RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Triggers may come as an array, or one string with one trigger per line
+const toTriggerList = (value, label, maxLength) => {
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+    ? value.split(/\r?\n/)
+    : [];
+  const triggers = [
+    ...new Set(
+      list
+        .filter((trigger) => typeof trigger === "string")
+        .map((trigger) => trigger.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (triggers.length > MAX_TRIGGERS) {
+    throw invalid(`At most ${MAX_TRIGGERS} ${label} per rule`);
+  }
+  if (triggers.some((trigger) => trigger.length > maxLength)) {
+    throw invalid(
+      `Each of the ${label} must be ${maxLength} characters or less`
+    );
+  }
+  return triggers;
+};
+
+/**
+ * Validate and tidy the editable fields of an override rule
+ * @param {Object} input - name, response, phrases, patterns, examples,
+ *   similarityThreshold, priority, isActive
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields that are present
+ * @returns {Object} Fields ready to save (examples as { text })
+ * @throws {Error} With `status` 400 when a field is invalid
+ */
+export const normalizeOverrideRuleInput = (
+  input = {},
+  { partial = false } = {}
+) => {
+  const fields = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name ?? "").trim();
+    if (!name) throw invalid("Name is required");
+    if (name.length > 100) throw invalid("Name must be 100 characters or less");
+    fields.name = name;
+  }
+
+  if (!partial || input.response !== undefined) {
+    const response = String(input.response ?? "").trim();
+    if (!response) throw invalid("Response is required");
+    if (response.length > 5000) {
+      throw invalid("Response must be 5000 characters or less");
+    }
+    fields.response = response;
+  }
+
+  if (!partial || input.phrases !== undefined) {
+    fields.phrases = toTriggerList(input.phrases, "phrases", 200);
+  }
+
+  if (!partial || input.patterns !== undefined) {
+    fields.patterns = toTriggerList(input.patterns, "patterns", 200);
+    for (const pattern of fields.patterns) {
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        throw invalid(`Invalid pattern "${pattern}": ${error.message}`);
+      }
+    }
+  }
+
+  if (!partial || input.examples !== undefined) {
+    // Examples are accepted as strings or { text } objects
+    const examples = Array.isArray(input.examples)
+      ? input.examples.map((example) => example?.text ?? example)
+      : input.examples;
+    fields.examples = toTriggerList(examples, "examples", 500).map((text) => ({
+      text,
+    }));
+  }
+
+  if (input.similarityThreshold !== undefined) {
+    const threshold = Number(input.similarityThreshold);
+    if (!(threshold >= 0.5 && threshold <= 1)) {
+      throw invalid("Similarity threshold must be between 0.5 and 1");
+    }
+    fields.similarityThreshold = threshold;
+  }
+
+  if (input.priority !== undefined) {
+    const priority = Number(input.priority);
+    if (!Number.isInteger(priority)) {
+      throw invalid("Priority must be a whole number");
+    }
+    fields.priority = priority;
+  }
+
+  if (input.isActive !== undefined) {
+    fields.isActive = Boolean(input.isActive);
+  }
+
+  return fields;
+};
+
+/**
+ * Save a new or edited rule, embedding its example questions when they changed
+ * @param {Object} rule - The OverrideRule document
+ * @returns {Promise<Object>} The saved rule
+ * @throws {Error} With `status` 400 when the rule has no triggers
+ */
+export const saveOverrideRule = async (rule) => {
+  if (!rule.phrases.length && !rule.patterns.length && !rule.examples.length) {
+    throw invalid("Add at least one phrase, pattern or example question");
+  }
+
+  if (rule.isModified("examples") && rule.examples.length > 0) {
+    const texts = rule.examples.map((example) => example.text);
+    await prepareEmbeddingModel(rule.tenantId, texts);
+    const model = await getEmbeddingIndex(rule.tenantId);
+    const embeddings = await generateBatchEmbeddings(
+      texts,
+      rule.tenantId,
+      model
+    );
+    rule.examples.forEach((example, index) => {
+      example.embedding = embeddings[index];
+    });
+    rule.embeddingModel = getModelKey(model);
+  }
+
+  await rule.save();
+
+  // Embeddings are large and never needed by the admin UI
+  const saved = rule.toObject();
+  saved.examples = saved.examples.map(({ text }) => ({ text }));
+  return saved;
+};
+
+// The trigger of one rule that matches the message, if any
+const matchRule = async (rule, message, normalized, getEmbedding) => {
+  const phrase = rule.phrases.find((candidate) => {
+    const words = normalizeQuestion(candidate);
+    return words && normalized.includes(` ${words} `);
+  });
+  if (phrase) return { type: "phrase", value: phrase };
+
+  const input = message.slice(0, MAX_PATTERN_INPUT);
+  const pattern = rule.patterns.find((candidate) => {
+    try {
+      return compilePattern(candidate).matcher(input).find();
+    } catch {
+      return false;
+    }
+  });
+  if (pattern) return { type: "pattern", value: pattern };
+
+  const examples = rule.examples.filter((example) => example.embedding?.length);
+  if (examples.length === 0) return null;
+
+  const queryEmbedding = await getEmbedding();
+  let best = null;
+  for (const example of examples) {
+    const similarity = cosineSimilarity(queryEmbedding, example.embedding);
+    if (
+      similarity >= rule.similarityThreshold &&
+      similarity > (best?.similarity ?? 0)
+    ) {
+      best = {
+        type: "example",
+        value: example.text,
+        similarity: Math.round(similarity * 100) / 100,
+      };
+    }
+  }
+  return best;
+};
+
+// Examples embedded by another model cannot be compared with the query;
+// embed them again and store the result for the next message
+const refreshExampleEmbeddings = async (rule, model) => {
+  const modelKey = getModelKey(model);
+  if (rule.embeddingModel === modelKey || rule.examples.length === 0) {
+    return;
+  }
+
+  const embeddings = await generateBatchEmbeddings(
+    rule.examples.map((example) => example.text),
+    rule.tenantId,
+    model
+  );
+  rule.examples.forEach((example, index) => {
+    example.embedding = embeddings[index];
+  });
+
+  // Skipped when the rule was saved again meanwhile
+  await OverrideRule.updateOne(
+    { _id: rule._id, embeddingModel: rule.embeddingModel ?? null },
+    { $set: { examples: rule.examples, embeddingModel: modelKey } }
+  );
+  rule.embeddingModel = modelKey;
+};
+
+/**
+ * Find the first active rule (by priority) that matches a message
+ * @param {string} tenantId - The tenant ID
+ * @param {string} message - The visitor's message
+ * @returns {Promise<Object|null>} { rule, trigger } for the rule that matched
+ */
+export const findOverrideRule = async (tenantId, message) => {
+  const rules = await OverrideRule.find({ tenantId, isActive: true })
+    .select("+examples.embedding")
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+
+  if (rules.length === 0) return null;
+
+  const normalized = ` ${normalizeQuestion(message)} `;
+
+  // Only embedded when a rule with examples is reached
+  const model = await getEmbeddingIndex(tenantId);
+  let embedding;
+  const getEmbedding = async () =>
+    (embedding ??= await generateEmbeddings(message, tenantId, model));
+
+  for (const rule of rules) {
+    await refreshExampleEmbeddings(rule, model);
+    const trigger = await matchRule(rule, message, normalized, getEmbedding);
+    if (trigger) return { rule, trigger };
+  }
+  return null;
+};
+
+/**
+ * The pinned response for a message, when an override rule matches it.
+ * Records the hit on the rule unless told not to.
+ * @param {string} tenantId - The tenant ID
+ * @param {string} message - The visitor's message
+ * @param {Object} options - recordHit: false for admin test queries
+ * @returns {Promise<Object|null>} A chat response, or null to answer as usual
+ */
+export const getOverrideAnswer = async (
+  tenantId,
+  message,
+  { recordHit = true } = {}
+) => {
+  const match = await findOverrideRule(tenantId, message);
+  if (!match) return null;
+
+  const { rule, trigger } = match;
+  console.log(`[OVERRIDE] Rule "${rule.name}" matched on ${trigger.type}`);
+
+  if (recordHit) {
+    OverrideRule.recordHit(rule._id).catch((err) =>
+      console.error("[OVERRIDE] Failed to record hit:", err.message)
+    );
+  }
+
+  return {
+    message: rule.response,
+    confidence: 1,
+    source: "override",
+    messageType: "override",
+    isFallback: false,
+    model: "override-rule",
+    overrideRuleId: rule._id,
+    overrideTrigger: trigger.type,
+    timestamp: new Date().toISOString(),
+  };
+};
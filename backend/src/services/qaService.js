@@ -0,0 +1,417 @@
+import { Readable } from "stream";
+import csv from "csv-parser";
+import QaPair from "../models/QaPair.js";
+import Embedding from "../models/Embedding.js";
+import {
+  generateBatchEmbeddings,
+  getEmbeddingIndex,
+  prepareEmbeddingModel,
+  toEmbeddingFields,
+} from "./embeddingService.js";
+import {
+  indexEmbeddings,
+  removeDocumentVectors,
+  resetVectorIndex,
+} from "./vectorStore.js";
+
+/**
+ * Q&A pairs: answers written by admins instead of cut from documents.
+ * Every phrasing of the question is embedded next to document chunks, so
+ * retrieval, hybrid search and the vector stores treat them alike; when a
+ * pair's phrasing is the top match, its answer is returned word for word.
+ */
+
+// Similarity the top match needs before its pair's answer is used verbatim
+export const QA_MATCH_THRESHOLD =
+  parseFloat(process.env.QA_MATCH_THRESHOLD) || 0.75;
+
+export const MAX_ALTERNATE_QUESTIONS = 20;
+export const MAX_IMPORT_PAIRS = 1000;
+
+const EMBEDDING_BATCH_SIZE = 100;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Alternate phrasings may come as an array, or one string split on newlines or "|"
+const toPhrasingList = (value) => {
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+    ? value.split(/\r?\n|\|/)
+    : [];
+  return list
+    .filter((phrasing) => typeof phrasing === "string")
+    .map((phrasing) => phrasing.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Validate and tidy the editable fields of a Q&A pair
+ * @param {Object} input - question, answer, category, alternateQuestions, isActive
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields that are present
+ * @returns {Object} Fields ready to save
+ * @throws {Error} With `status` 400 when a field is invalid
+ */
+export const normalizeQaPairInput = (input = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || input.question !== undefined) {
+    const question = String(input.question ?? "").trim();
+    if (!question) throw invalid("Question is required");
+    if (question.length > 500) {
+      throw invalid("Question must be 500 characters or less");
+    }
+    fields.question = question;
+  }
+
+  if (!partial || input.answer !== undefined) {
+    const answer = String(input.answer ?? "").trim();
+    if (!answer) throw invalid("Answer is required");
+    if (answer.length > 5000) {
+      throw invalid("Answer must be 5000 characters or less");
+    }
+    fields.answer = answer;
+  }
+
+  if (!partial || input.category !== undefined) {
+    const category = String(input.category ?? "").trim() || "General";
+    if (category.length > 100) {
+      throw invalid("Category must be 100 characters or less");
+    }
+    fields.category = category;
+  }
+
+  const alternates = input.alternateQuestions ?? input.alternates;
+  if (!partial || alternates !== undefined) {
+    const alternateQuestions = toPhrasingList(alternates);
+    if (alternateQuestions.length > MAX_ALTERNATE_QUESTIONS) {
+      throw invalid(
+        `A pair can have at most ${MAX_ALTERNATE_QUESTIONS} alternate questions`
+      );
+    }
+    if (alternateQuestions.some((phrasing) => phrasing.length > 500)) {
+      throw invalid("Alternate questions must be 500 characters or less");
+    }
+    fields.alternateQuestions = alternateQuestions;
+  }
+
+  if (input.isActive !== undefined) {
+    fields.isActive = Boolean(input.isActive);
+  }
+
+  return fields;
+};
+
+// One phrasing of a pair as a retrieval unit; chunkIndex 0 is the main question
+const toEmbeddingDoc = (pair, phrasing, index, embedding, model) => ({
+  tenantId: pair.tenantId,
+  qaPairId: pair._id,
+  // Keyword search and generated answers see the whole pair
+  text: `Q: ${phrasing}\nA: ${pair.answer}`,
+  ...toEmbeddingFields(embedding, model),
+  metadata: {
+    chunkIndex: index,
+    tokenCount: Math.ceil((phrasing.length + pair.answer.length) / 4),
+    section: pair.question,
+    category: pair.category,
+  },
+});
+
+/**
+ * Embed a pair's phrasings and make them searchable. New embeddings are
+ * written before the old ones are removed, so an edited pair never drops
+ * out of search. A disabled pair only has its embeddings removed.
+ * @param {Object} pair - The QaPair
+ * @returns {Promise<Object>} The pair with its embedding status updated
+ */
+export const indexQaPair = async (pair) => {
+  const previous = await Embedding.find({ qaPairId: pair._id }).distinct("_id");
+
+  try {
+    let saved = [];
+
+    if (pair.isActive) {
+      const phrasings = pair.getPhrasings();
+      await prepareEmbeddingModel(pair.tenantId, phrasings);
+      const model = await getEmbeddingIndex(pair.tenantId);
+      const embeddings = await generateBatchEmbeddings(
+        phrasings,
+        pair.tenantId,
+        model
+      );
+
+      saved = await Embedding.insertMany(
+        phrasings.map((phrasing, index) =>
+          toEmbeddingDoc(pair, phrasing, index, embeddings[index], model)
+        )
+      );
+    }
+
+    await Embedding.deleteMany({ _id: { $in: previous } });
+    await removeDocumentVectors(pair.tenantId, pair._id);
+    if (saved.length > 0) {
+      await indexEmbeddings(pair.tenantId, saved);
+    }
+
+    pair.embeddingStatus = "indexed";
+    pair.embeddingError = undefined;
+  } catch (error) {
+    console.error(`[QA] Failed to index Q&A pair ${pair._id}:`, error.message);
+    pair.embeddingStatus = "failed";
+    pair.embeddingError = error.message;
+  }
+
+  return pair.save();
+};
+
+/**
+ * Create a pair at the end of the admin list and embed it
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} fields - From normalizeQaPairInput
+ * @param {string} userId - Who wrote it
+ * @returns {Promise<Object>} The new QaPair
+ */
+export const addQaPair = async (tenantId, fields, userId) => {
+  const last = await QaPair.findOne({ tenantId }).sort({ order: -1 });
+
+  const pair = await QaPair.create({
+    ...fields,
+    tenantId,
+    order: (last?.order ?? -1) + 1,
+    createdBy: userId,
+    updatedBy: userId,
+  });
+
+  return indexQaPair(pair);
+};
+
+/**
+ * Delete a pair and its embeddings
+ * @param {Object} pair - The QaPair
+ */
+export const deleteQaPair = async (pair) => {
+  await Embedding.deleteMany({ qaPairId: pair._id });
+  await removeDocumentVectors(pair.tenantId, pair._id);
+  await pair.deleteOne();
+};
+
+/**
+ * Move a category's pairs to another (possibly new) category name
+ * @param {string} tenantId - The tenant ID
+ * @param {string} from - Current category name
+ * @param {string} to - New category name
+ * @returns {Promise<number>} Number of pairs moved
+ */
+export const renameQaCategory = async (tenantId, from, to) => {
+  const pairIds = await QaPair.find({ tenantId, category: from }).distinct("_id");
+  if (pairIds.length === 0) return 0;
+
+  await QaPair.updateMany({ _id: { $in: pairIds } }, { category: to });
+  await Embedding.updateMany(
+    { qaPairId: { $in: pairIds } },
+    { "metadata.category": to }
+  );
+
+  // Category filters read the cached index, which still has the old name
+  await resetVectorIndex(tenantId);
+
+  return pairIds.length;
+};
+
+/**
+ * Save the admin list order: pairs are numbered in the order given, any
+ * others keep their relative order after them
+ * @param {string} tenantId - The tenant ID
+ * @param {string[]} pairIds - Pair IDs in their new order
+ */
+export const reorderQaPairs = async (tenantId, pairIds) => {
+  const pairs = await QaPair.find({ tenantId }).sort({ order: 1, createdAt: 1 });
+  const position = new Map(pairIds.map((id, index) => [id.toString(), index]));
+
+  const ordered = [
+    ...pairs
+      .filter((pair) => position.has(pair._id.toString()))
+      .sort(
+        (a, b) =>
+          position.get(a._id.toString()) - position.get(b._id.toString())
+      ),
+    ...pairs.filter((pair) => !position.has(pair._id.toString())),
+  ];
+
+  if (ordered.length === 0) return;
+
+  await QaPair.bulkWrite(
+    ordered.map((pair, index) => ({
+      updateOne: { filter: { _id: pair._id }, update: { order: index } },
+    }))
+  );
+};
+
+/**
+ * Read Q&A pairs from an uploaded CSV or JSON file. CSV needs `question`
+ * and `answer` columns, and may have `category` and `alternates` ("|" or
+ * newline separated). JSON is an array of objects with the same fields.
+ * @param {Object} file - Multer file (in memory)
+ * @returns {Promise<Array<Object>>} Raw rows
+ * @throws {Error} With `status` 400 when the file can't be read
+ */
+export const parseQaImportFile = async (file) => {
+  const extension = file.originalname.split(".").pop().toLowerCase();
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+  if (extension === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw invalid(`Invalid JSON: ${error.message}`);
+    }
+    const rows = Array.isArray(data) ? data : data?.pairs;
+    if (!Array.isArray(rows)) {
+      throw invalid("JSON must be an array of Q&A pairs");
+    }
+    return rows;
+  }
+
+  if (extension === "csv") {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      Readable.from([text])
+        .pipe(
+          csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() })
+        )
+        .on("data", (row) => rows.push(row))
+        .on("end", () => resolve(rows))
+        .on("error", (error) =>
+          reject(invalid(`Invalid CSV: ${error.message}`))
+        );
+    });
+  }
+
+  throw invalid("Import file must be .csv or .json");
+};
+
+/**
+ * Create Q&A pairs in bulk and embed them. Invalid rows are skipped and
+ * reported by row number (1-based, excluding a CSV header).
+ * @param {string} tenantId - The tenant ID
+ * @param {Array<Object>} rows - Raw pairs from a file or request body
+ * @param {string} userId - Who imported them
+ * @returns {Promise<Object>} {created, failed, errors}
+ */
+export const importQaPairs = async (tenantId, rows, userId) => {
+  if (rows.length > MAX_IMPORT_PAIRS) {
+    throw invalid(`Import at most ${MAX_IMPORT_PAIRS} pairs at a time`);
+  }
+
+  const errors = [];
+  const valid = [];
+  rows.forEach((row, index) => {
+    try {
+      valid.push(normalizeQaPairInput(row));
+    } catch (error) {
+      errors.push({ row: index + 1, error: error.message });
+    }
+  });
+
+  if (valid.length === 0) {
+    return { created: 0, failed: 0, errors };
+  }
+
+  const last = await QaPair.findOne({ tenantId }).sort({ order: -1 });
+  const firstOrder = (last?.order ?? -1) + 1;
+
+  const pairs = await QaPair.insertMany(
+    valid.map((fields, index) => ({
+      ...fields,
+      tenantId,
+      order: firstOrder + index,
+      createdBy: userId,
+      updatedBy: userId,
+    }))
+  );
+
+  // Embed phrasings of many pairs per request
+  const units = pairs.flatMap((pair) =>
+    pair.getPhrasings().map((phrasing, index) => ({ pair, phrasing, index }))
+  );
+  const failedPairs = new Set();
+
+  await prepareEmbeddingModel(tenantId, units.map((unit) => unit.phrasing));
+
+  for (let i = 0; i < units.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = units.slice(i, i + EMBEDDING_BATCH_SIZE);
+    try {
+      const model = await getEmbeddingIndex(tenantId);
+      const embeddings = await generateBatchEmbeddings(
+        batch.map((unit) => unit.phrasing),
+        tenantId,
+        model
+      );
+      const saved = await Embedding.insertMany(
+        batch.map(({ pair, phrasing, index }, position) =>
+          toEmbeddingDoc(pair, phrasing, index, embeddings[position], model)
+        )
+      );
+      await indexEmbeddings(tenantId, saved);
+    } catch (error) {
+      console.error("[QA] Failed to embed imported pairs:", error.message);
+      batch.forEach(({ pair }) => failedPairs.add(pair._id.toString()));
+    }
+  }
+
+  // A pair with any phrasing missing is re-embedded in full when retried
+  await QaPair.updateMany(
+    {
+      _id: {
+        $in: pairs
+          .filter((pair) => !failedPairs.has(pair._id.toString()))
+          .map((pair) => pair._id),
+      },
+    },
+    { embeddingStatus: "indexed" }
+  );
+  if (failedPairs.size > 0) {
+    await QaPair.updateMany(
+      { _id: { $in: [...failedPairs] } },
+      { embeddingStatus: "failed", embeddingError: "Embedding failed" }
+    );
+  }
+
+  return { created: pairs.length, failed: failedPairs.size, errors };
+};
+
+/**
+ * The verbatim answer of a Q&A pair, when one is the top search result
+ * @param {string} tenantId - The tenant ID
+ * @param {Array<Object>} results - From findRelevantDocuments, best first
+ * @returns {Promise<Object|null>} A chat response, or null to answer from the results as usual
+ */
+export const getQaPairAnswer = async (tenantId, results) => {
+  const top = results[0];
+  if (!top?.embedding.qaPairId || top.similarity < QA_MATCH_THRESHOLD) {
+    return null;
+  }
+
+  const pair = await QaPair.findOne({
+    _id: top.embedding.qaPairId,
+    tenantId,
+    isActive: true,
+  }).lean();
+
+  if (!pair) return null;
+
+  console.log(`[QA] Answering verbatim from Q&A pair ${pair._id}`);
+
+  return {
+    message: pair.answer,
+    confidence: Math.round(top.similarity * 100) / 100,
+    source: "qa",
+    messageType: "qa",
+    isFallback: false,
+    model: "qa-pair",
+    qaPairId: pair._id,
+    timestamp: new Date().toISOString(),
+  };
+};
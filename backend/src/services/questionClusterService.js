@@ -0,0 +1,142 @@
+import {
+  generateBatchEmbeddings,
+  cosineSimilarity,
+  getEmbeddingIndex,
+  getModelKey,
+} from "./embeddingService.js";
+
+/**
+ * Groups near-duplicate visitor questions ("how do I reset my password?",
+ * "reset password") by the cosine similarity of their embeddings.
+ */
+
+// Questions at least this similar to a group's first question join the group
+export const DEFAULT_CLUSTER_THRESHOLD =
+  parseFloat(process.env.QUESTION_CLUSTER_THRESHOLD) || 0.85;
+
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Embeddings of normalized questions, so repeated reports don't re-embed
+// them; keyed by tenant and model too, as tenants can be on different
+// models and local ones are per tenant
+const EMBEDDING_CACHE_SIZE = 5000;
+const embeddingCache = new Map();
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace so trivial variants
+ * of a question compare equal
+ * @param {string} text - The question
+ * @returns {string}
+ */
+export const normalizeQuestion = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const embedQuestions = async (texts, tenantId) => {
+  const model = await getEmbeddingIndex(tenantId);
+  const cacheKey = (text) => `${tenantId}:${getModelKey(model)}:${text}`;
+  const missing = texts.filter((text) => !embeddingCache.has(cacheKey(text)));
+
+  for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const embeddings = await generateBatchEmbeddings(batch, tenantId, model);
+    batch.forEach((text, index) =>
+      embeddingCache.set(cacheKey(text), embeddings[index])
+    );
+  }
+
+  // Oldest entries go first; Map keeps insertion order
+  while (embeddingCache.size > EMBEDDING_CACHE_SIZE) {
+    embeddingCache.delete(embeddingCache.keys().next().value);
+  }
+
+  return texts.map((text) => embeddingCache.get(cacheKey(text)));
+};
+
+/**
+ * Cluster questions, most frequent first. Each group is led by its most
+ * asked phrasing; later phrasings join the first group they are similar to.
+ * @param {Array<Object>} questions - Items with `text`, and optionally `id`, `count` and `lastAskedAt`
+ * @param {Object} options
+ * @param {string} options.tenantId - Whose questions these are
+ * @param {number} options.threshold - Cosine similarity needed to join a group
+ * @param {number} options.maxQuestions - Distinct phrasings embedded (most frequent first)
+ * @returns {Promise<Array<Object>>} Groups of {question, count, lastAskedAt, examples, ids}, by count
+ */
+export const clusterQuestions = async (questions, options = {}) => {
+  const {
+    tenantId,
+    threshold = DEFAULT_CLUSTER_THRESHOLD,
+    maxQuestions = 500,
+  } = options;
+
+  // Merge phrasings that only differ in case or punctuation
+  const phrasings = new Map();
+  for (const question of questions) {
+    const key = normalizeQuestion(question.text || "");
+    if (!key) continue;
+
+    const entry = phrasings.get(key) || {
+      key,
+      text: question.text.trim(),
+      count: 0,
+      lastAskedAt: null,
+      ids: [],
+    };
+    entry.count += question.count || 1;
+    if (question.id) entry.ids.push(question.id);
+    if (
+      question.lastAskedAt &&
+      (!entry.lastAskedAt || question.lastAskedAt > entry.lastAskedAt)
+    ) {
+      entry.lastAskedAt = question.lastAskedAt;
+    }
+    phrasings.set(key, entry);
+  }
+
+  const ranked = [...phrasings.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, maxQuestions);
+
+  if (ranked.length === 0) {
+    return [];
+  }
+
+  const embeddings = await embedQuestions(
+    ranked.map((entry) => entry.key),
+    tenantId
+  );
+
+  const groups = [];
+  ranked.forEach((entry, index) => {
+    const embedding = embeddings[index];
+    const group = groups.find(
+      (candidate) => cosineSimilarity(candidate.embedding, embedding) >= threshold
+    );
+
+    if (group) {
+      group.count += entry.count;
+      group.examples.push(entry.text);
+      group.ids.push(...entry.ids);
+      if (entry.lastAskedAt > group.lastAskedAt) {
+        group.lastAskedAt = entry.lastAskedAt;
+      }
+    } else {
+      groups.push({
+        question: entry.text,
+        count: entry.count,
+        lastAskedAt: entry.lastAskedAt,
+        examples: [entry.text],
+        ids: [...entry.ids],
+        embedding,
+      });
+    }
+  });
+
+  return groups
+    .sort((a, b) => b.count - a.count)
+    .map(({ embedding, ...group }) => group);
+};
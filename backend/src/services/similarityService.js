@@ -1,5 +1,12 @@
 import Embedding from "../models/Embedding.js";
-import { cosineSimilarity } from "./embeddingService.js";
+import Document from "../models/Document.js";
+import {
+  cosineSimilarity,
+  getEmbeddingIndex,
+  toModelFilter,
+} from "./embeddingService.js";
+import { searchVectors } from "./vectorStore.js";
+import { createDocumentVersion } from "./documentVersionService.js";
 
 /**
  * Find similar documents using cosine similarity
@@ -21,56 +28,37 @@ export const findSimilarDocuments = async (
       excludeDocumentIds = [],
     } = options;
 
-    // Build filter for MongoDB query
-    const filter = {
-      tenantId,
-      isActive: true,
-    };
-
-    if (category) {
-      filter["metadata.category"] = category;
-    }
-
-    if (excludeDocumentIds.length > 0) {
-      filter.documentId = { $nin: excludeDocumentIds };
-    }
-
-    // Get all embeddings for the tenant
-    // Note: In production with large datasets, consider using a vector database
-    // like Pinecone, Weaviate, or Qdrant for better performance
-    const embeddings = await Embedding.find(filter)
-      .populate("documentId", "filename originalName metadata")
-      .lean(); // Use lean() for better performance
+    // Nearest neighbours from the configured vector store (see vectorStore.js)
+    const matches = await searchVectors(tenantId, queryEmbedding, {
+      limit,
+      category,
+      excludeDocumentIds,
+    });
 
-    if (embeddings.length === 0) {
+    if (matches.length === 0) {
       return [];
     }
 
-    // Calculate cosine similarity for each embedding
-    const similarities = embeddings.map((embedding) => {
-      try {
-        const similarity = cosineSimilarity(
-          queryEmbedding,
-          embedding.embedding
-        );
-        return {
-          embedding,
-          similarity,
-        };
-      } catch (error) {
-        console.error("Error calculating similarity:", error);
-        return {
-          embedding,
-          similarity: 0,
-        };
-      }
-    });
+    // Load the matched chunks; anything deactivated since indexing drops out here
+    const embeddings = await Embedding.find({
+      _id: { $in: matches.map((match) => match.id) },
+      isActive: true,
+    })
+      .populate("documentId", "filename originalName fileType metadata")
+      .lean(); // Use lean() for better performance
 
-    // Sort all by similarity (descending) first
-    const sortedBySimilarity = similarities.sort(
-      (a, b) => b.similarity - a.similarity
+    const embeddingsById = new Map(
+      embeddings.map((embedding) => [embedding._id.toString(), embedding])
     );
 
+    // Already sorted by similarity (descending)
+    const sortedBySimilarity = matches
+      .filter((match) => embeddingsById.has(match.id))
+      .map((match) => ({
+        embedding: embeddingsById.get(match.id),
+        similarity: match.similarity,
+      }));
+
     // Filter by minimum similarity threshold
     const filteredResults = sortedBySimilarity.filter(
       (item) => item.similarity >= minSimilarity
@@ -90,6 +78,143 @@ export const findSimilarDocuments = async (
   }
 };
 
+/**
+ * Find chunks matching the query words through the Embedding text index
+ * @param {string} tenantId - The tenant ID
+ * @param {string} query - The raw user query
+ * @param {Object} options - Search options
+ * @returns {Promise<Array>} - Embeddings ordered by text score
+ */
+export const findKeywordMatches = async (tenantId, query, options = {}) => {
+  try {
+    const { limit = 5, category = null, excludeDocumentIds = [] } = options;
+
+    if (!query || !query.trim()) {
+      return [];
+    }
+
+    // Only chunks of the tenant's live model, like vector search
+    const filter = {
+      tenantId,
+      isActive: true,
+      ...toModelFilter(await getEmbeddingIndex(tenantId)),
+      $text: { $search: query },
+    };
+
+    if (category) {
+      filter["metadata.category"] = category;
+    }
+
+    if (excludeDocumentIds.length > 0) {
+      filter.documentId = { $nin: excludeDocumentIds };
+    }
+
+    return await Embedding.find(filter, { textScore: { $meta: "textScore" } })
+      .sort({ textScore: { $meta: "textScore" } })
+      .limit(limit)
+      .populate("documentId", "filename originalName fileType metadata")
+      .lean();
+  } catch (error) {
+    // Keyword matching is an extra signal; never fail the whole search on it
+    console.error("Error finding keyword matches:", error.message);
+    return [];
+  }
+};
+
+// Constant from the reciprocal rank fusion paper; damps the top ranks
+const RRF_K = 60;
+
+/**
+ * Find the chunks most relevant to a query using the tenant's retrieval mode.
+ * In hybrid mode, vector and keyword rankings are merged with weighted
+ * reciprocal rank fusion so exact product names and error codes surface
+ * even when their embeddings are not the closest.
+ * @param {Object} tenant - The tenant document
+ * @param {string} query - The raw user query
+ * @param {number[]} queryEmbedding - The query embedding vector
+ * @param {Object} options - Same options as findSimilarDocuments, plus mode/keywordWeight overrides
+ * @returns {Promise<Array>} - Same shape as findSimilarDocuments, ordered by fused score
+ */
+export const findRelevantDocuments = async (
+  tenant,
+  query,
+  queryEmbedding,
+  options = {}
+) => {
+  const retrieval = tenant.settings?.retrieval || {};
+  const {
+    limit = 5,
+    mode = retrieval.mode || "hybrid",
+    keywordWeight = retrieval.keywordWeight ?? 0.5,
+    ...searchOptions
+  } = options;
+
+  if (mode !== "hybrid" || keywordWeight <= 0) {
+    return findSimilarDocuments(tenant._id, queryEmbedding, {
+      limit,
+      ...searchOptions,
+    });
+  }
+
+  // Fuse deeper candidate lists than we return so either side can promote a chunk
+  const candidateLimit = limit * 3;
+  const [vectorResults, keywordResults] = await Promise.all([
+    findSimilarDocuments(tenant._id, queryEmbedding, {
+      ...searchOptions,
+      limit: candidateLimit,
+    }),
+    findKeywordMatches(tenant._id, query, {
+      ...searchOptions,
+      limit: candidateLimit,
+    }),
+  ]);
+
+  if (keywordResults.length === 0) {
+    return vectorResults.slice(0, limit);
+  }
+
+  const fused = new Map();
+  const entryFor = (embedding) => {
+    const id = embedding._id.toString();
+    if (!fused.has(id)) {
+      fused.set(id, { embedding, similarity: null, score: 0 });
+    }
+    return fused.get(id);
+  };
+
+  vectorResults.forEach((result, rank) => {
+    const entry = entryFor(result.embedding);
+    entry.similarity = result.similarity;
+    entry.score += (1 - keywordWeight) / (RRF_K + rank + 1);
+  });
+
+  keywordResults.forEach((embedding, rank) => {
+    const entry = entryFor(embedding);
+    entry.keywordScore = embedding.textScore;
+    entry.score += keywordWeight / (RRF_K + rank + 1);
+  });
+
+  const results = [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  // Keyword-only hits still need a cosine similarity for confidence and sources
+  for (const result of results) {
+    if (result.similarity === null) {
+      try {
+        result.similarity = cosineSimilarity(
+          queryEmbedding,
+          result.embedding.embedding
+        );
+      } catch (error) {
+        result.similarity = 0;
+      }
+    }
+  }
+
+  return results;
+};
+
 /**
  * Find similar documents with advanced filtering
  * @param {string} tenantId - The tenant ID
@@ -183,8 +308,9 @@ export const findSimilarDocumentsAdvanced = async (
  */
 export const getEmbeddingStats = async (tenantId) => {
   try {
+    const model = toModelFilter(await getEmbeddingIndex(tenantId));
     const stats = await Embedding.aggregate([
-      { $match: { tenantId, isActive: true } },
+      { $match: { tenantId, isActive: true, ...model } },
       {
         $group: {
           _id: null,
@@ -216,23 +342,37 @@ export const getEmbeddingStats = async (tenantId) => {
 };
 
 /**
- * Recompute embeddings for a document (useful for updates)
+ * Recompute embeddings for a document (useful for updates). The new text is
+ * saved as a version and embedded in the background; the current embeddings
+ * keep answering until it is swapped in.
  * @param {string} documentId - The document ID
- * @param {string} newContent - The new content
+ * @param {string} newContent - The new content (defaults to the current text)
+ * @param {Object} options - changeType, note, fileType, originalName, fileSize, userId
  * @returns {Promise<Object>} - Recompute results
  */
-export const recomputeDocumentEmbeddings = async (documentId, newContent) => {
+export const recomputeDocumentEmbeddings = async (
+  documentId,
+  newContent,
+  options = {}
+) => {
   try {
-    // This would be implemented to:
-    // 1. Delete existing embeddings for the document
-    // 2. Split new content into chunks
-    // 3. Generate new embeddings
-    // 4. Save new embeddings
+    const document = await Document.findOne({
+      _id: documentId,
+      isActive: true,
+    });
+    if (!document) {
+      throw new Error("Document not found");
+    }
+
+    const version = await createDocumentVersion(document, {
+      changeType: "edit",
+      ...options,
+      content: newContent ?? document.content,
+    });
 
-    // For now, return a placeholder
     return {
-      message: "Recompute functionality not yet implemented",
       documentId,
+      version: version.version,
       status: "pending",
     };
   } catch (error) {
@@ -4,10 +4,24 @@
  * Uses the same document-based chat pipeline as the widget
  */
 
+import crypto from "crypto";
 import Tenant from "../models/Tenant.js";
-import { generateEmbeddings } from "./embeddingService.mock.js";
-import { findSimilarDocuments } from "./similarityService.js";
-import { generateChatResponse } from "./chatService.pdf.js";
+import Conversation from "../models/Conversation.js";
+import {
+  generateEmbeddings,
+  getMinSimilarity,
+} from "./embeddingService.js";
+import { findRelevantDocuments } from "./similarityService.js";
+import { generateAssistantResponse } from "./assistantService.js";
+import { resolveProviderChain } from "./llmService.js";
+import { recordUnansweredQuestion } from "./knowledgeGapService.js";
+import { getQaPairAnswer } from "./qaService.js";
+import { getOverrideAnswer } from "./overrideService.js";
+import { toSource } from "./citationService.js";
+import {
+  getConversationHistory,
+  rewriteFollowUpQuery,
+} from "./contextService.js";
 
 const GRAPH_API_VERSION = "v21.0";
 const GRAPH_API_BASE = `https://graph.facebook.com/${GRAPH_API_VERSION}`;
@@ -29,35 +43,95 @@ const isAlreadyProcessed = (msgId) => processedMessages.has(msgId);
 /**
  * Process an incoming message through the document chat pipeline
  * Returns the bot's text reply
+ * @param {Object} conversation - { channel, externalUserId } used to store the transcript
  */
-const getDocumentAnswer = async (tenant, userMessage) => {
+const getDocumentAnswer = async (tenant, userMessage, conversation = {}) => {
   try {
     if (!tenant.canMakeQuery()) {
       return "We've reached our message limit for this period. Please try again later.";
     }
 
-    const queryEmbedding = await generateEmbeddings(userMessage);
-
-    const similarDocs = await findSimilarDocuments(tenant._id, queryEmbedding, {
-      limit: 15,
-      minSimilarity: 0.02,
-    });
-
-    let context = "";
-    const qualityMatches = similarDocs.filter((d) => d.similarity >= 0.005);
+    const sessionId =
+      conversation.channel && conversation.externalUserId
+        ? `${conversation.channel}:${conversation.externalUserId}`
+        : null;
+
+    // Pinned answers skip retrieval and generation entirely
+    const overrideResponse = await getOverrideAnswer(tenant._id, userMessage);
+
+    let searchQuery = userMessage;
+    let response = overrideResponse;
+    let similarDocs = [];
+
+    if (!overrideResponse) {
+      // Follow-ups are answered as standalone questions built from earlier turns
+      const history = await getConversationHistory(tenant._id, sessionId);
+      searchQuery = await rewriteFollowUpQuery(
+        userMessage,
+        history,
+        resolveProviderChain(tenant.assistant)
+      );
+
+      const queryEmbedding = await generateEmbeddings(searchQuery, tenant._id);
+
+      similarDocs = await findRelevantDocuments(
+        tenant,
+        searchQuery,
+        queryEmbedding,
+        {
+          limit: 15,
+          minSimilarity: await getMinSimilarity(tenant._id),
+        }
+      );
+
+      // A Q&A pair written for this question is answered word for word
+      const qaResponse = await getQaPairAnswer(tenant._id, similarDocs);
+
+      let context = "";
+      const qualityMatches = similarDocs.filter((d) => d.similarity >= 0.005);
+
+      if (qualityMatches.length > 0) {
+        context = qualityMatches
+          .slice(0, 5)
+          .map((d) => d.embedding.text)
+          .join("\n\n");
+      } else if (similarDocs.length > 0) {
+        context = similarDocs.map((d) => d.embedding.text).join("\n\n");
+      }
 
-    if (qualityMatches.length > 0) {
-      context = qualityMatches
-        .slice(0, 5)
-        .map((d) => d.embedding.text)
-        .join("\n\n");
-    } else if (similarDocs.length > 0) {
-      context = similarDocs.map((d) => d.embedding.text).join("\n\n");
+      response =
+        qaResponse ||
+        (await generateAssistantResponse(tenant, userMessage, context, {
+          history,
+          standaloneQuery: searchQuery,
+        }));
     }
 
-    const response = await generateChatResponse(userMessage, context);
     await tenant.incrementQueryCount();
 
+    // A verbatim Q&A answer cites only the pair it came from
+    const sourceCount = response.qaPairId ? 1 : 3;
+    const sources = similarDocs.slice(0, sourceCount).map(toSource);
+
+    recordUnansweredQuestion(tenant._id, userMessage, response, {
+      searchQuery,
+      channel: conversation.channel,
+      sessionId,
+      sources,
+    });
+
+    if (sessionId) {
+      await Conversation.recordExchange(
+        tenant._id,
+        sessionId,
+        userMessage,
+        response,
+        { ...conversation, sources }
+      ).catch((err) =>
+        console.error("[SOCIAL] Failed to record conversation:", err.message)
+      );
+    }
+
     return response.message;
   } catch (error) {
     console.error("[SOCIAL] Error generating answer:", error);
@@ -185,7 +259,10 @@ export const handleWhatsAppWebhook = async (body) => {
     await markWhatsAppRead(phoneNumberId, tenant.whatsapp.accessToken, msg.id);
 
     // Get answer from document pipeline
-    const reply = await getDocumentAnswer(tenant, userText);
+    const reply = await getDocumentAnswer(tenant, userText, {
+      channel: "whatsapp",
+      externalUserId: senderPhone,
+    });
 
     // Send reply
     await sendWhatsAppMessage(
@@ -298,7 +375,10 @@ export const handleInstagramWebhook = async (body) => {
       continue;
     }
 
-    const reply = await getDocumentAnswer(tenant, userText);
+    const reply = await getDocumentAnswer(tenant, userText, {
+      channel: "instagram",
+      externalUserId: senderId,
+    });
 
     await sendInstagramMessage(
       tenant.instagram.pageId,
@@ -328,6 +408,81 @@ export const verifyWebhook = (query, expectedToken) => {
   return { valid: false };
 };
 
+/**
+ * Verify Meta's X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer} rawBody - The unparsed request body
+ * @param {string} signatureHeader - Header value, e.g. "sha256=<hex digest>"
+ * @param {string} appSecret - The Meta app secret the payload was signed with
+ * @returns {boolean} - True if the signature matches
+ */
+export const verifyWebhookSignature = (rawBody, signatureHeader, appSecret) => {
+  if (!rawBody || !signatureHeader || !appSecret) return false;
+
+  const [algorithm, signature] = signatureHeader.split("=");
+  if (algorithm !== "sha256" || !signature) return false;
+
+  const expected = crypto
+    .createHmac("sha256", appSecret)
+    .update(rawBody)
+    .digest("hex");
+
+  const received = Buffer.from(signature, "hex");
+  const computed = Buffer.from(expected, "hex");
+
+  return (
+    received.length === computed.length &&
+    crypto.timingSafeEqual(received, computed)
+  );
+};
+
+/**
+ * Find the tenants a webhook payload is addressed to, so its signature can
+ * be checked against each tenant's app secret
+ * @param {string} platform - "whatsapp" or "instagram"
+ * @param {Object} body - The parsed webhook payload
+ * @returns {Promise<Array>} - Matching active tenants
+ */
+export const findWebhookTenants = async (platform, body) => {
+  const entries = Array.isArray(body?.entry) ? body.entry : [];
+
+  if (platform === "whatsapp") {
+    const phoneNumberIds = new Set();
+    for (const entry of entries) {
+      for (const change of entry?.changes || []) {
+        const id = change?.value?.metadata?.phone_number_id;
+        if (id) phoneNumberIds.add(String(id));
+      }
+    }
+
+    if (phoneNumberIds.size === 0) return [];
+
+    return Tenant.find({
+      "whatsapp.phoneNumberId": { $in: [...phoneNumberIds] },
+      "whatsapp.enabled": true,
+      isActive: true,
+    });
+  }
+
+  const accountIds = new Set();
+  for (const entry of entries) {
+    if (entry?.id) accountIds.add(String(entry.id));
+    for (const event of entry?.messaging || []) {
+      if (event?.recipient?.id) accountIds.add(String(event.recipient.id));
+    }
+  }
+
+  if (accountIds.size === 0) return [];
+
+  return Tenant.find({
+    $or: [
+      { "instagram.pageId": { $in: [...accountIds] } },
+      { "instagram.igUserId": { $in: [...accountIds] } },
+    ],
+    "instagram.enabled": true,
+    isActive: true,
+  });
+};
+
 /**
  * Test connectivity: send a test message via WhatsApp
  */
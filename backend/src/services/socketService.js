@@ -1,6 +1,21 @@
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import Tenant from "../models/Tenant.js";
+import {
+  WIDGET_CHANNELS,
+  isWidgetSessionId,
+} from "../models/Conversation.js";
 import { handleChatQuery } from "../controllers/chatController.js";
+import { getConversationHistory, trimHistory } from "./contextService.js";
+import {
+  cancelHandoff,
+  forwardVisitorMessage,
+  getHandoffState,
+  registerHandoffNamespaces,
+  requestHandoff,
+  visitorRoom,
+} from "./handoffService.js";
+import { recordAnswerFeedback } from "./feedbackService.js";
 
 /**
  * Setup Socket.io event handlers
@@ -9,6 +24,7 @@ import { handleChatQuery } from "../controllers/chatController.js";
 export const setupSocketHandlers = (io) => {
   // Namespace for chat functionality
   const chatNamespace = io.of("/ws/chat");
+  registerHandoffNamespaces({ chat: chatNamespace });
 
   chatNamespace.use(async (socket, next) => {
     try {
@@ -51,40 +67,112 @@ export const setupSocketHandlers = (io) => {
     // Handle user messages
     socket.on("user:message", async (data) => {
       try {
-        const { message, sessionId } = data;
+        const { message } = data;
 
         if (!message || typeof message !== "string") {
           socket.emit("error", { message: "Invalid message format" });
           return;
         }
 
+        // Agent replies for this session are delivered through its room
+        const sessionId = sessionFor(
+          socket,
+          data.sessionId || socket.sessionId || generateSessionId()
+        );
+        if (!sessionId) {
+          socket.emit("error", { message: "Invalid session" });
+          return;
+        }
+
+        // A human agent owns the conversation; the bot stays silent
+        const handoff = await getHandoffState(socket.tenant._id, sessionId);
+        if (["queued", "claimed"].includes(handoff?.status)) {
+          await forwardVisitorMessage(socket.tenant, sessionId, message);
+          return;
+        }
+
+        // Keep recent turns on the socket so each message doesn't reload them
+        if (socket.history?.sessionId !== sessionId) {
+          socket.history = {
+            sessionId,
+            turns: await getConversationHistory(socket.tenant._id, sessionId, {
+              channels: WIDGET_CHANNELS,
+            }),
+          };
+        }
+
+        const typingEnabled = socket.tenant.settings.enableTypingIndicator;
+
         // Emit typing indicator
-        if (socket.tenant.settings.enableTypingIndicator) {
+        if (typingEnabled) {
           socket.emit("bot:typing", { isTyping: true });
         }
 
-        // Simulate typing delay
-        const delay = socket.tenant.settings.responseDelay || 1000;
-        await new Promise((resolve) => setTimeout(resolve, delay));
+        // Chunks and the final message share the stored reply's id, so the
+        // widget can merge them and send feedback against it
+        const messageId = new mongoose.Types.ObjectId().toString();
+        const startedAt = Date.now();
+        let streamed = false;
+
+        const onToken = (delta) => {
+          if (!streamed) {
+            streamed = true;
+            if (typingEnabled) {
+              socket.emit("bot:typing", { isTyping: false });
+            }
+          }
+          socket.emit("bot:chunk", { messageId, delta });
+        };
 
         // Process the message
         const response = await processSocketMessage(
           socket.tenant,
           message,
-          sessionId
+          sessionId,
+          onToken,
+          socket.history.turns,
+          messageId
         );
 
+        socket.history.turns = trimHistory([
+          ...socket.history.turns,
+          { role: "user", content: message },
+          { role: "assistant", content: response.response },
+        ]);
+
+        // Answers that were not streamed still honour the configured delay
+        if (!streamed) {
+          const delay = socket.tenant.settings.responseDelay || 1000;
+          const remaining = delay - (Date.now() - startedAt);
+          if (remaining > 0) {
+            await new Promise((resolve) => setTimeout(resolve, remaining));
+          }
+        }
+
         // Stop typing indicator
-        if (socket.tenant.settings.enableTypingIndicator) {
+        if (typingEnabled && !streamed) {
           socket.emit("bot:typing", { isTyping: false });
         }
 
-        // Send response
+        // Send the complete response; it replaces any streamed text
         socket.emit("bot:message", {
+          messageId,
           message: response.response,
+          confidence: response.confidence,
+          source: response.source,
+          messageType: response.messageType,
+          isFallback: response.isFallback,
+          sources: response.sources,
+          citations: response.citations,
+          streamed,
           timestamp: new Date().toISOString(),
           type: "response",
         });
+
+        // The controller decided; queue now the answer is on screen
+        if (response.handoff) {
+          await requestHandoff(socket.tenant, sessionId, "lowConfidence");
+        }
       } catch (error) {
         console.error("Error handling user message:", error);
 
@@ -110,11 +198,77 @@ export const setupSocketHandlers = (io) => {
       });
     });
 
-    // Handle session management
-    socket.on("session:start", (data) => {
+    // Handle session management; starting another session (the widget's
+    // "clear chat") moves the socket over to it
+    socket.on("session:start", async (data = {}) => {
       const sessionId = data.sessionId || generateSessionId();
-      socket.sessionId = sessionId;
+      if (!isWidgetSessionId(sessionId)) {
+        socket.emit("error", { message: "Invalid session" });
+        return;
+      }
+
+      joinSession(socket, sessionId);
       socket.emit("session:started", { sessionId });
+
+      try {
+        const handoff = await getHandoffState(socket.tenant._id, sessionId);
+        socket.emit("handoff:status", {
+          status: handoff?.status || "none",
+          agentName: handoff?.agentName,
+        });
+      } catch (error) {
+        console.error("Error loading handoff status:", error);
+      }
+    });
+
+    // Visitor asked to talk to a human
+    socket.on("handoff:request", async (data = {}) => {
+      try {
+        const sessionId = sessionFor(socket, data.sessionId);
+        if (!sessionId) {
+          socket.emit("error", { message: "Invalid session" });
+          return;
+        }
+
+        await requestHandoff(socket.tenant, sessionId, "requested");
+      } catch (error) {
+        console.error("Error requesting handoff:", error);
+        socket.emit("error", { message: "Failed to reach an agent" });
+      }
+    });
+
+    // Visitor went back to the bot before an agent picked up
+    socket.on("handoff:cancel", async (data = {}) => {
+      try {
+        const sessionId = sessionFor(socket, data.sessionId);
+        if (sessionId) {
+          await cancelHandoff(socket.tenant, sessionId);
+        }
+      } catch (error) {
+        console.error("Error cancelling handoff:", error);
+      }
+    });
+
+    // Visitor rated a bot reply; acked with { data } or { error }
+    socket.on("feedback:submit", async (data = {}, ack = () => {}) => {
+      try {
+        const sessionId = sessionFor(socket, data.sessionId);
+        if (!sessionId) {
+          ack({ error: "Invalid session" });
+          return;
+        }
+        const feedback = await recordAnswerFeedback(
+          socket.tenant._id,
+          sessionId,
+          data
+        );
+        ack({ data: feedback });
+      } catch (error) {
+        if (!error.status) {
+          console.error("Error saving feedback:", error);
+        }
+        ack({ error: error.status ? error.message : "Failed to save feedback" });
+      }
     });
 
     // Handle disconnection
@@ -134,14 +288,61 @@ export const setupSocketHandlers = (io) => {
   });
 };
 
+/**
+ * Bind a widget socket to a session and put it in the session's room,
+ * leaving any previous one
+ * @param {Socket} socket - The widget socket
+ * @param {string} sessionId - A valid widget session ID
+ */
+const joinSession = (socket, sessionId) => {
+  socket.sessionId = sessionId;
+  if (socket.room === visitorRoom(socket.tenant._id, sessionId)) {
+    return;
+  }
+
+  if (socket.room) {
+    socket.leave(socket.room);
+  }
+
+  socket.room = visitorRoom(socket.tenant._id, sessionId);
+  socket.join(socket.room);
+};
+
+/**
+ * The session a widget event acts on. A socket only acts on its own
+ * session, bound by session:start or its first event, and never on a
+ * social channel's; switching sessions goes through session:start.
+ * @param {Socket} socket - The widget socket
+ * @param {string} requested - Session named by the event, if any
+ * @returns {string|null} - The session ID, or null when refused
+ */
+const sessionFor = (socket, requested) => {
+  const sessionId = requested || socket.sessionId;
+  if (!isWidgetSessionId(sessionId)) return null;
+  if (socket.sessionId && socket.sessionId !== sessionId) return null;
+
+  joinSession(socket, sessionId);
+  return sessionId;
+};
+
 /**
  * Process a message received via socket
  * @param {Object} tenant - The tenant object
  * @param {string} message - The user message
  * @param {string} sessionId - The session ID
+ * @param {Function} onToken - Receives answer text as it is streamed
+ * @param {Array<Object>} history - Recent turns of this session
+ * @param {string} messageId - ID to store the reply under
  * @returns {Promise<Object>} - The processed response
  */
-const processSocketMessage = async (tenant, message, sessionId) => {
+const processSocketMessage = async (
+  tenant,
+  message,
+  sessionId,
+  onToken,
+  history,
+  messageId
+) => {
   try {
     // Create a mock request object for the chat controller
     const mockReq = {
@@ -150,6 +351,11 @@ const processSocketMessage = async (tenant, message, sessionId) => {
         message,
         sessionId,
       },
+      channel: "socket",
+      deferHandoff: true,
+      onToken,
+      history,
+      messageId,
     };
 
     // Create a mock response object
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import Embedding from "../models/Embedding.js";
+import { getEmbeddingIndex, toModelFilter } from "./embeddingService.js";
+
+/**
+ * MongoDB Atlas Vector Search backend.
+ *
+ * Requires an Atlas vector index on the embeddings collection, e.g.:
+ * {
+ *   "fields": [
+ *     { "type": "vector", "path": "embedding", "numDimensions": 1536, "similarity": "cosine" },
+ *     { "type": "filter", "path": "tenantId" },
+ *     { "type": "filter", "path": "isActive" },
+ *     { "type": "filter", "path": "provider" },
+ *     { "type": "filter", "path": "model" },
+ *     { "type": "filter", "path": "modelVersion" },
+ *     { "type": "filter", "path": "documentId" },
+ *     { "type": "filter", "path": "metadata.category" }
+ *   ]
+ * }
+ * numDimensions must match the embedding model (1536 for mock and OpenAI's
+ * text-embedding-3-small, 3072 for text-embedding-3-large); the "local"
+ * provider's per-tenant dimensions suit the memory store better. Switching
+ * to a model of another dimension needs a new Atlas index.
+ * Atlas keeps the index in sync with the collection, so inserts and
+ * soft-deletes need no extra work here.
+ */
+
+const INDEX_NAME = process.env.ATLAS_VECTOR_INDEX || "embedding_vector_index";
+
+/**
+ * Search a tenant's embeddings with $vectorSearch
+ * @param {string} tenantId - The tenant ID
+ * @param {number[]} queryEmbedding - The query embedding vector
+ * @param {Object} options - { limit, category, excludeDocumentIds }
+ * @returns {Promise<Array<{id: string, similarity: number}>>}
+ */
+export const search = async (tenantId, queryEmbedding, options = {}) => {
+  const { limit = 5, category = null, excludeDocumentIds = [] } = options;
+
+  const filter = {
+    tenantId: new mongoose.Types.ObjectId(tenantId),
+    isActive: true,
+    ...toModelFilter(await getEmbeddingIndex(tenantId)),
+  };
+
+  if (category) {
+    filter["metadata.category"] = category;
+  }
+
+  if (excludeDocumentIds.length > 0) {
+    filter.documentId = {
+      $nin: excludeDocumentIds.map((id) => new mongoose.Types.ObjectId(id)),
+    };
+  }
+
+  const results = await Embedding.aggregate([
+    {
+      $vectorSearch: {
+        index: INDEX_NAME,
+        path: "embedding",
+        queryVector: queryEmbedding,
+        numCandidates: Math.max(limit * 20, 100),
+        limit,
+        filter,
+      },
+    },
+    { $project: { _id: 1, score: { $meta: "vectorSearchScore" } } },
+  ]);
+
+  // Atlas reports cosine as (1 + cosine) / 2; map it back to [-1, 1]
+  return results.map((result) => ({
+    id: result._id.toString(),
+    similarity: result.score * 2 - 1,
+  }));
+};
+
+export const add = async () => {};
+
+export const removeDocument = async () => {};
+
+export const reset = async () => {};
+
+export const name = "atlas";
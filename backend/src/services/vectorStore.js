@@ -0,0 +1,69 @@
+import * as memoryStore from "./vectorStore.memory.js";
+import * as atlasStore from "./vectorStore.atlas.js";
+
+/**
+ * Vector store selected with VECTOR_STORE:
+ * - "memory" (default): per-tenant in-process IVF index
+ * - "atlas": MongoDB Atlas $vectorSearch
+ */
+const stores = {
+  memory: memoryStore,
+  atlas: atlasStore,
+};
+
+const storeName = (process.env.VECTOR_STORE || "memory").toLowerCase();
+
+if (!stores[storeName]) {
+  console.warn(
+    `[VECTOR] Unknown VECTOR_STORE "${storeName}", using in-memory index`
+  );
+}
+
+const store = stores[storeName] || memoryStore;
+
+/**
+ * Find the nearest embeddings for a query vector
+ * @param {string} tenantId - The tenant ID
+ * @param {number[]} queryEmbedding - The query embedding vector
+ * @param {Object} options - { limit, category, excludeDocumentIds }
+ * @returns {Promise<Array<{id: string, similarity: number}>>} - Sorted by similarity
+ */
+export const searchVectors = (tenantId, queryEmbedding, options = {}) =>
+  store.search(tenantId, queryEmbedding, options);
+
+/**
+ * Make newly saved embeddings searchable
+ * @param {string} tenantId - The tenant ID
+ * @param {Array<Object>} embeddings - Saved embedding documents (with _id)
+ */
+export const indexEmbeddings = async (tenantId, embeddings) => {
+  try {
+    await store.add(tenantId, embeddings);
+  } catch (error) {
+    // The index is a cache of MongoDB; drop it rather than serve a broken one
+    console.error("[VECTOR] Failed to index embeddings:", error);
+    await store.reset(tenantId);
+  }
+};
+
+/**
+ * Stop returning a soft-deleted document's (or a Q&A pair's) embeddings
+ * @param {string} tenantId - The tenant ID
+ * @param {string} documentId - The document or Q&A pair ID
+ */
+export const removeDocumentVectors = async (tenantId, documentId) => {
+  try {
+    await store.removeDocument(tenantId, documentId);
+  } catch (error) {
+    console.error("[VECTOR] Failed to remove document vectors:", error);
+    await store.reset(tenantId);
+  }
+};
+
+/**
+ * Discard any cached index for a tenant
+ * @param {string} tenantId - The tenant ID
+ */
+export const resetVectorIndex = (tenantId) => store.reset(tenantId);
+
+export const getVectorStoreName = () => store.name;
@@ -0,0 +1,270 @@
+import Embedding from "../models/Embedding.js";
+import { IVFIndex } from "../utils/ivfIndex.js";
+import {
+  getEmbeddingIndex,
+  getModelKey,
+  toModelFilter,
+} from "./embeddingService.js";
+
+/**
+ * In-process vector store: one IVF index per tenant, built lazily from
+ * MongoDB on first search and updated as embeddings are inserted or
+ * soft-deleted. Small tenants are scanned exactly from memory; clustering
+ * only pays off once a tenant has a couple of thousand chunks.
+ */
+
+const EXACT_SEARCH_THRESHOLD =
+  parseInt(process.env.VECTOR_INDEX_EXACT_THRESHOLD) || 2000;
+
+// Other processes (seed script, workers) write embeddings too, so indexes
+// are rebuilt when the active set changes under them (see getRevision) or
+// they get too old
+const INDEX_TTL_MS =
+  parseInt(process.env.VECTOR_INDEX_TTL_MS) || 60 * 60 * 1000;
+
+const tenantIndexes = new Map();
+
+// Q&A pair embeddings have no document; they are removed by their pair's id
+const nodeData = (embedding) => ({
+  documentId: (embedding.documentId || embedding.qaPairId).toString(),
+  category: embedding.metadata?.category || null,
+});
+
+// Cluster once the tenant outgrows exact search, and again when it has
+// doubled since the last training so lists stay balanced
+const trainIfNeeded = (index) => {
+  const needsTraining = index.isTrained
+    ? index.size > index.trainedSize * 2
+    : index.size > EXACT_SEARCH_THRESHOLD;
+
+  if (needsTraining) {
+    index.train(Math.round(Math.sqrt(index.size)));
+  }
+};
+
+const activeFilter = (tenantId, model) => ({
+  tenantId,
+  isActive: true,
+  ...toModelFilter(model),
+});
+
+// Newest write among a tenant's active embeddings. Every insert and
+// activation bumps it, and every deactivation or delete lowers the count,
+// so the two together tell whether the active set changed since a build;
+// a version swapped in by a worker keeps the count but not the revision.
+const getRevision = async (tenantId, model) => {
+  const newest = await Embedding.findOne(activeFilter(tenantId, model))
+    .sort({ updatedAt: -1 })
+    .select("updatedAt")
+    .lean();
+  return newest?.updatedAt?.getTime() ?? 0;
+};
+
+const toRevision = (embeddings) =>
+  embeddings.reduce(
+    (newest, embedding) =>
+      Math.max(newest, embedding.updatedAt?.getTime() ?? 0),
+    0
+  );
+
+const buildTenantIndex = async (tenantId, model) => {
+  const startedAt = Date.now();
+  // Read first: a write landing during the load shows up as a newer revision
+  const revision = await getRevision(tenantId, model);
+  // Vectors of other embedding models are not comparable with queries
+  const embeddings = await Embedding.find(activeFilter(tenantId, model))
+    .select("_id documentId qaPairId embedding metadata.category")
+    .lean();
+
+  const dimension = embeddings[0]?.embedding.length || 0;
+  const index = new IVFIndex({ dimension });
+  let skipped = 0;
+
+  for (const embedding of embeddings) {
+    if (embedding.embedding.length !== dimension) {
+      skipped++;
+      continue;
+    }
+    index.add(
+      embedding._id.toString(),
+      embedding.embedding,
+      nodeData(embedding)
+    );
+  }
+
+  trainIfNeeded(index);
+
+  if (skipped > 0) {
+    console.warn(
+      `[VECTOR] Tenant ${tenantId}: skipped ${skipped} embeddings with a dimension other than ${dimension}`
+    );
+  }
+
+  console.log(
+    `[VECTOR] Built index for tenant ${tenantId}: ${index.size} vectors in ${
+      Date.now() - startedAt
+    }ms`
+  );
+
+  return {
+    index,
+    skipped,
+    model,
+    modelKey: getModelKey(model),
+    revision,
+    builtAt: Date.now(),
+  };
+};
+
+const getTenantIndex = async (tenantId) => {
+  const key = tenantId.toString();
+  let entry = tenantIndexes.get(key);
+  const model = await getEmbeddingIndex(tenantId);
+
+  if (entry && !entry.building) {
+    const [activeCount, revision] = await Promise.all([
+      Embedding.countDocuments(activeFilter(tenantId, model)),
+      getRevision(tenantId, model),
+    ]);
+    const stale =
+      Date.now() - entry.builtAt > INDEX_TTL_MS ||
+      entry.modelKey !== getModelKey(model) ||
+      activeCount !== entry.index.size + entry.skipped ||
+      revision > entry.revision;
+
+    if (!stale) return entry;
+  }
+
+  // Share one build between concurrent searches
+  if (!entry?.building) {
+    const building = buildTenantIndex(tenantId, model)
+      .then((built) => {
+        tenantIndexes.set(key, built);
+        return built;
+      })
+      .catch((error) => {
+        tenantIndexes.delete(key);
+        throw error;
+      });
+    entry = { building };
+    tenantIndexes.set(key, entry);
+  }
+
+  return entry.building;
+};
+
+/**
+ * Search a tenant's index
+ * @param {string} tenantId - The tenant ID
+ * @param {number[]} queryEmbedding - The query embedding vector
+ * @param {Object} options - { limit, category, excludeDocumentIds }
+ * @returns {Promise<Array<{id: string, similarity: number}>>}
+ */
+export const search = async (tenantId, queryEmbedding, options = {}) => {
+  const { limit = 5, category = null, excludeDocumentIds = [] } = options;
+  const { index } = await getTenantIndex(tenantId);
+
+  if (index.size === 0) return [];
+
+  // The query was embedded just before the tenant switched models
+  if (queryEmbedding.length !== index.dimension) {
+    console.warn(
+      `[VECTOR] Query dimension ${queryEmbedding.length} does not match indexed dimension ${index.dimension} for tenant ${tenantId}`
+    );
+    return [];
+  }
+
+  const excluded = new Set(excludeDocumentIds.map((id) => id.toString()));
+  const filter =
+    category || excluded.size > 0
+      ? (data) =>
+          (!category || data.category === category) &&
+          !excluded.has(data.documentId)
+      : null;
+
+  const results = index.search(queryEmbedding, limit, { filter });
+
+  // A selective filter can discard most approximate candidates
+  if (filter && results.length < limit) {
+    return index.exactSearch(queryEmbedding, limit, { filter });
+  }
+
+  return results;
+};
+
+/**
+ * Add freshly inserted embeddings to an already-built tenant index
+ * @param {string} tenantId - The tenant ID
+ * @param {Array<Object>} embeddings - Saved embedding documents
+ */
+export const add = async (tenantId, embeddings) => {
+  const entry = tenantIndexes.get(tenantId.toString());
+
+  // Not built yet: the first search will load these from MongoDB
+  if (!entry || entry.building) return;
+
+  // The index moves on to this process's own writes, unless another
+  // process wrote since the build; then the next search rebuilds it
+  const revision = toRevision(embeddings);
+  if (revision > entry.revision) {
+    const othersWrote = await Embedding.exists({
+      ...activeFilter(tenantId, entry.model),
+      updatedAt: { $gt: new Date(entry.revision) },
+      _id: { $nin: embeddings.map((embedding) => embedding._id) },
+    });
+    if (othersWrote) {
+      tenantIndexes.delete(tenantId.toString());
+      return;
+    }
+    entry.revision = revision;
+  }
+
+  for (const embedding of embeddings) {
+    // Saved with a model the tenant has switched away from meanwhile
+    const modelKey = getModelKey({
+      provider: embedding.provider,
+      model: embedding.model,
+      version: embedding.modelVersion,
+    });
+    if (modelKey !== entry.modelKey) continue;
+
+    if (embedding.embedding.length !== entry.index.dimension) {
+      if (entry.index.size === 0) {
+        entry.index = new IVFIndex({ dimension: embedding.embedding.length });
+      } else {
+        entry.skipped++;
+        continue;
+      }
+    }
+    entry.index.add(
+      embedding._id.toString(),
+      embedding.embedding,
+      nodeData(embedding)
+    );
+  }
+
+  trainIfNeeded(entry.index);
+};
+
+/**
+ * Drop every vector of a soft-deleted document from the tenant index
+ * @param {string} tenantId - The tenant ID
+ * @param {string} documentId - The document (or Q&A pair) ID
+ */
+export const removeDocument = async (tenantId, documentId) => {
+  const entry = tenantIndexes.get(tenantId.toString());
+  if (!entry || entry.building) return;
+
+  const target = documentId.toString();
+  entry.index.removeWhere((data) => data.documentId === target);
+};
+
+/**
+ * Forget a tenant's index so the next search rebuilds it
+ * @param {string} tenantId - The tenant ID
+ */
+export const reset = async (tenantId) => {
+  tenantIndexes.delete(tenantId.toString());
+};
+
+export const name = "memory";
@@ -0,0 +1,79 @@
+/**
+ * In-process circuit breaker. After `threshold` consecutive failures the
+ * circuit opens and calls are refused for `cooldownMs`; then one trial call
+ * is let through (half-open). Its success closes the circuit, its failure
+ * opens it for another cooldown.
+ */
+
+/**
+ * Create a circuit breaker
+ * @param {Object} options
+ * @param {number} options.threshold - Consecutive failures that open the circuit
+ * @param {number} options.cooldownMs - How long an open circuit refuses calls
+ * @returns {{canRequest: Function, recordSuccess: Function, recordFailure: Function, getState: Function}}
+ */
+export const createCircuitBreaker = ({
+  threshold = 3,
+  cooldownMs = 60000,
+} = {}) => {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  const getStatus = () => {
+    if (openedAt === null) return "closed";
+    return Date.now() - openedAt >= cooldownMs ? "half-open" : "open";
+  };
+
+  return {
+    /**
+     * Whether a call may be made now; claims the trial call when half-open
+     * @returns {boolean}
+     */
+    canRequest() {
+      const status = getStatus();
+      if (status === "closed") return true;
+      if (status === "open" || trialInFlight) return false;
+      trialInFlight = true;
+      return true;
+    },
+
+    recordSuccess() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+      lastError = null;
+    },
+
+    /**
+     * @param {Error} error - Why the call failed
+     * @returns {boolean} Whether this failure opened the circuit
+     */
+    recordFailure(error) {
+      failures += 1;
+      lastError = error?.message || null;
+      const wasTrial = trialInFlight;
+      trialInFlight = false;
+
+      if (wasTrial || (openedAt === null && failures >= threshold)) {
+        openedAt = Date.now();
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * @returns {Object} { status, failures, openedAt, retryAt, lastError }
+     */
+    getState() {
+      return {
+        status: getStatus(),
+        failures,
+        openedAt: openedAt && new Date(openedAt),
+        retryAt: openedAt && new Date(openedAt + cooldownMs),
+        lastError,
+      };
+    },
+  };
+};
@@ -0,0 +1,263 @@
+import http from "http";
+import { fileURLToPath } from "url";
+
+/**
+ * Deterministic stand-in for an LLM server, for tests and offline
+ * development. It speaks the three wire formats llmService uses:
+ * - OpenAI: POST /v1/chat/completions (set LLM_FAKE_URL=http://localhost:11435/v1)
+ * - Ollama: POST /api/chat (OLLAMA_BASE_URL=http://localhost:11435)
+ * - Anthropic: POST /v1/messages (ANTHROPIC_BASE_URL=http://localhost:11435)
+ *
+ * The same request always gets the same answer: the context sentence that
+ * shares the most words with the question, or the "not enough information"
+ * reply. Models whose name contains "error" always fail with a 500, so
+ * fallbacks and the circuit breaker can be exercised.
+ *
+ * Run with `npm run llm:fake` (port FAKE_LLM_PORT, default 11435).
+ */
+
+const NOT_FOUND_REPLY =
+  "I don't have enough information to answer that from the provided documents.";
+
+const CONTEXT_PATTERN =
+  /Context from knowledge base:\n([\s\S]*?)\n\nUser question: ([\s\S]*?)(\n\n|$)/;
+
+const toWords = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word.length > 2);
+
+// Content may be a string or a list of text blocks
+const toText = (content) =>
+  Array.isArray(content)
+    ? content.map((block) => block.text || "").join("")
+    : String(content || "");
+
+/**
+ * The fake's answer to a conversation
+ * @param {Array<{role: string, content: string}>} messages - Without the system prompt
+ * @returns {string}
+ */
+export const getFakeAnswer = (messages) => {
+  const last = toText(
+    [...messages].reverse().find((message) => message.role === "user")?.content
+  );
+
+  const match = last.match(CONTEXT_PATTERN);
+  if (!match) {
+    // Query rewrites and other prompts get the latest message back
+    const latest = last.match(/Latest message: ([\s\S]*)$/);
+    return (latest ? latest[1] : last).trim() || NOT_FOUND_REPLY;
+  }
+
+  const [, context, question] = match;
+  const questionWords = new Set(toWords(question));
+
+  let best = null;
+  let bestScore = 0;
+  for (const sentence of context.split(/(?<=[.!?])\s+|\n+/)) {
+    const score = toWords(sentence).filter((word) =>
+      questionWords.has(word)
+    ).length;
+    if (score > bestScore) {
+      best = sentence.trim();
+      bestScore = score;
+    }
+  }
+
+  return best || NOT_FOUND_REPLY;
+};
+
+// Streamed answers arrive a word at a time
+const toDeltas = (text) => text.match(/\S+\s*/g) || [];
+
+const countTokens = (text) => toWords(text).length;
+
+const readBody = async (req) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return body ? JSON.parse(body) : {};
+};
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+};
+
+const openaiChat = (res, body, answer, usage) => {
+  const id = "chatcmpl-fake";
+  const created = 0;
+
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      id,
+      object: "chat.completion",
+      created,
+      model: body.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content: answer },
+          finish_reason: "stop",
+        },
+      ],
+      usage: {
+        prompt_tokens: usage.input,
+        completion_tokens: usage.output,
+        total_tokens: usage.input + usage.output,
+      },
+    });
+  }
+
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  for (const delta of toDeltas(answer)) {
+    send({
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model: body.model,
+      choices: [{ index: 0, delta: { content: delta }, finish_reason: null }],
+    });
+  }
+  if (body.stream_options?.include_usage) {
+    send({
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model: body.model,
+      choices: [],
+      usage: {
+        prompt_tokens: usage.input,
+        completion_tokens: usage.output,
+        total_tokens: usage.input + usage.output,
+      },
+    });
+  }
+  res.end("data: [DONE]\n\n");
+};
+
+const ollamaChat = (res, body, answer, usage) => {
+  const done = {
+    model: body.model,
+    done: true,
+    prompt_eval_count: usage.input,
+    eval_count: usage.output,
+  };
+
+  if (body.stream === false) {
+    return sendJson(res, 200, {
+      ...done,
+      message: { role: "assistant", content: answer },
+    });
+  }
+
+  res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+  for (const delta of toDeltas(answer)) {
+    res.write(
+      `${JSON.stringify({
+        model: body.model,
+        message: { role: "assistant", content: delta },
+        done: false,
+      })}\n`
+    );
+  }
+  const last = { ...done, message: { role: "assistant", content: "" } };
+  res.end(`${JSON.stringify(last)}\n`);
+};
+
+const anthropicMessages = (res, body, answer, usage) => {
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      id: "msg_fake",
+      type: "message",
+      role: "assistant",
+      model: body.model,
+      content: [{ type: "text", text: answer }],
+      stop_reason: "end_turn",
+      usage: { input_tokens: usage.input, output_tokens: usage.output },
+    });
+  }
+
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  const send = (type, data) =>
+    res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  send("message_start", {
+    message: {
+      id: "msg_fake",
+      model: body.model,
+      usage: { input_tokens: usage.input, output_tokens: 0 },
+    },
+  });
+  for (const delta of toDeltas(answer)) {
+    send("content_block_delta", {
+      index: 0,
+      delta: { type: "text_delta", text: delta },
+    });
+  }
+  send("message_delta", {
+    delta: { stop_reason: "end_turn" },
+    usage: { output_tokens: usage.output },
+  });
+  send("message_stop", {});
+  res.end();
+};
+
+const ROUTES = {
+  "/v1/chat/completions": openaiChat,
+  "/api/chat": ollamaChat,
+  "/v1/messages": anthropicMessages,
+};
+
+/**
+ * Create the fake LLM server (not yet listening)
+ * @returns {http.Server}
+ */
+export const createFakeLlmServer = () =>
+  http.createServer(async (req, res) => {
+    const path = req.url.split("?")[0];
+
+    try {
+      if (req.method === "GET" && path === "/health") {
+        return sendJson(res, 200, { status: "ok" });
+      }
+
+      const route = ROUTES[path];
+      if (req.method !== "POST" || !route) {
+        return sendJson(res, 404, { error: { message: "Not found" } });
+      }
+
+      const body = await readBody(req);
+      if (String(body.model || "").includes("error")) {
+        return sendJson(res, 500, {
+          error: { message: `Fake failure for model ${body.model}` },
+        });
+      }
+
+      const messages = (body.messages || []).filter(
+        (message) => message.role !== "system"
+      );
+      const answer = getFakeAnswer(messages);
+      const usage = {
+        input: messages.reduce(
+          (sum, message) => sum + countTokens(toText(message.content)),
+          0
+        ),
+        output: countTokens(answer),
+      };
+
+      route(res, body, answer, usage);
+    } catch (error) {
+      sendJson(res, 400, { error: { message: error.message } });
+    }
+  });
+
+// Run the server if this file is executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.FAKE_LLM_PORT) || 11435;
+  createFakeLlmServer().listen(port, () => {
+    console.log(`Fake LLM server listening on http://localhost:${port}`);
+  });
+}
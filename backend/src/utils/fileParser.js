@@ -1,25 +1,90 @@
 import fs from "fs/promises";
+import path from "path";
 import { createReadStream } from "fs";
 import csv from "csv-parser";
 import PDFParser from "pdf2json";
+import mammoth from "mammoth";
+import ExcelJS from "exceljs";
+import { parse as parseHtml } from "node-html-parser";
+
+/**
+ * Supported upload formats and the MIME types browsers send for them.
+ * Browsers disagree on several of these (.md is often empty or text/plain,
+ * .csv is application/vnd.ms-excel on Windows), so the extension decides
+ * and generic MIME types are accepted alongside it.
+ */
+export const SUPPORTED_FILE_TYPES = {
+  txt: ["text/plain"],
+  csv: ["text/csv", "application/vnd.ms-excel"],
+  pdf: ["application/pdf"],
+  md: ["text/markdown", "text/x-markdown", "text/plain"],
+  html: ["text/html"],
+  docx: [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+  xlsx: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+  json: ["application/json", "text/json"],
+};
+
+// Extensions that map onto one of the types above
+const EXTENSION_ALIASES = {
+  markdown: "md",
+  htm: "html",
+};
+
+const GENERIC_MIME_TYPES = ["", "application/octet-stream"];
+
+// Formats whose parsers emit Markdown-style headings (see splitSectionsIntoChunks)
+export const STRUCTURED_FILE_TYPES = ["md", "html", "docx", "xlsx", "json"];
+
+// Separates the pages of a parsed PDF, so chunks can cite their page number
+export const PAGE_BREAK = "\f";
+
+/**
+ * Resolve the document type of an upload from its name and MIME type
+ * @param {string} originalName - Original file name
+ * @param {string} mimeType - MIME type reported by the browser
+ * @returns {string|null} - Type key of SUPPORTED_FILE_TYPES, or null if unsupported
+ */
+export const getFileType = (originalName, mimeType = "") => {
+  const extension = path.extname(originalName).slice(1).toLowerCase();
+  const fileType = EXTENSION_ALIASES[extension] || extension;
+  const mimeTypes = SUPPORTED_FILE_TYPES[fileType];
+
+  if (!mimeTypes) return null;
+
+  return mimeTypes.includes(mimeType) || GENERIC_MIME_TYPES.includes(mimeType)
+    ? fileType
+    : null;
+};
 
 /**
  * Parse file content based on file type
  * @param {string} filePath - Path to the file
- * @param {string} mimeType - MIME type of the file
- * @returns {Promise<string>} - Parsed text content
+ * @param {string} fileType - Type from getFileType (txt, csv, pdf, md, html, docx, xlsx, json)
+ * @returns {Promise<string>} - Parsed text content; structured types keep headings as "#" lines
  */
-export const parseFileContent = async (filePath, mimeType) => {
+export const parseFileContent = async (filePath, fileType) => {
   try {
-    switch (mimeType) {
-      case "text/plain":
+    switch (fileType) {
+      case "txt":
         return await parseTextFile(filePath);
-      case "text/csv":
+      case "csv":
         return await parseCsvFile(filePath);
-      case "application/pdf":
+      case "pdf":
         return await parsePdfFile(filePath);
+      case "md":
+        return await parseMarkdownFile(filePath);
+      case "html":
+        return await parseHtmlFile(filePath);
+      case "docx":
+        return await parseDocxFile(filePath);
+      case "xlsx":
+        return await parseXlsxFile(filePath);
+      case "json":
+        return await parseJsonFile(filePath);
       default:
-        throw new Error(`Unsupported file type: ${mimeType}`);
+        throw new Error(`Unsupported file type: ${fileType}`);
     }
   } catch (error) {
     console.error("Error parsing file:", error);
@@ -129,7 +194,7 @@ Answer: ${answer}
 /**
  * Parse PDF file and extract text
  * @param {string} filePath - Path to the PDF file
- * @returns {Promise<string>} - Extracted text content
+ * @returns {Promise<string>} - Extracted text, pages separated by PAGE_BREAK
  */
 const parsePdfFile = async (filePath) => {
   return new Promise((resolve, reject) => {
@@ -141,30 +206,26 @@ const parsePdfFile = async (filePath) => {
 
     pdfParser.on("pdfParser_dataReady", (pdfData) => {
       try {
-        // Extract text from parsed PDF data
-        let text = "";
-
-        if (pdfData.Pages) {
-          pdfData.Pages.forEach((page) => {
-            if (page.Texts) {
-              page.Texts.forEach((textItem) => {
-                if (textItem.R) {
-                  textItem.R.forEach((textRun) => {
-                    if (textRun.T) {
-                      text += decodeURIComponent(textRun.T) + " ";
-                    }
-                  });
+        // Extract text from parsed PDF data, one entry per page so page
+        // numbers stay aligned even when a page has no text
+        const pages = (pdfData.Pages || []).map((page) => {
+          let text = "";
+          (page.Texts || []).forEach((textItem) => {
+            if (textItem.R) {
+              textItem.R.forEach((textRun) => {
+                if (textRun.T) {
+                  text += decodeURIComponent(textRun.T) + " ";
                 }
               });
-              text += "\n";
             }
           });
-        }
+          return text.trim();
+        });
 
-        if (!text || text.trim().length === 0) {
+        if (pages.every((text) => text.length === 0)) {
           reject(new Error("No text content found in PDF"));
         } else {
-          resolve(text.trim());
+          resolve(pages.join(`\n${PAGE_BREAK}\n`));
         }
       } catch (error) {
         reject(new Error(`Failed to extract text from PDF: ${error.message}`));
@@ -175,6 +236,275 @@ const parsePdfFile = async (filePath) => {
   });
 };
 
+/**
+ * Parse Markdown file, dropping YAML front matter
+ * @param {string} filePath - Path to the Markdown file
+ * @returns {Promise<string>} - Markdown content
+ */
+const parseMarkdownFile = async (filePath) => {
+  try {
+    const content = await fs.readFile(filePath, "utf-8");
+    return content
+      .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, "")
+      .replace(/\r\n?/g, "\n")
+      .trim();
+  } catch (error) {
+    throw new Error(`Failed to read Markdown file: ${error.message}`);
+  }
+};
+
+/**
+ * Parse HTML file (e.g. an exported help-center page)
+ * @param {string} filePath - Path to the HTML file
+ * @returns {Promise<string>} - Text with headings as "#" lines
+ */
+const parseHtmlFile = async (filePath) => {
+  try {
+    const html = await fs.readFile(filePath, "utf-8");
+    const text = convertHtmlToText(html);
+
+    if (!text) {
+      throw new Error("No text content found in HTML");
+    }
+
+    return text;
+  } catch (error) {
+    throw new Error(`Failed to parse HTML file: ${error.message}`);
+  }
+};
+
+/**
+ * Parse Word document; mammoth maps Heading 1-6 styles to <h1>-<h6>
+ * @param {string} filePath - Path to the DOCX file
+ * @returns {Promise<string>} - Text with headings as "#" lines
+ */
+const parseDocxFile = async (filePath) => {
+  try {
+    const { value: html } = await mammoth.convertToHtml({ path: filePath });
+    const text = convertHtmlToText(html);
+
+    if (!text) {
+      throw new Error("No text content found in document");
+    }
+
+    return text;
+  } catch (error) {
+    throw new Error(`Failed to parse DOCX file: ${error.message}`);
+  }
+};
+
+/**
+ * Parse Excel workbook; each sheet becomes a section, rows are handled like CSV
+ * @param {string} filePath - Path to the XLSX file
+ * @returns {Promise<string>} - Text with one "#" heading per sheet
+ */
+const parseXlsxFile = async (filePath) => {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    const sections = [];
+
+    workbook.eachSheet((worksheet) => {
+      const headers = [];
+      const rows = [];
+
+      worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) {
+          row.eachCell((cell, colNumber) => {
+            headers[colNumber] = cell.text.trim() || `Column ${colNumber}`;
+          });
+          return;
+        }
+
+        const record = {};
+        headers.forEach((header, colNumber) => {
+          if (header) record[header] = row.getCell(colNumber).text.trim();
+        });
+
+        if (Object.values(record).some(Boolean)) {
+          rows.push(record);
+        }
+      });
+
+      if (rows.length > 0) {
+        sections.push(`# ${worksheet.name}\n\n${convertCsvToText(rows)}`);
+      }
+    });
+
+    if (sections.length === 0) {
+      throw new Error("No rows found in workbook");
+    }
+
+    return sections.join("\n\n").trim();
+  } catch (error) {
+    throw new Error(`Failed to parse XLSX file: ${error.message}`);
+  }
+};
+
+/**
+ * Parse JSON file; arrays of records are handled like CSV, objects become sections
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<string>} - Text with object keys as "#" headings
+ */
+const parseJsonFile = async (filePath) => {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+    const text = convertJsonToText(data).trim();
+
+    if (!text) {
+      throw new Error("No content found in JSON");
+    }
+
+    return text;
+  } catch (error) {
+    throw new Error(`Failed to parse JSON file: ${error.message}`);
+  }
+};
+
+// Elements that never carry help content
+const HTML_SKIPPED_TAGS = new Set([
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "nav",
+  "footer",
+  "form",
+  "button",
+]);
+
+const HTML_BLOCK_TAGS = new Set([
+  "p",
+  "div",
+  "section",
+  "article",
+  "main",
+  "header",
+  "aside",
+  "blockquote",
+  "pre",
+  "table",
+  "ul",
+  "ol",
+  "dl",
+  "dt",
+  "dd",
+  "figure",
+  "figcaption",
+]);
+
+/**
+ * Convert HTML to plain text, keeping headings as Markdown "#" lines
+ * and list items / table rows on their own lines
+ * @param {string} html - HTML markup
+ * @returns {string} - Structured text
+ */
+export const convertHtmlToText = (html) => {
+  const root = parseHtml(html);
+
+  // Help-center exports wrap the article in a lot of site chrome
+  const content =
+    root.querySelector("main") || root.querySelector("article") || root;
+
+  const render = (node) => {
+    // Text node
+    if (node.nodeType === 3) {
+      return node.text.replace(/\s+/g, " ");
+    }
+
+    const tag = node.rawTagName?.toLowerCase();
+    if (tag && HTML_SKIPPED_TAGS.has(tag)) return "";
+
+    const inner = () => node.childNodes.map(render).join("");
+
+    const heading = tag?.match(/^h([1-6])$/);
+    if (heading) {
+      const title = inner().replace(/\s+/g, " ").trim();
+      return title ? `\n\n${"#".repeat(Number(heading[1]))} ${title}\n\n` : "";
+    }
+
+    switch (tag) {
+      case "br":
+        return "\n";
+      case "li":
+        return `\n- ${inner().trim()}`;
+      case "tr":
+        return `\n${node.childNodes
+          .filter((cell) => ["td", "th"].includes(cell.rawTagName?.toLowerCase()))
+          .map((cell) => render(cell).trim())
+          .join(" | ")}`;
+      default:
+        return tag && HTML_BLOCK_TAGS.has(tag) ? `\n\n${inner()}\n\n` : inner();
+    }
+  };
+
+  return render(content)
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+/**
+ * Convert parsed JSON to structured text
+ * @param {*} value - Parsed JSON value
+ * @param {number} depth - Heading level for object keys
+ * @returns {string} - Structured text
+ */
+const convertJsonToText = (value, depth = 1) => {
+  if (value === null || value === undefined) return "";
+
+  if (Array.isArray(value)) {
+    const isRecordList =
+      value.length > 0 &&
+      value.every((item) => item && typeof item === "object" && !Array.isArray(item));
+
+    if (isRecordList) {
+      // Nested values are flattened so the CSV formatter can read each record
+      const records = value.map((item) =>
+        Object.fromEntries(
+          Object.entries(item).map(([key, field]) => [
+            key,
+            typeof field === "object" && field !== null
+              ? JSON.stringify(field)
+              : String(field ?? ""),
+          ])
+        )
+      );
+      return convertCsvToText(records);
+    }
+
+    return value
+      .map((item) =>
+        typeof item === "object" ? convertJsonToText(item, depth) : `- ${item}`
+      )
+      .join("\n");
+  }
+
+  if (typeof value === "object") {
+    const scalars = [];
+    const sections = [];
+
+    for (const [key, field] of Object.entries(value)) {
+      if (field !== null && typeof field === "object") {
+        const body = convertJsonToText(field, Math.min(depth + 1, 6));
+        if (body) {
+          sections.push(`${"#".repeat(depth)} ${key}\n\n${body}`);
+        }
+      } else {
+        scalars.push(`${key}: ${field}`);
+      }
+    }
+
+    return [scalars.join("\n"), ...sections].filter(Boolean).join("\n\n");
+  }
+
+  return String(value);
+};
+
 /**
  * Validate file before parsing
  * @param {Object} file - File object
@@ -189,19 +519,13 @@ export const validateFile = (file) => {
     errors.push("File size exceeds 10MB limit");
   }
 
-  // Check file type
-  const allowedTypes = ["text/plain", "text/csv", "application/pdf"];
-  if (!allowedTypes.includes(file.mimetype)) {
-    errors.push("Invalid file type. Only TXT, CSV, and PDF files are allowed");
-  }
-
-  // Check file extension
-  const allowedExtensions = [".txt", ".csv", ".pdf"];
-  const fileExtension = file.originalname
-    .toLowerCase()
-    .substring(file.originalname.lastIndexOf("."));
-  if (!allowedExtensions.includes(fileExtension)) {
-    errors.push("Invalid file extension");
+  // Check file type (extension and MIME type)
+  if (!getFileType(file.originalname, file.mimetype)) {
+    errors.push(
+      `Invalid file type. Allowed types: ${Object.keys(SUPPORTED_FILE_TYPES)
+        .join(", ")
+        .toUpperCase()}`
+    );
   }
 
   return {
@@ -339,3 +663,108 @@ export const splitTextIntoChunks = (text, maxTokens = 400) => {
   // Final filter: ensure chunks are substantial (at least 50 chars)
   return chunks.filter(chunk => chunk.trim().length > 50);
 };
+
+/**
+ * Split heading-structured text into chunks that remember their section.
+ * "#" to "######" lines start a section, except inside ``` or ~~~ fenced
+ * code blocks; each chunk is prefixed with its heading path so the title is
+ * embedded and retrieved with the content.
+ * @param {string} text - Text from a structured parser
+ * @param {number} maxTokens - Maximum tokens per chunk
+ * @returns {Array<{text: string, section: string|null, headings: string[]}>}
+ */
+export const splitSectionsIntoChunks = (text, maxTokens = 400) => {
+  if (!text || typeof text !== "string") {
+    return [];
+  }
+
+  const sections = [];
+  let headings = [];
+  let lines = [];
+
+  const flush = () => {
+    const body = lines.join("\n").trim();
+    if (body) {
+      sections.push({ headings, body });
+    }
+    lines = [];
+  };
+
+  // Marks of the open code fence; it closes on a bare line of at least as
+  // many of the same marks. A ``` line with another backtick is inline code.
+  let fence = null;
+
+  for (const line of text.split("\n")) {
+    const marks = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+    if (fence) {
+      const closes =
+        marks?.[1][0] === fence[0] &&
+        marks[1].length >= fence.length &&
+        !marks[2].trim();
+      if (closes) fence = null;
+      lines.push(line);
+      continue;
+    }
+    if (marks && !(marks[1][0] === "`" && marks[2].includes("`"))) {
+      fence = marks[1];
+      lines.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      headings = [...headings.slice(0, heading[1].length - 1), heading[2]];
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return sections.flatMap(({ headings, body }) => {
+    const words = body.split(/\s+/).length;
+    if (words < 3) return [];
+
+    // A section that fits is kept whole; short ones read fine with their title
+    const chunks =
+      words <= maxTokens ? [body] : splitTextIntoChunks(body, maxTokens);
+
+    const prefix = headings.join(" > ");
+    return chunks.map((chunk) => ({
+      text: prefix ? `${prefix}\n\n${chunk}` : chunk,
+      section: headings[headings.length - 1] || null,
+      headings,
+    }));
+  });
+};
+
+/**
+ * Split a stored document's content into chunks for embedding
+ * @param {string} content - Document content as returned by parseFileContent
+ * @param {string} fileType - The document's file type
+ * @returns {Array<{text: string, section: string|null, headings: string[], page?: number}>}
+ */
+export const splitDocumentIntoChunks = (content, fileType) => {
+  if (STRUCTURED_FILE_TYPES.includes(fileType)) {
+    return splitSectionsIntoChunks(content);
+  }
+
+  // PDFs are chunked page by page; one-page PDFs and those parsed before
+  // pages were kept are chunked as one text and cite no page
+  if (fileType === "pdf" && content.includes(PAGE_BREAK)) {
+    return content.split(PAGE_BREAK).flatMap((pageText, index) =>
+      splitTextIntoChunks(pageText).map((text) => ({
+        text,
+        section: null,
+        headings: [],
+        page: index + 1,
+      }))
+    );
+  }
+
+  return splitTextIntoChunks(content).map((text) => ({
+    text,
+    section: null,
+    headings: [],
+  }));
+};
@@ -0,0 +1,60 @@
+/**
+ * Small fetch helpers for the HTTP LLM providers: JSON POSTs with a timeout
+ * and line-by-line reading of streamed (NDJSON or server-sent event) bodies.
+ */
+
+/**
+ * POST a JSON body and fail on non-2xx responses
+ * @param {string} url - The endpoint
+ * @param {Object} body - Sent as JSON
+ * @param {Object} options - { headers, timeoutMs }
+ * @returns {Promise<Response>} The response, body unread
+ * @throws {Error} With `status` set to the HTTP status on error responses
+ */
+export const postJson = async (url, body, { headers = {}, timeoutMs } = {}) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined,
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    let detail = text;
+    try {
+      const parsed = JSON.parse(text);
+      detail = parsed.error?.message || parsed.error || text;
+    } catch {
+      // Not JSON; report the body as is
+    }
+    throw Object.assign(
+      new Error(`HTTP ${response.status}: ${String(detail).slice(0, 200)}`),
+      { status: response.status }
+    );
+  }
+
+  return response;
+};
+
+/**
+ * Read a streamed response body one line at a time
+ * @param {Response} response - A fetch response
+ * @returns {AsyncGenerator<string>} Non-empty lines, without line endings
+ */
+export async function* readLines(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer;
+}
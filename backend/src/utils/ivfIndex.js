@@ -0,0 +1,261 @@
+/**
+ * In-process IVF (inverted file) index for cosine similarity.
+ *
+ * Vectors are normalised on insert so similarity is a plain dot product.
+ * `train()` clusters a sample with spherical k-means; every vector is then
+ * stored in the list of its nearest centroid and a search only scans the
+ * `nprobe` lists closest to the query. Until trained, the index is a single
+ * list and every search is exact.
+ */
+
+const KMEANS_ITERATIONS = 6;
+const TRAINING_SAMPLES_PER_LIST = 16;
+
+const normalize = (vector) => {
+  const normalized = Float32Array.from(vector);
+  let norm = 0;
+
+  for (let i = 0; i < normalized.length; i++) {
+    norm += normalized[i] * normalized[i];
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm === 0) return normalized;
+
+  for (let i = 0; i < normalized.length; i++) {
+    normalized[i] /= norm;
+  }
+
+  return normalized;
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+};
+
+// Pick `count` distinct random items without shuffling the whole array
+const sample = (items, count) => {
+  if (items.length <= count) return [...items];
+
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(Math.floor(Math.random() * items.length));
+  }
+
+  return [...picked].map((i) => items[i]);
+};
+
+export class IVFIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} options.dimension - Vector dimension
+   * @param {number} options.nprobe - Lists scanned per search once trained
+   */
+  constructor({ dimension, nprobe = 0 } = {}) {
+    this.dimension = dimension;
+    this.nprobeOption = nprobe;
+    this.nprobe = nprobe;
+
+    this.centroids = [];
+    this.lists = [new Map()];
+    this.locations = new Map();
+    this.trainedSize = 0;
+  }
+
+  get size() {
+    return this.locations.size;
+  }
+
+  get isTrained() {
+    return this.centroids.length > 0;
+  }
+
+  has(id) {
+    return this.locations.has(id);
+  }
+
+  nearestList(vector) {
+    let best = 0;
+    let bestScore = -Infinity;
+
+    for (let i = 0; i < this.centroids.length; i++) {
+      const score = dot(vector, this.centroids[i]);
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Cluster the stored vectors into `nlist` lists with spherical k-means and
+   * redistribute them. Calling it again retrains a grown index.
+   * @param {number} nlist - Number of lists (centroids)
+   */
+  train(nlist) {
+    const entries = this.lists.flatMap((list) => [...list.values()]);
+    const training = sample(entries, nlist * TRAINING_SAMPLES_PER_LIST).map(
+      (entry) => entry.vector
+    );
+    const listCount = Math.min(nlist, training.length);
+    if (listCount < 2) return;
+
+    let centroids = sample(training, listCount);
+    const assignments = new Array(training.length).fill(0);
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+      this.centroids = centroids;
+      training.forEach((vector, i) => {
+        assignments[i] = this.nearestList(vector);
+      });
+
+      const sums = Array.from(
+        { length: listCount },
+        () => new Float32Array(this.dimension)
+      );
+      const counts = new Array(listCount).fill(0);
+
+      training.forEach((vector, i) => {
+        const sum = sums[assignments[i]];
+        for (let d = 0; d < this.dimension; d++) {
+          sum[d] += vector[d];
+        }
+        counts[assignments[i]]++;
+      });
+
+      // Empty clusters are reseeded from a random training vector
+      centroids = sums.map((sum, i) =>
+        counts[i] > 0
+          ? normalize(sum)
+          : training[Math.floor(Math.random() * training.length)]
+      );
+    }
+
+    this.centroids = centroids;
+    this.lists = centroids.map(() => new Map());
+    this.locations = new Map();
+    this.trainedSize = entries.length;
+
+    this.nprobe = this.nprobeOption || Math.max(4, Math.ceil(listCount / 10));
+
+    for (const entry of entries) {
+      this.insertEntry(entry);
+    }
+  }
+
+  insertEntry(entry) {
+    const listIndex = this.isTrained ? this.nearestList(entry.vector) : 0;
+    this.lists[listIndex].set(entry.id, entry);
+    this.locations.set(entry.id, listIndex);
+  }
+
+  /**
+   * Add a vector to the index (re-adding an id replaces it)
+   * @param {string} id - Unique identifier
+   * @param {number[]} vector - Vector to index
+   * @param {Object} data - Extra data returned with search results
+   */
+  add(id, vector, data = {}) {
+    if (vector.length !== this.dimension) {
+      throw new Error(
+        `Vector dimension ${vector.length} does not match index dimension ${this.dimension}`
+      );
+    }
+
+    this.remove(id);
+    this.insertEntry({ id, vector: normalize(vector), data });
+  }
+
+  /**
+   * Remove a vector
+   * @param {string} id - Identifier passed to add()
+   * @returns {boolean} - Whether a vector was removed
+   */
+  remove(id) {
+    const listIndex = this.locations.get(id);
+    if (listIndex === undefined) return false;
+
+    this.lists[listIndex].delete(id);
+    this.locations.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove every vector whose data matches a predicate
+   * @param {Function} predicate - Called with each entry's data
+   * @returns {number} - Number of vectors removed
+   */
+  removeWhere(predicate) {
+    let removed = 0;
+
+    for (const list of this.lists) {
+      for (const entry of list.values()) {
+        if (predicate(entry.data)) {
+          list.delete(entry.id);
+          this.locations.delete(entry.id);
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  scan(lists, query, k, filter) {
+    const results = [];
+
+    for (const list of lists) {
+      for (const entry of list.values()) {
+        if (filter && !filter(entry.data)) continue;
+        results.push({
+          id: entry.id,
+          similarity: dot(query, entry.vector),
+          data: entry.data,
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+  }
+
+  /**
+   * Approximate nearest-neighbour search over the closest lists
+   * @param {number[]} query - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {number} options.nprobe - Lists to scan (defaults to the index setting)
+   * @param {Function} options.filter - Predicate on the entry data
+   * @returns {Array<{id: string, similarity: number, data: Object}>}
+   */
+  search(query, k, { nprobe, filter } = {}) {
+    const normalizedQuery = normalize(query);
+
+    if (!this.isTrained) {
+      return this.scan(this.lists, normalizedQuery, k, filter);
+    }
+
+    const probes = this.centroids
+      .map((centroid, i) => ({ i, score: dot(normalizedQuery, centroid) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, nprobe || this.nprobe)
+      .map((probe) => this.lists[probe.i]);
+
+    return this.scan(probes, normalizedQuery, k, filter);
+  }
+
+  /**
+   * Exact search over every vector, used when a filter discards too many
+   * approximate candidates
+   */
+  exactSearch(query, k, { filter } = {}) {
+    return this.scan(this.lists, normalize(query), k, filter);
+  }
+}
+
+export default IVFIndex;
@@ -0,0 +1,311 @@
+/**
+ * Latent semantic analysis: TF-IDF term vectors projected onto the top
+ * singular vectors of a corpus, so texts that use related words land close
+ * together even when they share few exact terms.
+ *
+ * The truncated SVD is computed with a seeded randomized range finder and
+ * a Jacobi eigendecomposition of the small projected matrix, so the same
+ * corpus always gives the same model.
+ */
+
+const POWER_ITERATIONS = 2;
+const OVERSAMPLING = 10;
+
+const STOP_WORDS = new Set(
+  (
+    "a about above after again against all am an and any are as at be " +
+    "because been before being below between both but by can could did do " +
+    "does doing down during each few for from further had has have having " +
+    "he her here hers him his how i if in into is it its itself just me " +
+    "more most my no nor not now of off on once only or other our ours out " +
+    "over own same she should so some such than that the their them then " +
+    "there these they this those through to too under until up very was we " +
+    "were what when where which while who whom why will with would you your"
+  ).split(" ")
+);
+
+/**
+ * Split text into lowercase terms, dropping stop words and folding simple
+ * plurals ("refunds" -> "refund")
+ * @param {string} text - Any text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((term) => term.length > 1 && !STOP_WORDS.has(term))
+    .map((term) =>
+      term.length > 3 && term.endsWith("s") && !term.endsWith("ss")
+        ? term.slice(0, -1)
+        : term
+    );
+
+// Deterministic Gaussian numbers (mulberry32 + Box-Muller)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return () =>
+    Math.sqrt(-2 * Math.log(uniform() || 1e-12)) *
+    Math.cos(2 * Math.PI * uniform());
+};
+
+/**
+ * Sparse, L2-normalised TF-IDF vector of a text
+ * @param {Object} model - { termIndex (term -> index), idf }
+ * @param {string} text - Any text
+ * @returns {{indices: number[], values: number[]}}
+ */
+const toTfidf = ({ termIndex, idf }, text) => {
+  const counts = new Map();
+  for (const term of tokenize(text)) {
+    const index = termIndex.get(term);
+    if (index !== undefined) counts.set(index, (counts.get(index) || 0) + 1);
+  }
+
+  const indices = [...counts.keys()];
+  // Sublinear term frequency keeps repeated words from dominating
+  const values = indices.map((i) => (1 + Math.log(counts.get(i))) * idf[i]);
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+
+  return {
+    indices,
+    values: norm > 0 ? values.map((v) => v / norm) : values,
+  };
+};
+
+// Orthonormalise the columns of a row-major rows x cols matrix in place
+// (modified Gram-Schmidt); dependent columns become zero
+const orthonormalize = (matrix, rows, cols) => {
+  for (let j = 0; j < cols; j++) {
+    for (let p = 0; p < j; p++) {
+      let projection = 0;
+      for (let r = 0; r < rows; r++) {
+        projection += matrix[r * cols + j] * matrix[r * cols + p];
+      }
+      for (let r = 0; r < rows; r++) {
+        matrix[r * cols + j] -= projection * matrix[r * cols + p];
+      }
+    }
+
+    let norm = 0;
+    for (let r = 0; r < rows; r++) norm += matrix[r * cols + j] ** 2;
+    norm = Math.sqrt(norm);
+
+    for (let r = 0; r < rows; r++) {
+      matrix[r * cols + j] = norm > 1e-10 ? matrix[r * cols + j] / norm : 0;
+    }
+  }
+};
+
+// A (documents x terms, sparse rows) times Q (terms x cols)
+const multiply = (rows, q, cols) => {
+  const result = new Float64Array(rows.length * cols);
+  rows.forEach((row, i) => {
+    for (let n = 0; n < row.indices.length; n++) {
+      const offset = row.indices[n] * cols;
+      const value = row.values[n];
+      for (let j = 0; j < cols; j++) {
+        result[i * cols + j] += value * q[offset + j];
+      }
+    }
+  });
+  return result;
+};
+
+// A^T (terms x documents) times Z (documents x cols)
+const multiplyTransposed = (rows, z, termCount, cols) => {
+  const result = new Float64Array(termCount * cols);
+  rows.forEach((row, i) => {
+    for (let n = 0; n < row.indices.length; n++) {
+      const offset = row.indices[n] * cols;
+      const value = row.values[n];
+      for (let j = 0; j < cols; j++) {
+        result[offset + j] += value * z[i * cols + j];
+      }
+    }
+  });
+  return result;
+};
+
+// Eigenvalues and eigenvectors (columns) of a symmetric size x size matrix
+const jacobiEigen = (input, size) => {
+  const a = Float64Array.from(input);
+  const vectors = new Float64Array(size * size);
+  for (let i = 0; i < size; i++) vectors[i * size + i] = 1;
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) offDiagonal += a[p * size + q] ** 2;
+    }
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        const apq = a[p * size + q];
+        if (Math.abs(apq) < 1e-15) continue;
+
+        const theta = (a[q * size + q] - a[p * size + p]) / (2 * apq);
+        const t =
+          Math.sign(theta || 1) /
+          (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < size; k++) {
+          const akp = a[k * size + p];
+          const akq = a[k * size + q];
+          a[k * size + p] = c * akp - s * akq;
+          a[k * size + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < size; k++) {
+          const apk = a[p * size + k];
+          const aqk = a[q * size + k];
+          a[p * size + k] = c * apk - s * aqk;
+          a[q * size + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < size; k++) {
+          const vkp = vectors[k * size + p];
+          const vkq = vectors[k * size + q];
+          vectors[k * size + p] = c * vkp - s * vkq;
+          vectors[k * size + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const values = Array.from({ length: size }, (_, i) => a[i * size + i]);
+  return { values, vectors };
+};
+
+/**
+ * Fit an LSA model to a corpus
+ * @param {string[]} texts - The corpus
+ * @param {Object} options
+ * @param {number} options.dimensions - Target number of dimensions
+ * @param {number} options.maxVocabulary - Most frequent terms kept
+ * @param {number} options.seed - Random seed
+ * @returns {Object} { vocabulary, idf, components, dimension, documentCount }
+ *   where components is a Float32Array of vocabulary.length x dimension
+ */
+export const fitLsa = (
+  texts,
+  { dimensions = 128, maxVocabulary = 8000, seed = 42 } = {}
+) => {
+  const documents = texts.map((text) => new Set(tokenize(text)));
+
+  // Terms seen once are noise in all but tiny corpora
+  const minDocumentFrequency = documents.length >= 50 ? 2 : 1;
+  const frequency = new Map();
+  for (const terms of documents) {
+    for (const term of terms) {
+      frequency.set(term, (frequency.get(term) || 0) + 1);
+    }
+  }
+
+  const vocabulary = [...frequency.entries()]
+    .filter(([, count]) => count >= minDocumentFrequency)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, maxVocabulary)
+    .map(([term]) => term);
+
+  const termIndex = new Map(vocabulary.map((term, index) => [term, index]));
+  const idf = vocabulary.map(
+    (term) => Math.log((1 + documents.length) / (1 + frequency.get(term))) + 1
+  );
+
+  const rows = texts
+    .map((text) => toTfidf({ termIndex, idf }, text))
+    .filter((row) => row.indices.length > 0);
+
+  const termCount = vocabulary.length;
+  const cols = Math.min(dimensions + OVERSAMPLING, rows.length, termCount);
+  if (cols === 0) {
+    return {
+      vocabulary,
+      idf,
+      components: new Float32Array(0),
+      dimension: 0,
+      documentCount: rows.length,
+    };
+  }
+
+  // Randomized range finder for the row space of A
+  const random = createRandom(seed);
+  const omega = new Float64Array(rows.length * cols).map(() => random());
+  let q = multiplyTransposed(rows, omega, termCount, cols);
+  orthonormalize(q, termCount, cols);
+
+  for (let i = 0; i < POWER_ITERATIONS; i++) {
+    q = multiplyTransposed(rows, multiply(rows, q, cols), termCount, cols);
+    orthonormalize(q, termCount, cols);
+  }
+
+  // Eigendecompose Q^T A^T A Q = B^T B, with B = A Q
+  const b = multiply(rows, q, cols);
+  const gram = new Float64Array(cols * cols);
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = 0; j < cols; j++) {
+      const bij = b[i * cols + j];
+      if (bij === 0) continue;
+      for (let k = 0; k < cols; k++) {
+        gram[j * cols + k] += bij * b[i * cols + k];
+      }
+    }
+  }
+
+  const { values, vectors } = jacobiEigen(gram, cols);
+  const largest = Math.max(...values);
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => value > largest * 1e-8)
+    .sort((x, y) => y.value - x.value)
+    .slice(0, dimensions);
+
+  // Right singular vectors: Q times the selected eigenvectors
+  const dimension = order.length;
+  const components = new Float32Array(termCount * dimension);
+  for (let t = 0; t < termCount; t++) {
+    order.forEach(({ index }, d) => {
+      let sum = 0;
+      for (let j = 0; j < cols; j++) {
+        sum += q[t * cols + j] * vectors[j * cols + index];
+      }
+      components[t * dimension + d] = sum;
+    });
+  }
+
+  return { vocabulary, idf, components, dimension, documentCount: rows.length };
+};
+
+/**
+ * Project a text into an LSA model's space
+ * @param {Object} model - From fitLsa (termIndex is built on first use)
+ * @param {string} text - Any text
+ * @returns {number[]} Unit vector of model.dimension values; all zeros when
+ *   the text shares no terms with the model
+ */
+export const projectText = (model, text) => {
+  model.termIndex ??= new Map(
+    model.vocabulary.map((term, index) => [term, index])
+  );
+
+  const { dimension, components } = model;
+  const vector = new Array(dimension).fill(0);
+  const { indices, values } = toTfidf(model, text);
+
+  for (let n = 0; n < indices.length; n++) {
+    const offset = indices[n] * dimension;
+    for (let d = 0; d < dimension; d++) {
+      vector[d] += values[n] * components[offset + d];
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map((v) => v / norm) : vector;
+};
@@ -0,0 +1,125 @@
+/**
+ * Minimal robots.txt support for the website crawler: user-agent groups,
+ * Allow/Disallow with "*" and "$" wildcards (longest match wins, as in
+ * RFC 9309), Crawl-delay and Sitemap lines.
+ */
+
+/**
+ * Compile a robots.txt-style path pattern into a matcher. Patterns are
+ * prefix matches unless they end in "$"; "*" matches any run of characters.
+ * The pieces between wildcards are found in order with indexOf, so a
+ * hostile pattern like "/*a*a*a*b" can't backtrack the way a RegExp does.
+ * @param {string} pattern - Path pattern, e.g. "/private/*.html$"
+ * @returns {Function} - Takes a path, returns whether the pattern matches it
+ */
+export const compilePathPattern = (pattern) => {
+  const anchored = pattern.endsWith("$");
+  const [first, ...rest] = (anchored ? pattern.slice(0, -1) : pattern).split(
+    "*"
+  );
+  const last = rest.pop();
+
+  return (path) => {
+    if (!path.startsWith(first)) return false;
+    if (last === undefined) return !anchored || path.length === first.length;
+
+    // Leftmost matches leave the most room for the pieces after them
+    let position = first.length;
+    for (const piece of rest) {
+      const found = path.indexOf(piece, position);
+      if (found === -1) return false;
+      position = found + piece.length;
+    }
+
+    return anchored
+      ? path.length - last.length >= position && path.endsWith(last)
+      : path.includes(last, position);
+  };
+};
+
+/**
+ * Parse robots.txt and select the rules that apply to a crawler
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - The crawler's User-Agent header
+ * @returns {{isAllowed: Function, crawlDelay: number|null, sitemaps: string[]}}
+ */
+export const parseRobotsTxt = (text, userAgent) => {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === "allow" || field === "disallow") && value) {
+      current.rules.push({
+        allow: field === "allow",
+        length: value.length,
+        matches: compilePathPattern(value),
+      });
+    } else if (field === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  // Most specific matching group; "*" applies when nothing names us
+  const product = userAgent.split("/")[0].toLowerCase();
+  const named = groups
+    .flatMap((group) =>
+      group.agents
+        .filter((agent) => agent !== "*" && product.includes(agent))
+        .map((agent) => ({ group, specificity: agent.length }))
+    )
+    .sort((a, b) => b.specificity - a.specificity)[0]?.group;
+  const group = named || groups.find((g) => g.agents.includes("*"));
+  const rules = group?.rules || [];
+
+  return {
+    crawlDelay: group?.crawlDelay ?? null,
+    sitemaps,
+    /**
+     * @param {string} path - URL path plus query string
+     * @returns {boolean}
+     */
+    isAllowed: (path) => {
+      let match = null;
+      for (const rule of rules) {
+        if (!rule.matches(path)) continue;
+        if (
+          !match ||
+          rule.length > match.length ||
+          (rule.length === match.length && rule.allow)
+        ) {
+          match = rule;
+        }
+      }
+      return !match || match.allow;
+    },
+  };
+};
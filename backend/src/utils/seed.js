@@ -4,8 +4,15 @@ import User from "../models/User.js";
 import Tenant from "../models/Tenant.js";
 import Document from "../models/Document.js";
 import Embedding from "../models/Embedding.js";
-// Use mock service for seeding (no OpenAI required)
-import { generateEmbeddings } from "../services/embeddingService.mock.js";
+import LocalEmbeddingModel from "../models/LocalEmbeddingModel.js";
+import EmbeddingMigration from "../models/EmbeddingMigration.js";
+// Embeddings come from EMBEDDING_PROVIDER (mock unless configured)
+import {
+  generateEmbeddings,
+  getEmbeddingIndex,
+  prepareEmbeddingModel,
+  toEmbeddingFields,
+} from "../services/embeddingService.js";
 
 dotenv.config();
 
@@ -29,6 +36,8 @@ const seedDatabase = async () => {
     await Tenant.deleteMany({});
     await Document.deleteMany({});
     await Embedding.deleteMany({});
+    await LocalEmbeddingModel.deleteMany({});
+    await EmbeddingMigration.deleteMany({});
     console.log("Cleared existing data");
 
     // Create sample tenant
@@ -58,24 +67,24 @@ const seedDatabase = async () => {
     await tenant.save();
     console.log("Created sample tenant:", tenant.name);
 
-    // Create sample admin user
+    // Create sample owner
     const adminUser = new User({
       email: "admin@demo.com",
       password: "admin123",
       name: "Admin User",
-      role: "admin",
+      role: "owner",
       tenantId: tenant._id,
     });
 
     await adminUser.save();
     console.log("Created admin user:", adminUser.email);
 
-    // Create sample regular user
+    // Create sample team member with read-only access
     const regularUser = new User({
       email: "user@demo.com",
       password: "user123",
       name: "Regular User",
-      role: "user",
+      role: "viewer",
       tenantId: tenant._id,
     });
 
@@ -224,6 +233,13 @@ Thermal paste is a compound applied between the CPU and its cooler to improve he
       },
     ];
 
+    // A local embedding model learns from all the sample content up front
+    await prepareEmbeddingModel(
+      tenant._id,
+      sampleDocuments.flatMap((doc) => splitTextIntoChunks(doc.content, 400))
+    );
+    const embeddingIndex = await getEmbeddingIndex(tenant._id);
+
     // Create documents and embeddings
     for (let i = 0; i < sampleDocuments.length; i++) {
       const docData = sampleDocuments[i];
@@ -258,13 +274,17 @@ Thermal paste is a compound applied between the CPU and its cooler to improve he
       // Ensure embeddings are generated for all chunks
       for (let j = 0; j < chunks.length; j++) {
         try {
-          const embedding = await generateEmbeddings(chunks[j]);
+          const embedding = await generateEmbeddings(
+            chunks[j],
+            tenant._id,
+            embeddingIndex
+          );
 
           const embeddingDoc = new Embedding({
             tenantId: tenant._id,
             documentId: document._id,
             text: chunks[j],
-            embedding: embedding,
+            ...toEmbeddingFields(embedding, embeddingIndex),
             metadata: {
               chunkIndex: j,
               tokenCount: chunks[j].split(" ").length,
@@ -0,0 +1,40 @@
+// Load environment variables first, before any other imports
+import dotenv from "dotenv";
+dotenv.config();
+
+import mongoose from "mongoose";
+import { startDocumentWorker } from "./services/documentProcessingService.js";
+
+// Standalone job worker: runs document embedding outside the API process.
+// Start the API with JOB_WORKER_IN_API=false when running workers this way.
+
+let worker = null;
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping worker...`);
+
+  try {
+    if (worker) {
+      await worker.stop();
+    }
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("Worker shutdown error:", error);
+  }
+
+  process.exit(0);
+};
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => {
+    console.log("Connected to MongoDB");
+    worker = startDocumentWorker();
+  })
+  .catch((error) => {
+    console.error("MongoDB connection error:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,134 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import Tenant from "../src/models/Tenant.js";
+import User from "../src/models/User.js";
+import Conversation from "../src/models/Conversation.js";
+import {
+  checkAgentClaims,
+  disconnectAgentSockets,
+  setupAgentHandlers,
+} from "../src/services/agentSocketService.js";
+import { fakeServer } from "./helpers/fakeSocket.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+let models;
+let tenant;
+let agents;
+let members = 0;
+
+before(async () => {
+  models = [Tenant, User, Conversation].map(useMemoryModel);
+  tenant = await Tenant.create({ name: "Acme" });
+
+  agents = setupAgentHandlers(fakeServer());
+});
+
+after(() => models.forEach((model) => model.restore()));
+
+const connectAgent = async (role = "agent") => {
+  const user = await User.create({
+    tenantId: tenant._id,
+    email: `${role}-${++members}@acme.test`,
+    password: "correct horse battery",
+    name: "Sam",
+    role,
+  });
+  return { user, socket: agents.connect({ user, tenant }) };
+};
+
+test("a deactivated member's next event disconnects them", async () => {
+  const { user, socket } = await connectAgent();
+  assert.deepEqual(await socket.send("queue:list", {}), { data: [] });
+
+  await User.updateOne({ _id: user._id }, { isActive: false });
+
+  const ack = await socket.send("queue:list", {});
+  assert.match(ack.error, /access/);
+  assert.equal(socket.connected, false);
+});
+
+test("losing the agent role disconnects the console", async () => {
+  const { user, socket } = await connectAgent("editor");
+  await User.updateOne({ _id: user._id }, { role: "viewer" });
+
+  const ack = await socket.send("queue:list", {});
+  assert.match(ack.error, /access/);
+  assert.equal(socket.connected, false);
+});
+
+test("a member's sockets can be dropped from another request", async () => {
+  const { user, socket } = await connectAgent();
+  const other = await connectAgent();
+
+  disconnectAgentSockets(user._id);
+
+  assert.equal(socket.connected, false);
+  assert.equal(other.socket.connected, true);
+});
+
+// A visitor waiting in the queue, claimed by the given agent's console
+const claimedBy = async (socket, sessionId) => {
+  const conversation = await Conversation.create({
+    tenantId: tenant._id,
+    sessionId,
+    channel: "socket",
+    handoff: { status: "queued", requestedAt: new Date() },
+  });
+  const ack = await socket.send("conversation:claim", {
+    conversationId: conversation._id,
+  });
+  assert.equal(ack.data.status, "claimed");
+  return conversation._id;
+};
+
+// Pretend the claiming agent was last seen ten minutes ago
+const lastSeenLongAgo = (conversationId) => {
+  const row = models[2].rows.find((row) => row._id.equals(conversationId));
+  row.handoff.agentSeenAt = new Date(Date.now() - 10 * 60 * 1000);
+};
+
+const handoffOf = async (conversationId) =>
+  (await Conversation.findById(conversationId).lean()).handoff;
+
+test("a connected agent keeps their conversations", async () => {
+  const { socket } = await connectAgent();
+  const conversationId = await claimedBy(socket, "kept");
+  lastSeenLongAgo(conversationId);
+
+  assert.equal(await checkAgentClaims(), 0);
+  assert.equal((await handoffOf(conversationId)).status, "claimed");
+});
+
+test("a disconnected agent's conversations go back to the queue", async () => {
+  const { socket } = await connectAgent();
+  const other = await connectAgent();
+  const conversationId = await claimedBy(socket, "requeued");
+
+  socket.disconnect(true);
+  assert.equal(await checkAgentClaims(), 0, "waits for the agent to return");
+
+  lastSeenLongAgo(conversationId);
+  assert.equal(await checkAgentClaims(), 1);
+
+  const handoff = await handoffOf(conversationId);
+  assert.equal(handoff.status, "queued");
+  assert.equal(handoff.agentId, undefined);
+
+  const [item] = (await other.socket.send("queue:list", {})).data.filter(
+    ({ id }) => id.equals(conversationId)
+  );
+  assert.equal(item.agentName, undefined);
+});
+
+test("with no agent left the visitor goes back to the bot", async () => {
+  const { socket } = await connectAgent();
+  const conversationId = await claimedBy(socket, "released");
+
+  [...agents.sockets].forEach((agent) => agent.disconnect(true));
+  lastSeenLongAgo(conversationId);
+  assert.equal(await checkAgentClaims(), 1);
+
+  assert.equal((await handoffOf(conversationId)).status, "none");
+  const conversation = await Conversation.findById(conversationId);
+  assert.match(conversation.messages.at(-1).content, /virtual assistant/);
+});
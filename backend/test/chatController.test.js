@@ -0,0 +1,249 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import Tenant from "../src/models/Tenant.js";
+import Conversation from "../src/models/Conversation.js";
+import Document from "../src/models/Document.js";
+import Embedding from "../src/models/Embedding.js";
+import EmbeddingMigration from "../src/models/EmbeddingMigration.js";
+import OverrideRule from "../src/models/OverrideRule.js";
+import QaPair from "../src/models/QaPair.js";
+import UnansweredQuestion from "../src/models/UnansweredQuestion.js";
+import User from "../src/models/User.js";
+import {
+  getChatHistory,
+  handleChatQuery,
+  testChatQuery,
+} from "../src/controllers/chatController.js";
+import {
+  agentRoom,
+  registerHandoffNamespaces,
+} from "../src/services/handoffService.js";
+import { fakeServer } from "./helpers/fakeSocket.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+// Answers come from the built-in fallback, not a hosted model
+delete process.env.OPENAI_API_KEY;
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.LLM_COMPATIBLE_BASE_URL;
+
+let tenants;
+let conversations;
+let retrieval;
+let tenant;
+
+// Records what a controller sent back
+const call = async (handler, req) => {
+  const res = { statusCode: 200 };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  await handler(req, res);
+  return res;
+};
+
+before(async () => {
+  tenants = useMemoryModel(Tenant);
+  conversations = useMemoryModel(Conversation);
+  retrieval = [
+    Document,
+    Embedding,
+    EmbeddingMigration,
+    OverrideRule,
+    QaPair,
+    UnansweredQuestion,
+  ].map(useMemoryModel);
+  tenant = await Tenant.create({ name: "Acme" });
+
+  await Conversation.create({
+    tenantId: tenant._id,
+    sessionId: "whatsapp:+15550100",
+    channel: "whatsapp",
+    externalUserId: "+15550100",
+    messages: [{ role: "user", content: "my order number is 1234" }],
+  });
+  await Conversation.create({
+    tenantId: tenant._id,
+    sessionId: "widget-session",
+    channel: "widget",
+    messages: [{ role: "user", content: "hello" }],
+  });
+});
+
+after(() => {
+  tenants.restore();
+  conversations.restore();
+  retrieval.forEach((model) => model.restore());
+});
+
+const history = (sessionId) =>
+  call(getChatHistory, {
+    params: { sessionId },
+    query: { tenantKey: tenant.widgetKey },
+  });
+
+test("history returns widget transcripts", async () => {
+  const res = await history("widget-session");
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.channel, "widget");
+  assert.deepEqual(
+    res.body.messages.map((message) => message.content),
+    ["hello"]
+  );
+});
+
+test("history refuses social session IDs", async () => {
+  for (const sessionId of ["whatsapp:+15550100", "Instagram:42"]) {
+    const res = await history(sessionId);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.messages, undefined);
+  }
+});
+
+test("history hides conversations of other channels", async () => {
+  await Conversation.create({
+    tenantId: tenant._id,
+    sessionId: "legacy-social",
+    channel: "instagram",
+    messages: [{ role: "user", content: "private" }],
+  });
+
+  const res = await history("legacy-social");
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.messages, []);
+  assert.equal(res.body.channel, null);
+});
+
+test("queries refuse social and non-string session IDs", async () => {
+  for (const sessionId of ["whatsapp:+15550100", ["widget-session"], 42]) {
+    const res = await call(handleChatQuery, {
+      body: { tenantKey: tenant.widgetKey, message: "hi", sessionId },
+    });
+    assert.equal(res.statusCode, 400);
+  }
+
+  const social = conversations.rows.find(
+    (row) => row.sessionId === "whatsapp:+15550100"
+  );
+  assert.equal(social.messages.length, 1);
+});
+
+test("widget exchanges never join a social conversation", async () => {
+  const exchange = () =>
+    Conversation.recordExchange(
+      tenant._id,
+      "legacy-social",
+      "hi",
+      { message: "hello" },
+      { channel: "widget", channels: ["widget", "socket"] }
+    );
+
+  await assert.rejects(exchange, { code: 11000 });
+  const social = conversations.rows.find(
+    (row) => row.sessionId === "legacy-social"
+  );
+  assert.equal(social.messages.length, 1);
+
+  await Conversation.recordExchange(
+    tenant._id,
+    "widget-session",
+    "thanks",
+    { message: "you're welcome" },
+    { channel: "widget", channels: ["widget", "socket"] }
+  );
+  const widget = conversations.rows.find(
+    (row) => row.sessionId === "widget-session"
+  );
+  assert.equal(widget.messages.length, 3);
+});
+
+test("queries to a handed-off session reach the agent, not the bot", async () => {
+  await Conversation.create({
+    tenantId: tenant._id,
+    sessionId: "handed-off",
+    channel: "socket",
+    messages: [{ role: "user", content: "I need a human" }],
+    handoff: { status: "claimed", agentName: "Sam" },
+  });
+
+  const res = await call(handleChatQuery, {
+    body: {
+      tenantKey: tenant.widgetKey,
+      message: "are you there?",
+      sessionId: "handed-off",
+    },
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.messageType, "handoff");
+  assert.equal(res.body.response, null);
+  assert.deepEqual(res.body.handoff, { status: "claimed", agentName: "Sam" });
+
+  const conversation = conversations.rows.find(
+    (row) => row.sessionId === "handed-off"
+  );
+  assert.deepEqual(
+    conversation.messages.map((message) => [message.role, message.content]),
+    [
+      ["user", "I need a human"],
+      ["user", "are you there?"],
+    ]
+  );
+});
+
+test("a weak answer over REST brings in an online agent", async () => {
+  const agents = fakeServer().of("/ws/agent");
+  registerHandoffNamespaces({ agent: agents });
+  const ask = (sessionId) =>
+    call(handleChatQuery, {
+      body: {
+        tenantKey: tenant.widgetKey,
+        message: "what is the refund policy?",
+        sessionId,
+      },
+    });
+
+  // Nothing is indexed, so the bot can only say it doesn't know
+  const alone = await ask("rest-alone");
+  assert.ok(alone.body.confidence < 0.4);
+  assert.equal(alone.body.handoff, undefined);
+
+  agents.adapter.rooms.set(agentRoom(tenant._id), new Set(["agent-socket"]));
+  const res = await ask("rest-escalated");
+  registerHandoffNamespaces({ agent: null });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.handoff, { status: "queued" });
+  const conversation = conversations.rows.find(
+    (row) => row.sessionId === "rest-escalated"
+  );
+  assert.equal(conversation.handoff.status, "queued");
+  assert.equal(conversation.handoff.reason, "lowConfidence");
+  assert.equal(conversation.messages.at(-1).messageType, "handoff");
+});
+
+test("admin test queries answer like the widget without counting hits", async () => {
+  const rule = await OverrideRule.create({
+    tenantId: tenant._id,
+    name: "Refunds",
+    response: "Refunds take five working days.",
+    patterns: ["refund"],
+  });
+
+  // The member's tenant, as populate would load it
+  const { findById } = User;
+  User.findById = () => ({ populate: async () => ({ tenantId: tenant }) });
+  try {
+    const res = await call(testChatQuery, {
+      userId: "member",
+      body: { message: "how long does a refund take?" },
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.response, "Refunds take five working days.");
+    assert.equal(res.body.source, "override");
+  } finally {
+    User.findById = findById;
+  }
+
+  const stored = await OverrideRule.findById(rule._id).lean();
+  assert.equal(stored.hitCount || 0, 0);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCircuitBreaker } from "../src/utils/circuitBreaker.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("only one trial call is let through while half-open", async () => {
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 20 });
+
+  assert.equal(breaker.recordFailure(new Error("timeout")), false);
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.recordFailure(new Error("timeout")), true);
+  assert.equal(breaker.canRequest(), false);
+  assert.equal(breaker.getState().lastError, "timeout");
+
+  await sleep(25);
+  assert.equal(breaker.getState().status, "half-open");
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.canRequest(), false);
+
+  breaker.recordSuccess();
+  assert.equal(breaker.getState().status, "closed");
+  assert.equal(breaker.canRequest(), true);
+});
+
+test("a failure while open does not push back the retry", async () => {
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 50 });
+  breaker.recordFailure(new Error("down"));
+  const { retryAt } = breaker.getState();
+
+  await sleep(10);
+  assert.equal(breaker.recordFailure(new Error("still down")), false);
+  assert.deepEqual(breaker.getState().retryAt, retryAt);
+});
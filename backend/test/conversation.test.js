@@ -0,0 +1,32 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+process.env.CONVERSATION_MAX_MESSAGES = "4";
+const { default: Conversation } = await import("../src/models/Conversation.js");
+
+const conversations = useMemoryModel(Conversation);
+after(() => conversations.restore());
+
+test("a long-lived social conversation keeps its latest messages", async () => {
+  const tenantId = new mongoose.Types.ObjectId();
+  const ask = (question) =>
+    Conversation.recordExchange(
+      tenantId,
+      "whatsapp:+15550100",
+      question,
+      { message: `answer to ${question}` },
+      { channel: "whatsapp", externalUserId: "+15550100" }
+    );
+
+  await ask("first");
+  await ask("second");
+  const conversation = await ask("third");
+
+  assert.deepEqual(
+    conversation.messages.map((message) => message.content),
+    ["second", "answer to second", "third", "answer to third"]
+  );
+  assert.equal(conversation.messageCount, 6);
+});
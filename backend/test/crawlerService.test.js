@@ -0,0 +1,123 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import Source from "../src/models/Source.js";
+import Tenant from "../src/models/Tenant.js";
+import Document from "../src/models/Document.js";
+import Embedding from "../src/models/Embedding.js";
+import Job from "../src/models/Job.js";
+import DocumentVersion from "../src/models/DocumentVersion.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+process.env.CRAWLER_ALLOW_PRIVATE = "true";
+process.env.CRAWLER_DELAY_MS = "1";
+const { crawlSource } = await import("../src/services/crawlerService.js");
+
+// path -> [status, html]; anything else is a 404
+let site = {};
+let server;
+let origin;
+let models;
+let source;
+
+const page = (title, links = []) =>
+  `<html><head><title>${title}</title></head><body><h1>${title}</h1>
+  <p>All about ${title.toLowerCase()}.</p>
+  ${links.map((href) => `<a href="${href}">${href}</a>`).join(" ")}
+  </body></html>`;
+
+const fullSite = () => ({
+  "/": [200, page("Home", ["/a", "/b", "/c"])],
+  "/a": [200, page("Alpha")],
+  "/b": [200, page("Bravo")],
+  "/c": [200, page("Charlie")],
+});
+
+const activePaths = async () =>
+  (await Document.find({ sourceId: source._id, isActive: true }).lean())
+    .map((document) => new URL(document.metadata.sourceUrl).pathname)
+    .sort();
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const [status, body] = site[req.url] || [404, "Not found"];
+    res.writeHead(status, { "Content-Type": "text/html" });
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+
+  models = [
+    Source,
+    Tenant,
+    Document,
+    DocumentVersion,
+    Embedding,
+    Job,
+  ].map(useMemoryModel);
+});
+
+after(() => {
+  server.close();
+  models.forEach((model) => model.restore());
+});
+
+beforeEach(async () => {
+  site = fullSite();
+  const tenant = await Tenant.create({ name: "Acme" });
+  source = await Source.create({ tenantId: tenant._id, url: `${origin}/` });
+
+  await crawlSource(source._id);
+  assert.deepEqual(await activePaths(), ["/", "/a", "/b", "/c"]);
+});
+
+test("pages that fail or are gone are told apart", async () => {
+  site["/b"] = [503, "Try again later"];
+  delete site["/c"];
+
+  const crawled = await crawlSource(source._id);
+
+  assert.deepEqual(await activePaths(), ["/", "/a", "/b"]);
+  assert.equal(crawled.lastStats.removed, 1);
+  assert.equal(crawled.lastStats.failed, 1);
+});
+
+test("a failed page keeps the pages only it links to", async () => {
+  site["/"] = [200, page("Home", ["/a", "/hub"])];
+  site["/hub"] = [500, "Internal error"];
+
+  await crawlSource(source._id);
+
+  assert.deepEqual(await activePaths(), ["/", "/a", "/b", "/c"]);
+});
+
+test("pages past maxPages are kept", async () => {
+  await Source.updateOne(
+    { _id: source._id },
+    { "crawlSettings.maxPages": 2 }
+  );
+
+  const crawled = await crawlSource(source._id);
+
+  assert.equal(crawled.lastStats.pagesFound, 2);
+  assert.deepEqual(await activePaths(), ["/", "/a", "/b", "/c"]);
+});
+
+test("a complete crawl removes pages no longer linked", async () => {
+  site["/"] = [200, page("Home", ["/a", "/b"])];
+
+  const crawled = await crawlSource(source._id);
+
+  assert.deepEqual(await activePaths(), ["/", "/a", "/b"]);
+  assert.equal(crawled.lastStats.removed, 1);
+  assert.equal(crawled.lastStats.failed, 0);
+});
+
+test("an unreachable site leaves every page in place", async () => {
+  site = {};
+
+  const crawled = await crawlSource(source._id);
+
+  assert.equal(crawled.status, "failed");
+  assert.deepEqual(await activePaths(), ["/", "/a", "/b", "/c"]);
+});
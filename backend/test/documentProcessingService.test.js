@@ -0,0 +1,198 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import Document from "../src/models/Document.js";
+import DocumentVersion from "../src/models/DocumentVersion.js";
+import Embedding from "../src/models/Embedding.js";
+import Tenant from "../src/models/Tenant.js";
+import Job from "../src/models/Job.js";
+import { processDocumentAsync } from "../src/services/documentProcessingService.js";
+import { createDocumentVersion } from "../src/services/documentVersionService.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+let models;
+let embeddings;
+
+before(() => {
+  models = [Document, DocumentVersion, Embedding, Tenant, Job].map(
+    useMemoryModel
+  );
+  embeddings = models[2].rows;
+});
+
+after(() => models.forEach((model) => model.restore()));
+
+const createDocument = async (content) => {
+  const tenant = await Tenant.create({ name: "Acme" });
+  const document = await Document.create({
+    tenantId: tenant._id,
+    filename: "faq.txt",
+    originalName: "faq.txt",
+    fileType: "txt",
+    fileSize: content.length,
+    content,
+    processingStatus: "pending",
+  });
+  await processDocumentAsync(document._id, tenant._id);
+  return Document.findById(document._id);
+};
+
+// Chunks shorter than 50 characters are dropped, so answers are padded
+const faq = (answer) =>
+  `${answer} Contact support@example.com with your order number for help.`;
+
+const activeTexts = (documentId) =>
+  embeddings
+    .filter(
+      (row) => row.isActive && String(row.documentId) === String(documentId)
+    )
+    .map((row) => row.text);
+
+test("a version is marked completed only after its chunks are live", async () => {
+  const document = await createDocument(faq("Refunds take 14 days."));
+  assert.equal(document.processingStatus, "completed");
+
+  await createDocumentVersion(document, {
+    content: faq("Refunds take 30 days."),
+    changeType: "edit",
+  });
+
+  // The worker dies while the chunks are being swapped: whatever is stored
+  // at that moment is what the next run finds
+  const documents = models[0].rows;
+  const findRow = () =>
+    documents.findIndex((doc) => String(doc._id) === String(document._id));
+  let atCrash;
+  const updateMany = Embedding.updateMany;
+  Embedding.updateMany = async () => {
+    atCrash = new Document(documents[findRow()]).toObject();
+    throw new Error("worker died");
+  };
+  await assert.rejects(
+    processDocumentAsync(document._id, document.tenantId),
+    /worker died/
+  );
+  Embedding.updateMany = updateMany;
+  documents[findRow()] = atCrash;
+
+  assert.equal(atCrash.processingStatus, "processing");
+  assert.equal(atCrash.version, 1);
+  assert.equal(atCrash.pendingVersion, 2);
+  assert.deepEqual(activeTexts(document._id), [faq("Refunds take 14 days.")]);
+
+  // The retry picks up the staged chunks and finishes the swap
+  await processDocumentAsync(document._id, document.tenantId);
+
+  const swapped = await Document.findById(document._id).lean();
+  assert.equal(swapped.processingStatus, "completed");
+  assert.equal(swapped.version, 2);
+  assert.equal(swapped.pendingVersion, undefined);
+  assert.equal(swapped.content, faq("Refunds take 30 days."));
+  assert.deepEqual(activeTexts(document._id), [faq("Refunds take 30 days.")]);
+
+  const live = await DocumentVersion.findOne({
+    documentId: document._id,
+    status: "live",
+  }).lean();
+  assert.equal(live.version, 2);
+});
+
+test("a superseded version leaves the newer one's chunks alone", async () => {
+  const document = await createDocument(faq("Shipping takes 5 days."));
+
+  await createDocumentVersion(document, {
+    content: faq("Shipping takes 3 days."),
+    changeType: "edit",
+  });
+  const newer = await Document.findById(document._id);
+  await createDocumentVersion(newer, {
+    content: faq("Shipping takes 2 days."),
+    changeType: "edit",
+  });
+
+  await processDocumentAsync(document._id, document.tenantId);
+
+  const swapped = await Document.findById(document._id).lean();
+  assert.equal(swapped.version, 3);
+  assert.equal(swapped.processingStatus, "completed");
+  assert.deepEqual(activeTexts(document._id), [faq("Shipping takes 2 days.")]);
+});
+
+// Saving fails for every chunk whose text contains `marker`
+const failChunksWith = (marker) => {
+  const insertMany = Embedding.insertMany;
+  Embedding.insertMany = async (items) => {
+    if (items.some((item) => item.text.includes(marker))) {
+      throw new Error("write failed");
+    }
+    return insertMany(items);
+  };
+  Embedding.prototype.save = async function () {
+    if (this.text.includes(marker)) throw new Error("write failed");
+    await insertMany([this.toObject()]);
+    return this;
+  };
+
+  return () => {
+    Embedding.insertMany = insertMany;
+    delete Embedding.prototype.save;
+  };
+};
+
+test("a version missing chunks never goes live", async () => {
+  const document = await createDocument(
+    `${faq("Returns are free.")}\n\n${faq("Exchanges are free.")}`
+  );
+  assert.equal(document.embeddingCount, 2);
+
+  const edited = `${faq("Returns cost $5.")}\n\n${faq("Exchanges BROKEN.")}`;
+  await createDocumentVersion(document, {
+    content: edited,
+    changeType: "edit",
+  });
+
+  const restore = failChunksWith("BROKEN");
+  await assert.rejects(
+    processDocumentAsync(document._id, document.tenantId),
+    /1 of 2 chunks could not be embedded/
+  );
+  restore();
+
+  const failed = await Document.findById(document._id).lean();
+  assert.equal(failed.processingStatus, "failed");
+  assert.equal(failed.version, 1);
+  assert.equal(failed.embeddingCount, 2);
+  assert.match(failed.processingError, /Version 1 is still live/);
+  assert.deepEqual(activeTexts(document._id), [
+    faq("Returns are free."),
+    faq("Exchanges are free."),
+  ]);
+
+  // The retry embeds the missing chunk and swaps the version in
+  await processDocumentAsync(document._id, document.tenantId);
+
+  const swapped = await Document.findById(document._id).lean();
+  assert.equal(swapped.version, 2);
+  assert.equal(swapped.processingStatus, "completed");
+  assert.deepEqual(activeTexts(document._id).sort(), [
+    faq("Exchanges BROKEN."),
+    faq("Returns cost $5."),
+  ]);
+});
+
+test("a document missing chunks fails so the retry can finish it", async () => {
+  const restore = failChunksWith("BROKEN");
+  const content = `${faq("Gift cards never expire.")}\n\n${faq("Gift cards are BROKEN.")}`;
+  await assert.rejects(createDocument(content), /1 of 2 chunks/);
+  restore();
+
+  const [failed] = models[0].rows.filter((row) => row.content === content);
+  assert.equal(failed.processingStatus, "failed");
+  assert.equal(failed.embeddingCount, 1);
+
+  await processDocumentAsync(failed._id, failed.tenantId);
+
+  const done = await Document.findById(failed._id).lean();
+  assert.equal(done.processingStatus, "completed");
+  assert.equal(done.embeddingCount, 2);
+  assert.equal(activeTexts(failed._id).length, 2);
+});
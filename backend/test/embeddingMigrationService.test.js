@@ -0,0 +1,177 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Tenant from "../src/models/Tenant.js";
+import Document from "../src/models/Document.js";
+import Embedding from "../src/models/Embedding.js";
+import EmbeddingMigration from "../src/models/EmbeddingMigration.js";
+import LocalEmbeddingModel from "../src/models/LocalEmbeddingModel.js";
+import Job from "../src/models/Job.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+// Tenants move from the mock model to a locally fitted one
+process.env.EMBEDDING_PROVIDER = "local";
+process.env.EMBEDDING_INDEX_CACHE_MS = "1";
+const {
+  cancelEmbeddingMigration,
+  runEmbeddingMigrationJob,
+  startEmbeddingMigration,
+} = await import("../src/services/embeddingMigrationService.js");
+const { generateBatchEmbeddings, toEmbeddingFields } = await import(
+  "../src/services/embeddingService.js"
+);
+
+const MOCK = { provider: "mock", model: "hash", version: 1 };
+
+let models;
+
+before(() => {
+  models = [
+    Tenant,
+    Document,
+    Embedding,
+    EmbeddingMigration,
+    LocalEmbeddingModel,
+    Job,
+  ].map(useMemoryModel);
+});
+
+after(() => models.forEach((model) => model.restore()));
+
+// A tenant searching `count` chunks embedded with the mock model
+const createTenant = async (count) => {
+  const tenant = await Tenant.create({
+    name: "Acme",
+    embeddingIndex: { ...MOCK, updatedAt: new Date() },
+  });
+  const documentId = new mongoose.Types.ObjectId();
+  const texts = Array.from(
+    { length: count },
+    (_, i) => `Answer ${i}: orders ship within ${i + 1} business days.`
+  );
+  const vectors = await generateBatchEmbeddings(texts, tenant._id, MOCK);
+
+  await Embedding.insertMany(
+    texts.map((text, i) => ({
+      tenantId: tenant._id,
+      documentId,
+      text,
+      ...toEmbeddingFields(vectors[i], MOCK),
+      metadata: { chunkIndex: i },
+    }))
+  );
+  return tenant;
+};
+
+const chunksOf = (tenantId) => Embedding.find({ tenantId }).lean();
+
+// Run the queued job like a worker would, on its next attempt
+const runJob = async (migration) => {
+  const job = await Job.findOneAndUpdate(
+    { "payload.migrationId": migration._id },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  return runEmbeddingMigrationJob(job, {
+    signal: new AbortController().signal,
+  });
+};
+
+// A run whose second batch of 50 copies fails to save
+const runFailingSecondBatch = async (migration) => {
+  const insertMany = Embedding.insertMany;
+  let inserts = 0;
+  Embedding.insertMany = function (...args) {
+    if (++inserts === 2) throw new Error("connection reset");
+    return insertMany.apply(this, args);
+  };
+
+  try {
+    await runJob(migration);
+  } finally {
+    Embedding.insertMany = insertMany;
+  }
+};
+
+test("a migration re-embeds every chunk and then switches search", async () => {
+  const tenant = await createTenant(5);
+  const migration = await startEmbeddingMigration(tenant._id);
+
+  assert.equal(migration.total, 5);
+  assert.deepEqual(
+    { provider: migration.to.provider, version: migration.to.version },
+    { provider: "local", version: null }
+  );
+  await assert.rejects(startEmbeddingMigration(tenant._id), { status: 409 });
+
+  await runJob(migration);
+
+  const done = await EmbeddingMigration.findById(migration._id).lean();
+  assert.equal(done.status, "completed");
+  assert.equal(done.processed, 5);
+
+  const { embeddingIndex } = await Tenant.findById(tenant._id).lean();
+  assert.equal(embeddingIndex.provider, "local");
+  assert.equal(embeddingIndex.version, 1);
+
+  const chunks = await chunksOf(tenant._id);
+  assert.equal(chunks.length, 5);
+  for (const chunk of chunks) {
+    assert.equal(chunk.provider, "local");
+    assert.equal(chunk.modelVersion, 1);
+    assert.equal(chunk.migratedFrom, undefined);
+  }
+});
+
+test("a retried migration resumes after the last batch it copied", async () => {
+  const tenant = await createTenant(60);
+  const migration = await startEmbeddingMigration(tenant._id);
+
+  await assert.rejects(runFailingSecondBatch(migration), /connection reset/);
+
+  const stopped = await EmbeddingMigration.findById(migration._id).lean();
+  assert.equal(stopped.status, "queued");
+  assert.equal(stopped.phase, "embedding");
+  assert.equal(stopped.processed, 50);
+  assert.match(stopped.error, /connection reset.*retrying/);
+
+  // Search still uses the old vectors
+  const { embeddingIndex } = await Tenant.findById(tenant._id).lean();
+  assert.equal(embeddingIndex.provider, "mock");
+
+  await runJob(migration);
+
+  const done = await EmbeddingMigration.findById(migration._id).lean();
+  assert.equal(done.status, "completed");
+  assert.equal(done.processed, 60);
+
+  const chunks = await chunksOf(tenant._id);
+  assert.equal(chunks.length, 60);
+  assert.ok(chunks.every((chunk) => chunk.provider === "local"));
+});
+
+test("cancelling drops the copies and keeps the old index", async () => {
+  const tenant = await createTenant(60);
+  const migration = await startEmbeddingMigration(tenant._id);
+
+  await assert.rejects(runFailingSecondBatch(migration));
+  assert.equal((await chunksOf(tenant._id)).length, 110);
+
+  const cancelled = await cancelEmbeddingMigration(tenant._id);
+  assert.equal(cancelled.status, "cancelled");
+  await assert.rejects(cancelEmbeddingMigration(tenant._id), { status: 404 });
+
+  const job = await Job.findOne({ "payload.migrationId": migration._id });
+  assert.equal(job.status, "cancelled");
+
+  const chunks = await chunksOf(tenant._id);
+  assert.equal(chunks.length, 60);
+  assert.ok(chunks.every((chunk) => chunk.provider === "mock"));
+  assert.equal(
+    await LocalEmbeddingModel.exists({ tenantId: tenant._id }),
+    null
+  );
+
+  const { embeddingIndex } = await Tenant.findById(tenant._id).lean();
+  assert.equal(embeddingIndex.provider, "mock");
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import LocalEmbeddingModel from "../src/models/LocalEmbeddingModel.js";
+import * as local from "../src/services/embeddingService.local.js";
+import { fitLsa, projectText } from "../src/utils/lsa.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+const TEXTS = [
+  "Refunds are issued within 14 days of a return request.",
+  "To reset your password, open settings and click forgot password.",
+  "Shipping takes 3 to 5 business days within the country.",
+  "Our support team is available Monday to Friday.",
+  "You can return unused items for a refund.",
+];
+
+let models;
+
+before(() => {
+  models = useMemoryModel(LocalEmbeddingModel);
+});
+
+after(() => models.restore());
+
+// Fitting saves the model and reads it back, like any later process would
+test("a saved model embeds like the model it was fitted as", async () => {
+  const tenantId = new mongoose.Types.ObjectId();
+  const { version, dimension } = await local.fitNextModel(tenantId, TEXTS);
+  assert.equal(version, 1);
+
+  const saved = await LocalEmbeddingModel.findOne({ tenantId }).lean();
+  assert.ok(
+    !Buffer.isBuffer(saved.components),
+    "lean reads return a BSON Binary"
+  );
+
+  const fitted = fitLsa(TEXTS, {
+    dimensions: parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 128,
+  });
+  assert.equal(fitted.dimension, dimension);
+
+  const query = "how do I get a refund?";
+  const [embedding] = await local.generateBatchEmbeddings(
+    [query],
+    tenantId,
+    version
+  );
+  const expected = projectText(fitted, query);
+
+  assert.equal(embedding.length, dimension);
+  assert.ok(embedding.every(Number.isFinite), "no NaN components");
+  embedding.forEach((value, index) =>
+    assert.ok(Math.abs(value - expected[index]) < 1e-6)
+  );
+});
+
+test("another process reloads the same model", async () => {
+  const tenantId = new mongoose.Types.ObjectId();
+  const { version } = await local.fitNextModel(tenantId, TEXTS);
+  const embedded = await local.generateBatchEmbeddings(
+    TEXTS,
+    tenantId,
+    version
+  );
+
+  // A fresh module instance starts with an empty model cache
+  const restarted = await import(
+    "../src/services/embeddingService.local.js?restart"
+  );
+  const reloaded = await restarted.generateBatchEmbeddings(
+    TEXTS,
+    tenantId,
+    version
+  );
+
+  assert.ok(reloaded.flat().every(Number.isFinite), "no NaN components");
+  assert.deepEqual(reloaded, embedded);
+  assert.equal(
+    await restarted.getEmbeddingDimension(tenantId, version),
+    embedded[0].length
+  );
+});
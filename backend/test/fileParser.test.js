@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitSectionsIntoChunks } from "../src/utils/fileParser.js";
+
+const sectionsOf = (text) =>
+  splitSectionsIntoChunks(text).map((chunk) => chunk.headings.join(" > "));
+
+test("headings start sections", () => {
+  const chunks = splitSectionsIntoChunks(
+    [
+      "# Setup",
+      "Install the widget on every page.",
+      "## Keys",
+      "Copy the widget key from settings.",
+    ].join("\n")
+  );
+
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.text),
+    [
+      "Setup\n\nInstall the widget on every page.",
+      "Setup > Keys\n\nCopy the widget key from settings.",
+    ]
+  );
+  assert.equal(chunks[1].section, "Keys");
+});
+
+test("comments in fenced code blocks are not headings", () => {
+  const text = [
+    "# Install",
+    "Run the installer from a shell:",
+    "```bash",
+    "# download and run it",
+    "curl -fsSL https://example.com/install.sh | sh",
+    "```",
+    "~~~~python",
+    "# print the version",
+    "~~~",
+    "print(version())",
+    "~~~~",
+    "# Usage",
+    "Open the dashboard to start chatting.",
+  ].join("\n");
+
+  assert.deepEqual(sectionsOf(text), ["Install", "Usage"]);
+  const [install] = splitSectionsIntoChunks(text);
+  assert.match(install.text, /# download and run it/);
+  assert.match(install.text, /# print the version\n~~~\nprint/);
+});
+
+test("an unclosed fence runs to the end of the text", () => {
+  const text = [
+    "# Notes",
+    "The config file looks like this:",
+    "```",
+    "# Not a heading at all",
+    "retries = 3",
+  ].join("\n");
+
+  assert.deepEqual(sectionsOf(text), ["Notes"]);
+});
+
+test("inline code between triple backticks opens no fence", () => {
+  const text = [
+    "# Tips",
+    "```npm run build``` builds everything for production.",
+    "# Help",
+    "Ask the support team in the chat window.",
+  ].join("\n");
+
+  assert.deepEqual(sectionsOf(text), ["Tips", "Help"]);
+});
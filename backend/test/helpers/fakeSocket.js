@@ -0,0 +1,88 @@
+/**
+ * Minimal stand-ins for a Socket.io server, namespace and socket, enough to
+ * drive a namespace's handlers without a network connection
+ */
+
+// A socket that records what it emitted and which rooms it is in
+export const fakeSocket = (fields = {}) => {
+  const handlers = {};
+  const socket = {
+    id: `socket-${Math.random().toString(36).slice(2)}`,
+    rooms: new Set(),
+    emitted: [],
+    connected: true,
+    ...fields,
+    on: (event, handler) => (handlers[event] = handler),
+    emit: (event, data) => socket.emitted.push({ event, data }),
+    join: (room) => socket.rooms.add(room),
+    leave: (room) => socket.rooms.delete(room),
+    disconnect: () => (socket.connected = false),
+    // Run a client event through its handler, resolving with the ack
+    send: (event, data) =>
+      new Promise((resolve, reject) => {
+        Promise.resolve(handlers[event](data, resolve))
+          .then(() => resolve())
+          .catch(reject);
+      }),
+    errors: () =>
+      socket.emitted
+        .filter(({ event }) => event === "error")
+        .map(({ data }) => data.message),
+  };
+  return socket;
+};
+
+// A server whose namespaces keep their sockets, for connect() and rooms
+export const fakeServer = () => {
+  const namespaces = {};
+  return {
+    of: (name) =>
+      (namespaces[name] ??= {
+        sockets: [],
+        use() {},
+        on(event, handler) {
+          if (event === "connection") this.onConnection = handler;
+        },
+        to(room) {
+          return this.in(room);
+        },
+        in(room) {
+          const members = () =>
+            this.sockets.filter((socket) => socket.rooms.has(room));
+          return {
+            emit: (event, data) =>
+              members().forEach((socket) => socket.emit(event, data)),
+            disconnectSockets: () =>
+              members().forEach((socket) => socket.disconnect(true)),
+          };
+        },
+        adapter: { rooms: new Map() },
+        // Joins and leaves are mirrored in adapter.rooms; a disconnected
+        // socket leaves the namespace
+        connect(fields) {
+          const socket = fakeSocket(fields);
+          const { rooms } = this.adapter;
+          const { join, leave } = socket;
+          socket.join = (room) => {
+            join(room);
+            (rooms.get(room) || rooms.set(room, new Set()).get(room)).add(
+              socket.id
+            );
+          };
+          socket.leave = (room) => {
+            leave(room);
+            rooms.get(room)?.delete(socket.id);
+            if (!rooms.get(room)?.size) rooms.delete(room);
+          };
+          socket.disconnect = () => {
+            socket.connected = false;
+            [...socket.rooms].forEach(socket.leave);
+            this.sockets = this.sockets.filter((other) => other !== socket);
+          };
+          this.sockets.push(socket);
+          this.onConnection(socket);
+          return socket;
+        },
+      }),
+  };
+};
@@ -0,0 +1,385 @@
+import mongoose from "mongoose";
+
+/**
+ * In-memory stand-in for a mongoose model's static query methods, for tests
+ * that run without MongoDB. Documents are cast by the real schema, and lean
+ * reads go through a BSON round trip so they come back with the same types
+ * as from the driver (ObjectId, Date, Binary for buffers).
+ *
+ * Covers the query operators and update forms this codebase uses; anything
+ * else throws so a test never passes on a silently ignored filter.
+ */
+
+const { BSON } = mongoose.mongo;
+
+const normalize = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const equals = (a, b) => normalize(a) === normalize(b);
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => target?.[key], doc);
+  if (parent) delete parent[last];
+};
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+// Array fields match when any element does, as in MongoDB
+const matchValue = (actual, expected) => {
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some((item) => matchValue(item, expected));
+  }
+  if (expected === null) return actual === null || actual === undefined;
+  if (expected instanceof RegExp) return expected.test(actual);
+  return equals(actual, expected);
+};
+
+const compare = (actual, expected, test) =>
+  actual !== undefined &&
+  actual !== null &&
+  test(normalize(actual), normalize(expected));
+
+const matchOperators = (actual, operators) =>
+  Object.entries(operators).every(([operator, expected]) => {
+    switch (operator) {
+      case "$in":
+        return expected.some((value) => matchValue(actual, value));
+      case "$nin":
+        return !expected.some((value) => matchValue(actual, value));
+      case "$ne":
+        return !matchValue(actual, expected);
+      case "$exists":
+        return expected ? actual !== undefined : actual === undefined;
+      case "$gt":
+        return compare(actual, expected, (a, b) => a > b);
+      case "$gte":
+        return compare(actual, expected, (a, b) => a >= b);
+      case "$lt":
+        return compare(actual, expected, (a, b) => a < b);
+      case "$lte":
+        return compare(actual, expected, (a, b) => a <= b);
+      default:
+        throw new Error(`memoryModel: unsupported operator ${operator}`);
+    }
+  });
+
+// $expr comparisons of fields ("$path") and literals
+const EXPR_OPERATORS = {
+  $eq: (a, b) => a === b,
+  $ne: (a, b) => a !== b,
+  $gt: (a, b) => a > b,
+  $gte: (a, b) => a >= b,
+  $lt: (a, b) => a < b,
+  $lte: (a, b) => a <= b,
+};
+
+const evaluate = (doc, expression) => {
+  const [operator, ...rest] = Object.keys(expression);
+  if (!EXPR_OPERATORS[operator] || rest.length > 0) {
+    throw new Error(`memoryModel: unsupported $expr ${operator}`);
+  }
+  const [a, b] = expression[operator].map((operand) =>
+    normalize(
+      typeof operand === "string" && operand.startsWith("$")
+        ? getPath(doc, operand.slice(1))
+        : operand
+    )
+  );
+  return EXPR_OPERATORS[operator](a, b);
+};
+
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, expected]) => {
+    if (key === "$expr") return evaluate(doc, expected);
+    if (key === "$or") return expected.some((part) => matches(doc, part));
+    if (key === "$and") return expected.every((part) => matches(doc, part));
+    if (key === "$nor") return !expected.some((part) => matches(doc, part));
+    if (key.startsWith("$")) {
+      throw new Error(`memoryModel: unsupported operator ${key}`);
+    }
+    const actual = getPath(doc, key);
+    return isOperatorObject(expected)
+      ? matchOperators(actual, expected)
+      : matchValue(actual, expected);
+  });
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  if (Array.isArray(update)) {
+    throw new Error("memoryModel: pipeline updates are not supported");
+  }
+  for (const [key, value] of Object.entries(update)) {
+    switch (key) {
+      case "$set":
+        Object.entries(value).forEach(([path, v]) => setPath(doc, path, v));
+        break;
+      case "$setOnInsert":
+        if (inserting) {
+          Object.entries(value).forEach(([path, v]) => setPath(doc, path, v));
+        }
+        break;
+      case "$unset":
+        Object.keys(value).forEach((path) => unsetPath(doc, path));
+        break;
+      case "$inc":
+        Object.entries(value).forEach(([path, v]) =>
+          setPath(doc, path, (getPath(doc, path) || 0) + v)
+        );
+        break;
+      case "$push":
+        Object.entries(value).forEach(([path, v]) => {
+          const pushed = [
+            ...(getPath(doc, path) || []),
+            ...(isOperatorObject(v) && v.$each ? v.$each : [v]),
+          ];
+          // Only the negative $slice (keep the last n) is supported
+          const slice = isOperatorObject(v) ? v.$slice : undefined;
+          setPath(doc, path, slice < 0 ? pushed.slice(slice) : pushed);
+        });
+        break;
+      default:
+        if (key.startsWith("$")) {
+          throw new Error(`memoryModel: unsupported update ${key}`);
+        }
+        setPath(doc, key, value);
+    }
+  }
+};
+
+const sortRows = (rows, sort) => {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return rows;
+  return [...rows].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const x = normalize(getPath(a, path));
+      const y = normalize(getPath(b, path));
+      if (x === y) continue;
+      if (x === undefined) return -direction;
+      if (y === undefined) return direction;
+      return (x < y ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Replace a model's statics with in-memory ones
+ * @param {mongoose.Model} Model - The model to fake
+ * @returns {{rows: Object[], restore: Function}} Stored documents (as
+ *   plain objects) and a function putting the real statics back
+ */
+export const useMemoryModel = (Model) => {
+  const rows = [];
+  const timestamps = Boolean(Model.schema.options.timestamps);
+  const originals = {};
+  const uniqueKeys = Model.schema
+    .indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields]) => Object.keys(fields));
+
+  // Cast through the schema so defaults, ObjectIds and Dates are applied
+  const cast = (data) => new Model(data).toObject({ depopulate: true });
+
+  const toLean = (row) => BSON.deserialize(BSON.serialize(row));
+
+  const toDocument = (row) => {
+    const doc = Model.hydrate(toLean(row));
+    doc.save = async () => {
+      const index = rows.findIndex((r) => equals(r._id, doc._id));
+      const saved = cast(doc.toObject());
+      if (timestamps) saved.updatedAt = new Date();
+      if (index === -1) rows.push(saved);
+      else rows[index] = saved;
+      return doc;
+    };
+    doc.deleteOne = async () => {
+      const index = rows.findIndex((r) => equals(r._id, doc._id));
+      if (index !== -1) rows.splice(index, 1);
+    };
+    return doc;
+  };
+
+  const insert = (data) => {
+    const now = new Date();
+    const row = cast({
+      ...(timestamps && { createdAt: now, updatedAt: now }),
+      ...data,
+    });
+    rows.push(row);
+    return row;
+  };
+
+  const update = (row, changes, options) => {
+    applyUpdate(row, changes, options);
+    if (timestamps && !changes.$setOnInsert?.updatedAt) {
+      row.updatedAt = new Date();
+    }
+    Object.assign(row, cast(row));
+  };
+
+  // Equality conditions of the filter seed the inserted document, as in
+  // MongoDB; like a unique index, a clash on uniqueKeys is a duplicate key
+  const upsert = (filter, changes) => {
+    const plain = Object.fromEntries(
+      Object.entries(filter).filter(
+        ([key, value]) => !key.startsWith("$") && !isOperatorObject(value)
+      )
+    );
+    const clash = uniqueKeys.some(
+      (keys) =>
+        keys.every((key) => key in plain) &&
+        rows.some((row) =>
+          keys.every((key) => equals(getPath(row, key), plain[key]))
+        )
+    );
+    if (clash) {
+      throw Object.assign(new Error("E11000 duplicate key error"), {
+        code: 11000,
+      });
+    }
+    const inserted = insert({});
+    Object.entries(plain).forEach(([path, value]) =>
+      setPath(inserted, path, value)
+    );
+    update(inserted, changes, { inserting: true });
+    return inserted;
+  };
+
+  // A chainable, thenable query over the rows matching a filter
+  const query = (filter, { single = false } = {}) => {
+    let sort = null;
+    let limit = null;
+    let skip = 0;
+    let lean = false;
+
+    const run = async () => {
+      let found = sortRows(
+        rows.filter((row) => matches(row, filter)),
+        sort
+      ).slice(skip);
+      if (limit !== null) found = found.slice(0, limit);
+      if (single) found = found.slice(0, 1);
+      const results = found.map(lean ? toLean : toDocument);
+      return single ? results[0] ?? null : results;
+    };
+
+    const chain = {
+      sort: (value) => ((sort = value), chain),
+      limit: (value) => ((limit = value), chain),
+      skip: (value) => ((skip = value), chain),
+      select: () => chain,
+      populate: () => chain,
+      lean: () => ((lean = true), chain),
+      distinct: async (path) => distinct(path, filter),
+      exec: run,
+      then: (resolve, reject) => run().then(resolve, reject),
+      catch: (reject) => run().catch(reject),
+    };
+    return chain;
+  };
+
+  const distinct = async (path, filter = {}) => {
+    const values = new Map();
+    for (const row of rows.filter((r) => matches(r, filter))) {
+      const value = getPath(row, path);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined) values.set(String(normalize(item)), item);
+      }
+    }
+    return [...values.values()];
+  };
+
+  const fakes = {
+    find: (filter = {}) => query(filter),
+    findOne: (filter = {}) => query(filter, { single: true }),
+    findById: (id) => query({ _id: id }, { single: true }),
+    exists: async (filter = {}) => {
+      const row = rows.find((r) => matches(r, filter));
+      return row ? { _id: row._id } : null;
+    },
+    countDocuments: async (filter = {}) =>
+      rows.filter((row) => matches(row, filter)).length,
+    distinct,
+    create: async (data) =>
+      Array.isArray(data)
+        ? data.map((item) => toDocument(insert(item)))
+        : toDocument(insert(data)),
+    insertMany: async (items) => items.map((item) => toDocument(insert(item))),
+    updateOne: async (filter, changes, options = {}) => {
+      const row = rows.find((r) => matches(r, filter));
+      if (row) {
+        update(row, changes);
+        return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+      }
+      if (options.upsert) {
+        upsert(filter, changes);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    },
+    updateMany: async (filter, changes) => {
+      const found = rows.filter((row) => matches(row, filter));
+      found.forEach((row) => update(row, changes));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    },
+    findOneAndUpdate: async (filter, changes, options = {}) => {
+      const [row] = sortRows(
+        rows.filter((r) => matches(r, filter)),
+        options.sort
+      );
+      if (!row) {
+        if (!options.upsert) return null;
+        const inserted = upsert(filter, changes);
+        return options.new ? toDocument(inserted) : null;
+      }
+      const before = toDocument(row);
+      update(row, changes);
+      return options.new ? toDocument(row) : before;
+    },
+    deleteMany: async (filter = {}) => {
+      const found = rows.filter((row) => matches(row, filter));
+      found.forEach((row) => rows.splice(rows.indexOf(row), 1));
+      return { deletedCount: found.length };
+    },
+    deleteOne: async (filter = {}) => {
+      const index = rows.findIndex((row) => matches(row, filter));
+      if (index !== -1) rows.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+    syncIndexes: async () => [],
+  };
+
+  for (const [name, fake] of Object.entries(fakes)) {
+    originals[name] = Object.getOwnPropertyDescriptor(Model, name);
+    Model[name] = fake;
+  }
+
+  const restore = () => {
+    for (const [name, descriptor] of Object.entries(originals)) {
+      if (descriptor) Object.defineProperty(Model, name, descriptor);
+      else delete Model[name];
+    }
+  };
+
+  return { rows, restore };
+};
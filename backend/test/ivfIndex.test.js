@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { IVFIndex } from "../src/utils/ivfIndex.js";
+
+const DIMENSION = 16;
+const CLUSTERS = 8;
+
+// Fixed test data; only the index's own training sample is random
+let seed = 42;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 2 ** 32;
+  return seed / 2 ** 32;
+};
+
+// Points scattered around basis vector `cluster`
+const pointNear = (cluster) =>
+  Array.from(
+    { length: DIMENSION },
+    (_, d) => (d === cluster ? 1 : 0) + (random() - 0.5) * 0.3
+  );
+
+const buildIndex = (perCluster = 40) => {
+  const index = new IVFIndex({ dimension: DIMENSION });
+  for (let cluster = 0; cluster < CLUSTERS; cluster++) {
+    for (let i = 0; i < perCluster; i++) {
+      index.add(`${cluster}-${i}`, pointNear(cluster), { cluster });
+    }
+  }
+  return index;
+};
+
+const ids = (results) => results.map((result) => result.id);
+
+test("an untrained index searches exactly", () => {
+  const index = new IVFIndex({ dimension: 3 });
+  index.add("x", [1, 0, 0], { label: "x" });
+  index.add("y", [0, 2, 0], { label: "y" });
+  index.add("xy", [1, 1, 0], { label: "xy" });
+
+  const results = index.search([3, 0.1, 0], 2);
+  assert.deepEqual(ids(results), ["x", "xy"]);
+  assert.ok(Math.abs(results[0].similarity - 0.9994) < 0.001);
+  assert.deepEqual(results[0].data, { label: "x" });
+
+  assert.throws(() => index.add("bad", [1, 0]), /dimension/);
+});
+
+test("a trained index finds what an exact search finds", () => {
+  const index = buildIndex();
+  index.train(CLUSTERS);
+
+  assert.equal(index.isTrained, true);
+  assert.equal(index.size, CLUSTERS * 40);
+
+  let found = 0;
+  let wanted = 0;
+  for (let cluster = 0; cluster < CLUSTERS; cluster++) {
+    const query = pointNear(cluster);
+    const exact = new Set(ids(index.exactSearch(query, 10)));
+    const approximate = index.search(query, 10);
+
+    assert.ok(approximate.every((result) => result.data.cluster === cluster));
+    found += ids(approximate).filter((id) => exact.has(id)).length;
+    wanted += exact.size;
+  }
+  assert.ok(found / wanted >= 0.9, `recall ${found / wanted}`);
+});
+
+test("vectors can be replaced and removed after training", () => {
+  const index = buildIndex(20);
+  index.train(CLUSTERS);
+
+  // Re-adding an id moves it rather than duplicating it
+  index.add("0-0", pointNear(5), { cluster: 5 });
+  assert.equal(index.size, CLUSTERS * 20);
+  assert.ok(ids(index.search(pointNear(5), 40)).includes("0-0"));
+  assert.ok(!ids(index.search(pointNear(0), 40)).includes("0-0"));
+
+  assert.equal(index.remove("0-1"), true);
+  assert.equal(index.remove("0-1"), false);
+  assert.equal(index.has("0-1"), false);
+
+  assert.equal(index.removeWhere((data) => data.cluster === 3), 20);
+  assert.equal(index.search(pointNear(3), 5, { nprobe: CLUSTERS }).length, 5);
+  assert.ok(
+    index
+      .exactSearch(pointNear(3), 100)
+      .every((result) => result.data.cluster !== 3)
+  );
+});
+
+test("filters apply to approximate and exact searches", () => {
+  const index = buildIndex(20);
+  index.train(CLUSTERS);
+  const even = (data) => data.cluster % 2 === 0;
+
+  // The lists closest to an odd cluster may hold no even vectors at all;
+  // that is what the exact fallback is for
+  const approximate = index.search(pointNear(1), 5, { filter: even });
+  assert.ok(approximate.every((result) => even(result.data)));
+
+  const exact = index.exactSearch(pointNear(1), 50, { filter: even });
+  assert.equal(exact.length, 50);
+  assert.ok(exact.every((result) => even(result.data)));
+});
@@ -0,0 +1,157 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Job from "../src/models/Job.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+process.env.JOB_LEASE_MS = "90";
+process.env.JOB_POLL_INTERVAL_MS = "10";
+process.env.JOB_RETRY_BASE_MS = "10";
+const { enqueueJob, cancelJobs, startJobWorker } = await import(
+  "../src/services/jobQueue.js"
+);
+
+let jobs;
+let workers = [];
+
+before(() => {
+  jobs = useMemoryModel(Job);
+});
+
+after(() => jobs.restore());
+
+afterEach(async () => {
+  await Promise.all(workers.map((worker) => worker.stop(1000)));
+  workers = [];
+  jobs.rows.length = 0;
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const start = (handlers, onAbandoned) => {
+  const worker = startJobWorker({ handlers, onAbandoned, concurrency: 1 });
+  workers.push(worker);
+  return worker;
+};
+
+const waitForStatus = async (id, statuses, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await Job.findById(id).lean();
+    if (statuses.includes(job.status)) return job;
+    if (Date.now() > deadline) {
+      assert.fail(`job still ${job.status}, expected ${statuses.join("/")}`);
+    }
+    await sleep(10);
+  }
+};
+
+// A job a dead worker was running: its lease lapsed a moment ago
+const abandonedJob = (fields) =>
+  Job.create({
+    type: "work",
+    status: "running",
+    lockedBy: "dead-worker",
+    lockedUntil: new Date(Date.now() - 1000),
+    ...fields,
+  });
+
+test("failed attempts are retried until one succeeds", async () => {
+  let calls = 0;
+  const job = await enqueueJob("work");
+  start({
+    work: async () => {
+      if (++calls < 3) throw new Error(`attempt ${calls} failed`);
+    },
+  });
+
+  const done = await waitForStatus(job._id, ["completed", "failed"]);
+  assert.equal(done.status, "completed");
+  assert.equal(done.attempts, 3);
+  assert.equal(done.lastError, null);
+  assert.equal(calls, 3);
+});
+
+test("a job fails for good after maxAttempts", async () => {
+  let calls = 0;
+  const job = await enqueueJob("work", { maxAttempts: 2 });
+  start({
+    work: async () => {
+      calls++;
+      throw new Error("always broken");
+    },
+  });
+
+  const done = await waitForStatus(job._id, ["failed"]);
+  assert.equal(done.attempts, 2);
+  assert.equal(done.lastError, "always broken");
+  await sleep(50);
+  assert.equal(calls, 2);
+});
+
+test("a lapsed lease is claimed again", async () => {
+  const job = await abandonedJob({ attempts: 1, maxAttempts: 3 });
+  let ran;
+  start({ work: async (claimed) => (ran = claimed) });
+
+  const done = await waitForStatus(job._id, ["completed", "failed"]);
+  assert.equal(done.status, "completed");
+  assert.equal(done.attempts, 2);
+  assert.equal(ran.lockedBy, workers[0].id);
+});
+
+test("a lapsed lease on the last attempt fails the job", async () => {
+  const job = await abandonedJob({ attempts: 3, maxAttempts: 3 });
+  let calls = 0;
+  const abandoned = [];
+  start(
+    { work: async () => calls++ },
+    { work: async (failed) => abandoned.push(failed) }
+  );
+
+  const done = await waitForStatus(job._id, ["completed", "failed"]);
+  assert.equal(done.status, "failed");
+  assert.equal(done.attempts, 3);
+  assert.match(done.lastError, /stopped responding/);
+  assert.equal(calls, 0);
+
+  // Its owner hears about it once, to fail what the job was working on
+  await sleep(50);
+  assert.deepEqual(
+    abandoned.map((failed) => [String(failed._id), failed.status]),
+    [[String(job._id), "failed"]]
+  );
+});
+
+test("heartbeats keep a long job from being claimed twice", async () => {
+  let calls = 0;
+  const job = await enqueueJob("work");
+  const slow = { work: async () => (calls++, sleep(400)) };
+  start(slow);
+  start(slow);
+
+  const done = await waitForStatus(job._id, ["completed", "failed"]);
+  assert.equal(done.status, "completed");
+  assert.equal(done.attempts, 1);
+  assert.equal(calls, 1);
+});
+
+test("cancelling aborts the running handler", async () => {
+  const job = await enqueueJob("work");
+  let aborted = false;
+  start({
+    work: (claimed, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => {
+          aborted = true;
+          reject(signal.reason);
+        });
+      }),
+  });
+
+  await waitForStatus(job._id, ["running"]);
+  assert.equal(await cancelJobs({ _id: job._id }), 1);
+
+  for (let i = 0; i < 50 && !aborted; i++) await sleep(10);
+  assert.ok(aborted, "handler saw the abort at the next heartbeat");
+  assert.equal((await Job.findById(job._id).lean()).status, "cancelled");
+});
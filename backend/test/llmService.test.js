@@ -0,0 +1,86 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeLlmServer } from "../src/utils/fakeLlmServer.js";
+
+const COOLDOWN_MS = 100;
+
+const server = createFakeLlmServer();
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+delete process.env.OPENAI_API_KEY;
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.LLM_COMPATIBLE_BASE_URL;
+process.env.LLM_FAKE_URL = `${baseUrl}/v1`;
+process.env.OLLAMA_BASE_URL = baseUrl;
+process.env.OLLAMA_MODELS = "llama3.1";
+process.env.LLM_BREAKER_THRESHOLD = "2";
+process.env.LLM_BREAKER_COOLDOWN_MS = String(COOLDOWN_MS);
+const { generateCompletion, getProviderOptions, resolveProviderChain } =
+  await import("../src/services/llmService.js");
+
+after(() => server.close());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const ask = (chain, onToken) =>
+  generateCompletion(
+    chain,
+    { system: "Be brief.", messages: [{ role: "user", content: "hello" }] },
+    onToken
+  );
+
+const circuitOf = ({ provider, model }) =>
+  getProviderOptions().find((option) => option.id === provider).circuits[model];
+
+const failing = { provider: "fake", model: "fake-error" };
+const working = { provider: "fake", model: "fake-echo" };
+const fallback = { provider: "ollama", model: "llama3.1" };
+
+test("the chain keeps configured providers and known models", () => {
+  assert.deepEqual(
+    resolveProviderChain({
+      provider: "fake",
+      model: "no-such-model",
+      fallbacks: [{ provider: "anthropic" }, fallback, { provider: "fake" }],
+    }),
+    [working, fallback]
+  );
+});
+
+test("a failing provider falls back, and streams from the fallback", async () => {
+  const deltas = [];
+  const result = await ask([failing, fallback], (delta) => deltas.push(delta));
+
+  assert.equal(result.provider, "ollama");
+  assert.equal(result.text, "hello");
+  assert.equal(deltas.join(""), "hello");
+});
+
+test("a failing model is paused, not the rest of its provider", async () => {
+  // The first test already failed once; the second failure opens it
+  await ask([failing, fallback]);
+  assert.equal(circuitOf(failing).status, "open");
+  assert.equal(circuitOf(working).status, "closed");
+
+  // The paused model is skipped, and the provider's other model answers
+  const { failures } = circuitOf(failing);
+  const skipped = await ask([failing, working]);
+  assert.equal(skipped.model, "fake-echo");
+  assert.equal(circuitOf(failing).failures, failures);
+
+  // A failed trial call opens it again for another cooldown
+  await sleep(COOLDOWN_MS);
+  assert.equal(circuitOf(failing).status, "half-open");
+  await ask([failing, fallback]);
+  assert.equal(circuitOf(failing).status, "open");
+  assert.equal(circuitOf(working).failures, 0);
+});
+
+test("an empty chain reports that no provider answered", async () => {
+  await assert.rejects(ask([]), /No LLM provider is available/);
+
+  // Once its cooldown ends, the paused model's own error is reported
+  await sleep(COOLDOWN_MS);
+  await assert.rejects(ask([failing]), /500|Fake failure/);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import OverrideRule from "../src/models/OverrideRule.js";
+import Tenant from "../src/models/Tenant.js";
+import Embedding from "../src/models/Embedding.js";
+import {
+  findOverrideRule,
+  normalizeOverrideRuleInput,
+} from "../src/services/overrideService.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+let models;
+
+before(() => {
+  models = [OverrideRule, Tenant, Embedding].map(useMemoryModel);
+});
+
+after(() => models.forEach((model) => model.restore()));
+
+const patternsOf = (patterns) =>
+  normalizeOverrideRuleInput({ patterns }, { partial: true }).patterns;
+
+test("patterns are checked when the rule is saved", () => {
+  assert.deepEqual(patternsOf("cancel(l?ed|ling)? .*order\n^refund"), [
+    "cancel(l?ed|ling)? .*order",
+    "^refund",
+  ]);
+
+  for (const pattern of ["(?=refund)", "(a)\\1", "[a-"]) {
+    assert.throws(() => patternsOf([pattern]), { status: 400 });
+  }
+});
+
+test("patterns that backtrack in JavaScript match in linear time", async () => {
+  const tenantId = new mongoose.Types.ObjectId();
+  await OverrideRule.create({
+    tenantId,
+    name: "Slow",
+    response: "Never sent",
+    patterns: ["(a+)+$", "(a|aa)+b", ".*a.*a.*a.*b"],
+  });
+  await OverrideRule.create({
+    tenantId,
+    name: "Refunds",
+    response: "See our refund policy.",
+    patterns: ["refund.*order"],
+    priority: 1,
+  });
+
+  const startedAt = Date.now();
+  const match = await findOverrideRule(
+    tenantId,
+    `refund my order ${"a".repeat(900)}!`
+  );
+
+  assert.equal(match.rule.name, "Refunds");
+  assert.equal(match.trigger.value, "refund.*order");
+  assert.ok(Date.now() - startedAt < 1000, "matched without backtracking");
+});
+
+test("legacy patterns RE2 cannot compile are skipped", async () => {
+  const tenantId = new mongoose.Types.ObjectId();
+  await OverrideRule.create({
+    tenantId,
+    name: "Lookahead",
+    response: "Never sent",
+    patterns: ["(?=.*refund)"],
+  });
+
+  assert.equal(await findOverrideRule(tenantId, "refund please"), null);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compilePathPattern, parseRobotsTxt } from "../src/utils/robots.js";
+
+test("patterns match like robots.txt rules", () => {
+  const cases = [
+    ["/private", "/private/page", true],
+    ["/private", "/public", false],
+    ["/*.html$", "/docs/a.html", true],
+    ["/*.html$", "/docs/a.html?x=1", false],
+    ["/docs/*/edit", "/docs/42/edit/history", true],
+    ["/docs/*/edit", "/docs/edit", false],
+    ["/a*b*c$", "/abc", true],
+    ["/a*bc$", "/abc", true],
+    ["/ab*b$", "/ab", false],
+    ["/exact$", "/exact", true],
+    ["/exact$", "/exactly", false],
+    ["/file.php", "/fileXphp", false],
+    ["*", "/anything", true],
+  ];
+
+  for (const [pattern, path, expected] of cases) {
+    assert.equal(compilePathPattern(pattern)(path), expected, pattern);
+  }
+});
+
+test("a hostile pattern matches in linear time", () => {
+  const robots = parseRobotsTxt(
+    `User-agent: *\nDisallow: /*${"a*".repeat(30)}b\n`,
+    "SupportBot/1.0"
+  );
+
+  const startedAt = Date.now();
+  assert.equal(robots.isAllowed(`/${"a".repeat(5000)}`), true);
+  assert.equal(robots.isAllowed(`/${"a".repeat(5000)}b`), false);
+  assert.ok(Date.now() - startedAt < 500, "matched without backtracking");
+});
+
+test("the longest matching rule wins", () => {
+  const robots = parseRobotsTxt(
+    "User-agent: *\nDisallow: /shop\nAllow: /shop/*/reviews$\n",
+    "SupportBot/1.0"
+  );
+
+  assert.equal(robots.isAllowed("/shop/cart"), false);
+  assert.equal(robots.isAllowed("/shop/42/reviews"), true);
+});
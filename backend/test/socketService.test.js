@@ -0,0 +1,109 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import Tenant from "../src/models/Tenant.js";
+import Conversation from "../src/models/Conversation.js";
+import { setupSocketHandlers } from "../src/services/socketService.js";
+import {
+  agentRoom,
+  registerHandoffNamespaces,
+  visitorRoom,
+} from "../src/services/handoffService.js";
+import { fakeServer } from "./helpers/fakeSocket.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+let models;
+let tenant;
+let chat;
+let agents;
+
+before(async () => {
+  models = [Tenant, Conversation].map(useMemoryModel);
+  tenant = await Tenant.create({ name: "Acme" });
+
+  const io = fakeServer();
+  setupSocketHandlers(io);
+  chat = io.of("/ws/chat");
+
+  // An agent console is open unless a test closes it
+  agents = io.of("/ws/agent").adapter.rooms;
+  registerHandoffNamespaces({ agent: io.of("/ws/agent") });
+  agents.set(agentRoom(tenant._id), new Set(["agent-socket"]));
+});
+
+after(() => models.forEach((model) => model.restore()));
+
+const connect = () => chat.connect({ tenant });
+
+const handoffOf = async (sessionId) =>
+  (await Conversation.findOne({ tenantId: tenant._id, sessionId }).lean())
+    ?.handoff?.status;
+
+test("a socket stays in the session it started", async () => {
+  const socket = connect();
+  await socket.send("session:start", { sessionId: "visitor-a" });
+  assert.deepEqual([...socket.rooms], [visitorRoom(tenant._id, "visitor-a")]);
+
+  await socket.send("handoff:request", { sessionId: "visitor-b" });
+  assert.deepEqual(socket.errors(), ["Invalid session"]);
+  assert.equal(await handoffOf("visitor-b"), undefined);
+
+  await socket.send("handoff:request", {});
+  assert.equal(await handoffOf("visitor-a"), "queued");
+
+  const ack = await socket.send("feedback:submit", {
+    sessionId: "visitor-b",
+    messageId: "m1",
+    rating: "up",
+  });
+  assert.deepEqual(ack, { error: "Invalid session" });
+});
+
+test("social sessions cannot be joined", async () => {
+  await Conversation.create({
+    tenantId: tenant._id,
+    sessionId: "whatsapp:+15550100",
+    channel: "whatsapp",
+    externalUserId: "+15550100",
+    messages: [{ role: "user", content: "hi" }],
+  });
+
+  const socket = connect();
+  await socket.send("session:start", { sessionId: "whatsapp:+15550100" });
+  await socket.send("handoff:request", { sessionId: "whatsapp:+15550100" });
+
+  assert.deepEqual(socket.errors(), ["Invalid session", "Invalid session"]);
+  assert.equal(socket.rooms.size, 0);
+  assert.equal(await handoffOf("whatsapp:+15550100"), "none");
+});
+
+test("starting a new session moves the socket over", async () => {
+  const socket = connect();
+  await socket.send("session:start", { sessionId: "before-clear" });
+  await socket.send("session:start", { sessionId: "after-clear" });
+
+  assert.deepEqual(
+    [...socket.rooms],
+    [visitorRoom(tenant._id, "after-clear")]
+  );
+
+  await socket.send("handoff:request", { sessionId: "before-clear" });
+  assert.deepEqual(socket.errors(), ["Invalid session"]);
+});
+
+test("asking for a human with no agent online stays with the bot", async () => {
+  agents.delete(agentRoom(tenant._id));
+  const socket = connect();
+  await socket.send("session:start", { sessionId: "after-hours" });
+  await socket.send("handoff:request", {});
+  agents.set(agentRoom(tenant._id), new Set(["agent-socket"]));
+
+  assert.equal(await handoffOf("after-hours"), "none");
+  assert.match(
+    socket.emitted.findLast(({ event }) => event === "bot:message").data.message,
+    /No one from our team is available/
+  );
+  assert.deepEqual(socket.emitted.at(-1), {
+    event: "handoff:status",
+    data: { status: "none", agentName: undefined },
+  });
+});
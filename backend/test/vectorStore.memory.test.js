@@ -0,0 +1,116 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Tenant from "../src/models/Tenant.js";
+import Embedding from "../src/models/Embedding.js";
+import * as store from "../src/services/vectorStore.memory.js";
+import {
+  generateEmbeddings,
+  getEmbeddingIndex,
+  toEmbeddingFields,
+} from "../src/services/embeddingService.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+let models;
+let builds = 0;
+
+before(() => {
+  models = [Tenant, Embedding].map(useMemoryModel);
+
+  // Every index build loads the tenant's active embeddings
+  const find = Embedding.find;
+  Embedding.find = (filter) => {
+    if (filter?.isActive) builds++;
+    return find(filter);
+  };
+});
+
+after(() => models.forEach((model) => model.restore()));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const chunk = async (tenantId, documentId, text, fields = {}) => {
+  const index = await getEmbeddingIndex(tenantId);
+  return {
+    tenantId,
+    documentId,
+    text,
+    ...toEmbeddingFields(await generateEmbeddings(text, tenantId), index),
+    metadata: { chunkIndex: 0 },
+    ...fields,
+  };
+};
+
+const searchIds = async (tenantId, text) =>
+  (
+    await store.search(tenantId, await generateEmbeddings(text, tenantId), {
+      limit: 10,
+    })
+  ).map((result) => result.id);
+
+test("a version swapped in by another process is picked up", async () => {
+  const tenant = await Tenant.create({ name: "Acme" });
+  const documentId = new mongoose.Types.ObjectId();
+  const [live] = await Embedding.insertMany([
+    await chunk(tenant._id, documentId, "Refunds take 14 days."),
+  ]);
+  const [staged] = await Embedding.insertMany([
+    await chunk(tenant._id, documentId, "Refunds take 30 days.", {
+      version: 2,
+      isActive: false,
+    }),
+  ]);
+
+  assert.deepEqual(await searchIds(tenant._id, "refunds"), [
+    live._id.toString(),
+  ]);
+
+  // A worker swaps the versions: same active count, different chunks
+  await sleep(5);
+  await Embedding.updateMany({ documentId, version: 2 }, { isActive: true });
+  await Embedding.deleteMany({ documentId, version: { $lt: 2 } });
+
+  assert.deepEqual(await searchIds(tenant._id, "refunds"), [
+    staged._id.toString(),
+  ]);
+});
+
+test("this process's own additions don't rebuild the index", async () => {
+  const tenant = await Tenant.create({ name: "Globex" });
+  await Embedding.insertMany([
+    await chunk(tenant._id, new mongoose.Types.ObjectId(), "Shipping is free."),
+  ]);
+  await searchIds(tenant._id, "shipping");
+  const built = builds;
+
+  await sleep(5);
+  const added = await Embedding.insertMany([
+    await chunk(tenant._id, new mongoose.Types.ObjectId(), "Returns are free."),
+  ]);
+  await store.add(tenant._id, added);
+
+  assert.equal((await searchIds(tenant._id, "free")).length, 2);
+  assert.equal(builds, built);
+});
+
+test("another process's write is not hidden by a later own one", async () => {
+  const tenant = await Tenant.create({ name: "Initech" });
+  await Embedding.insertMany([
+    await chunk(tenant._id, new mongoose.Types.ObjectId(), "Support is 24/7."),
+  ]);
+  await searchIds(tenant._id, "support");
+
+  await sleep(5);
+  const [theirs] = await Embedding.insertMany([
+    await chunk(tenant._id, new mongoose.Types.ObjectId(), "Support by phone."),
+  ]);
+  await sleep(5);
+  const ours = await Embedding.insertMany([
+    await chunk(tenant._id, new mongoose.Types.ObjectId(), "Support by mail."),
+  ]);
+  await store.add(tenant._id, ours);
+
+  assert.ok(
+    (await searchIds(tenant._id, "support")).includes(theirs._id.toString())
+  );
+});
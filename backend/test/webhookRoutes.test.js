@@ -0,0 +1,115 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import express from "express";
+import Tenant from "../src/models/Tenant.js";
+import webhookRoutes from "../src/routes/webhookRoutes.js";
+import { verifyWebhookSignature } from "../src/services/socialService.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+let tenants;
+let server;
+let origin;
+
+before(async () => {
+  tenants = useMemoryModel(Tenant);
+  await Tenant.create({
+    name: "Acme",
+    whatsapp: { enabled: true, phoneNumberId: "1001", appSecret: "acme" },
+    instagram: { enabled: true, pageId: "2001", appSecret: "acme-ig" },
+  });
+  await Tenant.create({
+    name: "Globex",
+    whatsapp: { enabled: true, phoneNumberId: "1002", appSecret: "globex" },
+  });
+
+  const app = express();
+  app.use("/api/webhooks", webhookRoutes);
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  tenants.restore();
+});
+
+const sign = (body, secret) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+// Status updates only, so an accepted payload never calls the Graph API
+const whatsappPayload = (...phoneNumberIds) =>
+  JSON.stringify(
+    {
+      object: "whatsapp_business_account",
+      entry: phoneNumberIds.map((id) => ({
+        changes: [
+          {
+            field: "messages",
+            value: {
+              metadata: { phone_number_id: id },
+              statuses: [{ id: "wamid.1", status: "read" }],
+            },
+          },
+        ],
+      })),
+    },
+    null,
+    2
+  );
+
+const post = (platform, body, signature) =>
+  fetch(`${origin}/api/webhooks/${platform}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(signature && { "X-Hub-Signature-256": signature }),
+    },
+    body,
+  }).then((res) => res.status);
+
+test("payloads signed with the tenant's app secret are accepted", async () => {
+  const body = whatsappPayload("1001");
+  assert.equal(await post("whatsapp", body, sign(body, "acme")), 200);
+
+  const instagram = JSON.stringify({
+    object: "instagram",
+    entry: [{ id: "2001", messaging: [{ recipient: { id: "2001" } }] }],
+  });
+  assert.equal(
+    await post("instagram", instagram, sign(instagram, "acme-ig")),
+    200
+  );
+});
+
+test("unsigned, re-encoded or wrongly signed payloads are rejected", async () => {
+  const body = whatsappPayload("1001");
+
+  assert.equal(await post("whatsapp", body), 401);
+  assert.equal(await post("whatsapp", body, sign(body, "globex")), 401);
+  assert.equal(await post("whatsapp", body, "sha256=not-hex"), 401);
+
+  // The signature covers the raw bytes, not the parsed JSON
+  const compact = JSON.stringify(JSON.parse(body));
+  assert.equal(await post("whatsapp", compact, sign(body, "acme")), 401);
+});
+
+test("a payload for two tenants must match both secrets", async () => {
+  const body = whatsappPayload("1001", "1002");
+  assert.equal(await post("whatsapp", body, sign(body, "acme")), 401);
+});
+
+test("payloads for accounts we don't serve are acknowledged", async () => {
+  const body = whatsappPayload("9999");
+  assert.equal(await post("whatsapp", body), 200);
+});
+
+test("only sha256 signatures are understood", () => {
+  const body = Buffer.from("{}");
+  const digest = crypto.createHmac("sha1", "acme").update(body).digest("hex");
+
+  assert.equal(verifyWebhookSignature(body, `sha1=${digest}`, "acme"), false);
+  assert.equal(verifyWebhookSignature(body, sign(body, "acme"), ""), false);
+  assert.equal(verifyWebhookSignature(body, sign(body, "acme"), "acme"), true);
+});
@@ -1,15 +1,299 @@
 import React, { useState, useEffect, useRef } from "react";
 import { io } from "socket.io-client";
 
+const generateSessionId = () =>
+  `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// Keep one session per tenant in localStorage so the transcript survives reloads
+const getStoredSessionId = (key) => {
+  const storageKey = `support-widget-session-${key}`;
+  try {
+    const existing = localStorage.getItem(storageKey);
+    if (existing) return existing;
+    const created = generateSessionId();
+    localStorage.setItem(storageKey, created);
+    return created;
+  } catch {
+    return generateSessionId();
+  }
+};
+
+const feedbackButtonStyles = (active, color) => ({
+  background: active ? color : "none",
+  border: `1px solid ${active ? color : "#d1d5db"}`,
+  borderRadius: "10px",
+  padding: "0 6px",
+  cursor: "pointer",
+  fontSize: "12px",
+  lineHeight: "18px",
+  filter: active ? "none" : "grayscale(1)",
+});
+
+// Thumbs up/down under a bot answer, with an optional comment once rated
+const FeedbackBar = ({ feedback, primaryColor, disabled, onSubmit }) => {
+  const [isCommenting, setIsCommenting] = useState(false);
+  const [comment, setComment] = useState("");
+  const rating = feedback?.rating || null;
+
+  const rate = (value) => {
+    // Clicking the selected thumb again takes the rating back
+    const next = rating === value ? null : value;
+    setIsCommenting(false);
+    onSubmit(next);
+  };
+
+  const sendComment = () => {
+    if (!comment.trim()) return;
+    onSubmit(rating, comment.trim());
+    setIsCommenting(false);
+    setComment("");
+  };
+
+  return (
+    <div
+      style={{
+        marginTop: "6px",
+        paddingTop: "6px",
+        borderTop: "1px solid #e5e7eb",
+        fontSize: "12px",
+        color: "#6b7280",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+        <span>
+          {feedback?.comment ? "Thanks for your feedback!" : "Was this helpful?"}
+        </span>
+        <button
+          onClick={() => rate("up")}
+          disabled={disabled}
+          style={feedbackButtonStyles(rating === "up", primaryColor)}
+          title="Helpful"
+        >
+          👍
+        </button>
+        <button
+          onClick={() => rate("down")}
+          disabled={disabled}
+          style={feedbackButtonStyles(rating === "down", primaryColor)}
+          title="Not helpful"
+        >
+          👎
+        </button>
+        {rating && !feedback?.comment && !isCommenting && (
+          <button
+            onClick={() => setIsCommenting(true)}
+            disabled={disabled}
+            style={{
+              background: "none",
+              border: "none",
+              padding: 0,
+              color: primaryColor,
+              cursor: "pointer",
+              fontSize: "12px",
+            }}
+          >
+            Add a comment
+          </button>
+        )}
+      </div>
+      {isCommenting && (
+        <div style={{ display: "flex", gap: "4px", marginTop: "6px" }}>
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            onKeyPress={(e) => e.key === "Enter" && sendComment()}
+            placeholder={rating === "down" ? "What was wrong?" : "What helped?"}
+            maxLength={1000}
+            autoFocus
+            style={{
+              flex: 1,
+              minWidth: 0,
+              padding: "4px 8px",
+              border: "1px solid #d1d5db",
+              borderRadius: "8px",
+              fontSize: "12px",
+              outline: "none",
+            }}
+          />
+          <button
+            onClick={sendComment}
+            disabled={disabled || !comment.trim()}
+            style={{
+              border: "none",
+              borderRadius: "8px",
+              padding: "4px 8px",
+              backgroundColor: primaryColor,
+              color: "white",
+              cursor: "pointer",
+              fontSize: "12px",
+            }}
+          >
+            Send
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const citationLabel = (citation) =>
+  citation.page ? `${citation.title}, p. ${citation.page}` : citation.title;
+
+// Collapsible list of where an answer came from; chips link to the original
+// page when there is one, and show the quoted passage when clicked
+const SourceChips = ({ citations, primaryColor }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  const chipStyles = (active) => ({
+    display: "inline-block",
+    maxWidth: "100%",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+    border: `1px solid ${active ? primaryColor : "#d1d5db"}`,
+    borderRadius: "10px",
+    padding: "1px 8px",
+    background: "white",
+    color: active ? primaryColor : "#374151",
+    cursor: "pointer",
+    fontSize: "11px",
+    lineHeight: "18px",
+    textDecoration: "none",
+  });
+
+  return (
+    <div style={{ marginTop: "6px", fontSize: "12px", color: "#6b7280" }}>
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        style={{
+          background: "none",
+          border: "none",
+          padding: 0,
+          color: primaryColor,
+          cursor: "pointer",
+          fontSize: "12px",
+        }}
+      >
+        {isOpen ? "▾" : "▸"} Sources ({citations.length})
+      </button>
+      {isOpen && (
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            gap: "4px",
+            marginTop: "4px",
+          }}
+        >
+          {citations.map((citation, index) =>
+            citation.url ? (
+              <a
+                key={index}
+                href={citation.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                title={citation.snippet}
+                style={chipStyles(false)}
+              >
+                {citationLabel(citation)} ↗
+              </a>
+            ) : (
+              <button
+                key={index}
+                onClick={() =>
+                  setSelected((current) => (current === index ? null : index))
+                }
+                title={citation.section || citation.title}
+                style={chipStyles(selected === index)}
+              >
+                {citationLabel(citation)}
+              </button>
+            )
+          )}
+        </div>
+      )}
+      {isOpen && selected !== null && citations[selected] && (
+        <div
+          style={{
+            marginTop: "4px",
+            padding: "6px 8px",
+            borderLeft: `2px solid ${primaryColor}`,
+            background: "white",
+            borderRadius: "4px",
+            fontSize: "11px",
+            color: "#4b5563",
+            whiteSpace: "pre-wrap",
+          }}
+        >
+          {citations[selected].section && (
+            <div style={{ fontWeight: "600", marginBottom: "2px" }}>
+              {citations[selected].section}
+            </div>
+          )}
+          {citations[selected].snippet}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const Widget = ({ config }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState("");
   const [isTyping, setIsTyping] = useState(false);
   const [isConnected, setIsConnected] = useState(false);
-  const [sessionId, setSessionId] = useState(null);
+  // "none", "queued" (waiting for an agent) or "claimed" (agent is replying)
+  const [handoff, setHandoff] = useState({ status: "none" });
+  const [sessionId, setSessionId] = useState(() =>
+    getStoredSessionId(config.key)
+  );
   const socketRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const restoredRef = useRef(false);
+
+  // Restore the transcript for this session after a page reload
+  useEffect(() => {
+    if (!config.apiUrl || !config.key || !sessionId) return;
+
+    let cancelled = false;
+    fetch(
+      `${config.apiUrl}/chat/history/${encodeURIComponent(
+        sessionId
+      )}?tenantKey=${encodeURIComponent(config.key)}`
+    )
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (cancelled || !data?.messages?.length) return;
+        restoredRef.current = true;
+        setMessages(
+          data.messages.map((message) => ({
+            id: message.id,
+            type: message.role,
+            content: message.content,
+            timestamp: message.timestamp,
+            confidence: message.confidence,
+            source: message.source,
+            messageType: message.messageType,
+            sources: message.sources,
+            citations: message.citations,
+            isFallback: message.isFallback,
+            agentName: message.agentName,
+            feedback: message.feedback,
+            canRate: message.role === "bot" && message.messageType !== "handoff",
+          }))
+        );
+      })
+      .catch((error) => {
+        console.error("Widget history error:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [config.apiUrl, config.key, sessionId]);
 
   // Initialize socket connection
   useEffect(() => {
@@ -24,29 +308,85 @@ const Widget = ({ config }) => {
 
     socket.on("connect", () => {
       setIsConnected(true);
-      setSessionId(socket.id);
     });
 
     socket.on("disconnect", () => {
       setIsConnected(false);
     });
 
+    // Streamed answers arrive as chunks sharing the final message's id
+    socket.on("bot:chunk", (data) => {
+      setIsTyping(false);
+      setMessages((prev) => {
+        const existing = prev.find((m) => m.id === data.messageId);
+        if (!existing) {
+          return [
+            ...prev,
+            {
+              id: data.messageId,
+              type: "bot",
+              content: data.delta,
+              timestamp: new Date().toISOString(),
+              isStreaming: true,
+            },
+          ];
+        }
+        return prev.map((m) =>
+          m.id === data.messageId ? { ...m, content: m.content + data.delta } : m
+        );
+      });
+    });
+
     socket.on("bot:message", (data) => {
+      // A restored transcript already opens the conversation
+      if (data.type === "welcome" && restoredRef.current) return;
+
+      const message = {
+        id: data.messageId || Date.now(),
+        type: "bot",
+        content: data.message,
+        timestamp: data.timestamp,
+        confidence: data.confidence,
+        source: data.source,
+        messageType: data.messageType,
+        sources: data.sources,
+        citations: data.citations,
+        isFallback: data.isFallback,
+        isStreaming: false,
+        // Only stored answers can be rated, not the welcome or error messages
+        canRate:
+          data.type === "response" &&
+          !!data.messageId &&
+          data.messageType !== "handoff",
+      };
+
+      // The final message replaces the streamed text (the server may have
+      // fallen back to a different answer mid-stream)
+      setMessages((prev) =>
+        prev.some((m) => m.id === message.id)
+          ? prev.map((m) => (m.id === message.id ? message : m))
+          : [...prev, message]
+      );
+      setIsTyping(false);
+    });
+
+    // Replies typed by a human agent from the admin console
+    socket.on("agent:message", (data) => {
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now(),
-          type: "bot",
+          id: data.messageId || Date.now(),
+          type: "agent",
           content: data.message,
+          agentName: data.agentName,
           timestamp: data.timestamp,
-          confidence: data.confidence,
-          source: data.source,
-          messageType: data.messageType,
-          sources: data.sources,
-          isFallback: data.isFallback,
         },
       ]);
-      setIsTyping(false);
+    });
+
+    socket.on("handoff:status", (data) => {
+      setHandoff({ status: data.status, agentName: data.agentName });
+      if (data.status !== "none") setIsTyping(false);
     });
 
     socket.on("bot:typing", (data) => {
@@ -73,6 +413,13 @@ const Widget = ({ config }) => {
     };
   }, [config.wsUrl, config.key]);
 
+  // Join the session's room so agent replies and handoff updates reach us
+  useEffect(() => {
+    if (isConnected && socketRef.current) {
+      socketRef.current.emit("session:start", { sessionId });
+    }
+  }, [isConnected, sessionId]);
+
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -111,12 +458,56 @@ const Widget = ({ config }) => {
     }
   };
 
+  const requestHuman = () => {
+    if (!isConnected || !socketRef.current) return;
+    socketRef.current.emit("handoff:request", { sessionId });
+  };
+
+  const cancelHandoff = () => {
+    if (!isConnected || !socketRef.current) return;
+    socketRef.current.emit("handoff:cancel", { sessionId });
+  };
+
+  const submitFeedback = (messageId, rating, comment) => {
+    if (!isConnected || !socketRef.current) return;
+
+    const setFeedback = (feedback) =>
+      setMessages((prev) =>
+        prev.map((m) => (m.id === messageId ? { ...m, feedback } : m))
+      );
+
+    const previous = messages.find((m) => m.id === messageId)?.feedback;
+    setFeedback(rating ? { rating, comment } : undefined);
+
+    socketRef.current.emit(
+      "feedback:submit",
+      { sessionId, messageId, rating, comment },
+      (result) => {
+        if (result?.error) {
+          console.error("Widget feedback error:", result.error);
+          setFeedback(previous);
+        }
+      }
+    );
+  };
+
   const toggleWidget = () => {
     setIsOpen(!isOpen);
   };
 
   const clearChat = () => {
     setMessages([]);
+    setHandoff({ status: "none" });
+
+    // Start a fresh session so the cleared transcript isn't restored on reload
+    const newSessionId = generateSessionId();
+    try {
+      localStorage.setItem(`support-widget-session-${config.key}`, newSessionId);
+    } catch {
+      // Storage unavailable (e.g. privacy mode); keep the session in memory only
+    }
+    restoredRef.current = false;
+    setSessionId(newSessionId);
   };
 
   // Widget styles
@@ -185,6 +576,26 @@ const Widget = ({ config }) => {
     gap: "8px",
   };
 
+  const handoffBarStyles = {
+    padding: "6px 16px",
+    borderTop: "1px solid #e5e7eb",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    fontSize: "12px",
+    color: "#6b7280",
+  };
+
+  const handoffLinkStyles = {
+    background: "none",
+    border: "none",
+    padding: 0,
+    color: config.primaryColor,
+    cursor: "pointer",
+    fontSize: "12px",
+    fontWeight: "600",
+  };
+
   const messageStyles = {
     maxWidth: "80%",
     padding: "8px 12px",
@@ -296,7 +707,46 @@ const Widget = ({ config }) => {
                       : botMessageStyles
                   }
                 >
+                  {message.type === "agent" && (
+                    <div
+                      style={{
+                        fontSize: "11px",
+                        fontWeight: "600",
+                        color: config.primaryColor,
+                        marginBottom: "2px",
+                      }}
+                    >
+                      {message.agentName || "Support agent"}
+                    </div>
+                  )}
                   {message.content}
+                  {message.isStreaming && (
+                    <span
+                      style={{
+                        display: "inline-block",
+                        marginLeft: "2px",
+                        animation: "blink 1s steps(2, start) infinite",
+                      }}
+                    >
+                      ▍
+                    </span>
+                  )}
+                  {message.citations?.length > 0 && !message.isStreaming && (
+                    <SourceChips
+                      citations={message.citations}
+                      primaryColor={config.primaryColor}
+                    />
+                  )}
+                  {message.canRate && !message.isStreaming && (
+                    <FeedbackBar
+                      feedback={message.feedback}
+                      primaryColor={config.primaryColor}
+                      disabled={!isConnected}
+                      onSubmit={(rating, comment) =>
+                        submitFeedback(message.id, rating, comment)
+                      }
+                    />
+                  )}
                 </div>
               ))
             )}
@@ -343,6 +793,32 @@ const Widget = ({ config }) => {
             <div ref={messagesEndRef} />
           </div>
 
+          {/* Human handoff */}
+          <div style={handoffBarStyles}>
+            {handoff.status === "none" && (
+              <button
+                onClick={requestHuman}
+                disabled={!isConnected}
+                style={handoffLinkStyles}
+              >
+                Talk to a human
+              </button>
+            )}
+            {handoff.status === "queued" && (
+              <>
+                <span>Waiting for a team member...</span>
+                <button onClick={cancelHandoff} style={handoffLinkStyles}>
+                  Back to assistant
+                </button>
+              </>
+            )}
+            {handoff.status === "claimed" && (
+              <span>
+                Chatting with {handoff.agentName || "a support agent"}
+              </span>
+            )}
+          </div>
+
           {/* Input */}
           <div style={inputStyles}>
             <input
@@ -411,6 +887,11 @@ const Widget = ({ config }) => {
               transform: translateY(-10px);
             }
           }
+          @keyframes blink {
+            to {
+              visibility: hidden;
+            }
+          }
         `}
       </style>
     </div>